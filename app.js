@@ -15,25 +15,146 @@ window.showToast = function(msg) {
 // In-memory basket
 let basket = [];
 
+// Discounts and coupons applied to the current basket
+let basketAdjustments = [];
+
+// Tax configuration (loaded from settings store)
+let taxConfig = DEFAULT_TAX_CONFIG;
+
+// Order type, table, customer and ready time (datetime-local value) chosen in the basket drawer
+let basketOrderDetails = {
+    orderType: 'takeaway',
+    table: '',
+    customerName: '',
+    customerPhone: '',
+    keepTabOpen: false,
+    scheduledFor: ''
+};
+
+// Dine-in tables (loaded from settings store)
+let tables = DEFAULT_TABLES;
+
+// Staff profiles (loaded from settings store; none means the app is not locked)
+let staffList = [];
+
+// Ingredient catalog for recipe costing (loaded from ingredients store)
+let ingredientList = [];
+
+// Customer directory and loyalty settings (loaded from customers and settings stores)
+let customerList = [];
+let loyaltyConfig = DEFAULT_LOYALTY_CONFIG;
+
+// Action a manager just approved by PIN; the next check for it passes once
+let approvedAction = null;
+
 // Orders screen state
 let allOrders = [];
 let filteredOrders = [];
+
+// Archive screen state
+const ARCHIVE_PAGE_SIZE = 20;
+let archivedOrders = [];
+let archivePage = 1;
 let bulkSelectMode = false;
 let selectedOrders = new Set();
+let tableFilter = 'all';
+let groupByTable = false;
+
+// Kitchen display timer (runs only while the kitchen screen is shown)
+let kitchenTimer = null;
+
+// Wakes up when the next scheduled order joins the queue
+let scheduleTimer = null;
+let upcomingOrderIds = new Set();
+
+// Changes from other tabs, applied together after a short pause
+const TAB_CHANGE_DELAY_MS = 100;
+let pendingTabChanges = [];
+let tabChangeTimer = null;
+
+/**
+ * Handle a menu item tap: choose a combo's items first, then open the modifier
+ * picker when the item has modifier groups, otherwise add it straight to the basket
+ * @param {Object} item - Menu item tapped
+ */
+function handleMenuItemSelect(item) {
+    if (!checkStockAvailable(item)) return;
+
+    if (isBundle(item)) {
+        handleBundleSelect(item);
+        return;
+    }
+
+    pickModifiers(item, (modifiers) => {
+        addToBasket(item, modifiers);
+    });
+}
+
+/**
+ * Open the modifier picker when an item has modifier groups
+ * @param {Object} item - Menu item
+ * @param {Function} onPicked - Callback with chosen modifiers (empty when there are none to choose)
+ */
+function pickModifiers(item, onPicked) {
+    const hasModifiers = (item.modifierGroups || []).some(group => group.options && group.options.length > 0);
+    if (!hasModifiers) {
+        onPicked([]);
+        return;
+    }
+
+    openModifierPicker(item, onPicked);
+}
+
+/**
+ * Choose the items in a combo and add it to the basket
+ * Combos with nothing to choose (only fixed items) are added straight away.
+ * @param {Object} item - Combo menu item
+ */
+async function handleBundleSelect(item) {
+    try {
+        const menu = await getMenu();
+        const addBundle = (choices) => {
+            const validation = validateBundleSelection(item, choices, menu);
+            if (!validation.ok) {
+                showToast(validation.errors[0], 'error');
+                return;
+            }
+            const components = buildBundleComponents(item, choices, menu, ingredientList);
+            if (!checkBundleStockAvailable(components, menu)) return;
+            pickModifiers(item, (modifiers) => addToBasket(item, modifiers, components));
+        };
+
+        if (needsBundleChoice(item, menu)) {
+            openBundlePicker(item, menu, addBundle);
+        } else {
+            addBundle(getDefaultBundleChoices(item, menu));
+        }
+    } catch (error) {
+        console.error('Failed to load menu for combo:', error);
+    }
+}
 
 /**
  * Add item to basket
  * @param {Object} item - Menu item to add
+ * @param {Array} modifiers - Chosen modifiers (optional)
+ * @param {Array} components - Chosen combo components (optional)
  */
-function addToBasket(item) {
-    // Check if item already exists in basket
-    const existingItem = basket.find(b => b.id === item.id);
+function addToBasket(item, modifiers = [], components = []) {
+    if (!checkStockAvailable(item)) return;
+
+    // Lines are keyed by item plus chosen options so different configurations don't merge
+    const lineId = getBasketLineKey(item.id, modifiers, components);
+    const existingItem = basket.find(b => b.lineId === lineId);
     
     if (existingItem) {
         existingItem.quantity = (existingItem.quantity || 1) + 1;
     } else {
         basket.push({
             ...item,
+            lineId,
+            modifiers,
+            components,
             quantity: 1,
             note: ''
         });
@@ -44,15 +165,57 @@ function addToBasket(item) {
 }
 
 /**
- * Update quantity of basket item
- * @param {number} itemId - Item ID
+ * Check that one more of an item can go in the basket, telling the cashier when it can't
+ * @param {Object} item - Menu item (or basket line)
+ * @returns {boolean} True if there is stock left
+ */
+function checkStockAvailable(item) {
+    const available = getAvailableStock(item, basket);
+    if (available > 0) return true;
+
+    showToast(describeStockShortfall(item), 'error');
+    return false;
+}
+
+/**
+ * Check that one more combo with these components can go in the basket
+ * @param {Array} components - Combo components
+ * @param {Array} menu - Menu items (for current stock)
+ * @returns {boolean} True if every counted item has enough left
+ */
+function checkBundleStockAvailable(components, menu) {
+    return checkLinesStockAvailable(components.map(component => ({ id: component.id, quantity: 1 })), menu);
+}
+
+/**
+ * Check that lines can go in the basket on top of what is already there
+ * @param {Array} lines - Lines to add ({id, quantity, components?})
+ * @param {Array} menu - Menu items (for current stock)
+ * @returns {boolean} True if every counted item has enough left
+ */
+function checkLinesStockAvailable(lines, menu) {
+    const short = findStockShortfall([], [...basket, ...lines], menu);
+    if (!short) return true;
+
+    showToast(describeStockShortfall(short), 'error');
+    return false;
+}
+
+/**
+ * Update quantity of basket line
+ * @param {string} lineId - Basket line key
  * @param {number} quantity - New quantity
  */
-function updateBasketItemQuantity(itemId, quantity) {
-    const item = basket.find(b => b.id === itemId);
+async function updateBasketItemQuantity(lineId, quantity) {
+    const item = basket.find(b => b.lineId === lineId);
     if (item) {
+        if (quantity > (item.quantity || 1)) {
+            if (!checkStockAvailable(item)) return;
+            if ((item.components || []).length > 0 && !checkBundleStockAvailable(item.components, await getMenu())) return;
+        }
+
         if (quantity <= 0) {
-            removeBasketItem(itemId);
+            removeBasketItem(lineId);
         } else {
             item.quantity = quantity;
             updateBasketUI();
@@ -61,21 +224,22 @@ function updateBasketItemQuantity(itemId, quantity) {
 }
 
 /**
- * Remove item from basket
- * @param {number} itemId - Item ID
+ * Remove line from basket
+ * @param {string} lineId - Basket line key
  */
-function removeBasketItem(itemId) {
-    basket = basket.filter(b => b.id !== itemId);
+function removeBasketItem(lineId) {
+    basket = basket.filter(b => b.lineId !== lineId);
+    basketAdjustments = basketAdjustments.filter(adj => adj.scope !== 'line' || adj.lineId !== lineId);
     updateBasketUI();
 }
 
 /**
- * Update note for basket item
- * @param {number} itemId - Item ID
+ * Update note for basket line
+ * @param {string} lineId - Basket line key
  * @param {string} note - Note text
  */
-function updateBasketItemNote(itemId, note) {
-    const item = basket.find(b => b.id === itemId);
+function updateBasketItemNote(lineId, note) {
+    const item = basket.find(b => b.lineId === lineId);
     if (item) {
         item.note = note || '';
     }
@@ -87,12 +251,34 @@ function updateBasketItemNote(itemId, note) {
 function updateBasketUI() {
     const totalItems = basket.reduce((sum, item) => sum + (item.quantity || 1), 0);
     updateBasketBadge(totalItems);
-    renderBasketDrawer(basket, updateBasketItemQuantity, removeBasketItem, updateBasketItemNote);
+    dropUnqualifiedCoupons(calculateBasketBreakdown().dropped);
+    renderBasketDrawer(
+        basket,
+        updateBasketItemQuantity,
+        removeBasketItem,
+        updateBasketItemNote,
+        calculateBasketBreakdown(),
+        handleAddLineDiscount,
+        removeBasketAdjustment
+    );
     
     console.log('Basket updated:', basket);
     console.log('Total items:', totalItems);
 }
 
+/**
+ * Remove coupons the basket no longer qualifies for and tell staff why
+ * @param {Array} dropped - Adjustments left out of the price breakdown
+ */
+function dropUnqualifiedCoupons(dropped) {
+    if (!dropped || dropped.length === 0) return;
+
+    basketAdjustments = basketAdjustments.filter(adj => !dropped.includes(adj));
+    dropped.forEach(adj => {
+        showToast(`Coupon ${adj.couponCode} removed: needs a minimum spend of ${formatMoney(adj.minSpend)}`, 'error');
+    });
+}
+
 /**
  * Get current basket
  * @returns {Array} Current basket array
@@ -101,14 +287,107 @@ function getBasket() {
     return basket;
 }
 
+/**
+ * Calculate basket subtotal, adjustments, taxes and total
+ * @returns {Object} Price breakdown from calculatePriceBreakdown
+ */
+function calculateBasketBreakdown() {
+    return calculatePriceBreakdown(basket, basketAdjustments, taxConfig);
+}
+
 /**
  * Calculate basket total
- * @returns {number} Total amount
+ * @returns {number} Total amount after discounts
  */
 function calculateBasketTotal() {
-    return basket.reduce((sum, item) => {
-        return sum + (item.price * (item.quantity || 1));
-    }, 0);
+    return calculateBasketBreakdown().total;
+}
+
+/**
+ * Add a discount to one basket line
+ * @param {string} lineId - Basket line key
+ */
+function handleAddLineDiscount(lineId) {
+    const line = basket.find(b => b.lineId === lineId);
+    if (!line) return;
+
+    openAdjustmentModal(`Discount: ${line.name}`, true, (adjustment) => {
+        basketAdjustments.push({
+            ...adjustment,
+            id: generateId('adj-'),
+            scope: 'line',
+            lineId
+        });
+        updateBasketUI();
+    });
+}
+
+/**
+ * Add an order-level discount to the basket
+ */
+function handleAddOrderDiscount() {
+    if (basket.length === 0) {
+        showToast('Basket is empty', 'error');
+        return;
+    }
+
+    openAdjustmentModal('Order Discount', false, (adjustment) => {
+        basketAdjustments.push({
+            ...adjustment,
+            id: generateId('adj-'),
+            scope: 'order'
+        });
+        updateBasketUI();
+    });
+}
+
+/**
+ * Apply a coupon code to the basket
+ * @param {string} code - Coupon code entered by staff
+ */
+async function applyCouponCode(code) {
+    const normalized = String(code || '').trim().toUpperCase();
+    if (!normalized) return;
+
+    if (basketAdjustments.some(adj => adj.couponCode === normalized)) {
+        showToast(`Coupon ${normalized} already applied`, 'error');
+        return;
+    }
+
+    try {
+        const coupons = await getCoupons();
+        const coupon = coupons.find(c => c.code === normalized);
+        if (!coupon) {
+            showToast(`Coupon ${normalized} not found`, 'error');
+            return;
+        }
+
+        const check = checkCouponApplicable(coupon, calculateBasketBreakdown().subtotal);
+        if (!check.ok) {
+            showToast(check.errors[0], 'error');
+            return;
+        }
+
+        basketAdjustments.push(couponToAdjustment(coupon));
+        updateBasketUI();
+        showToast(`Coupon ${normalized} applied`, 'success');
+
+        const couponInput = document.getElementById('coupon-code-input');
+        if (couponInput) couponInput.value = '';
+    } catch (error) {
+        console.error('Failed to apply coupon:', error);
+        showToast('Failed to apply coupon', 'error');
+    }
+}
+
+/**
+ * Remove an adjustment from the basket
+ * @param {string} adjustmentId - Adjustment ID
+ */
+function removeBasketAdjustment(adjustmentId) {
+    basketAdjustments = basketAdjustments.filter(adj => adj.id !== adjustmentId);
+    updateBasketUI();
+    refreshBasketCustomer();
 }
 
 /**
@@ -116,7 +395,18 @@ function calculateBasketTotal() {
  */
 function clearBasket() {
     basket = [];
+    basketAdjustments = [];
+    // Order type carries over to the next order; table, customer and ready time do not
+    basketOrderDetails = {
+        ...basketOrderDetails,
+        table: '',
+        customerName: '',
+        customerPhone: '',
+        keepTabOpen: false,
+        scheduledFor: ''
+    };
     updateBasketUI();
+    refreshBasketCustomer();
     console.log('Basket cleared');
 }
 
@@ -129,174 +419,687 @@ async function createOrder() {
         return;
     }
 
+    const details = basketOrderDetails;
+    const validation = validateOrderDetails(details, tables);
+    if (!validation.ok) {
+        showToast(validation.errors[0], 'error');
+        return;
+    }
+
     try {
         const nextOrderNumber = parseInt(localStorage.nextOrderNumber || '1', 10);
+        const breakdown = calculateBasketBreakdown();
+        const isDineIn = details.orderType === 'dine-in';
+        const timestamp = new Date().toISOString();
+
+        // A table with an open tab gets this basket as a new round
+        const openTab = isDineIn ? findOpenTab(await getAllOrders(), details.table) : null;
+        if (openTab && !checkLoyaltyOnNewOrderOnly()) return;
+        if (openTab) {
+            const updated = await appendBasketToOrder(openTab);
+            await finishCheckout(`Round ${updated.rounds} added to Table ${updated.table}`);
+            return;
+        }
+
+        // Points being redeemed must still be on the customer's balance
+        const customer = await saveBasketCustomer();
+        const redeemed = getRedeemedPoints(breakdown.adjustments, loyaltyConfig);
+        if (redeemed > 0 && (!customer || customer.points < redeemed)) {
+            showToast('Not enough loyalty points for this discount', 'error');
+            return;
+        }
+
         const order = {
             id: generateId('ord-'),
-            timestamp: new Date().toISOString(),
-            items: basket.map(item => ({
-                id: item.id,
-                name: item.name,
-                price: item.price,
-                quantity: item.quantity || 1,
-                note: item.note || ''
-            })),
-            total: calculateBasketTotal(),
+            timestamp,
+            orderType: details.orderType,
+            table: isDineIn ? details.table : null,
+            customerName: details.customerName.trim(),
+            customerPhone: details.customerPhone.trim(),
+            customerId: customer ? customer.id : null,
+            tabOpen: isDineIn && details.keepTabOpen,
+            // Promised ready time; the order waits under Upcoming until shortly before it
+            scheduledFor: !isDineIn && details.scheduledFor ? new Date(details.scheduledFor).toISOString() : null,
+            rounds: 1,
+            items: getBasketOrderLines(timestamp),
+            subtotal: breakdown.subtotal,
+            adjustments: breakdown.adjustments,
+            discountTotal: breakdown.discountTotal,
+            taxableValue: breakdown.taxableValue,
+            taxLines: breakdown.taxLines,
+            taxTotal: breakdown.taxTotal,
+            taxInclusive: breakdown.taxInclusive,
+            total: breakdown.total,
+            // Points are earned once the order is paid
+            loyalty: { earned: 0, redeemed },
+            payments: [],
+            amountPaid: 0,
+            paymentStatus: 'unpaid',
             status: 'Yet to prepare',
-            orderNumber: nextOrderNumber
+            orderNumber: nextOrderNumber,
+            orderPrefix: getOrderNumberPrefix(),
+            createdBy: getCurrentStaffRef()
         };
 
         // Save order to IndexedDB
         await saveOrder(order);
         localStorage.nextOrderNumber = String(nextOrderNumber + 1);
+        await updateStockForLines([], order.items);
+        if (redeemed > 0) await changeCustomerPoints(customer.id, -redeemed);
         console.log('Order created:', order);
 
-        // Increment usage counter for all items in order
-        basket.forEach(item => {
-            for (let i = 0; i < (item.quantity || 1); i++) {
-                incrementItemUsage(item.id);
-            }
-        });
+        if (order.tabOpen) {
+            // Running tabs are paid when the tab is closed
+            await finishCheckout(`Tab opened for Table ${order.table}`);
+            return;
+        }
 
-        // Clear basket
-        clearBasket();
+        await finishCheckout('Order created successfully!');
 
-        // Hide drawer
-        hideBasketDrawer();
+        // Payment step (can be closed to leave the order unpaid)
+        openPaymentModal(order, (payments) => recordOrderPayments(order.id, payments));
+    } catch (error) {
+        console.error('Failed to create order:', error);
+        alert('Failed to create order. Please try again.');
+    }
+}
 
-        // Show success message
-        alert('Order created successfully!');
+/**
+ * Snapshot basket lines for an order
+ * @param {string} addedAt - ISO timestamp the lines were ordered at
+ * @returns {Array} Order lines
+ */
+function getBasketOrderLines(addedAt) {
+    return basket.map(item => ({
+        id: item.id,
+        lineId: item.lineId,
+        name: item.name,
+        category: item.category,
+        price: item.price,
+        taxRateIds: Array.isArray(item.taxRateIds) ? [...item.taxRateIds] : null,
+        modifiers: (item.modifiers || []).map(mod => ({ ...mod })),
+        components: (item.components || []).map(component => ({ ...component })),
+        quantity: item.quantity || 1,
+        note: item.note || '',
+        // Food cost when ordered, so later recipe or price changes don't rewrite past margins
+        unitCost: isBundle(item) ? getBundleUnitCost(item.components) : getItemFoodCost(item, ingredientList),
+        addedAt,
+        status: 'Yet to prepare'
+    }));
+}
 
-        // Refresh favorites bar if menu is available
+/**
+ * Apply the stock used (or given back) by a change to an order's lines
+ * The order is already saved, so a failure here is logged rather than undoing the sale.
+ * @param {Array} beforeLines - Order lines before the change (empty for a new order)
+ * @param {Array} afterLines - Order lines after the change (empty for a void)
+ */
+async function updateStockForLines(beforeLines, afterLines) {
+    try {
+        const change = getStockChange(beforeLines, afterLines);
         const menu = await getMenu();
-        if (menu) {
-            renderFavoritesBar(menu, addToBasket);
-        }
+        if (!menu.some(item => isStockTracked(item) && change[item.id])) return;
 
-        // Reload orders if on orders screen
-        const ordersScreen = document.getElementById('orders-screen');
-        if (ordersScreen && ordersScreen.classList.contains('active')) {
-            await loadOrders();
-        }
+        await saveMenu(applyStockChange(menu, change));
+        await refreshMenuUI();
     } catch (error) {
-        console.error('Failed to create order:', error);
-        alert('Failed to create order. Please try again.');
+        console.error('Failed to update stock:', error);
     }
 }
 
 /**
- * Open basket drawer
- * Exposed globally for external access
+ * Append the basket to an existing order and save it
+ * Customer details from the basket fill in any the order does not have yet.
+ * @param {Object} order - Order to add to
+ * @returns {Promise<Object>} Updated order
  */
-function openBasket() {
-    updateBasketUI();
-    showBasketDrawer();
+async function appendBasketToOrder(order) {
+    const breakdown = calculateBasketBreakdown();
+    const updated = appendOrderLines(order, getBasketOrderLines(new Date().toISOString()), breakdown.adjustments, taxConfig);
+    updated.customerName = order.customerName || basketOrderDetails.customerName.trim();
+    updated.customerPhone = order.customerPhone || basketOrderDetails.customerPhone.trim();
+    if (!order.customerId) {
+        const customer = await saveBasketCustomer();
+        updated.customerId = customer ? customer.id : null;
+    }
+    await updateOrder(updated);
+    await updateStockForLines(order.items, updated.items);
+    console.log('Items added to order:', updated);
+    return updated;
 }
 
-// Expose openBasket globally
-window.openBasket = openBasket;
-
 /**
- * Initialize the application
+ * Add the basket to an open order chosen from a list
  */
-async function initApp() {
+async function handleAddToExistingOrder() {
+    if (basket.length === 0) {
+        showToast('Basket is empty', 'error');
+        return;
+    }
+
+    if (!checkLoyaltyOnNewOrderOnly()) return;
+
     try {
-        // Initialize database
-        await initDB();
-        console.log('Database initialized');
+        const openOrders = getOpenOrders(await getAllOrders());
+        if (openOrders.length === 0) {
+            showToast('No open orders to add to', 'error');
+            return;
+        }
 
-        // Load or initialize menu
-        let menu = await getMenu();
-        
-        // Validate menu - restore default if empty or corrupted
-        const hasValidMenu = menu && menu.length > 0 && menu.every(item => {
-            if (typeof isValidMenuItem === 'function') {
-                return isValidMenuItem(item);
+        openOrderPickerModal(openOrders, async (orderId) => {
+            try {
+                const order = openOrders.find(o => o.id === orderId);
+                const updated = await appendBasketToOrder(order);
+                const label = getOrderLabel(updated);
+                await finishCheckout(`Items added to Order ${label}`);
+            } catch (error) {
+                console.error('Failed to add items to order:', error);
+                showToast('Failed to add items to order', 'error');
             }
-            return item && item.id && item.name && typeof item.price === 'number';
         });
+    } catch (error) {
+        console.error('Failed to load open orders:', error);
+        showToast('Failed to load open orders', 'error');
+    }
+}
 
-        if (!hasValidMenu) {
-            // Restore default menu if database is empty or corrupted
-            if (typeof handleError === 'function' && menu && menu.length > 0) {
-                handleError('Menu data corrupted. Restoring default menu.', null);
-            }
-            await saveMenu(initialMenu);
-            menu = initialMenu;
-            console.log('Initial menu saved to database');
+/**
+ * Wrap up after the basket has been saved as a new order or added to an existing one
+ * @param {string} message - Success message
+ */
+async function finishCheckout(message) {
+    // Increment usage counter for all items in order
+    basket.forEach(item => {
+        for (let i = 0; i < (item.quantity || 1); i++) {
+            incrementItemUsage(item.id);
         }
+    });
 
-        console.log('Menu loaded:', menu);
-
-        // Initialize menu UI
-        initMenuUI(menu, addToBasket);
-
-        // Setup navigation
-        setupNavigation();
+    // Clear basket
+    clearBasket();
 
-        // Setup basket drawer
-        setupBasketDrawer();
+    // Hide drawer
+    hideBasketDrawer();
 
-        // Setup orders screen features
-        setupOrdersScreen();
+    // Show success message
+    showToast(message, 'success');
 
-        // Setup settings screen features
-        setupSettingsScreen();
+    // Refresh favorites bar if menu is available
+    const menu = await getMenu();
+    if (menu) {
+        renderFavoritesBar(menu, handleMenuItemSelect);
+    }
 
-        // Load initial orders if on orders screen
-        const ordersScreen = document.getElementById('orders-screen');
-        if (ordersScreen && ordersScreen.classList.contains('active')) {
-            await loadOrders();
-        }
+    // Reload orders if on orders screen
+    const ordersScreen = document.getElementById('orders-screen');
+    if (ordersScreen && ordersScreen.classList.contains('active')) {
+        await loadOrders();
+    }
+}
 
-        // Load initial settings if on settings screen
-        const settingsScreen = document.getElementById('settings-screen');
-        if (settingsScreen && settingsScreen.classList.contains('active')) {
-            await loadSettings();
-        }
+/**
+ * Render order type, table and customer controls in the basket drawer
+ */
+async function refreshOrderDetailsForm() {
+    try {
+        const orders = await getAllOrders();
+        const openTabs = {};
+        tables.forEach(table => {
+            const tab = findOpenTab(orders, table);
+            if (tab) openTabs[table] = tab;
+        });
 
-        // Attempt auto backup if enabled
-        await maybeAutoBackup();
+        renderOrderDetailsForm(
+            basketOrderDetails,
+            tables,
+            openTabs,
+            document.getElementById('basket-order-details'),
+            handleOrderDetailsChange
+        );
+        refreshBasketCustomer();
+    } catch (error) {
+        console.error('Failed to load order details form:', error);
+    }
+}
 
-        await cleanupOldOrders();
+/**
+ * Handle order type, table or customer change in the basket drawer
+ * @param {Object} changes - Changed fields of basketOrderDetails
+ */
+function handleOrderDetailsChange(changes) {
+    basketOrderDetails = { ...basketOrderDetails, ...changes };
+    if ('customerPhone' in changes) {
+        refreshBasketCustomer();
+    }
+}
 
-        await maybeDailyReset();
+/**
+ * Show the customer matching the phone entered in the basket drawer
+ * A loyalty discount for a different customer is dropped, and a known customer's name is filled in.
+ */
+function refreshBasketCustomer() {
+    const customer = findCustomerByPhone(customerList, basketOrderDetails.customerPhone);
 
-        if (!localStorage.nextOrderNumber) {
-            try {
-                const current = await getAllOrders();
-                let archivedCount = 0;
-                if (typeof getArchive === 'function') {
-                    const archived = await getArchive();
-                    archivedCount = Array.isArray(archived) ? archived.length : 0;
-                }
-                localStorage.nextOrderNumber = String((current?.length || 0) + archivedCount + 1);
-            } catch (e) {
-                localStorage.nextOrderNumber = '1';
-            }
-        }
+    const loyalty = basketAdjustments.find(adj => adj.loyaltyPoints);
+    if (loyalty && (!customer || loyalty.customerId !== customer.id)) {
+        basketAdjustments = basketAdjustments.filter(adj => adj !== loyalty);
+        updateBasketUI();
+    }
 
-        console.log('Application initialized successfully');
-    } catch (error) {
-        console.error('Failed to initialize application:', error);
+    if (customer && customer.name && !basketOrderDetails.customerName.trim()) {
+        basketOrderDetails.customerName = customer.name;
+        const nameInput = document.getElementById('basket-customer-name');
+        if (nameInput) nameInput.value = customer.name;
     }
+
+    const offered = basketAdjustments.find(adj => adj.loyaltyPoints);
+    renderBasketCustomer(
+        customer,
+        basketOrderDetails.customerPhone,
+        loyaltyConfig,
+        offered ? offered.loyaltyPoints : 0,
+        document.getElementById('basket-customer'),
+        { onRedeem: handleRedeemPoints, onViewProfile: handleShowCustomerProfile }
+    );
 }
 
 /**
- * Quick-reorder: Copy order items to basket
- * @param {Object} order - Order object
+ * Redeem a customer's loyalty points as a discount on the basket
+ * @param {Object} customer - Customer redeeming
  */
-function quickReorder(order) {
-    if (!order.items || order.items.length === 0) {
+function handleRedeemPoints(customer) {
+    if (basket.length === 0) {
+        showToast('Basket is empty', 'error');
         return;
     }
 
-    // Get menu to match items
-    getMenu().then(menu => {
-        order.items.forEach(orderItem => {
-            const menuItem = menu.find(m => m.id === orderItem.id);
-            if (menuItem) {
-                const existingItem = basket.find(b => b.id === menuItem.id);
+    const points = getRedeemablePoints(customer, calculateBasketBreakdown().total, loyaltyConfig);
+    if (points <= 0) return;
+
+    basketAdjustments.push(loyaltyToAdjustment(customer, points, loyaltyConfig));
+    updateBasketUI();
+    refreshBasketCustomer();
+    showToast(`${points} points redeemed`, 'success');
+}
+
+/**
+ * Check the basket has no loyalty discount before adding it to an existing order
+ * Points are only redeemed on new orders, where the discount is settled against the balance.
+ * @returns {boolean} True if the basket can be added
+ */
+function checkLoyaltyOnNewOrderOnly() {
+    if (!basketAdjustments.some(adj => adj.loyaltyPoints)) return true;
+    showToast('Loyalty points can only be redeemed on a new order', 'error');
+    return false;
+}
+
+/**
+ * Find or add the customer for the phone entered in the basket
+ * A name entered for a customer saved without one is kept.
+ * @returns {Promise<Object|null>} Customer, or null when no phone was entered
+ */
+async function saveBasketCustomer() {
+    const phone = normalizePhone(basketOrderDetails.customerPhone);
+    if (!phone) return null;
+
+    const name = basketOrderDetails.customerName.trim();
+    const existing = findCustomerByPhone(await getCustomers(), phone);
+    if (existing && (existing.name || !name)) return existing;
+
+    const customer = existing ? { ...existing, name } : createCustomer({ name, phone });
+    await saveCustomer(customer);
+    await loadCustomers();
+    return customer;
+}
+
+/**
+ * Open payment step for an existing order
+ * @param {string} orderId - Order ID
+ */
+async function handleTakePayment(orderId) {
+    try {
+        const orders = await getAllOrders();
+        let order = orders.find(o => o.id === orderId);
+        if (!order) {
+            showToast('Order not found', 'error');
+            return;
+        }
+
+        // Paying a running tab closes it; later rounds start a new tab
+        if (order.tabOpen) {
+            order = { ...order, tabOpen: false, tabClosedAt: new Date().toISOString() };
+            await updateOrder(order);
+            await loadOrders();
+        }
+
+        openPaymentModal(order, (payments) => recordOrderPayments(orderId, payments));
+    } catch (error) {
+        console.error('Failed to open payment:', error);
+        showToast('Failed to load order', 'error');
+    }
+}
+
+/**
+ * Show an order's history
+ * @param {string} orderId - Order ID
+ */
+async function handleShowHistory(orderId) {
+    try {
+        const order = allOrders.find(o => o.id === orderId);
+        if (!order) {
+            showToast('Order not found', 'error');
+            return;
+        }
+        openOrderHistoryModal(order, await getOrderEvents(orderId));
+    } catch (error) {
+        console.error('Failed to load order history:', error);
+        showToast('Failed to load order history', 'error');
+    }
+}
+
+/**
+ * Edit an order's items; what changed is kept on the order (edits) as well as in its history
+ * @param {string} orderId - Order ID
+ */
+async function handleEditOrder(orderId) {
+    try {
+        const orders = await getAllOrders();
+        const order = orders.find(o => o.id === orderId);
+        if (!order || !canEditOrder(order)) {
+            showToast('This order can no longer be edited', 'error');
+            return;
+        }
+
+        const menu = await getMenu();
+        openOrderEditor(order, menu || [], ingredientList, taxConfig, async (updated) => {
+            try {
+                const { changes } = describeOrderEdit(order, updated);
+                if (changes.length === 0) {
+                    showToast('No changes', 'success');
+                    return;
+                }
+
+                updated.edits = [...(order.edits || []), { timestamp: new Date().toISOString(), changes }];
+                await updateOrder(updated);
+                await updateStockForLines(order.items, updated.items);
+                showToast(`Order ${getOrderLabel(updated)} updated`, 'success');
+                await refreshOrderViews();
+            } catch (error) {
+                console.error('Failed to save order edit:', error);
+                showToast('Failed to save changes', 'error');
+            }
+        });
+    } catch (error) {
+        console.error('Failed to open order editor:', error);
+        showToast('Failed to load order', 'error');
+    }
+}
+
+/**
+ * Void an order the kitchen has not started on, or refund a paid one
+ * @param {string} orderId - Order ID
+ */
+async function handleVoidRefund(orderId) {
+    if (!checkPermission('void-refund', () => handleVoidRefund(orderId))) return;
+
+    try {
+        const orders = await getAllOrders();
+        const order = orders.find(o => o.id === orderId);
+        if (!order || !(canVoidOrder(order) || canRefundOrder(order))) {
+            showToast('This order can no longer be voided or refunded', 'error');
+            return;
+        }
+
+        openVoidRefundModal(order, async (details) => {
+            try {
+                const isVoid = canVoidOrder(order);
+                const givenBack = isVoid ? getRefundableAmount(order) : roundMoney(details.amount);
+                let updated = isVoid ? voidOrder(order, details.reason, details.method) : applyRefund(order, details);
+                if (updated.status === 'Voided' || updated.status === 'Refunded') {
+                    updated = await reverseLoyaltyPoints(updated);
+                }
+                await updateOrder(updated);
+                // Voided items were never made, so they go back on sale; refunded ones were
+                if (isVoid) await updateStockForLines(order.items, []);
+                if (isVoid) {
+                    showToast(givenBack > 0 ? `Order voided. Give back ${formatMoney(givenBack)}` : 'Order voided', 'success');
+                } else {
+                    showToast(`Refunded ${formatMoney(givenBack)}`, 'success');
+                }
+                await refreshOrderViews();
+            } catch (error) {
+                console.error('Failed to void or refund order:', error);
+                showToast('Failed to update order', 'error');
+            }
+        });
+    } catch (error) {
+        console.error('Failed to open void/refund:', error);
+        showToast('Failed to load order', 'error');
+    }
+}
+
+/**
+ * Open print options for an order and print, save or send the chosen document
+ * @param {string} orderId - Order ID
+ */
+async function handlePrintOrder(orderId) {
+    try {
+        const orders = await getAllOrders();
+        const order = orders.find(o => o.id === orderId);
+        if (!order) {
+            showToast('Order not found', 'error');
+            return;
+        }
+
+        openPrintModal(order, async (options) => {
+            localStorage.receiptPaperWidth = options.paperWidth;
+            const isReceipt = options.document === 'receipt';
+            const printOptions = { paperWidth: options.paperWidth };
+            if (options.document === 'kitchen-pending') {
+                // Only the additions the kitchen has not started on
+                printOptions.items = order.items.filter(item => (item.status || order.status) === 'Yet to prepare');
+            }
+
+            try {
+                if (options.output === 'browser') {
+                    printHTML(isReceipt ? buildReceiptHTML(order, printOptions) : buildKitchenTicketHTML(order, printOptions));
+                    return;
+                }
+
+                const bytes = isReceipt ? buildReceiptEscPos(order, printOptions) : buildKitchenTicketEscPos(order, printOptions);
+                if (options.output === 'escpos-serial') {
+                    await sendToSerialPrinter(bytes);
+                    showToast('Sent to printer', 'success');
+                } else {
+                    downloadEscPos(bytes, `${isReceipt ? 'receipt' : 'kitchen'}-${getOrderLabel(order)}.bin`);
+                }
+            } catch (error) {
+                console.error('Print failed:', error);
+                showToast(`Print failed: ${error.message}`, 'error');
+            }
+        });
+    } catch (error) {
+        console.error('Failed to open print options:', error);
+        showToast('Failed to load order', 'error');
+    }
+}
+
+/**
+ * Save tenders on an order and recompute its payment status
+ * @param {string} orderId - Order ID
+ * @param {Array} payments - All tenders for the order
+ */
+async function recordOrderPayments(orderId, payments) {
+    try {
+        const orders = await getAllOrders();
+        const order = orders.find(o => o.id === orderId);
+        if (!order) {
+            throw new Error('Order not found');
+        }
+
+        const updated = await awardLoyaltyPoints(applyPayments(order, payments));
+        await updateOrder(updated);
+
+        const summary = summarizePayments(updated);
+        if (summary.change > 0) {
+            showToast(`Payment saved. Change due: ${formatMoney(summary.change)}`, 'success');
+        } else {
+            showToast(updated.paymentStatus === 'paid' ? 'Order paid' : 'Partial payment saved', 'success');
+        }
+
+        const ordersScreen = document.getElementById('orders-screen');
+        if (ordersScreen && ordersScreen.classList.contains('active')) {
+            await loadOrders();
+        }
+    } catch (error) {
+        console.error('Failed to record payment:', error);
+        showToast('Failed to record payment', 'error');
+    }
+}
+
+/**
+ * Open basket drawer
+ * Exposed globally for external access
+ */
+function openBasket() {
+    updateBasketUI();
+    refreshOrderDetailsForm();
+    showBasketDrawer();
+}
+
+// Expose openBasket globally
+window.openBasket = openBasket;
+
+/**
+ * Initialize the application
+ */
+async function initApp() {
+    try {
+        // Initialize database
+        await initDB();
+        console.log('Database initialized');
+
+        await loadTaxConfig();
+        await loadShopProfile();
+        await loadTables();
+        await loadStaff();
+        await loadIngredients();
+        await loadCustomers();
+        await loadLoyaltyConfig();
+
+        // Load or initialize menu
+        let menu = await getMenu();
+        
+        // Validate menu - restore default if empty or corrupted
+        const hasValidMenu = menu && menu.length > 0 && menu.every(item => {
+            if (typeof isValidMenuItem === 'function') {
+                return isValidMenuItem(item);
+            }
+            return item && item.id && item.name && typeof item.price === 'number';
+        });
+
+        if (!hasValidMenu) {
+            // Restore default menu if database is empty or corrupted
+            if (typeof handleError === 'function' && menu && menu.length > 0) {
+                handleError('Menu data corrupted. Restoring default menu.', null);
+            }
+            // Kept on this device so a new device never overwrites the shop's synced menu
+            await saveMenu(initialMenu, { sync: false });
+            menu = initialMenu;
+            console.log('Initial menu saved to database');
+        }
+
+        console.log('Menu loaded:', menu);
+
+        // Initialize menu UI
+        initMenuUI(menu, handleMenuItemSelect);
+
+        // Setup navigation
+        setupNavigation();
+
+        // Setup basket drawer
+        setupBasketDrawer();
+
+        // Setup orders screen features
+        setupOrdersScreen();
+
+        // Setup settings screen features
+        setupSettingsScreen();
+
+        // Ask for a PIN unless someone is already signed in on this tab
+        setupStaffLock();
+
+        // Connect to the sync relay if turned on
+        initSync();
+
+        // Follow changes made in other tabs
+        onStorageChange(handleTabChange);
+
+        // Load initial orders if on orders screen
+        const ordersScreen = document.getElementById('orders-screen');
+        if (ordersScreen && ordersScreen.classList.contains('active')) {
+            await loadOrders();
+        }
+
+        // Load initial settings if on settings screen
+        const settingsScreen = document.getElementById('settings-screen');
+        if (settingsScreen && settingsScreen.classList.contains('active')) {
+            await loadSettings();
+        }
+
+        // Attempt auto backup if enabled
+        await maybeAutoBackup();
+
+        await cleanupOldOrders();
+
+        await maybeDailyReset();
+
+        // Move scheduled orders into the queue when they come due
+        armScheduleTimer(await getAllOrders());
+
+        if (!localStorage.nextOrderNumber) {
+            try {
+                const current = await getAllOrders();
+                let archivedCount = 0;
+                if (typeof getArchive === 'function') {
+                    const archived = await getArchive();
+                    archivedCount = Array.isArray(archived) ? archived.length : 0;
+                }
+                localStorage.nextOrderNumber = String((current?.length || 0) + archivedCount + 1);
+            } catch (e) {
+                localStorage.nextOrderNumber = '1';
+            }
+        }
+
+        console.log('Application initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize application:', error);
+    }
+}
+
+/**
+ * Quick-reorder: Copy order items to basket
+ * @param {Object} order - Order object
+ */
+function quickReorder(order) {
+    if (!order.items || order.items.length === 0) {
+        return;
+    }
+
+    // Get menu to match items
+    getMenu().then(menu => {
+        order.items.forEach(orderItem => {
+            const menuItem = menu.find(m => m.id === orderItem.id);
+            if (menuItem) {
+                const modifiers = (orderItem.modifiers || []).map(mod => ({ ...mod }));
+                // Combos are made again with the same items, skipped if one is gone or sold out
+                const choices = getBundleChoices(orderItem.components);
+                if (isBundle(menuItem) && !validateBundleSelection(menuItem, choices, menu).ok) return;
+                const components = isBundle(menuItem) ? buildBundleComponents(menuItem, choices, menu, ingredientList) : [];
+                // Lines there is not enough stock for are left out, like items added by hand
+                if (!checkLinesStockAvailable([{ id: menuItem.id, quantity: orderItem.quantity || 1, components }], menu)) return;
+                const lineId = getBasketLineKey(menuItem.id, modifiers, components);
+                const existingItem = basket.find(b => b.lineId === lineId);
                 if (existingItem) {
                     // Add to existing quantity
                     existingItem.quantity = (existingItem.quantity || 1) + (orderItem.quantity || 1);
@@ -305,9 +1108,12 @@ function quickReorder(order) {
                         existingItem.note = orderItem.note;
                     }
                 } else {
-                    // Add new item with quantity and note
+                    // Add new line with quantity, chosen modifiers and note
                     basket.push({
                         ...menuItem,
+                        lineId,
+                        modifiers,
+                        components,
                         quantity: orderItem.quantity || 1,
                         note: orderItem.note || ''
                     });
@@ -348,11 +1154,8 @@ function filterOrders(orders, query) {
             return true;
         }
 
-        if (order.orderNumber) {
-            const padded = String(order.orderNumber).padStart(4, '0');
-            if (padded.toLowerCase().includes(lowerQuery)) {
-                return true;
-            }
+        if (order.orderNumber && getOrderLabel(order).toLowerCase().includes(lowerQuery)) {
+            return true;
         }
 
         // Search by item names
@@ -362,6 +1165,13 @@ function filterOrders(orders, query) {
             return true;
         }
 
+        // Search by table and customer
+        if ((order.table && order.table.toLowerCase().includes(lowerQuery)) ||
+            (order.customerName && order.customerName.toLowerCase().includes(lowerQuery)) ||
+            (order.customerPhone && order.customerPhone.includes(lowerQuery))) {
+            return true;
+        }
+
         return false;
     });
 }
@@ -372,6 +1182,8 @@ function filterOrders(orders, query) {
 async function loadOrders() {
     try {
         allOrders = await getAllOrders();
+        armScheduleTimer(allOrders);
+        renderTableFilterOptions(tables, tableFilter, document.getElementById('orders-table-filter'));
         applySearchFilter();
     } catch (error) {
         console.error('Failed to load orders:', error);
@@ -384,10 +1196,32 @@ async function loadOrders() {
 function applySearchFilter() {
     const searchInput = document.getElementById('orders-search');
     const query = searchInput ? searchInput.value : '';
-    filteredOrders = filterOrders(allOrders, query);
+    filteredOrders = filterOrdersByTable(filterOrders(allOrders, query), tableFilter);
     renderOrders();
 }
 
+/**
+ * Build an order card wired to the orders screen handlers
+ * @param {Object} order - Order
+ * @returns {HTMLElement} Order card
+ */
+function createOrderCard(order) {
+    return renderOrderCard(
+        order,
+        handleOrderStatusChange,
+        quickReorder,
+        bulkSelectMode,
+        handleOrderSelectChange,
+        selectedOrders.has(order.id),
+        handleTakePayment,
+        handlePrintOrder,
+        handleLineStatusChange,
+        handleShowHistory,
+        handleVoidRefund,
+        handleEditOrder
+    );
+}
+
 /**
  * Render orders list with current state
  */
@@ -398,7 +1232,14 @@ function renderOrders() {
         quickReorder,
         bulkSelectMode,
         handleOrderSelectChange,
-        selectedOrders
+        selectedOrders,
+        handleTakePayment,
+        handlePrintOrder,
+        groupByTable,
+        handleLineStatusChange,
+        handleShowHistory,
+        handleVoidRefund,
+        handleEditOrder
     );
     updateBulkActionsUI();
 }
@@ -499,12 +1340,20 @@ async function bulkMarkPreparing() {
  * @param {string} newStatus - New status value
  */
 async function handleOrderStatusChange(orderId, newStatus) {
+    const order = allOrders.find(o => o.id === orderId);
+    if (order && getStatusIndex(newStatus) < getStatusIndex(order.status)
+        && !checkPermission('status-backward', () => handleOrderStatusChange(orderId, newStatus))) {
+        // Put the status picker back until someone approves
+        await refreshOrderViews();
+        return;
+    }
+
     try {
         await updateOrderStatus(orderId, newStatus);
         console.log(`Order ${orderId} status updated to ${newStatus}`);
         
         // Reload orders to reflect changes
-        await loadOrders();
+        await refreshOrderViews();
     } catch (error) {
         console.error('Failed to update order status:', error);
         alert('Failed to update order status. Please try again.');
@@ -512,18 +1361,264 @@ async function handleOrderStatusChange(orderId, newStatus) {
 }
 
 /**
- * Setup bottom navigation
+ * Handle status change of a single order line; the order status is re-derived from its lines
+ * @param {string} orderId - Order ID
+ * @param {string} lineId - Line ID
+ * @param {string} newStatus - New line status
  */
-function setupNavigation() {
-    const navItems = document.querySelectorAll('.nav-item');
-    const screens = document.querySelectorAll('.screen');
+async function handleLineStatusChange(orderId, lineId, newStatus) {
+    try {
+        const orders = await getAllOrders();
+        const order = orders.find(o => o.id === orderId);
+        if (!order) {
+            throw new Error('Order not found');
+        }
 
-    navItems.forEach(navItem => {
-        navItem.addEventListener('click', () => {
-            const targetScreen = navItem.getAttribute('data-screen');
+        const line = (order.items || []).find(item => item.lineId === lineId);
+        if (line && getStatusIndex(newStatus) < getStatusIndex(getLineStatus(line, order))
+            && !checkPermission('status-backward', () => handleLineStatusChange(orderId, lineId, newStatus))) {
+            await refreshOrderViews();
+            return;
+        }
 
-            // Update active states
-            navItems.forEach(item => item.classList.remove('active'));
+        await updateOrder(setLineStatus(order, lineId, newStatus));
+        console.log(`Order ${orderId} line ${lineId} status updated to ${newStatus}`);
+
+        await refreshOrderViews();
+    } catch (error) {
+        console.error('Failed to update line status:', error);
+        showToast('Failed to update item status', 'error');
+    }
+}
+
+/**
+ * Reload whichever order views (orders list, kitchen display) are on screen
+ */
+async function refreshOrderViews() {
+    const ordersScreen = document.getElementById('orders-screen');
+    if (ordersScreen && ordersScreen.classList.contains('active')) {
+        await loadOrders();
+    }
+
+    const kitchenScreen = document.getElementById('kitchen-screen');
+    if (kitchenScreen && kitchenScreen.classList.contains('active')) {
+        await loadKitchen();
+    }
+}
+
+/**
+ * Queue a change made in another tab; bursts (e.g., a bulk status update) are applied together
+ * @param {Object} change - Change from the storage layer (see broadcastChange)
+ */
+function handleTabChange(change) {
+    pendingTabChanges.push(change);
+    clearTimeout(tabChangeTimer);
+    tabChangeTimer = setTimeout(applyTabChanges, TAB_CHANGE_DELAY_MS);
+}
+
+/**
+ * Re-render the parts of each screen affected by changes from other tabs
+ */
+async function applyTabChanges() {
+    const changes = pendingTabChanges;
+    pendingTabChanges = [];
+
+    try {
+        const orderChanges = changes.filter(change => change.store === 'orders');
+        if (orderChanges.length > 0) {
+            await applyOrderChanges(orderChanges);
+
+            const kitchenScreen = document.getElementById('kitchen-screen');
+            if (kitchenScreen && kitchenScreen.classList.contains('active')) {
+                await loadKitchen();
+            }
+
+            const settingsScreen = document.getElementById('settings-screen');
+            if (settingsScreen && settingsScreen.classList.contains('active')) {
+                const activeRange = document.querySelector('.range-btn.active');
+                await renderTotals(activeRange ? activeRange.getAttribute('data-range') : 'today');
+            }
+        }
+
+        if (changes.some(change => change.store === 'menu')) {
+            await refreshMenuUI();
+        } else if (orderChanges.some(change => change.op === 'saveOrder')) {
+            // New orders bump item usage counts, which reorders the favorites bar
+            renderFavoritesBar(await getMenu(), handleMenuItemSelect);
+        }
+    } catch (error) {
+        console.error('Failed to apply changes from another tab:', error);
+    }
+}
+
+/**
+ * Apply order changes from another tab to the orders list
+ * Cards of changed orders are swapped in place; the list is re-rendered (from memory) only
+ * when orders were added, removed or moved in or out of the current filter, or grouped by table.
+ * @param {Array} changes - Order changes
+ */
+async function applyOrderChanges(changes) {
+    const changedIds = new Set();
+    if (changes.some(change => !change.order)) {
+        // Orders were replaced in bulk (archived or cleared)
+        allOrders = await getAllOrders();
+    } else {
+        changes.forEach(({ order }) => {
+            const index = allOrders.findIndex(o => o.id === order.id);
+            if (index === -1) {
+                allOrders.push(order);
+            } else {
+                allOrders[index] = order;
+            }
+            changedIds.add(order.id);
+        });
+    }
+
+    const ordersScreen = document.getElementById('orders-screen');
+    if (!ordersScreen || !ordersScreen.classList.contains('active')) return;
+
+    const shownIds = new Set(filteredOrders.map(order => order.id));
+    const searchInput = document.getElementById('orders-search');
+    const next = filterOrdersByTable(filterOrders(allOrders, searchInput ? searchInput.value : ''), tableFilter);
+    const sameOrders = changedIds.size > 0 && next.length === shownIds.size && next.every(order => shownIds.has(order.id));
+    filteredOrders = next;
+
+    if (!sameOrders || groupByTable) {
+        renderOrders();
+        return;
+    }
+
+    const list = document.getElementById('orders-list');
+    next.filter(order => changedIds.has(order.id)).forEach(order => {
+        const card = Array.from(list.querySelectorAll('.order-card'))
+            .find(el => el.getAttribute('data-order-id') === String(order.id));
+        if (card) {
+            card.replaceWith(createOrderCard(order));
+        }
+    });
+    updateBulkActionsUI();
+}
+
+/**
+ * Start multi-device sync with the current settings
+ */
+function initSync() {
+    startSync(handleSyncApplied, status => {
+        renderSyncStatus(status, document.getElementById('sync-status'));
+    });
+}
+
+/**
+ * Refresh views after changes arrived from other devices
+ * @param {Array<string>} kinds - Kinds of data changed ("orders", "menu")
+ * @param {string|null} notice - Message to show, if any
+ */
+async function handleSyncApplied(kinds, notice) {
+    if (notice) {
+        showToast(notice, 'error');
+    }
+    if (kinds.includes('orders')) {
+        await refreshOrderViews();
+    }
+    if (kinds.includes('menu')) {
+        await refreshMenuUI();
+    }
+}
+
+/**
+ * Load and render the kitchen display
+ */
+async function loadKitchen() {
+    try {
+        const allKitchenOrders = await getAllOrders();
+        armScheduleTimer(allKitchenOrders);
+        const orders = getActiveKitchenOrders(allKitchenOrders);
+        renderKitchenDisplay(
+            orders,
+            document.getElementById('kds-columns'),
+            document.getElementById('kds-all-day'),
+            handleOrderStatusChange,
+            handleLineStatusChange
+        );
+        startKitchenTimer();
+    } catch (error) {
+        console.error('Failed to load kitchen display:', error);
+    }
+}
+
+/**
+ * Tick kitchen ticket timers every second; stops once the kitchen screen is left
+ */
+function startKitchenTimer() {
+    if (kitchenTimer) return;
+
+    kitchenTimer = setInterval(() => {
+        const kitchenScreen = document.getElementById('kitchen-screen');
+        if (!kitchenScreen || !kitchenScreen.classList.contains('active')) {
+            clearInterval(kitchenTimer);
+            kitchenTimer = null;
+            return;
+        }
+        updateKitchenTimers(document.getElementById('kds-columns'));
+    }, 1000);
+}
+
+/**
+ * Wake up when the next scheduled order is due to join the queue
+ * @param {Array} orders - Orders
+ */
+function armScheduleTimer(orders) {
+    clearTimeout(scheduleTimer);
+    scheduleTimer = null;
+
+    const { upcoming } = splitUpcomingOrders(orders);
+    upcomingOrderIds = new Set(upcoming.map(order => order.id));
+    if (upcoming.length === 0) return;
+
+    // Long delays overflow setTimeout, so orders days away are checked again daily
+    const nextRelease = Math.min(...upcoming.map(order => getOrderQueueTime(order).getTime()));
+    const delay = Math.min(Math.max(nextRelease - Date.now(), 0) + 1000, 24 * 60 * 60 * 1000);
+    scheduleTimer = setTimeout(handleScheduledOrdersDue, delay);
+}
+
+/**
+ * Announce scheduled orders that have joined the queue and refresh the orders and kitchen screens
+ */
+async function handleScheduledOrdersDue() {
+    scheduleTimer = null;
+    try {
+        const released = (await getAllOrders()).filter(order => upcomingOrderIds.has(order.id) && !isOrderUpcoming(order));
+        released.forEach(order => {
+            showToast(`Order ${getOrderLabel(order)} is now in the queue (ready ${formatScheduledTime(order.scheduledFor)})`, 'success');
+        });
+
+        await loadOrders();
+        const kitchenScreen = document.getElementById('kitchen-screen');
+        if (kitchenScreen && kitchenScreen.classList.contains('active')) {
+            await loadKitchen();
+        }
+    } catch (error) {
+        console.error('Failed to release scheduled orders:', error);
+    }
+}
+
+/**
+ * Setup bottom navigation
+ */
+function setupNavigation() {
+    const navItems = document.querySelectorAll('.nav-item[data-screen]');
+    const screens = document.querySelectorAll('.screen');
+
+    navItems.forEach(navItem => {
+        navItem.addEventListener('click', () => {
+            const targetScreen = navItem.getAttribute('data-screen');
+
+            if (targetScreen === 'settings-screen' && !checkPermission('settings', () => navItem.click())) {
+                return;
+            }
+
+            // Update active states
+            navItems.forEach(item => item.classList.remove('active'));
             screens.forEach(screen => screen.classList.remove('active'));
 
             navItem.classList.add('active');
@@ -535,6 +1630,11 @@ function setupNavigation() {
                 if (targetScreen === 'orders-screen') {
                     loadOrders();
                 }
+
+                // Load tickets when switching to kitchen screen
+                if (targetScreen === 'kitchen-screen') {
+                    loadKitchen();
+                }
                 
                 // Load settings when switching to settings screen
                 if (targetScreen === 'settings-screen') {
@@ -569,6 +1669,27 @@ function setupBasketDrawer() {
         createOrderBtn.addEventListener('click', createOrder);
     }
 
+    // Add to existing order button
+    const addToOrderBtn = document.getElementById('add-to-order-btn');
+    if (addToOrderBtn) {
+        addToOrderBtn.addEventListener('click', handleAddToExistingOrder);
+    }
+
+    // Discount and coupon controls
+    const addDiscountBtn = document.getElementById('add-discount-btn');
+    if (addDiscountBtn) {
+        addDiscountBtn.addEventListener('click', handleAddOrderDiscount);
+    }
+
+    const couponInput = document.getElementById('coupon-code-input');
+    const applyCouponBtn = document.getElementById('apply-coupon-btn');
+    if (couponInput && applyCouponBtn) {
+        applyCouponBtn.addEventListener('click', () => applyCouponCode(couponInput.value));
+        couponInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') applyCouponCode(couponInput.value);
+        });
+    }
+
     // Make basket badge clickable to open drawer (delegated event)
     document.body.addEventListener('click', (e) => {
         if (e.target.id === 'basket-badge' || e.target.closest('#basket-badge')) {
@@ -591,6 +1712,23 @@ function setupOrdersScreen() {
         });
     }
 
+    // Table filter and grouping
+    const tableFilterSelect = document.getElementById('orders-table-filter');
+    if (tableFilterSelect) {
+        tableFilterSelect.addEventListener('change', () => {
+            tableFilter = tableFilterSelect.value;
+            applySearchFilter();
+        });
+    }
+
+    const groupByTableToggle = document.getElementById('group-by-table-toggle');
+    if (groupByTableToggle) {
+        groupByTableToggle.addEventListener('change', () => {
+            groupByTable = groupByTableToggle.checked;
+            renderOrders();
+        });
+    }
+
     // Bulk-select toggle
     const bulkSelectToggle = document.getElementById('bulk-select-toggle');
     if (bulkSelectToggle) {
@@ -602,6 +1740,129 @@ function setupOrdersScreen() {
     if (bulkMarkPreparingBtn) {
         bulkMarkPreparingBtn.addEventListener('click', bulkMarkPreparing);
     }
+
+    // Archive screen
+    const archiveOpenBtn = document.getElementById('archive-open-btn');
+    if (archiveOpenBtn) {
+        archiveOpenBtn.addEventListener('click', openArchive);
+    }
+
+    const archiveBackBtn = document.getElementById('archive-back-btn');
+    if (archiveBackBtn) {
+        archiveBackBtn.addEventListener('click', () => {
+            const ordersNav = document.querySelector('.nav-item[data-screen="orders-screen"]');
+            if (ordersNav) ordersNav.click();
+        });
+    }
+
+    ['archive-search', 'archive-from', 'archive-to'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', () => {
+                archivePage = 1;
+                renderArchive();
+            });
+        }
+    });
+}
+
+/**
+ * Open the archive screen (the Orders tab stays highlighted)
+ */
+async function openArchive() {
+    const screens = document.querySelectorAll('.screen');
+    screens.forEach(screen => screen.classList.remove('active'));
+
+    const archiveScreen = document.getElementById('archive-screen');
+    if (archiveScreen) archiveScreen.classList.add('active');
+
+    archivePage = 1;
+    await loadArchive();
+}
+
+/**
+ * Load archived orders and render the current page
+ */
+async function loadArchive() {
+    try {
+        archivedOrders = (await getArchive()).sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+        renderArchive();
+    } catch (error) {
+        console.error('Failed to load archive:', error);
+        showToast('Failed to load archive', 'error');
+    }
+}
+
+/**
+ * Filter archived orders by date range and search, and render one page
+ */
+function renderArchive() {
+    const query = document.getElementById('archive-search').value;
+    const from = document.getElementById('archive-from').value;
+    const to = document.getElementById('archive-to').value;
+
+    const matching = filterOrders(archivedOrders, query).filter(order => {
+        const dateKey = toDateKey(new Date(order.timestamp));
+        return (!from || dateKey >= from) && (!to || dateKey <= to);
+    });
+    const page = paginate(matching, archivePage, ARCHIVE_PAGE_SIZE);
+    archivePage = page.page;
+
+    renderArchiveList({ ...page, total: matching.length }, document.getElementById('archive-list'), {
+        onRestore: handleRestoreArchivedOrder,
+        onPurge: handlePurgeArchivedOrder,
+        onShowHistory: async (order) => {
+            try {
+                openOrderHistoryModal(order, await getOrderEvents(order.id));
+            } catch (error) {
+                console.error('Failed to load order history:', error);
+                showToast('Failed to load order history', 'error');
+            }
+        },
+        onPage: (pageNumber) => {
+            archivePage = pageNumber;
+            renderArchive();
+            window.scrollTo(0, 0);
+        }
+    });
+}
+
+/**
+ * Move an archived order back to the active orders
+ * @param {Object} order - Archived order
+ */
+function handleRestoreArchivedOrder(order) {
+    if (!checkPermission('archive', () => handleRestoreArchivedOrder(order))) return;
+
+    showConfirm(`Restore order ${getOrderLabel(order)} to the active orders?`, async () => {
+        try {
+            await restoreArchivedOrder(order.id);
+            showToast(`Order ${getOrderLabel(order)} restored`, 'success');
+            await loadArchive();
+        } catch (error) {
+            console.error('Failed to restore order:', error);
+            showToast('Failed to restore order', 'error');
+        }
+    });
+}
+
+/**
+ * Permanently delete an archived order
+ * @param {Object} order - Archived order
+ */
+function handlePurgeArchivedOrder(order) {
+    if (!checkPermission('archive', () => handlePurgeArchivedOrder(order))) return;
+
+    showConfirm(`Permanently delete order ${getOrderLabel(order)}? It will no longer appear in reports. This cannot be undone.`, async () => {
+        try {
+            await deleteArchivedOrder(order.id);
+            showToast(`Order ${getOrderLabel(order)} deleted`, 'success');
+            await loadArchive();
+        } catch (error) {
+            console.error('Failed to delete archived order:', error);
+            showToast('Failed to delete archived order', 'error');
+        }
+    });
 }
 
 /**
@@ -635,9 +1896,56 @@ async function loadSettings() {
             handleEditMenuItem,
             handleDeleteMenuItem,
             handleCreateMenuItem,
-            handleToggleFavorite
+            handleToggleFavorite,
+            ingredientList
+        );
+        renderLowStockList(getLowStockItems(menu), document.getElementById('low-stock-list'), handleEditMenuItem);
+        renderIngredientAdmin(
+            ingredientList,
+            menu,
+            document.getElementById('admin-ingredient-list'),
+            handleSaveIngredient,
+            handleDeleteIngredient
+        );
+
+        renderCustomers();
+        renderLoyaltySettings(
+            loyaltyConfig,
+            document.getElementById('loyalty-settings'),
+            handleLoyaltyConfigChange
+        );
+
+        renderShopProfileSettings(
+            getShopProfile(),
+            document.getElementById('shop-profile-settings'),
+            handleShopProfileSave
+        );
+
+        renderTableSettings(
+            tables,
+            document.getElementById('table-settings'),
+            handleTablesChange
+        );
+
+        renderStaffAdmin(
+            staffList,
+            getCurrentStaff(),
+            document.getElementById('admin-staff-list'),
+            handleSaveStaff,
+            handleDeleteStaff
+        );
+
+        await loadCoupons();
+
+        renderTaxSettings(
+            taxConfig,
+            getCategories(menu),
+            document.getElementById('tax-settings'),
+            handleTaxConfigChange
         );
         
+        await loadShifts();
+
         // Load totals with default "today" range
         await renderTotals('today');
     } catch (error) {
@@ -649,7 +1957,7 @@ async function loadSettings() {
 /**
  * Compute totals for a given range
  * @param {string} range - "today" | "week" | "all"
- * @returns {Promise<Object>} Totals object
+ * @returns {Promise<Object>} Totals object, with chart data ({trend, byWeekdayHour, byCategory})
  */
 async function computeTotals(range) {
     const orders = await getAllOrders();
@@ -672,31 +1980,41 @@ async function computeTotals(range) {
     }
     // "all" - no filter needed
 
-    const totalOrders = filteredOrders.length;
-    const totalRevenue = filteredOrders.reduce((sum, order) => sum + (order.total || 0), 0);
-
-    // Aggregate items sold
-    const itemsSold = {};
-    filteredOrders.forEach(order => {
-        if (order.items && Array.isArray(order.items)) {
-            order.items.forEach(item => {
-                const itemName = item.name || 'Unknown';
-                const qty = item.quantity || 1;
-                itemsSold[itemName] = (itemsSold[itemName] || 0) + qty;
-            });
-        }
-    });
+    const summary = summarizeSales(filteredOrders);
+
+    // Charts are drawn from the same orders as the totals
+    const to = toDateKey(now);
+    let from = to;
+    if (range === 'week') {
+        from = toDateKey(new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000));
+    } else if (range === 'all' && filteredOrders.length > 0) {
+        from = filteredOrders.reduce((earliest, order) => {
+            const dateKey = toDateKey(new Date(order.timestamp));
+            return dateKey < earliest ? dateKey : earliest;
+        }, to);
+    }
+    const report = buildSalesReport(filteredOrders, { from, to, period: getTrendPeriod(from, to), menu: await getMenu() });
 
-    // Convert to array and sort
-    const topItems = Object.entries(itemsSold)
-        .map(([name, qty]) => ({ name, qty }))
-        .sort((a, b) => b.qty - a.qty)
-        .slice(0, 5);
+    // A single day is charted by hour, from its first to its last busy hour
+    let trend;
+    if (range === 'today') {
+        const busyHours = report.byHour.filter(entry => entry.orders > 0).map(entry => entry.hour);
+        trend = busyHours.length === 0 ? [] : report.byHour
+            .slice(Math.min(...busyHours), Math.max(...busyHours) + 1)
+            .map(entry => ({ label: `${String(entry.hour).padStart(2, '0')}:00`, value: entry.revenue }));
+    } else {
+        // Weeks are labelled by their Monday to keep axis labels short
+        trend = fillReportPeriods(report).map(entry => ({
+            label: formatReportPeriod(entry.key, report.period === 'week' ? 'day' : report.period),
+            value: entry.revenue
+        }));
+    }
 
     return {
-        totalOrders,
-        totalRevenue,
-        topItems
+        ...summary,
+        trend,
+        byWeekdayHour: report.byWeekdayHour,
+        byCategory: report.byCategory
     };
 }
 
@@ -715,84 +2033,349 @@ async function renderTotals(range) {
 }
 
 /**
- * Handle JSON export
+ * Build a sales report from the report controls
+ * @returns {Promise<Object|null>} Report, or null if the range is invalid
  */
-async function handleExportJSON() {
+async function buildSalesReportFromControls() {
+    const range = {
+        from: document.getElementById('report-from').value,
+        to: document.getElementById('report-to').value
+    };
+    const validation = validateReportRange(range);
+    if (!validation.ok) {
+        showToast(validation.errors[0], 'error');
+        return null;
+    }
+
+    const orders = await getAllOrders();
+    const archive = await getArchive();
+    const menu = await getMenu();
+    return buildSalesReport([...orders, ...archive], {
+        ...range,
+        period: document.getElementById('report-period').value,
+        menu,
+        ingredients: ingredientList
+    });
+}
+
+/**
+ * Handle run sales report
+ */
+async function handleRunSalesReport() {
     try {
-        const data = await exportAll();
-        const jsonStr = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        const dateStr = new Date().toISOString().split('T')[0].replace(/-/g, '');
-        a.download = `pos-backup-${dateStr}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        showToast('JSON exported successfully', 'success');
+        const report = await buildSalesReportFromControls();
+        if (!report) return;
+        renderSalesReport(report, document.getElementById('sales-report'));
     } catch (error) {
-        console.error('Failed to export JSON:', error);
-        showToast('Failed to export JSON', 'error');
+        console.error('Failed to build sales report:', error);
+        showToast('Failed to build sales report', 'error');
     }
 }
 
 /**
- * Handle CSV export
+ * Handle sales report CSV export
  */
-async function handleExportCSV() {
+async function handleExportSalesReport() {
     try {
-        const orders = await getAllOrders();
-        
-        // CSV header
-        const csvRows = ['orderId,timestamp,status,total,items'];
-        
-        // CSV rows
-        orders.forEach(order => {
-            const itemsStr = (order.items || [])
-                .map(item => `${item.name || 'Unknown'}(x${item.quantity || 1})`)
-                .join(';');
-            
-            const row = [
-                order.id || '',
-                order.timestamp || '',
-                order.status || '',
-                order.total || 0,
-                itemsStr
-            ].join(',');
-            
-            csvRows.push(row);
-        });
-        
-        const csvStr = csvRows.join('\n');
-        const blob = new Blob([csvStr], { type: 'text/csv' });
+        const report = await buildSalesReportFromControls();
+        if (!report) return;
+        const blob = new Blob([buildSalesReportCSV(report)], { type: 'text/csv' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        const dateStr = new Date().toISOString().split('T')[0].replace(/-/g, '');
-        a.download = `orders-${dateStr}.csv`;
+        a.download = `${getShopFilePrefix()}-sales-${report.from.replace(/-/g, '')}-${report.to.replace(/-/g, '')}.csv`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-        showToast('CSV exported successfully', 'success');
+        showToast('Report exported successfully', 'success');
     } catch (error) {
-        console.error('Failed to export CSV:', error);
-        showToast('Failed to export CSV', 'error');
+        console.error('Failed to export sales report:', error);
+        showToast('Failed to export sales report', 'error');
     }
 }
 
 /**
- * Auto backup function - runs daily if enabled
+ * Load shifts and render the shift panel
  */
-async function maybeAutoBackup() {
-    if (localStorage.autobackupEnabled !== 'true') {
-        return;
-    }
-
-    const today = new Date().toISOString().slice(0, 10);
-    if (localStorage.lastBackup === today) {
+async function loadShifts() {
+    try {
+        const shifts = await getShifts();
+        const closedShifts = shifts.filter(shift => shift.closedAt).reverse().slice(0, 10);
+        renderShiftPanel(
+            findOpenShift(shifts),
+            closedShifts,
+            document.getElementById('shift-panel'),
+            {
+                onOpen: handleOpenShift,
+                onPayIn: () => handleCashMovement('in'),
+                onPayOut: () => handleCashMovement('out'),
+                onXReport: handleXReport,
+                onClose: () => handleCloseShift(null),
+                onViewReport: (closed) => {
+                    if (closed.report) {
+                        openShiftReportModal(closed.report, handleExportShiftReport, handlePrintShiftReport);
+                    }
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Failed to load shifts:', error);
+        showToast('Failed to load shifts', 'error');
+    }
+}
+
+/**
+ * Orders a shift report looks through: active ones and those already archived
+ * @returns {Promise<Array>} Orders
+ */
+async function getShiftReportOrders() {
+    const orders = await getAllOrders();
+    const archive = await getArchive();
+    return [...orders, ...archive];
+}
+
+/**
+ * Handle open shift with an opening float
+ */
+function handleOpenShift() {
+    openCashEntryModal({
+        title: 'Open Shift',
+        amountLabel: 'Opening float',
+        hint: 'Cash in the drawer before the first sale',
+        saveLabel: 'Open Shift'
+    }, async ({ amount }) => {
+        try {
+            if (findOpenShift(await getShifts())) {
+                showToast('A shift is already open', 'error');
+                await loadShifts();
+                return;
+            }
+            await saveShift(createShift(amount, getCurrentStaffRef()));
+            showToast('Shift opened', 'success');
+            await loadShifts();
+        } catch (error) {
+            console.error('Failed to open shift:', error);
+            showToast('Failed to open shift', 'error');
+        }
+    });
+}
+
+/**
+ * Handle a pay-in or pay-out on the open shift
+ * @param {string} type - "in" | "out"
+ */
+function handleCashMovement(type) {
+    openCashEntryModal({
+        title: getCashMovementLabel(type),
+        amountLabel: 'Amount',
+        type
+    }, async (movement) => {
+        try {
+            const shift = findOpenShift(await getShifts());
+            if (!shift) {
+                showToast('No shift is open', 'error');
+                return;
+            }
+            await saveShift(addCashMovement(shift, { ...movement, type }, getCurrentStaffRef()));
+            showToast(`${getCashMovementLabel(type)} recorded`, 'success');
+            await loadShifts();
+        } catch (error) {
+            console.error('Failed to record cash movement:', error);
+            showToast('Failed to record cash movement', 'error');
+        }
+    });
+}
+
+/**
+ * Show an X report (mid-shift read, nothing is closed or stored)
+ */
+async function handleXReport() {
+    try {
+        const shift = findOpenShift(await getShifts());
+        if (!shift) {
+            showToast('No shift is open', 'error');
+            return;
+        }
+        const report = buildShiftReport(shift, await getShiftReportOrders(), { kind: 'X', by: getCurrentStaffRef() });
+        openShiftReportModal(report, handleExportShiftReport, handlePrintShiftReport);
+    } catch (error) {
+        console.error('Failed to build X report:', error);
+        showToast('Failed to build X report', 'error');
+    }
+}
+
+/**
+ * Handle close shift: count the drawer, store the Z report and show it
+ * @param {Object|null} shift - Open shift (looked up if null)
+ * @param {Function} [onClosed] - Called once the Z report is dismissed
+ */
+async function handleCloseShift(shift, onClosed) {
+    try {
+        const openShift = shift || findOpenShift(await getShifts());
+        if (!openShift) {
+            showToast('No shift is open', 'error');
+            return;
+        }
+
+        openCashEntryModal({
+            title: 'Close Shift',
+            amountLabel: 'Counted cash',
+            hint: 'Count the cash in the drawer, including the opening float',
+            saveLabel: 'Close Shift'
+        }, async ({ amount }) => {
+            try {
+                const report = buildShiftReport(openShift, await getShiftReportOrders(), {
+                    kind: 'Z',
+                    countedCash: amount,
+                    by: getCurrentStaffRef()
+                });
+                await saveShift(closeShift(openShift, report));
+                showToast('Shift closed', 'success');
+                await loadShifts();
+                openShiftReportModal(report, handleExportShiftReport, handlePrintShiftReport, onClosed);
+            } catch (error) {
+                console.error('Failed to close shift:', error);
+                showToast('Failed to close shift', 'error');
+            }
+        });
+    } catch (error) {
+        console.error('Failed to close shift:', error);
+        showToast('Failed to close shift', 'error');
+    }
+}
+
+/**
+ * Download a shift report as CSV
+ * @param {Object} report - Report from buildShiftReport
+ */
+function handleExportShiftReport(report) {
+    try {
+        const blob = new Blob([buildShiftReportCSV(report)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const dateStr = report.generatedAt.split('T')[0].replace(/-/g, '');
+        a.download = `${getShopFilePrefix()}-${report.kind.toLowerCase()}-report-${dateStr}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        showToast('Report exported successfully', 'success');
+    } catch (error) {
+        console.error('Failed to export report:', error);
+        showToast('Failed to export report', 'error');
+    }
+}
+
+/**
+ * Print a shift report on the receipt printer
+ * @param {Object} report - Report from buildShiftReport
+ */
+function handlePrintShiftReport(report) {
+    printHTML(buildShiftReportHTML(report));
+}
+
+/**
+ * Handle JSON export
+ */
+async function handleExportJSON() {
+    try {
+        const data = await exportAll();
+        const jsonStr = JSON.stringify(data, null, 2);
+        const blob = new Blob([jsonStr], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const dateStr = new Date().toISOString().split('T')[0].replace(/-/g, '');
+        a.download = `${getShopFilePrefix()}-backup-${dateStr}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        showToast('JSON exported successfully', 'success');
+    } catch (error) {
+        console.error('Failed to export JSON:', error);
+        showToast('Failed to export JSON', 'error');
+    }
+}
+
+/**
+ * Handle CSV export
+ */
+async function handleExportCSV() {
+    try {
+        const orders = await getAllOrders();
+        
+        // CSV header
+        const csvRows = [['orderId', 'timestamp', 'status', 'orderType', 'table', 'customerName', 'customerPhone', 'paymentStatus',
+            'paid', 'subtotal', 'discount', 'taxable', 'tax', 'total', 'refunded', 'cancelReason', 'staff', 'items']];
+        
+        // CSV rows (modifiers and their price deltas are kept in brackets, combo components in braces)
+        orders.forEach(order => {
+            const itemsStr = (order.items || [])
+                .map(item => {
+                    const mods = (item.modifiers || [])
+                        .map(mod => `${mod.name} ${mod.priceDelta >= 0 ? '+' : '-'}${Math.abs(mod.priceDelta || 0)}`)
+                        .join(' | ');
+                    const components = formatBundleComponents(item.components);
+                    return `${item.name || 'Unknown'}${components ? ` {${components}}` : ''}${mods ? ` [${mods}]` : ''}(x${item.quantity || 1})@${getLineUnitPrice(item)}`;
+                })
+                .join(';');
+            
+            const row = [
+                order.id || '',
+                order.timestamp || '',
+                order.status || '',
+                getOrderType(order),
+                order.table || '',
+                order.customerName || '',
+                order.customerPhone || '',
+                getOrderPaymentStatus(order),
+                summarizePayments(order).paid,
+                typeof order.subtotal === 'number' ? order.subtotal : (order.total || 0),
+                order.discountTotal || 0,
+                typeof order.taxableValue === 'number' ? order.taxableValue : (order.total || 0),
+                order.taxTotal || 0,
+                order.total || 0,
+                getRefundTotal(order),
+                [order.voided ? order.voided.reason : '', ...(order.refunds || []).map(r => r.reason)]
+                    .filter(Boolean).join(' | '),
+                order.createdBy ? order.createdBy.name : '',
+                itemsStr
+            ];
+            
+            csvRows.push(row);
+        });
+        
+        const csvStr = buildCSV(csvRows);
+        const blob = new Blob([csvStr], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const dateStr = new Date().toISOString().split('T')[0].replace(/-/g, '');
+        a.download = `${getShopFilePrefix()}-orders-${dateStr}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        showToast('CSV exported successfully', 'success');
+    } catch (error) {
+        console.error('Failed to export CSV:', error);
+        showToast('Failed to export CSV', 'error');
+    }
+}
+
+/**
+ * Auto backup function - runs daily if enabled
+ */
+async function maybeAutoBackup() {
+    if (localStorage.autobackupEnabled !== 'true') {
+        return;
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (localStorage.lastBackup === today) {
         return;
     }
 
@@ -803,7 +2386,7 @@ async function maybeAutoBackup() {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `backup-${today}.json`;
+        a.download = `${getShopFilePrefix()}-backup-${today}.json`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -825,6 +2408,8 @@ async function maybeAutoBackup() {
 }
 
 async function handleRestoreDefaultMenu() {
+    if (!checkPermission('menu-admin', handleRestoreDefaultMenu)) return;
+
     try {
         await saveMenu(initialMenu);
         showToast('Default menu restored', 'success');
@@ -836,192 +2421,947 @@ async function handleRestoreDefaultMenu() {
 }
 
 /**
- * Handle JSON import
- * @param {Event} event - File input change event
+ * Handle JSON import
+ * @param {Event} event - File input change event
+ */
+async function handleImportJSON(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Reset file input so the same file can be picked again
+    event.target.value = '';
+    await importJSONFile(file);
+}
+
+/**
+ * Import a JSON backup file, replacing current data
+ * @param {File} file - Backup file
+ */
+async function importJSONFile(file) {
+    if (!checkPermission('import', () => importJSONFile(file))) return;
+
+    try {
+        const text = await file.text();
+        const json = safeJSONParse(text);
+        
+        if (!json) {
+            throw new Error('Invalid JSON format');
+        }
+
+        await importAll(json);
+        await loadTaxConfig();
+        await loadShopProfile();
+        await loadTables();
+        await loadStaff();
+        await loadIngredients();
+        await loadCustomers();
+        await loadLoyaltyConfig();
+        showToast('Data imported successfully', 'success');
+        
+        // Refresh UI
+        await loadSettings();
+        await refreshMenuUI();
+        await loadOrders();
+
+        // The backup may have brought other staff profiles
+        setupStaffLock();
+    } catch (error) {
+        console.error('Failed to import JSON:', error);
+        if (typeof handleError === 'function') {
+            handleError('Failed to import JSON. Please check the file format.', error);
+        } else {
+            showToast('Failed to import JSON. Please check the file format.', 'error');
+        }
+    }
+}
+
+/**
+ * Setup settings screen features
+ */
+function setupSettingsScreen() {
+    const addItemBtn = document.getElementById('add-item-btn');
+    if (addItemBtn) {
+        addItemBtn.addEventListener('click', () => {
+            handleCreateMenuItem();
+        });
+    }
+
+    const addStaffBtn = document.getElementById('add-staff-btn');
+    if (addStaffBtn) {
+        addStaffBtn.addEventListener('click', () => {
+            handleSaveStaff(null);
+        });
+    }
+
+    const lockBtn = document.getElementById('lock-btn');
+    if (lockBtn) {
+        lockBtn.addEventListener('click', lockApp);
+    }
+
+    const addCouponBtn = document.getElementById('add-coupon-btn');
+    if (addCouponBtn) {
+        addCouponBtn.addEventListener('click', () => {
+            handleSaveCoupon(null);
+        });
+    }
+
+    const addCustomerBtn = document.getElementById('add-customer-btn');
+    if (addCustomerBtn) {
+        addCustomerBtn.addEventListener('click', () => {
+            handleSaveCustomer(null);
+        });
+    }
+
+    const customerSearch = document.getElementById('customer-search');
+    if (customerSearch) {
+        customerSearch.addEventListener('input', renderCustomers);
+    }
+
+    const addIngredientBtn = document.getElementById('add-ingredient-btn');
+    if (addIngredientBtn) {
+        addIngredientBtn.addEventListener('click', () => {
+            handleSaveIngredient(null);
+        });
+    }
+
+    // Totals range buttons
+    const rangeButtons = document.querySelectorAll('.range-btn');
+    rangeButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            rangeButtons.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            const range = btn.getAttribute('data-range');
+            renderTotals(range);
+        });
+    });
+
+    // Sales reports (default to the last 7 days)
+    const reportFrom = document.getElementById('report-from');
+    const reportTo = document.getElementById('report-to');
+    if (reportFrom && reportTo) {
+        const today = new Date();
+        reportTo.value = toDateKey(today);
+        reportFrom.value = toDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6));
+    }
+
+    const runReportBtn = document.getElementById('run-report-btn');
+    if (runReportBtn) {
+        runReportBtn.addEventListener('click', handleRunSalesReport);
+    }
+
+    const exportReportBtn = document.getElementById('export-report-btn');
+    if (exportReportBtn) {
+        exportReportBtn.addEventListener('click', handleExportSalesReport);
+    }
+
+    // Export buttons
+    const exportJsonBtn = document.getElementById('export-json-btn');
+    if (exportJsonBtn) {
+        exportJsonBtn.addEventListener('click', handleExportJSON);
+    }
+
+    const exportCsvBtn = document.getElementById('export-csv-btn');
+    if (exportCsvBtn) {
+        exportCsvBtn.addEventListener('click', handleExportCSV);
+    }
+
+    // Import button
+    const importFileInput = document.getElementById('import-file-input');
+    if (importFileInput) {
+        importFileInput.addEventListener('change', handleImportJSON);
+    }
+
+    const closingTimeInput = document.getElementById('closing-time-input');
+    if (closingTimeInput) {
+        closingTimeInput.value = localStorage.closingTime || '23:00';
+        closingTimeInput.addEventListener('change', (e) => {
+            localStorage.closingTime = e.target.value || '23:00';
+            showToast('Closing time saved', 'success');
+        });
+    }
+
+    // Lead time for scheduled orders
+    const scheduleLeadInput = document.getElementById('schedule-lead-minutes');
+    if (scheduleLeadInput) {
+        scheduleLeadInput.value = getScheduleLeadMinutes();
+        scheduleLeadInput.addEventListener('change', async (e) => {
+            const lead = parseInt(e.target.value, 10);
+            if (!(lead >= 0) || String(lead) !== e.target.value.trim()) {
+                showToast('Lead time must be a whole number of minutes', 'error');
+                e.target.value = getScheduleLeadMinutes();
+                return;
+            }
+            localStorage.scheduleLeadMinutes = String(lead);
+            showToast('Scheduled order lead time saved', 'success');
+            await loadOrders();
+        });
+    }
+
+    // Kitchen display timer thresholds
+    const kdsWarnInput = document.getElementById('kds-warn-minutes');
+    const kdsLateInput = document.getElementById('kds-late-minutes');
+    if (kdsWarnInput && kdsLateInput) {
+        const thresholds = getKdsThresholds();
+        kdsWarnInput.value = thresholds.warnMinutes;
+        kdsLateInput.value = thresholds.lateMinutes;
+
+        const saveThresholds = () => {
+            const warn = parseInt(kdsWarnInput.value, 10);
+            const late = parseInt(kdsLateInput.value, 10);
+            if (!(warn > 0) || !(late > warn)) {
+                showToast('Late threshold must be greater than warning threshold', 'error');
+                return;
+            }
+            localStorage.kdsWarnMinutes = String(warn);
+            localStorage.kdsLateMinutes = String(late);
+            showToast('Kitchen timers saved', 'success');
+        };
+        kdsWarnInput.addEventListener('change', saveThresholds);
+        kdsLateInput.addEventListener('change', saveThresholds);
+    }
+
+    // Multi-device sync
+    const syncToggle = document.getElementById('sync-toggle');
+    const syncUrlInput = document.getElementById('sync-server-url');
+    if (syncToggle && syncUrlInput) {
+        const config = getSyncConfig();
+        syncToggle.checked = config.enabled;
+        syncUrlInput.value = config.url;
+
+        syncToggle.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                const validation = validateSyncServerUrl(syncUrlInput.value);
+                if (!validation.ok) {
+                    e.target.checked = false;
+                    showToast(validation.errors[0], 'error');
+                    return;
+                }
+                localStorage.syncServerUrl = syncUrlInput.value.trim();
+            }
+            localStorage.syncEnabled = e.target.checked ? 'true' : 'false';
+            initSync();
+            showToast(e.target.checked ? 'Sync enabled' : 'Sync disabled', 'success');
+        });
+
+        syncUrlInput.addEventListener('change', () => {
+            const url = syncUrlInput.value.trim();
+            const validation = validateSyncServerUrl(url);
+            if (!validation.ok) {
+                showToast(validation.errors[0], 'error');
+                return;
+            }
+            localStorage.syncServerUrl = url;
+            if (getSyncConfig().enabled) {
+                initSync();
+            }
+            showToast('Relay address saved', 'success');
+        });
+    }
+
+    const tillCodeInput = document.getElementById('sync-till-code');
+    if (tillCodeInput) {
+        tillCodeInput.value = localStorage.syncTillCode || '';
+        tillCodeInput.addEventListener('change', () => {
+            const code = tillCodeInput.value.trim().toUpperCase();
+            const validation = validateTillCode(code);
+            if (!validation.ok) {
+                showToast(validation.errors[0], 'error');
+                tillCodeInput.value = localStorage.syncTillCode || '';
+                return;
+            }
+            localStorage.syncTillCode = code;
+            tillCodeInput.value = code;
+            showToast(code ? `Order numbers will start with ${code}-` : 'Till code cleared', 'success');
+        });
+    }
+
+    const closeShopNowBtn = document.getElementById('close-shop-now-btn');
+    if (closeShopNowBtn) {
+        closeShopNowBtn.addEventListener('click', closeShopNow);
+    }
+
+    const restoreBtn = document.getElementById('restore-menu-btn');
+    if (restoreBtn) {
+        restoreBtn.addEventListener('click', handleRestoreDefaultMenu);
+    }
+
+    // Auto backup toggle
+    const autobackupToggle = document.getElementById('autobackup-toggle');
+    if (autobackupToggle) {
+        // Load saved preference
+        autobackupToggle.checked = localStorage.autobackupEnabled === 'true';
+        
+        autobackupToggle.addEventListener('change', (e) => {
+            localStorage.autobackupEnabled = e.target.checked ? 'true' : 'false';
+            if (e.target.checked) {
+                showToast('Auto backup enabled', 'success');
+            } else {
+                showToast('Auto backup disabled', 'success');
+            }
+        });
+    }
+
+    const autoarchiveToggle = document.getElementById('autoarchive-toggle');
+    if (autoarchiveToggle) {
+        autoarchiveToggle.checked = localStorage.autoArchive === 'true';
+        autoarchiveToggle.addEventListener('change', (e) => {
+            localStorage.autoArchive = e.target.checked ? 'true' : 'false';
+            if (e.target.checked) {
+                showToast('Auto-archive enabled', 'success');
+            } else {
+                showToast('Auto-archive disabled', 'success');
+            }
+        });
+    }
+}
+
+/**
+ * Handle create menu item
+ */
+function handleCreateMenuItem() {
+    if (!checkPermission('menu-admin', handleCreateMenuItem)) return;
+
+    openMenuItemModal(null, taxConfig, ingredientList, async (newItem) => {
+        try {
+            await createMenuItem(newItem);
+            showToast('Item created successfully', 'success');
+            await refreshMenuUI();
+        } catch (error) {
+            console.error('Failed to create item:', error);
+            showToast('Failed to create item', 'error');
+        }
+    });
+}
+
+/**
+ * Handle edit menu item
+ * @param {Object} item - Item to edit
+ */
+function handleEditMenuItem(item) {
+    if (!checkPermission('menu-admin', () => handleEditMenuItem(item))) return;
+
+    openMenuItemModal(item, taxConfig, ingredientList, async (updatedItem) => {
+        try {
+            await editMenuItem(item.id, updatedItem);
+            showToast('Item updated successfully', 'success');
+            await refreshMenuUI();
+        } catch (error) {
+            console.error('Failed to update item:', error);
+            showToast('Failed to update item', 'error');
+        }
+    });
+}
+
+/**
+ * Handle delete menu item
+ * @param {string} itemId - Item ID to delete
+ * @param {string} itemName - Item name for confirmation
+ */
+function handleDeleteMenuItem(itemId, itemName) {
+    if (!checkPermission('menu-admin', () => handleDeleteMenuItem(itemId, itemName))) return;
+
+    showConfirm(`Are you sure you want to delete "${itemName}"? This will hide it from the menu.`, async () => {
+        try {
+            await softDeleteMenuItem(itemId);
+            showToast('Item deleted successfully', 'success');
+            await refreshMenuUI();
+        } catch (error) {
+            console.error('Failed to delete item:', error);
+            showToast('Failed to delete item', 'error');
+        }
+    });
+}
+
+/**
+ * Handle toggle favorite
+ * @param {string} itemId - Item ID
+ */
+async function handleToggleFavorite(itemId) {
+    try {
+        await toggleFavorite(itemId);
+        await refreshMenuUI();
+    } catch (error) {
+        console.error('Failed to toggle favorite:', error);
+        showToast('Failed to update favorite', 'error');
+    }
+}
+
+/**
+ * Load tax configuration from settings store
+ */
+async function loadTaxConfig() {
+    try {
+        const saved = await getSetting('taxConfig');
+        taxConfig = saved ? sanitizeTaxConfig(saved) : DEFAULT_TAX_CONFIG;
+    } catch (error) {
+        console.error('Failed to load tax config:', error);
+        taxConfig = DEFAULT_TAX_CONFIG;
+    }
+}
+
+/**
+ * Handle tax configuration change from settings
+ * @param {Object} config - Updated tax configuration
+ */
+async function handleTaxConfigChange(config) {
+    try {
+        taxConfig = sanitizeTaxConfig(config);
+        await saveSetting('taxConfig', taxConfig);
+        updateBasketUI();
+        const menu = await getMenu();
+        renderTaxSettings(
+            taxConfig,
+            getCategories(menu),
+            document.getElementById('tax-settings'),
+            handleTaxConfigChange
+        );
+        showToast('Tax settings saved', 'success');
+    } catch (error) {
+        console.error('Failed to save tax settings:', error);
+        showToast('Failed to save tax settings', 'error');
+    }
+}
+
+/**
+ * Load shop profile from settings store
+ */
+async function loadShopProfile() {
+    try {
+        const saved = await getSetting('shopProfile');
+        setShopProfile(saved ? sanitizeShopProfile(saved) : DEFAULT_SHOP_PROFILE);
+    } catch (error) {
+        console.error('Failed to load shop profile:', error);
+        setShopProfile(DEFAULT_SHOP_PROFILE);
+    }
+}
+
+/**
+ * Handle shop profile save from settings
+ * @param {Object} profile - Updated shop profile
+ * @returns {Promise<boolean>} Whether the profile was saved
+ */
+async function handleShopProfileSave(profile) {
+    const sanitized = sanitizeShopProfile(profile);
+    const validation = validateShopProfile(sanitized);
+    if (!validation.ok) {
+        showToast(validation.errors[0], 'error');
+        return false;
+    }
+
+    try {
+        await saveSetting('shopProfile', sanitized);
+        setShopProfile(sanitized);
+
+        // Money and shop name are rendered in many places
+        await refreshMenuUI();
+        updateBasketUI();
+        await loadSettings();
+        showToast('Shop profile saved', 'success');
+        return true;
+    } catch (error) {
+        console.error('Failed to save shop profile:', error);
+        showToast('Failed to save shop profile', 'error');
+        return false;
+    }
+}
+
+/**
+ * Load dine-in table list from settings store
+ */
+async function loadTables() {
+    try {
+        const saved = await getSetting('tables');
+        tables = Array.isArray(saved) ? sanitizeTables(saved) : DEFAULT_TABLES;
+    } catch (error) {
+        console.error('Failed to load tables:', error);
+        tables = DEFAULT_TABLES;
+    }
+}
+
+/**
+ * Handle table list change from settings
+ * @param {string[]} list - Updated table names
+ */
+async function handleTablesChange(list) {
+    try {
+        tables = sanitizeTables(list);
+        await saveSetting('tables', tables);
+        if (!tables.includes(basketOrderDetails.table)) {
+            basketOrderDetails.table = '';
+        }
+        renderTableSettings(
+            tables,
+            document.getElementById('table-settings'),
+            handleTablesChange
+        );
+        showToast('Tables saved', 'success');
+    } catch (error) {
+        console.error('Failed to save tables:', error);
+        showToast('Failed to save tables', 'error');
+    }
+}
+
+/**
+ * Load saved staff profiles into staffList
+ */
+async function loadStaff() {
+    try {
+        const saved = await getSetting('staff');
+        staffList = Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error('Failed to load staff:', error);
+        staffList = [];
+    }
+}
+
+/**
+ * Save the staff list and refresh the staff admin and lock button
+ * @param {Array} list - Staff profiles
+ */
+async function saveStaffList(list) {
+    staffList = list;
+    await saveSetting('staff', staffList);
+    renderStaffAdmin(
+        staffList,
+        getCurrentStaff(),
+        document.getElementById('admin-staff-list'),
+        handleSaveStaff,
+        handleDeleteStaff
+    );
+    updateLockButton();
+}
+
+/**
+ * Handle create/edit staff profile
+ * @param {Object|null} member - Profile to edit (null to create)
+ */
+function handleSaveStaff(member) {
+    openStaffModal(member, staffList, async (fields) => {
+        try {
+            const saved = buildStaffMember(member, fields);
+            const isFirst = staffList.length === 0;
+            await saveStaffList(member
+                ? staffList.map(s => (s.id === member.id ? saved : s))
+                : [...staffList, saved]);
+
+            // Whoever sets up the first profile stays signed in as it
+            const current = getCurrentStaff();
+            if (isFirst || (current && current.id === saved.id)) {
+                setCurrentStaff(saved);
+                updateLockButton();
+            }
+            showToast(member ? 'Staff updated successfully' : 'Staff added successfully', 'success');
+        } catch (error) {
+            console.error('Failed to save staff:', error);
+            showToast('Failed to save staff', 'error');
+        }
+    });
+}
+
+/**
+ * Handle delete staff profile
+ * @param {Object} member - Profile to delete
  */
-async function handleImportJSON(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+function handleDeleteStaff(member) {
+    const current = getCurrentStaff();
+    if (current && current.id === member.id) {
+        showToast('You cannot delete your own profile while signed in', 'error');
+        return;
+    }
+    const remaining = staffList.filter(s => s.id !== member.id);
+    if (remaining.length > 0 && !remaining.some(s => s.role === 'manager')) {
+        showToast('Keep at least one manager', 'error');
+        return;
+    }
 
-    try {
-        const text = await file.text();
-        const json = safeJSONParse(text);
-        
-        if (!json) {
-            throw new Error('Invalid JSON format');
+    showConfirm(`Are you sure you want to delete ${member.name}?`, async () => {
+        try {
+            await saveStaffList(remaining);
+            showToast('Staff deleted successfully', 'success');
+        } catch (error) {
+            console.error('Failed to delete staff:', error);
+            showToast('Failed to delete staff', 'error');
         }
+    });
+}
 
-        await importAll(json);
-        showToast('Data imported successfully', 'success');
-        
-        // Refresh UI
-        await loadSettings();
-        await refreshMenuUI();
-        await loadOrders();
-        
-        // Reset file input
-        event.target.value = '';
-    } catch (error) {
-        console.error('Failed to import JSON:', error);
-        if (typeof handleError === 'function') {
-            handleError('Failed to import JSON. Please check the file format.', error);
-        } else {
-            showToast('Failed to import JSON. Please check the file format.', 'error');
-        }
-        event.target.value = '';
-    }
+/**
+ * Show the lock button with who is signed in (hidden when there are no staff)
+ */
+function updateLockButton() {
+    const lockBtn = document.getElementById('lock-btn');
+    if (!lockBtn) return;
+    const current = getCurrentStaff();
+    lockBtn.style.display = staffList.length > 0 ? '' : 'none';
+    lockBtn.querySelector('span').textContent = current ? current.name : 'Lock';
 }
 
 /**
- * Setup settings screen features
+ * Lock the app unless someone on this tab is still signed in
  */
-function setupSettingsScreen() {
-    const addItemBtn = document.getElementById('add-item-btn');
-    if (addItemBtn) {
-        addItemBtn.addEventListener('click', () => {
-            handleCreateMenuItem();
-        });
+function setupStaffLock() {
+    restoreStaffSession(staffList);
+    updateLockButton();
+    if (staffList.length > 0 && !getCurrentStaff()) {
+        lockApp();
     }
+}
 
-    // Totals range buttons
-    const rangeButtons = document.querySelectorAll('.range-btn');
-    rangeButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            rangeButtons.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            const range = btn.getAttribute('data-range');
-            renderTotals(range);
-        });
-    });
+/**
+ * Sign out and show the lock screen
+ */
+function lockApp() {
+    if (staffList.length === 0) return;
+    setCurrentStaff(null);
+    updateLockButton();
+    showLockScreen(handleUnlock);
+}
 
-    // Export buttons
-    const exportJsonBtn = document.getElementById('export-json-btn');
-    if (exportJsonBtn) {
-        exportJsonBtn.addEventListener('click', handleExportJSON);
-    }
+/**
+ * Sign in with a PIN from the lock screen
+ * @param {string} pin - PIN entered
+ * @returns {boolean} Whether the PIN matched a staff member
+ */
+function handleUnlock(pin) {
+    const member = findStaffByPin(staffList, pin);
+    if (!member) return false;
 
-    const exportCsvBtn = document.getElementById('export-csv-btn');
-    if (exportCsvBtn) {
-        exportCsvBtn.addEventListener('click', handleExportCSV);
-    }
+    setCurrentStaff(member);
+    hideLockScreen();
+    updateLockButton();
 
-    // Import button
-    const importFileInput = document.getElementById('import-file-input');
-    if (importFileInput) {
-        importFileInput.addEventListener('change', handleImportJSON);
+    // Leave settings if the new staff member may not use it
+    const settingsScreen = document.getElementById('settings-screen');
+    if (settingsScreen && settingsScreen.classList.contains('active') && !isActionAllowed(staffList, member, 'settings')) {
+        const takeOrderNav = document.querySelector('.nav-item[data-screen="take-order-screen"]');
+        if (takeOrderNav) takeOrderNav.click();
     }
 
-    const closingTimeInput = document.getElementById('closing-time-input');
-    if (closingTimeInput) {
-        closingTimeInput.value = localStorage.closingTime || '23:00';
-        closingTimeInput.addEventListener('change', (e) => {
-            localStorage.closingTime = e.target.value || '23:00';
-            showToast('Closing time saved', 'success');
-        });
-    }
+    showToast(`Signed in as ${member.name}`, 'success');
+    return true;
+}
 
-    const closeShopNowBtn = document.getElementById('close-shop-now-btn');
-    if (closeShopNowBtn) {
-        closeShopNowBtn.addEventListener('click', closeShopNow);
+/**
+ * Check the signed-in staff member may do an action, otherwise ask for the PIN of someone who may
+ * An approval lets the action run once; the signed-in staff member stays the same.
+ * @param {string} action - Action (see STAFF_PERMISSIONS)
+ * @param {Function} onApproved - Re-runs the action once approved (it checks again and passes)
+ * @returns {boolean} Whether the action may go ahead now
+ */
+function checkPermission(action, onApproved) {
+    if (approvedAction === action) {
+        approvedAction = null;
+        return true;
     }
+    if (isActionAllowed(staffList, getCurrentStaff(), action)) return true;
+
+    openPinPrompt(
+        STAFF_PERMISSION_LABELS[action] || 'Approval needed',
+        (pin) => {
+            const member = findStaffByPin(staffList, pin);
+            return Boolean(member) && isActionAllowed(staffList, member, action);
+        },
+        () => {
+            approvedAction = action;
+            onApproved();
+        }
+    );
+    return false;
+}
 
-    const restoreBtn = document.getElementById('restore-menu-btn');
-    if (restoreBtn) {
-        restoreBtn.addEventListener('click', handleRestoreDefaultMenu);
+/**
+ * Load coupons and render admin list
+ */
+async function loadCoupons() {
+    try {
+        const coupons = await getCoupons();
+        renderCouponAdmin(
+            coupons,
+            document.getElementById('admin-coupon-list'),
+            handleSaveCoupon,
+            handleDeleteCoupon
+        );
+    } catch (error) {
+        console.error('Failed to load coupons:', error);
+        showToast('Failed to load coupons', 'error');
     }
+}
 
-    // Auto backup toggle
-    const autobackupToggle = document.getElementById('autobackup-toggle');
-    if (autobackupToggle) {
-        // Load saved preference
-        autobackupToggle.checked = localStorage.autobackupEnabled === 'true';
-        
-        autobackupToggle.addEventListener('change', (e) => {
-            localStorage.autobackupEnabled = e.target.checked ? 'true' : 'false';
-            if (e.target.checked) {
-                showToast('Auto backup enabled', 'success');
-            } else {
-                showToast('Auto backup disabled', 'success');
+/**
+ * Handle create or edit coupon
+ * @param {Object|null} coupon - Coupon to edit (null for create)
+ */
+async function handleSaveCoupon(coupon) {
+    try {
+        const existing = await getCoupons();
+        openCouponModal(coupon, existing, async (savedCoupon) => {
+            try {
+                await saveCoupon(savedCoupon);
+                showToast(coupon ? 'Coupon updated successfully' : 'Coupon created successfully', 'success');
+                await loadCoupons();
+            } catch (error) {
+                console.error('Failed to save coupon:', error);
+                showToast('Failed to save coupon', 'error');
             }
         });
+    } catch (error) {
+        console.error('Failed to open coupon editor:', error);
+        showToast('Failed to load coupons', 'error');
     }
+}
 
-    const autoarchiveToggle = document.getElementById('autoarchive-toggle');
-    if (autoarchiveToggle) {
-        autoarchiveToggle.checked = localStorage.autoArchive === 'true';
-        autoarchiveToggle.addEventListener('change', (e) => {
-            localStorage.autoArchive = e.target.checked ? 'true' : 'false';
-            if (e.target.checked) {
-                showToast('Auto-archive enabled', 'success');
-            } else {
-                showToast('Auto-archive disabled', 'success');
-            }
-        });
+/**
+ * Handle delete coupon
+ * @param {Object} coupon - Coupon to delete
+ */
+function handleDeleteCoupon(coupon) {
+    showConfirm(`Are you sure you want to delete coupon "${coupon.code}"?`, async () => {
+        try {
+            await deleteCoupon(coupon.id);
+            showToast('Coupon deleted successfully', 'success');
+            await loadCoupons();
+        } catch (error) {
+            console.error('Failed to delete coupon:', error);
+            showToast('Failed to delete coupon', 'error');
+        }
+    });
+}
+
+/**
+ * Load the ingredient catalog
+ */
+async function loadIngredients() {
+    try {
+        ingredientList = await getIngredients();
+    } catch (error) {
+        console.error('Failed to load ingredients:', error);
+        ingredientList = [];
     }
 }
 
 /**
- * Handle create menu item
+ * Reload ingredients and refresh the lists that show costs
  */
-function handleCreateMenuItem() {
-    openMenuItemModal(null, async (newItem) => {
+async function refreshIngredients() {
+    await loadIngredients();
+    renderIngredientAdmin(
+        ingredientList,
+        await getMenu(),
+        document.getElementById('admin-ingredient-list'),
+        handleSaveIngredient,
+        handleDeleteIngredient
+    );
+    await refreshMenuUI();
+}
+
+/**
+ * Handle create or edit ingredient
+ * @param {Object|null} ingredient - Ingredient to edit (null for create)
+ */
+function handleSaveIngredient(ingredient) {
+    if (!checkPermission('menu-admin', () => handleSaveIngredient(ingredient))) return;
+
+    openIngredientModal(ingredient, ingredientList, async (savedIngredient) => {
         try {
-            await createMenuItem(newItem);
-            showToast('Item created successfully', 'success');
-            await refreshMenuUI();
+            await saveIngredient(savedIngredient);
+            showToast(ingredient ? 'Ingredient updated successfully' : 'Ingredient created successfully', 'success');
+            await refreshIngredients();
         } catch (error) {
-            console.error('Failed to create item:', error);
-            showToast('Failed to create item', 'error');
+            console.error('Failed to save ingredient:', error);
+            showToast('Failed to save ingredient', 'error');
         }
     });
 }
 
 /**
- * Handle edit menu item
- * @param {Object} item - Item to edit
+ * Handle delete ingredient
+ * Recipes that use it keep the line but no longer count its cost.
+ * @param {Object} ingredient - Ingredient to delete
  */
-function handleEditMenuItem(item) {
-    openMenuItemModal(item, async (updatedItem) => {
+async function handleDeleteIngredient(ingredient) {
+    if (!checkPermission('menu-admin', () => handleDeleteIngredient(ingredient))) return;
+
+    const used = countIngredientUse(ingredient.id, await getMenu());
+    const usage = used > 0 ? ` It is used in ${used} item${used !== 1 ? 's' : ''}, which will no longer count its cost.` : '';
+    showConfirm(`Are you sure you want to delete ingredient "${ingredient.name}"?${usage}`, async () => {
         try {
-            await editMenuItem(item.id, updatedItem);
-            showToast('Item updated successfully', 'success');
-            await refreshMenuUI();
+            await deleteIngredient(ingredient.id);
+            showToast('Ingredient deleted successfully', 'success');
+            await refreshIngredients();
         } catch (error) {
-            console.error('Failed to update item:', error);
-            showToast('Failed to update item', 'error');
+            console.error('Failed to delete ingredient:', error);
+            showToast('Failed to delete ingredient', 'error');
         }
     });
 }
 
 /**
- * Handle delete menu item
- * @param {string} itemId - Item ID to delete
- * @param {string} itemName - Item name for confirmation
+ * Load the customer directory
  */
-function handleDeleteMenuItem(itemId, itemName) {
-    showConfirm(`Are you sure you want to delete "${itemName}"? This will hide it from the menu.`, async () => {
+async function loadCustomers() {
+    try {
+        customerList = await getCustomers();
+    } catch (error) {
+        console.error('Failed to load customers:', error);
+        customerList = [];
+    }
+}
+
+/**
+ * Render the customer directory with the current search
+ */
+function renderCustomers() {
+    const search = document.getElementById('customer-search');
+    renderCustomerAdmin(
+        customerList,
+        search ? search.value : '',
+        loyaltyConfig,
+        document.getElementById('admin-customer-list'),
+        {
+            onOpen: handleShowCustomerProfile,
+            onEdit: handleSaveCustomer,
+            onDelete: handleDeleteCustomer
+        }
+    );
+}
+
+/**
+ * Reload customers and refresh the directory and basket drawer
+ */
+async function refreshCustomers() {
+    await loadCustomers();
+    renderCustomers();
+    refreshBasketCustomer();
+}
+
+/**
+ * Handle create or edit customer
+ * @param {Object|null} customer - Customer to edit (null for create)
+ */
+function handleSaveCustomer(customer) {
+    openCustomerModal(customer, customerList, async (savedCustomer) => {
         try {
-            await softDeleteMenuItem(itemId);
-            showToast('Item deleted successfully', 'success');
-            await refreshMenuUI();
+            await saveCustomer(savedCustomer);
+            showToast(customer ? 'Customer updated successfully' : 'Customer created successfully', 'success');
+            await refreshCustomers();
         } catch (error) {
-            console.error('Failed to delete item:', error);
-            showToast('Failed to delete item', 'error');
+            console.error('Failed to save customer:', error);
+            showToast('Failed to save customer', 'error');
         }
     });
 }
 
 /**
- * Handle toggle favorite
- * @param {string} itemId - Item ID
+ * Handle delete customer
+ * Their orders keep the name and phone they were taken with.
+ * @param {Object} customer - Customer to delete
  */
-async function handleToggleFavorite(itemId) {
+function handleDeleteCustomer(customer) {
+    showConfirm(`Are you sure you want to delete customer "${customer.name || customer.phone}"? Their loyalty points will be lost.`, async () => {
+        try {
+            await deleteCustomer(customer.id);
+            showToast('Customer deleted successfully', 'success');
+            await refreshCustomers();
+        } catch (error) {
+            console.error('Failed to delete customer:', error);
+            showToast('Failed to delete customer', 'error');
+        }
+    });
+}
+
+/**
+ * Show a customer's profile with their orders from the active and archived orders
+ * @param {Object} customer - Customer
+ */
+async function handleShowCustomerProfile(customer) {
     try {
-        await toggleFavorite(itemId);
-        await refreshMenuUI();
+        const orders = getCustomerOrders(customer, [...await getAllOrders(), ...await getArchive()]);
+        openCustomerProfileModal(customer, orders, loyaltyConfig, {
+            onReorder: (order) => {
+                // The reorder is for this customer, whoever was in the basket before
+                basketOrderDetails = { ...basketOrderDetails, customerName: customer.name, customerPhone: customer.phone };
+                quickReorder(order);
+                refreshOrderDetailsForm();
+            },
+            onEdit: handleSaveCustomer
+        });
     } catch (error) {
-        console.error('Failed to toggle favorite:', error);
-        showToast('Failed to update favorite', 'error');
+        console.error('Failed to load customer profile:', error);
+        showToast('Failed to load customer profile', 'error');
+    }
+}
+
+/**
+ * Add to (or take from) a customer's loyalty balance
+ * The balance never goes below zero.
+ * @param {string} customerId - Customer ID
+ * @param {number} delta - Points to add (negative to take)
+ */
+async function changeCustomerPoints(customerId, delta) {
+    const customer = (await getCustomers()).find(c => c.id === customerId);
+    if (!customer || delta === 0) return;
+
+    await saveCustomer({ ...customer, points: Math.max(0, (customer.points || 0) + delta) });
+    await loadCustomers();
+}
+
+/**
+ * Credit loyalty points for an order that has just been paid in full
+ * @param {Object} order - Order with payments applied
+ * @returns {Promise<Object>} Order with the points earned recorded
+ */
+async function awardLoyaltyPoints(order) {
+    const loyalty = order.loyalty || { earned: 0, redeemed: 0 };
+    if (!order.customerId || order.paymentStatus !== 'paid' || loyalty.earned > 0 || loyalty.reversed) return order;
+
+    const earned = getPointsEarned(order.total, loyaltyConfig);
+    if (earned === 0) return order;
+
+    await changeCustomerPoints(order.customerId, earned);
+    return { ...order, loyalty: { ...loyalty, earned } };
+}
+
+/**
+ * Undo an order's loyalty points when it is voided or fully refunded
+ * Points earned are taken back and points redeemed are returned.
+ * @param {Object} order - Voided or refunded order
+ * @returns {Promise<Object>} Order marked as reversed
+ */
+async function reverseLoyaltyPoints(order) {
+    const loyalty = order.loyalty;
+    if (!order.customerId || !loyalty || loyalty.reversed) return order;
+
+    await changeCustomerPoints(order.customerId, (loyalty.redeemed || 0) - (loyalty.earned || 0));
+    return { ...order, loyalty: { ...loyalty, reversed: true } };
+}
+
+/**
+ * Load loyalty settings
+ */
+async function loadLoyaltyConfig() {
+    try {
+        const saved = await getSetting('loyalty');
+        loyaltyConfig = saved ? sanitizeLoyaltyConfig(saved) : DEFAULT_LOYALTY_CONFIG;
+    } catch (error) {
+        console.error('Failed to load loyalty settings:', error);
+        loyaltyConfig = DEFAULT_LOYALTY_CONFIG;
+    }
+}
+
+/**
+ * Handle loyalty settings change from settings
+ * @param {Object} config - Updated loyalty settings
+ */
+async function handleLoyaltyConfigChange(config) {
+    try {
+        loyaltyConfig = config;
+        await saveSetting('loyalty', loyaltyConfig);
+        renderCustomers();
+        refreshBasketCustomer();
+        showToast('Loyalty settings saved', 'success');
+    } catch (error) {
+        console.error('Failed to save loyalty settings:', error);
+        showToast('Failed to save loyalty settings', 'error');
     }
 }
 
@@ -1120,21 +3460,14 @@ async function refreshMenuUI() {
                 handleEditMenuItem,
                 handleDeleteMenuItem,
                 handleCreateMenuItem,
-                handleToggleFavorite
+                handleToggleFavorite,
+                ingredientList
             );
+            renderLowStockList(getLowStockItems(menu), document.getElementById('low-stock-list'), handleEditMenuItem);
         }
         
-        // Refresh Take Order screen
-        const takeOrderScreen = document.getElementById('take-order-screen');
-        if (takeOrderScreen && takeOrderScreen.classList.contains('active')) {
-            initMenuUI(menu, addToBasket);
-        }
-        
-        // Refresh favorites bar if visible
-        const favoritesBar = document.getElementById('favorites-bar');
-        if (favoritesBar && favoritesBar.style.display !== 'none') {
-            renderFavoritesBar(menu, addToBasket);
-        }
+        // Refresh Take Order screen and favorites bar (also when hidden, so they are current when shown)
+        initMenuUI(menu, handleMenuItemSelect);
     } catch (error) {
         console.error('Failed to refresh menu UI:', error);
     }
@@ -1169,12 +3502,36 @@ async function cleanupOldOrders(){
 }
 
 async function closeShopNow(){
+    if (!checkPermission('close-shop', closeShopNow)) return;
+
+    try {
+        // Count the drawer and keep the Z report before the orders go to the archive
+        const shift = findOpenShift(await getShifts());
+        if (shift) {
+            handleCloseShift(shift, archiveAndResetOrders);
+            return;
+        }
+    } catch (error) {
+        console.error('Failed to check open shift:', error);
+    }
+
+    await archiveAndResetOrders();
+}
+
+/**
+ * Move active orders to the archive and start the day fresh
+ * Orders scheduled for a later day than the one being closed stay in the list.
+ * @param {string} [closedDay] - Day being closed (YYYY-MM-DD, defaults to today)
+ */
+async function archiveAndResetOrders(closedDay = toDateKey(new Date())){
     try {
         const orders = await getAllOrders();
-        if (orders && orders.length) {
-            await saveArchive(orders);
+        const keep = orders.filter(order => isScheduledAfterDay(order, closedDay));
+        const archive = orders.filter(order => !keep.includes(order));
+        if (archive.length) {
+            await saveArchive(archive);
         }
-        await saveOrders([]);
+        await saveOrders(keep);
         const today = new Date().toISOString().slice(0,10);
         localStorage.lastResetDate = today;
         showToast('Shop closed. Orders reset','success');
@@ -1195,10 +3552,12 @@ async function maybeDailyReset(){
         const todayStr = now.toISOString().slice(0,10);
         const last = localStorage.lastResetDate || '';
         const afterClosing = now.getHours()>ch || (now.getHours()===ch && now.getMinutes()>=cm);
-        if (last !== todayStr) {
-            await closeShopNow();
-        } else if (afterClosing) {
-            await closeShopNow();
+        if (afterClosing) {
+            await archiveAndResetOrders();
+        } else if (last !== todayStr) {
+            // Catching up on a day that was never closed: orders due today are kept too
+            const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+            await archiveAndResetOrders(toDateKey(yesterday));
         }
     } catch (error) {
         console.error('Daily reset check failed:', error);
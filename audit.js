@@ -0,0 +1,327 @@
+/**
+ * Order history (audit trail) for POS system
+ * Turns order writes into append-only events and works out prep times from them
+ */
+
+/**
+ * Timeline labels for event types
+ */
+const ORDER_EVENT_LABELS = {
+    'created': 'Order created',
+    'status': 'Order status',
+    'line-status': 'Item status',
+    'edited': 'Order edited',
+    'voided': 'Voided',
+    'refunded': 'Refund',
+    'archived': 'Archived',
+    'restored': 'Restored from archive',
+    'purged': 'Deleted from archive',
+    'imported': 'Data imported'
+};
+
+/**
+ * Create an event
+ * @param {string} type - Event type (see ORDER_EVENT_LABELS)
+ * @param {string|null} orderId - Order the event belongs to (null for app-wide events)
+ * @param {Object} data - Event details
+ * @param {string} [at] - When it happened (ISO timestamp, defaults to now)
+ * @param {Object|null} [by] - Staff member who did it ({id, name}, defaults to whoever is signed in)
+ * @returns {Object} Event
+ */
+function createOrderEvent(type, orderId, data, at, by) {
+    return {
+        id: generateId('evt-'),
+        type,
+        orderId,
+        at: at || new Date().toISOString(),
+        by: by !== undefined ? by : getCurrentStaffRef(),
+        data
+    };
+}
+
+/**
+ * Get the key a line is matched by between two versions of an order
+ * Lines from before line IDs existed fall back to their position.
+ * @param {Object} line - Order line
+ * @param {number} index - Line position
+ * @returns {string} Line key
+ */
+function getLineKey(line, index) {
+    return line.lineId || `#${index}`;
+}
+
+/**
+ * Summarize lines for an event
+ * @param {Array} lines - Order lines
+ * @returns {Array} Lines ({lineId, name, quantity})
+ */
+function summarizeEventLines(lines) {
+    return lines.map(({ line, key }) => ({ lineId: key, name: line.name, quantity: line.quantity || 1 }));
+}
+
+/**
+ * Work out what changed in an order besides status
+ * @param {Object} before - Order before the write
+ * @param {Object} after - Order after the write
+ * @returns {{changes: Array, addedLines: Array}} Changes ({kind, ...}) and lines that were added
+ */
+function describeOrderEdit(before, after) {
+    const changes = [];
+    const beforeLines = new Map((before.items || []).map((line, index) => [getLineKey(line, index), line]));
+    const afterLines = (after.items || []).map((line, index) => ({ line, key: getLineKey(line, index) }));
+    const afterKeys = new Set(afterLines.map(entry => entry.key));
+
+    const added = afterLines.filter(entry => !beforeLines.has(entry.key));
+    added.forEach(({ line }) => {
+        changes.push({ kind: 'added', name: line.name, quantity: line.quantity || 1 });
+    });
+
+    beforeLines.forEach((line, key) => {
+        if (!afterKeys.has(key)) {
+            changes.push({ kind: 'removed', name: line.name, quantity: line.quantity || 1 });
+        }
+    });
+
+    afterLines.forEach(({ line, key }) => {
+        const previous = beforeLines.get(key);
+        if (!previous) return;
+        if ((previous.quantity || 1) !== (line.quantity || 1)) {
+            changes.push({ kind: 'quantity', name: line.name, from: previous.quantity || 1, to: line.quantity || 1 });
+        }
+        if ((previous.note || '') !== (line.note || '')) {
+            changes.push({ kind: 'note', name: line.name, note: line.note || '' });
+        }
+    });
+
+    (after.payments || []).slice((before.payments || []).length).forEach(payment => {
+        changes.push({ kind: 'payment', method: payment.method, amount: payment.amount });
+    });
+
+    if (before.tabOpen && !after.tabOpen) {
+        changes.push({ kind: 'tab-closed' });
+    }
+
+    if (getOrderTableKey(before) !== getOrderTableKey(after)) {
+        changes.push({ kind: 'table', from: getOrderTableKey(before), to: getOrderTableKey(after) });
+    }
+
+    if ((before.customerName || '') !== (after.customerName || '') || (before.customerPhone || '') !== (after.customerPhone || '')) {
+        changes.push({ kind: 'customer', name: after.customerName || '', phone: after.customerPhone || '' });
+    }
+
+    if (roundMoney(before.total || 0) !== roundMoney(after.total || 0)) {
+        changes.push({ kind: 'total', from: roundMoney(before.total || 0), to: roundMoney(after.total || 0) });
+    }
+
+    return { changes, addedLines: summarizeEventLines(added) };
+}
+
+/**
+ * Build the events for an order write
+ * A new order gets a "created" event; an existing one gets status, item status and edit events.
+ * @param {Object|null} before - Order before the write (null if new)
+ * @param {Object} after - Order after the write
+ * @param {string} [at] - When it happened (ISO timestamp, defaults to now)
+ * @param {Object|null} [by] - Staff member who did it (defaults to whoever is signed in)
+ * @returns {Array} Events
+ */
+function buildOrderEvents(before, after, at, by) {
+    if (!before) {
+        const lines = (after.items || []).map((line, index) => ({ line, key: getLineKey(line, index) }));
+        return [createOrderEvent('created', after.id, {
+            orderNumber: after.orderNumber || null,
+            status: after.status,
+            lines: summarizeEventLines(lines),
+            total: after.total || 0
+        }, at || after.timestamp, by !== undefined ? by : (after.createdBy || null))];
+    }
+
+    const events = [];
+
+    const edit = describeOrderEdit(before, after);
+    if (edit.changes.length > 0) {
+        events.push(createOrderEvent('edited', after.id, edit, at, by));
+    }
+
+    const beforeLines = new Map((before.items || []).map((line, index) => [getLineKey(line, index), line]));
+    (after.items || []).forEach((line, index) => {
+        const previous = beforeLines.get(getLineKey(line, index));
+        if (!previous || isOrderCancelled(after)) return;
+        const from = getLineStatus(previous, before);
+        const to = getLineStatus(line, after);
+        if (from !== to) {
+            events.push(createOrderEvent('line-status', after.id, {
+                lineId: getLineKey(line, index),
+                name: line.name,
+                from,
+                to,
+                backward: getStatusIndex(to) < getStatusIndex(from)
+            }, at, by));
+        }
+    });
+
+    if (after.voided && !before.voided) {
+        events.push(createOrderEvent('voided', after.id, {
+            reason: after.voided.reason,
+            from: after.voided.previousStatus
+        }, at, by));
+    }
+
+    (after.refunds || []).slice((before.refunds || []).length).forEach(refund => {
+        events.push(createOrderEvent('refunded', after.id, {
+            amount: refund.amount,
+            method: refund.method,
+            reason: refund.reason,
+            full: after.status === 'Refunded'
+        }, at, by));
+    });
+
+    // Added items send the order back to the kitchen; that is not a backward move.
+    // Voids and full refunds have their own events.
+    if (before.status !== after.status && !isOrderCancelled(after)) {
+        events.push(createOrderEvent('status', after.id, {
+            from: before.status,
+            to: after.status,
+            backward: getStatusIndex(after.status) < getStatusIndex(before.status) && edit.addedLines.length === 0
+        }, at, by));
+    }
+
+    return events;
+}
+
+/**
+ * Describe one change from an "edited" event
+ * @param {Object} change - Change ({kind, ...})
+ * @returns {string} Description
+ */
+function describeOrderChange(change) {
+    switch (change.kind) {
+        case 'added':
+            return `Added ${change.quantity}× ${change.name}`;
+        case 'removed':
+            return `Removed ${change.quantity}× ${change.name}`;
+        case 'quantity':
+            return `${change.name}: quantity ${change.from} → ${change.to}`;
+        case 'note':
+            return change.note ? `${change.name}: note "${change.note}"` : `${change.name}: note removed`;
+        case 'payment':
+            if (change.amount < 0) {
+                return `Gave back ${formatMoney(roundMoney(-change.amount))} (${getPaymentMethodLabel(change.method)})`;
+            }
+            return `Payment ${formatMoney(roundMoney(change.amount || 0))} (${getPaymentMethodLabel(change.method)})`;
+        case 'tab-closed':
+            return 'Tab closed';
+        case 'table':
+            return `${getTableKeyLabel(change.from)} → ${getTableKeyLabel(change.to)}`;
+        case 'customer':
+            return `Customer: ${[change.name, change.phone].filter(Boolean).join(' · ') || 'removed'}`;
+        case 'total':
+            return `Total ${formatMoney(change.from)} → ${formatMoney(change.to)}`;
+        default:
+            return change.kind;
+    }
+}
+
+/**
+ * Describe an event for the history timeline
+ * @param {Object} event - Event
+ * @returns {string} Description (empty if the label says it all)
+ */
+function describeOrderEvent(event) {
+    const data = event.data || {};
+    switch (event.type) {
+        case 'created':
+            return (data.lines || []).map(line => `${line.quantity}× ${line.name}`).join(', ');
+        case 'status':
+            return `${data.from} → ${data.to}${data.backward ? ' (moved back)' : ''}`;
+        case 'line-status':
+            return `${data.name}: ${data.from} → ${data.to}${data.backward ? ' (moved back)' : ''}`;
+        case 'edited':
+            return (data.changes || []).map(describeOrderChange).join(' · ');
+        case 'voided':
+            return data.reason;
+        case 'refunded':
+            return `${formatMoney(roundMoney(data.amount || 0))} (${getPaymentMethodLabel(data.method)})${data.full ? ', full' : ''} · ${data.reason}`;
+        case 'imported':
+            return `${data.orders || 0} orders, ${data.menu || 0} menu items`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Work out prep times (Yet to prepare → Prepared) from events
+ * An order is timed from creation to when it first reached Prepared; each item from when it was
+ * ordered (with the order, or later as an addition) to when it first reached Prepared.
+ * Orders and items that never got there are left out.
+ * @param {Array} events - Events (any order)
+ * @returns {{orders: Array, items: Array}} Orders ({orderId, startedAt, preparedAt, ms})
+ *   and items ({orderId, lineId, name, startedAt, preparedAt, ms})
+ */
+function computePrepTimes(events) {
+    const preparedIndex = getStatusIndex('Prepared');
+    const sorted = [...events].sort((a, b) => a.at.localeCompare(b.at));
+    const orderStarts = new Map();
+    const orders = new Map();
+    const lineStarts = new Map();
+    const items = new Map();
+
+    const startLines = (event, lines) => {
+        (lines || []).forEach(line => {
+            const key = `${event.orderId}|${line.lineId}`;
+            if (!lineStarts.has(key)) {
+                lineStarts.set(key, { orderId: event.orderId, lineId: line.lineId, name: line.name, startedAt: event.at });
+            }
+        });
+    };
+
+    const finish = (map, key, start, at) => {
+        if (!start || map.has(key)) return;
+        map.set(key, { ...start, preparedAt: at, ms: Date.parse(at) - Date.parse(start.startedAt) });
+    };
+
+    sorted.forEach(event => {
+        const data = event.data || {};
+        if (event.type === 'created') {
+            orderStarts.set(event.orderId, { orderId: event.orderId, startedAt: event.at });
+            startLines(event, data.lines);
+        } else if (event.type === 'edited') {
+            startLines(event, data.addedLines);
+        } else if (event.type === 'status' && getStatusIndex(data.to) >= preparedIndex) {
+            finish(orders, event.orderId, orderStarts.get(event.orderId), event.at);
+        } else if (event.type === 'line-status' && getStatusIndex(data.to) >= preparedIndex) {
+            const key = `${event.orderId}|${data.lineId}`;
+            finish(items, key, lineStarts.get(key), event.at);
+        }
+    });
+
+    return {
+        orders: Array.from(orders.values()),
+        items: Array.from(items.values())
+    };
+}
+
+/**
+ * Average prep time of timed orders or items
+ * @param {Array} entries - Entries from computePrepTimes
+ * @returns {number|null} Average milliseconds, or null if nothing was timed
+ */
+function getAveragePrepTime(entries) {
+    if (!entries || entries.length === 0) return null;
+    return entries.reduce((sum, entry) => sum + entry.ms, 0) / entries.length;
+}
+
+/**
+ * Format a duration for reports (e.g., "12m 05s", "1h 02m")
+ * @param {number} ms - Milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    return `${seconds}s`;
+}
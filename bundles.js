@@ -0,0 +1,159 @@
+/**
+ * Combo meals for POS system
+ * Bundle items made of component slots (a fixed item, or one chosen from a category) sold at the
+ * bundle's own price, and bundle lines expanded back into their components for the kitchen,
+ * stock and item sales
+ */
+
+/**
+ * Check whether a menu item (or order line's item) is a bundle
+ * @param {Object} item - Menu item
+ * @returns {boolean} True if the item has component slots
+ */
+function isBundle(item) {
+    return Boolean(item) && Array.isArray(item.bundleSlots) && item.bundleSlots.length > 0;
+}
+
+/**
+ * Get display name for a slot: its own name, or what fills it
+ * @param {Object} slot - Bundle slot ({id, name, itemId} or {id, name, category})
+ * @param {Array} menu - Menu items (to name a fixed item)
+ * @returns {string} Slot name
+ */
+function getBundleSlotName(slot, menu) {
+    if (slot.name) return slot.name;
+    if (slot.category) return slot.category;
+    const item = (menu || []).find(m => String(m.id) === String(slot.itemId));
+    return item ? item.name : 'Item';
+}
+
+/**
+ * Get the menu items that can fill a slot
+ * Hidden (deleted) items and other bundles are left out. IDs are compared as strings,
+ * since the seeded menu has number IDs while slots and picker choices hold strings.
+ * @param {Object} slot - Bundle slot
+ * @param {Array} menu - Menu items
+ * @returns {Array} Items, by name
+ */
+function getBundleSlotOptions(slot, menu) {
+    const items = (menu || []).filter(item => !item.hidden && !isBundle(item));
+    if (slot.itemId) return items.filter(item => String(item.id) === String(slot.itemId));
+    return items
+        .filter(item => item.category === slot.category)
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Whether tapping a bundle needs the cashier to choose anything
+ * @param {Object} item - Bundle item
+ * @param {Array} menu - Menu items
+ * @returns {boolean} True if any slot has more than one item to choose from
+ */
+function needsBundleChoice(item, menu) {
+    return (item.bundleSlots || []).some(slot => getBundleSlotOptions(slot, menu).length > 1);
+}
+
+/**
+ * Pick the first item that is not sold out for each slot
+ * @param {Object} item - Bundle item
+ * @param {Array} menu - Menu items
+ * @returns {Object} Map of slotId -> menu item ID
+ */
+function getDefaultBundleChoices(item, menu) {
+    const choices = {};
+    (item.bundleSlots || []).forEach(slot => {
+        const options = getBundleSlotOptions(slot, menu);
+        const option = options.find(o => !isSoldOut(o)) || options[0];
+        if (option) choices[slot.id] = option.id;
+    });
+    return choices;
+}
+
+/**
+ * Build a bundle line's components from the items chosen for its slots
+ * Each component keeps the item's own menu price, which is what the bundle price is split by.
+ * @param {Object} item - Bundle item
+ * @param {Object} choices - Map of slotId -> menu item ID (checked with validateBundleSelection)
+ * @param {Array} menu - Menu items
+ * @param {Array} [ingredients] - Ingredient catalog; when given, each component keeps its food cost
+ * @returns {Array} Components ({slotId, slotName, id, name, category, price, unitCost?})
+ */
+function buildBundleComponents(item, choices, menu, ingredients) {
+    return (item.bundleSlots || []).map(slot => {
+        const chosen = getBundleSlotOptions(slot, menu).find(option => String(option.id) === String(choices[slot.id]));
+        const component = {
+            slotId: slot.id,
+            slotName: getBundleSlotName(slot, menu),
+            id: chosen.id,
+            name: chosen.name,
+            category: chosen.category,
+            price: chosen.price || 0
+        };
+        if (ingredients) component.unitCost = getItemFoodCost(chosen, ingredients);
+        return component;
+    });
+}
+
+/**
+ * Get the slot choices a bundle line was made with (e.g., to order it again)
+ * @param {Array} components - Line components
+ * @returns {Object} Map of slotId -> menu item ID
+ */
+function getBundleChoices(components) {
+    const choices = {};
+    (components || []).forEach(component => {
+        choices[component.slotId] = component.id;
+    });
+    return choices;
+}
+
+/**
+ * Get the food cost of one bundle from its components
+ * @param {Array} components - Line components
+ * @returns {number|null} Cost, or null unless every component has one
+ */
+function getBundleUnitCost(components) {
+    if (!components || components.length === 0) return null;
+    if (components.some(component => typeof component.unitCost !== 'number')) return null;
+    return roundMoney(components.reduce((sum, component) => sum + component.unitCost, 0));
+}
+
+/**
+ * Format a line's components for display (e.g., "Veg Momos + Hakka Noodles")
+ * @param {Array} components - Line components
+ * @returns {string} Formatted components, or empty string when none
+ */
+function formatBundleComponents(components) {
+    return (components || []).map(component => component.name).join(' + ');
+}
+
+/**
+ * Expand an order or basket line into what is actually made and sold
+ * A bundle line becomes one part per component (times the line quantity); any other line stays as it is.
+ * @param {Object} line - Order or basket line
+ * @returns {Array} Parts ({id, name, category, quantity, ...})
+ */
+function expandBundleLine(line) {
+    if (!line.components || line.components.length === 0) return [line];
+    return line.components.map(component => ({ ...component, quantity: line.quantity || 1 }));
+}
+
+/**
+ * Split a line's revenue over its parts
+ * A bundle's revenue is shared by its components in proportion to their own menu prices
+ * (evenly when they are all free), so the parts always add up to the line.
+ * @param {Object} line - Order line
+ * @param {number} revenue - Line revenue
+ * @returns {Array} Parts with revenue ({part, revenue})
+ */
+function splitLineRevenue(line, revenue) {
+    const parts = expandBundleLine(line);
+    if (parts.length === 1) return [{ part: parts[0], revenue }];
+
+    const weights = parts.map(part => part.price || 0);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    return parts.map((part, index) => ({
+        part,
+        revenue: totalWeight > 0 ? revenue * weights[index] / totalWeight : revenue / parts.length
+    }));
+}
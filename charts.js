@@ -0,0 +1,169 @@
+/**
+ * Charts for POS system
+ * Dependency-free inline SVG: revenue line, day-of-week × hour heatmap and category share bar.
+ * Charts scale to their container's width; text is sized for a phone screen.
+ */
+
+const CHART_WIDTH = 320;
+
+// Series colours, in order (categories beyond the last reuse them)
+const CHART_COLORS = ['#007bff', '#28a745', '#fd7e14', '#6f42c1', '#20c997', '#dc3545', '#ffc107', '#6c757d'];
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Get the colour for a series
+ * @param {number} index - Series position
+ * @returns {string} CSS colour
+ */
+function getChartColor(index) {
+    return CHART_COLORS[index % CHART_COLORS.length];
+}
+
+/**
+ * Round an axis maximum up to a readable step (1, 2 or 5 × a power of ten)
+ * @param {number} value - Largest value
+ * @returns {number} Axis maximum
+ */
+function getNiceChartMax(value) {
+    if (!(value > 0)) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+    return step * magnitude;
+}
+
+/**
+ * Short money label for axes (e.g., "₹1.2k")
+ * @param {number} value - Amount
+ * @returns {string} Label
+ */
+function formatChartMoney(value) {
+    if (value >= 100000) return formatMoney(`${Math.round(value / 1000)}k`);
+    if (value >= 1000) return formatMoney(`${(value / 1000).toFixed(1).replace(/\.0$/, '')}k`);
+    return formatMoney(Math.round(value));
+}
+
+/**
+ * Build a line chart of values over time
+ * @param {Array} points - Points ({label, value}), in order
+ * @param {Object} options - {title, height?}
+ * @returns {string} SVG markup
+ */
+function buildLineChartSVG(points, options = {}) {
+    const height = options.height || 160;
+    const pad = { top: 10, right: 10, bottom: 24, left: 44 };
+    const plotWidth = CHART_WIDTH - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const max = getNiceChartMax(Math.max(0, ...points.map(p => p.value)));
+
+    const x = (i) => pad.left + (points.length > 1 ? (i / (points.length - 1)) * plotWidth : plotWidth / 2);
+    const y = (value) => pad.top + plotHeight - (Math.max(0, value) / max) * plotHeight;
+    const coords = points.map((p, i) => `${x(i).toFixed(1)},${y(p.value).toFixed(1)}`);
+
+    // Label the ends and a few points between, so labels never overlap on a phone
+    const labelEvery = Math.max(1, Math.ceil(points.length / 5));
+    const xLabels = points.map((p, i) => {
+        if (i % labelEvery !== 0 && i !== points.length - 1) return '';
+        if (i !== points.length - 1 && points.length - 1 - i < labelEvery / 2) return '';
+        const anchor = points.length === 1 ? 'middle' : i === 0 ? 'start' : i === points.length - 1 ? 'end' : 'middle';
+        return `<text x="${x(i).toFixed(1)}" y="${height - 6}" text-anchor="${anchor}" class="chart-label">${escapeHTML(p.label)}</text>`;
+    }).join('');
+
+    const yLabels = [0, max / 2, max].map(value => `
+        <line x1="${pad.left}" x2="${CHART_WIDTH - pad.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" class="chart-grid"/>
+        <text x="${pad.left - 4}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end" class="chart-label">${escapeHTML(formatChartMoney(value))}</text>
+    `).join('');
+
+    const area = points.length > 1
+        ? `<polygon points="${pad.left},${pad.top + plotHeight} ${coords.join(' ')} ${CHART_WIDTH - pad.right},${pad.top + plotHeight}" fill="${getChartColor(0)}" fill-opacity="0.12"/>`
+        : '';
+
+    const dots = points.length <= 31
+        ? points.map((p, i) => `
+            <circle cx="${x(i).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="3" fill="${getChartColor(0)}">
+                <title>${escapeHTML(`${p.label}: ${formatMoney(roundMoney(p.value))}`)}</title>
+            </circle>
+        `).join('')
+        : '';
+
+    return `
+        <svg class="chart chart-line" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeHTML(options.title || 'Revenue')}">
+            ${yLabels}
+            ${area}
+            ${points.length > 1 ? `<polyline points="${coords.join(' ')}" fill="none" stroke="${getChartColor(0)}" stroke-width="2" stroke-linejoin="round"/>` : ''}
+            ${dots}
+            ${xLabels}
+        </svg>
+    `;
+}
+
+/**
+ * Build a day-of-week × hour heatmap of counts
+ * @param {Array} grid - 7 rows (Monday first) of 24 counts
+ * @param {Object} options - {title}
+ * @returns {string} SVG markup
+ */
+function buildHeatmapSVG(grid, options = {}) {
+    const pad = { top: 4, left: 30, bottom: 18 };
+    const cell = (CHART_WIDTH - pad.left) / 24;
+    const rowHeight = 16;
+    const height = pad.top + rowHeight * 7 + pad.bottom;
+    const max = Math.max(0, ...grid.map(row => Math.max(...row)));
+
+    const cells = grid.map((row, day) => row.map((count, hour) => {
+        const opacity = count > 0 && max > 0 ? 0.15 + 0.85 * (count / max) : 1;
+        const fill = count > 0 ? getChartColor(0) : '#f1f3f5';
+        return `
+            <rect x="${(pad.left + hour * cell + 0.5).toFixed(1)}" y="${pad.top + day * rowHeight + 0.5}" width="${(cell - 1).toFixed(1)}" height="${rowHeight - 1}" rx="2" fill="${fill}" fill-opacity="${opacity.toFixed(2)}">
+                <title>${WEEKDAY_LABELS[day]} ${String(hour).padStart(2, '0')}:00 · ${count} ${count === 1 ? 'order' : 'orders'}</title>
+            </rect>
+        `;
+    }).join('')).join('');
+
+    const dayLabels = WEEKDAY_LABELS.map((label, day) => `
+        <text x="${pad.left - 4}" y="${pad.top + day * rowHeight + rowHeight - 4}" text-anchor="end" class="chart-label">${label}</text>
+    `).join('');
+
+    const hourLabels = [0, 6, 12, 18].map(hour => `
+        <text x="${(pad.left + hour * cell).toFixed(1)}" y="${height - 4}" class="chart-label">${String(hour).padStart(2, '0')}</text>
+    `).join('');
+
+    return `
+        <svg class="chart chart-heatmap" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeHTML(options.title || 'Orders by day and hour')}">
+            ${cells}
+            ${dayLabels}
+            ${hourLabels}
+        </svg>
+    `;
+}
+
+/**
+ * Build a single bar split into each entry's share
+ * @param {Array} entries - Entries ({label, value}), largest first
+ * @param {Object} options - {title}
+ * @returns {string} SVG markup
+ */
+function buildShareBarSVG(entries, options = {}) {
+    const height = 28;
+    const total = entries.reduce((sum, entry) => sum + Math.max(0, entry.value), 0);
+    let offset = 0;
+
+    const segments = total > 0
+        ? entries.map((entry, index) => {
+            const width = (Math.max(0, entry.value) / total) * CHART_WIDTH;
+            const segment = `
+                <rect x="${offset.toFixed(1)}" y="0" width="${width.toFixed(1)}" height="${height}" fill="${getChartColor(index)}">
+                    <title>${escapeHTML(`${entry.label}: ${Math.round((entry.value / total) * 100)}%`)}</title>
+                </rect>
+            `;
+            offset += width;
+            return segment;
+        }).join('')
+        : `<rect x="0" y="0" width="${CHART_WIDTH}" height="${height}" fill="#f1f3f5"/>`;
+
+    return `
+        <svg class="chart chart-share" viewBox="0 0 ${CHART_WIDTH} ${height}" preserveAspectRatio="none" role="img" aria-label="${escapeHTML(options.title || 'Share')}">
+            ${segments}
+        </svg>
+    `;
+}
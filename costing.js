@@ -0,0 +1,98 @@
+/**
+ * Food costing for POS system
+ * Ingredients with unit costs, per-item recipes, and food cost and margin for items and order lines
+ */
+
+/**
+ * Units ingredients are bought and used in
+ */
+const INGREDIENT_UNITS = [
+    { id: 'kg', label: 'kg' },
+    { id: 'g', label: 'g' },
+    { id: 'l', label: 'litre' },
+    { id: 'ml', label: 'ml' },
+    { id: 'pc', label: 'piece' }
+];
+
+/**
+ * Get display label for an ingredient unit
+ * @param {string} unit - Unit ID
+ * @returns {string} Label
+ */
+function getIngredientUnitLabel(unit) {
+    const match = INGREDIENT_UNITS.find(u => u.id === unit);
+    return match ? match.label : unit;
+}
+
+/**
+ * Work out the food cost of a recipe
+ * Ingredients that have since been deleted are left out.
+ * @param {Array} recipe - Recipe lines ({ingredientId, quantity})
+ * @param {Array} ingredients - Ingredient catalog
+ * @returns {number|null} Cost of one portion, or null when there is no recipe
+ */
+function getRecipeCost(recipe, ingredients) {
+    if (!Array.isArray(recipe) || recipe.length === 0) return null;
+
+    const byId = new Map((ingredients || []).map(ingredient => [ingredient.id, ingredient]));
+    const cost = recipe.reduce((sum, entry) => {
+        const ingredient = byId.get(entry.ingredientId);
+        return ingredient ? sum + (ingredient.unitCost || 0) * (entry.quantity || 0) : sum;
+    }, 0);
+    return roundMoney(cost);
+}
+
+/**
+ * Work out the food cost of one menu item
+ * @param {Object} item - Menu item
+ * @param {Array} ingredients - Ingredient catalog
+ * @returns {number|null} Cost of one portion, or null when the item has no recipe
+ */
+function getItemFoodCost(item, ingredients) {
+    return getRecipeCost(item && item.recipe, ingredients);
+}
+
+/**
+ * Get an item's food cost and margin at its menu price
+ * @param {Object} item - Menu item
+ * @param {Array} ingredients - Ingredient catalog
+ * @returns {{cost: number, margin: number, costPercent: number|null}|null} Costing, or null without a recipe
+ */
+function getItemCosting(item, ingredients) {
+    const cost = getItemFoodCost(item, ingredients);
+    if (cost === null) return null;
+
+    const price = item.price || 0;
+    return {
+        cost,
+        margin: roundMoney(price - cost),
+        costPercent: price > 0 ? Math.round((cost / price) * 1000) / 10 : null
+    };
+}
+
+/**
+ * Count how many menu items use an ingredient
+ * @param {string} ingredientId - Ingredient ID
+ * @param {Array} menu - Menu items
+ * @returns {number} Number of items
+ */
+function countIngredientUse(ingredientId, menu) {
+    return (menu || []).filter(item => (item.recipe || []).some(entry => entry.ingredientId === ingredientId)).length;
+}
+
+/**
+ * Get the cost of an order line
+ * Lines keep the unit cost from when they were ordered, so later price changes don't rewrite past margins.
+ * Lines saved before costing existed fall back to the item's recipe today.
+ * @param {Object} line - Order line
+ * @param {Map} menuById - Menu items by ID (for lines without a saved cost)
+ * @param {Array} ingredients - Ingredient catalog (for lines without a saved cost)
+ * @returns {number|null} Line cost, or null when the item has no recipe
+ */
+function getLineCost(line, menuById, ingredients) {
+    let unitCost = typeof line.unitCost === 'number' ? line.unitCost : null;
+    if (unitCost === null && !('unitCost' in line) && menuById) {
+        unitCost = getItemFoodCost(menuById.get(line.id), ingredients);
+    }
+    return unitCost === null ? null : unitCost * (line.quantity || 1);
+}
@@ -0,0 +1,135 @@
+/**
+ * Customers and loyalty for POS system
+ * Customer directory keyed by phone, order history across active and archived orders,
+ * and loyalty points earned on paid orders and redeemed as a discount
+ */
+
+/**
+ * Default loyalty settings: off, 1 point per 10 spent, each point worth 1
+ */
+const DEFAULT_LOYALTY_CONFIG = {
+    enabled: false,
+    pointsPerUnit: 0.1,
+    pointValue: 1
+};
+
+/**
+ * Normalize a phone number for matching (spaces and dashes removed)
+ * @param {string} phone - Phone as entered
+ * @returns {string} Normalized phone
+ */
+function normalizePhone(phone) {
+    return String(phone || '').replace(/[\s-]/g, '');
+}
+
+/**
+ * Find a customer by phone number
+ * @param {Array} customers - Customer directory
+ * @param {string} phone - Phone as entered
+ * @returns {Object|null} Customer
+ */
+function findCustomerByPhone(customers, phone) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) return null;
+    return (customers || []).find(customer => customer.phone === normalized) || null;
+}
+
+/**
+ * Create a new customer with no points
+ * @param {{name: string, phone: string, notes?: string}} fields - Customer details
+ * @returns {Object} Customer
+ */
+function createCustomer(fields) {
+    return {
+        id: generateId('cus-'),
+        name: String(fields.name || '').trim(),
+        phone: normalizePhone(fields.phone),
+        notes: String(fields.notes || '').trim(),
+        points: 0,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Work out the points an amount spent earns
+ * @param {number} amount - Amount spent
+ * @param {Object} config - Loyalty settings
+ * @returns {number} Whole points earned
+ */
+function getPointsEarned(amount, config) {
+    if (!config || !config.enabled || !(amount > 0)) return 0;
+    return Math.floor(amount * (config.pointsPerUnit || 0) + 1e-9);
+}
+
+/**
+ * Build an order-level discount that redeems loyalty points
+ * @param {Object} customer - Customer redeeming
+ * @param {number} points - Points to redeem
+ * @param {Object} config - Loyalty settings
+ * @returns {Object} Adjustment
+ */
+function loyaltyToAdjustment(customer, points, config) {
+    return {
+        id: generateId('adj-'),
+        scope: 'order',
+        type: 'flat',
+        value: roundMoney(points * config.pointValue),
+        reason: `Loyalty (${points} points)`,
+        loyaltyPoints: points,
+        customerId: customer.id
+    };
+}
+
+/**
+ * Work out how many points a basket can redeem: the whole balance, or just enough to cover what is left to pay
+ * @param {Object} customer - Customer redeeming
+ * @param {number} payable - Amount left after other discounts
+ * @param {Object} config - Loyalty settings
+ * @returns {number} Points to redeem
+ */
+function getRedeemablePoints(customer, payable, config) {
+    if (!config || !config.enabled || !(config.pointValue > 0) || !(payable > 0)) return 0;
+    return Math.max(0, Math.min(customer.points || 0, Math.ceil(payable / config.pointValue)));
+}
+
+/**
+ * Get the points actually used by an order's applied loyalty discount
+ * The discount never exceeds what is left to pay, so fewer points may be used than were offered.
+ * @param {Array} adjustments - Applied adjustments (with amount)
+ * @param {Object} config - Loyalty settings
+ * @returns {number} Points redeemed
+ */
+function getRedeemedPoints(adjustments, config) {
+    const loyalty = (adjustments || []).find(adj => adj.loyaltyPoints);
+    if (!loyalty || !(config.pointValue > 0)) return 0;
+    return Math.min(loyalty.loyaltyPoints, Math.ceil(roundMoney(loyalty.amount / config.pointValue)));
+}
+
+/**
+ * Get a customer's orders, newest first
+ * Orders saved before the customer was linked are matched by phone.
+ * @param {Object} customer - Customer
+ * @param {Array} orders - Orders to look through (active and archived, see dedupeOrders)
+ * @returns {Array} Orders
+ */
+function getCustomerOrders(customer, orders) {
+    return dedupeOrders(orders)
+        .filter(order => order.customerId
+            ? order.customerId === customer.id
+            : Boolean(order.customerPhone) && normalizePhone(order.customerPhone) === customer.phone)
+        .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+}
+
+/**
+ * Add up a customer's visits and spend
+ * @param {Array} orders - Customer's orders from getCustomerOrders
+ * @returns {{orderCount: number, totalSpent: number, lastOrderAt: string|null}} Summary
+ */
+function summarizeCustomerOrders(orders) {
+    const sales = orders.filter(order => order.status !== 'Voided');
+    return {
+        orderCount: sales.length,
+        totalSpent: roundMoney(sales.reduce((sum, order) => sum + (order.total || 0) - getRefundTotal(order), 0)),
+        lastOrderAt: sales.length > 0 ? sales[0].timestamp : null
+    };
+}
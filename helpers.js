@@ -33,6 +33,47 @@ function validateMenuItem(item, isEdit = false) {
         errors.push('Category is required');
     }
 
+    // Modifier group validation
+    (item.modifierGroups || []).forEach(group => {
+        if (!group.name) {
+            errors.push('Modifier group name is required');
+        }
+        if (!group.options || group.options.length === 0) {
+            errors.push(`Modifier group "${group.name || 'Unnamed'}" needs at least one option`);
+        }
+    });
+
+    // Combo slot validation
+    (item.bundleSlots || []).forEach(slot => {
+        if (!slot.itemId && !slot.category) {
+            errors.push('Each combo slot needs an item or a category');
+        }
+        if (slot.itemId && item.id && slot.itemId === item.id) {
+            errors.push('A combo cannot include itself');
+        }
+    });
+
+    // Recipe validation
+    (item.recipe || []).forEach(entry => {
+        if (!(entry.quantity > 0)) {
+            errors.push('Recipe quantities must be greater than 0');
+        }
+    });
+    if (new Set((item.recipe || []).map(entry => entry.ingredientId)).size !== (item.recipe || []).length) {
+        errors.push('Each ingredient can only be in the recipe once');
+    }
+
+    // Stock validation (only when stock is counted)
+    if (item.trackStock) {
+        if (typeof item.stock !== 'number' || !Number.isInteger(item.stock)) {
+            errors.push('Stock must be a whole number');
+        }
+        if (item.lowStockThreshold !== null && item.lowStockThreshold !== undefined &&
+            (!Number.isInteger(item.lowStockThreshold) || item.lowStockThreshold < 0)) {
+            errors.push('Low stock level must be a whole number of 0 or more');
+        }
+    }
+
     return {
         ok: errors.length === 0,
         errors
@@ -51,7 +92,706 @@ function sanitizeMenuItem(item) {
         price: Math.round(parseFloat(item.price || 0) * 100) / 100, // Round to 2 decimals
         category: String(item.category || 'Uncategorized').trim() || 'Uncategorized',
         favorite: Boolean(item.favorite),
-        hidden: Boolean(item.hidden)
+        hidden: Boolean(item.hidden),
+        modifierGroups: sanitizeModifierGroups(item.modifierGroups),
+        // Component slots make the item a combo sold at its own price
+        bundleSlots: sanitizeBundleSlots(item.bundleSlots),
+        // null means "use the category's tax rates"
+        taxRateIds: Array.isArray(item.taxRateIds) ? item.taxRateIds.map(String) : null,
+        recipe: sanitizeRecipe(item.recipe),
+        trackStock: Boolean(item.trackStock),
+        // null means "not counted" / "use the default low stock level"
+        stock: item.trackStock ? parseOptionalNumber(item.stock) : null,
+        lowStockThreshold: item.trackStock ? parseOptionalNumber(item.lowStockThreshold) : null
+    };
+}
+
+/**
+ * Parse a number from a form field, keeping blanks as null
+ * @param {*} value - Field value
+ * @returns {number|null} Number (NaN when not a number) or null when blank
+ */
+function parseOptionalNumber(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    return Number(value);
+}
+
+/**
+ * Sanitize and normalize a menu item's recipe
+ * @param {Array} recipe - Recipe lines ({ingredientId, quantity})
+ * @returns {Array} Sanitized recipe (lines without an ingredient dropped)
+ */
+function sanitizeRecipe(recipe) {
+    if (!Array.isArray(recipe)) return [];
+
+    return recipe
+        .map(entry => ({
+            ingredientId: String(entry.ingredientId || '').trim(),
+            quantity: Math.round(parseFloat(entry.quantity || 0) * 1000) / 1000
+        }))
+        .filter(entry => entry.ingredientId !== '');
+}
+
+/**
+ * Sanitize and normalize modifier groups of a menu item
+ * @param {Array} groups - Modifier groups to sanitize
+ * @returns {Array} Sanitized modifier groups
+ */
+function sanitizeModifierGroups(groups) {
+    if (!Array.isArray(groups)) return [];
+
+    return groups.map(group => ({
+        id: group.id ? String(group.id).trim() : generateId('grp-'),
+        name: String(group.name || '').trim(),
+        required: Boolean(group.required),
+        multiSelect: Boolean(group.multiSelect),
+        options: (Array.isArray(group.options) ? group.options : [])
+            .map(option => ({
+                id: option.id ? String(option.id).trim() : generateId('opt-'),
+                name: String(option.name || '').trim(),
+                priceDelta: Math.round(parseFloat(option.priceDelta || 0) * 100) / 100
+            }))
+            .filter(option => option.name !== '')
+    }));
+}
+
+/**
+ * Sanitize and normalize a combo's component slots
+ * A slot holds either a fixed item or a category to choose one item from.
+ * @param {Array} slots - Slots ({id, name, itemId} or {id, name, category})
+ * @returns {Array} Sanitized slots
+ */
+function sanitizeBundleSlots(slots) {
+    if (!Array.isArray(slots)) return [];
+
+    return slots.map(slot => {
+        const itemId = slot.itemId ? String(slot.itemId).trim() : '';
+        return {
+            id: slot.id ? String(slot.id).trim() : generateId('slot-'),
+            name: String(slot.name || '').trim(),
+            itemId: itemId || null,
+            category: itemId ? null : (String(slot.category || '').trim() || null)
+        };
+    });
+}
+
+/**
+ * Validate the items chosen for a combo's slots
+ * @param {Object} item - Combo menu item with bundleSlots
+ * @param {Object} choices - Map of slotId -> chosen menu item ID
+ * @param {Array} menu - Menu items
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateBundleSelection(item, choices, menu) {
+    const errors = [];
+
+    (item.bundleSlots || []).forEach(slot => {
+        const options = getBundleSlotOptions(slot, menu);
+        const chosen = options.find(option => String(option.id) === String(choices[slot.id]));
+        if (options.length === 0) {
+            errors.push(`${getBundleSlotName(slot, menu)} is no longer on the menu`);
+        } else if (!chosen) {
+            errors.push(`Please choose ${getBundleSlotName(slot, menu)}`);
+        } else if (isSoldOut(chosen)) {
+            errors.push(`${chosen.name} is sold out`);
+        }
+    });
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate modifier selections against an item's modifier groups
+ * @param {Object} item - Menu item with modifierGroups
+ * @param {Object} selections - Map of groupId -> array of selected option IDs
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateModifierSelection(item, selections) {
+    const errors = [];
+
+    (item.modifierGroups || []).forEach(group => {
+        const chosen = selections[group.id] || [];
+        if (group.required && chosen.length === 0) {
+            errors.push(`Please choose ${group.name}`);
+        }
+        if (!group.multiSelect && chosen.length > 1) {
+            errors.push(`Only one ${group.name} can be chosen`);
+        }
+    });
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Build the list of chosen modifiers from modifier selections
+ * @param {Object} item - Menu item with modifierGroups
+ * @param {Object} selections - Map of groupId -> array of selected option IDs
+ * @returns {Array} Chosen modifiers ({groupId, groupName, optionId, name, priceDelta})
+ */
+function buildChosenModifiers(item, selections) {
+    const modifiers = [];
+
+    (item.modifierGroups || []).forEach(group => {
+        const chosen = selections[group.id] || [];
+        group.options.forEach(option => {
+            if (chosen.includes(option.id)) {
+                modifiers.push({
+                    groupId: group.id,
+                    groupName: group.name,
+                    optionId: option.id,
+                    name: option.name,
+                    priceDelta: option.priceDelta || 0
+                });
+            }
+        });
+    });
+
+    return modifiers;
+}
+
+/**
+ * Build the basket line key for an item and its chosen modifiers (and combo components)
+ * Two lines only merge when item, options and components are identical
+ * @param {string|number} itemId - Menu item ID
+ * @param {Array} modifiers - Chosen modifiers
+ * @param {Array} [components] - Chosen combo components
+ * @returns {string} Line key
+ */
+function getBasketLineKey(itemId, modifiers, components = []) {
+    const optionKeys = (modifiers || [])
+        .map(mod => `${mod.groupId}:${mod.optionId}`)
+        .sort();
+    const componentKeys = (components || [])
+        .map(component => `${component.slotId}=${component.id}`)
+        .sort();
+    return [String(itemId), ...optionKeys, ...componentKeys].join('|');
+}
+
+/**
+ * Get unit price of a basket or order line including modifier deltas
+ * @param {Object} line - Basket or order line
+ * @returns {number} Unit price
+ */
+function getLineUnitPrice(line) {
+    const delta = (line.modifiers || []).reduce((sum, mod) => sum + (mod.priceDelta || 0), 0);
+    return Math.round(((line.price || 0) + delta) * 100) / 100;
+}
+
+/**
+ * Format chosen modifiers for display (e.g., "Half Plate −₹30, Mayo +₹10")
+ * @param {Array} modifiers - Chosen modifiers
+ * @returns {string} Formatted modifiers, or empty string when none
+ */
+function formatModifiers(modifiers) {
+    return (modifiers || [])
+        .map(mod => {
+            const delta = mod.priceDelta || 0;
+            if (delta === 0) return mod.name;
+            return `${mod.name} ${delta > 0 ? '+' : '−'}${formatMoney(Math.abs(delta))}`;
+        })
+        .join(', ');
+}
+
+/**
+ * Validate a manual discount adjustment
+ * @param {Object} adjustment - Adjustment ({type, value, reason})
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateAdjustment(adjustment) {
+    const errors = [];
+    const value = parseFloat(adjustment.value);
+
+    if (!ADJUSTMENT_TYPES.includes(adjustment.type)) {
+        errors.push('Discount type is invalid');
+    }
+    if (isNaN(value) || !isFinite(value) || value <= 0) {
+        errors.push('Discount value must be greater than 0');
+    }
+    if (adjustment.type === 'percent' && value > 100) {
+        errors.push('Percentage discount cannot exceed 100%');
+    }
+    if (!adjustment.reason || String(adjustment.reason).trim() === '') {
+        errors.push('A reason is required for discounts');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate coupon data
+ * @param {Object} coupon - Coupon to validate
+ * @param {Array} existingCoupons - Coupons already saved (for duplicate codes)
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateCoupon(coupon, existingCoupons = []) {
+    const errors = [];
+
+    if (!coupon.code) {
+        errors.push('Coupon code is required');
+    } else if (existingCoupons.some(c => c.code === coupon.code && c.id !== coupon.id)) {
+        errors.push(`Coupon code ${coupon.code} already exists`);
+    }
+
+    if (coupon.type !== 'percent' && coupon.type !== 'flat') {
+        errors.push('Coupon type must be percent or flat');
+    }
+
+    if (isNaN(coupon.value) || coupon.value <= 0) {
+        errors.push('Coupon value must be greater than 0');
+    } else if (coupon.type === 'percent' && coupon.value > 100) {
+        errors.push('Percentage coupon cannot exceed 100%');
+    }
+
+    if (coupon.minSpend < 0) {
+        errors.push('Minimum spend cannot be negative');
+    }
+
+    if (coupon.validFrom && coupon.validTo && coupon.validFrom > coupon.validTo) {
+        errors.push('Valid-from date must be before valid-to date');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Sanitize and normalize coupon data
+ * Codes are stored upper-case so lookups are case-insensitive
+ * @param {Object} coupon - Coupon to sanitize
+ * @returns {Object} Sanitized coupon
+ */
+function sanitizeCoupon(coupon) {
+    return {
+        id: coupon.id ? String(coupon.id).trim() : generateId('cpn-'),
+        code: String(coupon.code || '').trim().toUpperCase(),
+        description: String(coupon.description || '').trim(),
+        type: coupon.type === 'flat' ? 'flat' : 'percent',
+        value: Math.round(parseFloat(coupon.value || 0) * 100) / 100,
+        minSpend: Math.round(parseFloat(coupon.minSpend || 0) * 100) / 100,
+        validFrom: coupon.validFrom || '',
+        validTo: coupon.validTo || '',
+        active: coupon.active !== false
+    };
+}
+
+/**
+ * Validate ingredient data
+ * @param {Object} ingredient - Ingredient to validate
+ * @param {Array} existingIngredients - Saved ingredients (for duplicate name checks)
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateIngredient(ingredient, existingIngredients = []) {
+    const errors = [];
+
+    if (!ingredient.name) {
+        errors.push('Ingredient name is required');
+    } else if (existingIngredients.some(i => i.name.toLowerCase() === ingredient.name.toLowerCase() && i.id !== ingredient.id)) {
+        errors.push(`Ingredient ${ingredient.name} already exists`);
+    }
+
+    if (!INGREDIENT_UNITS.some(unit => unit.id === ingredient.unit)) {
+        errors.push('Choose a unit');
+    }
+
+    if (isNaN(ingredient.unitCost) || ingredient.unitCost < 0) {
+        errors.push('Cost per unit must be 0 or more');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Sanitize and normalize ingredient data
+ * Unit costs keep four decimals so cheap units (per gram, per ml) stay accurate
+ * @param {Object} ingredient - Ingredient to sanitize
+ * @returns {Object} Sanitized ingredient
+ */
+function sanitizeIngredient(ingredient) {
+    return {
+        id: ingredient.id ? String(ingredient.id).trim() : generateId('ing-'),
+        name: String(ingredient.name || '').trim(),
+        unit: String(ingredient.unit || '').trim(),
+        unitCost: Math.round(parseFloat(ingredient.unitCost || 0) * 10000) / 10000
+    };
+}
+
+/**
+ * Validate customer data
+ * @param {Object} customer - Customer to validate
+ * @param {Array} existingCustomers - Saved customers (for duplicate phone checks)
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateCustomer(customer, existingCustomers = []) {
+    const errors = [];
+
+    if (!/^\+?[0-9]{6,15}$/.test(customer.phone)) {
+        errors.push('Phone must be 6 to 15 digits');
+    } else if (existingCustomers.some(c => c.phone === customer.phone && c.id !== customer.id)) {
+        errors.push(`A customer with phone ${customer.phone} already exists`);
+    }
+
+    if (!Number.isInteger(customer.points) || customer.points < 0) {
+        errors.push('Points must be a whole number of 0 or more');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Sanitize and normalize customer data
+ * Phones are stored without spaces or dashes so lookups match however they were typed
+ * @param {Object} customer - Customer to sanitize
+ * @returns {Object} Sanitized customer
+ */
+function sanitizeCustomer(customer) {
+    return {
+        id: customer.id ? String(customer.id).trim() : generateId('cus-'),
+        name: String(customer.name || '').trim(),
+        phone: normalizePhone(customer.phone),
+        notes: String(customer.notes || '').trim(),
+        points: parseInt(customer.points || 0, 10),
+        createdAt: customer.createdAt || new Date().toISOString()
+    };
+}
+
+/**
+ * Validate loyalty settings
+ * @param {Object} config - Loyalty settings
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateLoyaltyConfig(config) {
+    const errors = [];
+
+    if (isNaN(config.pointsPerUnit) || config.pointsPerUnit <= 0) {
+        errors.push('Points earned must be greater than 0');
+    }
+    if (isNaN(config.pointValue) || config.pointValue <= 0) {
+        errors.push('Point value must be greater than 0');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Sanitize and normalize loyalty settings
+ * Settings saved with the earlier pointsPerRupee name are read as pointsPerUnit.
+ * @param {Object} config - Loyalty settings
+ * @returns {Object} Sanitized loyalty settings
+ */
+function sanitizeLoyaltyConfig(config) {
+    const rate = config && (config.pointsPerUnit !== undefined ? config.pointsPerUnit : config.pointsPerRupee);
+    return {
+        enabled: Boolean(config && config.enabled),
+        pointsPerUnit: Math.round(parseFloat(rate) * 10000) / 10000,
+        pointValue: Math.round(parseFloat(config && config.pointValue) * 100) / 100
+    };
+}
+
+/**
+ * Sanitize and normalize tax configuration
+ * Drops rates without a name and rate references to rates that no longer exist
+ * @param {Object} config - Tax configuration
+ * @returns {Object} Sanitized tax configuration
+ */
+function sanitizeTaxConfig(config) {
+    const rates = (Array.isArray(config && config.rates) ? config.rates : [])
+        .map(rate => ({
+            id: rate.id ? String(rate.id).trim() : generateId('tax-'),
+            name: String(rate.name || '').trim(),
+            rate: Math.min(100, Math.max(0, Math.round(parseFloat(rate.rate || 0) * 1000) / 1000))
+        }))
+        .filter(rate => rate.name !== '');
+
+    const rateIds = rates.map(rate => rate.id);
+    const keepKnown = ids => (Array.isArray(ids) ? ids : []).filter(id => rateIds.includes(id));
+
+    const categoryRateIds = {};
+    Object.entries((config && config.categoryRateIds) || {}).forEach(([category, ids]) => {
+        categoryRateIds[category] = keepKnown(ids);
+    });
+
+    return {
+        taxInclusive: Boolean(config && config.taxInclusive),
+        rates,
+        defaultRateIds: keepKnown(config && config.defaultRateIds),
+        categoryRateIds
+    };
+}
+
+/**
+ * Validate shop profile data
+ * @param {Object} profile - Shop profile to validate
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateShopProfile(profile) {
+    const errors = [];
+
+    if (!profile.name || String(profile.name).trim() === '') {
+        errors.push('Shop name is required');
+    }
+
+    const symbol = String(profile.currencySymbol || '').trim();
+    if (symbol === '' || symbol.length > 4) {
+        errors.push('Currency symbol must be 1 to 4 characters');
+    }
+
+    const gstin = String(profile.gstin || '').trim().toUpperCase();
+    if (gstin && !/^[0-9]{2}[A-Z0-9]{13}$/.test(gstin)) {
+        errors.push('GSTIN must be 15 characters (e.g., 29ABCDE1234F1Z5)');
+    }
+
+    if (profile.logo && !/^data:image\//.test(profile.logo)) {
+        errors.push('Logo must be an image');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Sanitize and normalize shop profile data
+ * @param {Object} profile - Shop profile to sanitize
+ * @returns {Object} Sanitized shop profile
+ */
+function sanitizeShopProfile(profile) {
+    return {
+        name: String(profile.name || '').trim(),
+        address: String(profile.address || '').trim(),
+        phone: String(profile.phone || '').trim(),
+        gstin: String(profile.gstin || '').trim().toUpperCase(),
+        logo: profile.logo ? String(profile.logo) : '',
+        currencySymbol: String(profile.currencySymbol || '').trim(),
+        receiptFooter: String(profile.receiptFooter || '').trim()
+    };
+}
+
+/**
+ * Sanitize dine-in table list: trimmed, non-empty and unique
+ * @param {Array} tables - Table names
+ * @returns {string[]} Sanitized table names
+ */
+function sanitizeTables(tables) {
+    const seen = new Set();
+    return (Array.isArray(tables) ? tables : [])
+        .map(table => String(table || '').trim())
+        .filter(table => {
+            if (table === '' || seen.has(table.toLowerCase())) return false;
+            seen.add(table.toLowerCase());
+            return true;
+        });
+}
+
+/**
+ * Validate order details chosen in the basket (type, table, customer, ready time)
+ * @param {Object} details - Order details ({orderType, table, customerName, customerPhone, scheduledFor})
+ * @param {string[]} tables - Configured table names
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateOrderDetails(details, tables = []) {
+    const errors = [];
+
+    if (!ORDER_TYPES.some(type => type.id === details.orderType)) {
+        errors.push('Choose an order type');
+    }
+
+    if (details.orderType === 'dine-in') {
+        if (!details.table) {
+            errors.push('Choose a table for dine-in orders');
+        } else if (!tables.includes(details.table)) {
+            errors.push(`Table ${details.table} is not in the table list`);
+        }
+    }
+
+    const phone = String(details.customerPhone || '').replace(/[\s-]/g, '');
+    if (phone && !/^\+?[0-9]{6,15}$/.test(phone)) {
+        errors.push('Customer phone must be 6 to 15 digits');
+    }
+
+    if (details.orderType === 'delivery' && !phone) {
+        errors.push('Customer phone is required for delivery');
+    }
+
+    if (details.scheduledFor && details.orderType !== 'dine-in') {
+        const readyAt = new Date(details.scheduledFor);
+        if (isNaN(readyAt.getTime())) {
+            errors.push('Ready time is not a valid date and time');
+        } else if (readyAt <= new Date()) {
+            errors.push('Ready time must be in the future');
+        }
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a sync relay address
+ * @param {string} url - Relay address (e.g., "ws://192.168.1.10:8787")
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateSyncServerUrl(url) {
+    const errors = [];
+    const value = String(url || '').trim();
+
+    if (value === '') {
+        errors.push('Relay address is required');
+    } else if (!/^wss?:\/\/[^\s/]+/i.test(value)) {
+        errors.push('Relay address must start with ws:// or wss:// (e.g., ws://192.168.1.10:8787)');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a till code (the prefix on this device's order numbers)
+ * @param {string} code - Till code (e.g., "A")
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateTillCode(code) {
+    const errors = [];
+    const value = String(code || '').trim();
+
+    if (value !== '' && !/^[A-Za-z0-9]{1,3}$/.test(value)) {
+        errors.push('Till code must be 1 to 3 letters or digits');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a void
+ * @param {{reason: string}} details - Void details
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateVoid(details) {
+    const errors = [];
+
+    if (!details.reason || String(details.reason).trim() === '') {
+        errors.push('A reason is required to void an order');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a refund
+ * @param {{amount: number, method: string, reason: string}} refund - Refund
+ * @param {number} refundable - Most that can be refunded
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateRefund(refund, refundable) {
+    const errors = [];
+
+    const amount = parseFloat(refund.amount);
+    if (isNaN(amount) || !isFinite(amount) || amount <= 0) {
+        errors.push('Refund amount must be greater than 0');
+    } else if (amount > refundable + 0.005) {
+        errors.push(`Refund cannot exceed ${formatMoney(refundable)}`);
+    }
+
+    if (!PAYMENT_METHODS.some(m => m.id === refund.method)) {
+        errors.push('Choose how the refund is paid out');
+    }
+
+    if (!refund.reason || String(refund.reason).trim() === '') {
+        errors.push('A reason is required for a refund');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate an edited order
+ * @param {Object} order - Order after the edit
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateOrderEdit(order) {
+    const errors = [];
+
+    if (!order.items || order.items.length === 0) {
+        errors.push('An order needs at least one item (void it instead)');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a staff profile before it is saved
+ * @param {{name: string, role: string, pin: string}} fields - Name, role and PIN (blank keeps the old PIN when editing)
+ * @param {Array} staffList - Current staff profiles
+ * @param {Object|null} existing - Profile being edited (null for a new one)
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateStaffMember(fields, staffList, existing = null) {
+    const errors = [];
+    const others = staffList.filter(member => !existing || member.id !== existing.id);
+
+    if (!fields.name || fields.name.trim() === '') {
+        errors.push('Name is required');
+    } else if (others.some(member => member.name.toLowerCase() === fields.name.trim().toLowerCase())) {
+        errors.push(`${fields.name.trim()} already has a profile`);
+    }
+
+    if (!STAFF_ROLES.some(role => role.id === fields.role)) {
+        errors.push('Choose a role');
+    }
+
+    if (!existing || fields.pin) {
+        if (!/^\d{4,6}$/.test(fields.pin || '')) {
+            errors.push('PIN must be 4 to 6 digits');
+        } else if (findStaffByPin(others, fields.pin)) {
+            errors.push('That PIN is already used by someone else');
+        }
+    }
+
+    // Someone must always be able to reach settings
+    const roles = [...others.map(member => member.role), fields.role];
+    if (!roles.includes('manager')) {
+        errors.push('Keep at least one manager');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
     };
 }
 
@@ -137,3 +877,117 @@ function isValidOrder(order) {
            isFinite(order.total);
 }
 
+/**
+ * Drop repeated orders, keeping the first copy of each ID
+ * An order restored from the archive can be in both the active and archived lists.
+ * @param {Array} orders - Orders (active and archived)
+ * @returns {Array} Orders with unique IDs
+ */
+function dedupeOrders(orders) {
+    const byId = new Map();
+    (orders || []).forEach(order => {
+        if (order && order.id && !byId.has(order.id)) byId.set(order.id, order);
+    });
+    return Array.from(byId.values());
+}
+
+/**
+ * Validate a cash drawer entry (opening float, counted cash, pay-in or pay-out)
+ * @param {Object} entry - {amount, type?, reason?}; type "in" | "out" marks a pay-in/pay-out, which needs a reason
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateCashEntry(entry) {
+    const errors = [];
+    const isMovement = entry.type === 'in' || entry.type === 'out';
+
+    const amount = parseFloat(entry.amount);
+    if (String(entry.amount).trim() === '' || isNaN(amount) || !isFinite(amount) || amount < 0) {
+        errors.push('Amount must be 0 or more');
+    } else if (isMovement && amount === 0) {
+        errors.push('Amount must be greater than 0');
+    }
+
+    if (isMovement && (!entry.reason || String(entry.reason).trim() === '')) {
+        errors.push(`A reason is required for a ${entry.type === 'in' ? 'pay-in' : 'pay-out'}`);
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a report date range
+ * @param {Object} range - {from, to} as "YYYY-MM-DD"
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function validateReportRange(range) {
+    const errors = [];
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(`${value}T00:00:00`).getTime());
+
+    if (!isDate(range.from)) {
+        errors.push('Choose a from date');
+    }
+    if (!isDate(range.to)) {
+        errors.push('Choose a to date');
+    }
+    if (errors.length === 0 && range.from > range.to) {
+        errors.push('From date must be on or before the to date');
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Get one page of a list
+ * @param {Array} items - Items
+ * @param {number} page - Page number (1-based; clamped to the pages there are)
+ * @param {number} pageSize - Items per page
+ * @returns {{items: Array, page: number, pageCount: number}}
+ */
+function paginate(items, page, pageSize) {
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(1, page || 1), pageCount);
+    return {
+        items: items.slice((current - 1) * pageSize, current * pageSize),
+        page: current,
+        pageCount
+    };
+}
+
+/**
+ * Escape text for safe inclusion in HTML and SVG markup (print pages, chart labels)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Quote a value as a CSV field (RFC 4180)
+ * Fields with commas, double quotes or line breaks are wrapped in quotes, with inner quotes doubled.
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string} CSV field
+ */
+function escapeCSVField(value) {
+    const text = String(value == null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows of field values (RFC 4180, CRLF line endings)
+ * @param {Array<Array>} rows - Rows, header first
+ * @returns {string} CSV text
+ */
+function buildCSV(rows) {
+    return rows.map(row => row.map(escapeCSVField).join(',')).join('\r\n');
+}
@@ -0,0 +1,127 @@
+/**
+ * Stock for POS system
+ * Per-item stock counts: used up when an order is saved, put back when it is voided
+ * (a combo uses up the items it is made of)
+ */
+
+// Items at or below this many left are listed as low stock (unless the item sets its own level)
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Check whether an item's stock is counted
+ * @param {Object} item - Menu item
+ * @returns {boolean} True if the item has a stock count
+ */
+function isStockTracked(item) {
+    return Boolean(item && item.trackStock) && typeof item.stock === 'number';
+}
+
+/**
+ * Check whether an item has run out
+ * @param {Object} item - Menu item
+ * @returns {boolean} True if stock is counted and none is left
+ */
+function isSoldOut(item) {
+    return isStockTracked(item) && item.stock <= 0;
+}
+
+/**
+ * Get the level an item counts as low stock at
+ * @param {Object} item - Menu item
+ * @returns {number} Low stock level
+ */
+function getLowStockThreshold(item) {
+    return typeof item.lowStockThreshold === 'number' ? item.lowStockThreshold : DEFAULT_LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * Get how many more of an item can be added to the basket
+ * @param {Object} item - Menu item
+ * @param {Array} basketLines - Lines already in the basket
+ * @returns {number} Units left (Infinity when stock is not counted)
+ */
+function getAvailableStock(item, basketLines) {
+    if (!isStockTracked(item)) return Infinity;
+    return item.stock - (getStockUsage(basketLines)[item.id] || 0);
+}
+
+/**
+ * Add up units per menu item across order lines
+ * @param {Array} lines - Order or basket lines
+ * @returns {Object} Map of menu item ID -> quantity
+ */
+function getStockUsage(lines) {
+    const usage = {};
+    (lines || []).flatMap(expandBundleLine).forEach(part => {
+        if (!part.id) return;
+        usage[part.id] = (usage[part.id] || 0) + (part.quantity || 1);
+    });
+    return usage;
+}
+
+/**
+ * Work out the stock change between an order's lines before and after a change
+ * A new order has no lines before; a voided order has none after.
+ * @param {Array} beforeLines - Lines before
+ * @param {Array} afterLines - Lines after
+ * @returns {Object} Map of menu item ID -> change in stock (negative when used up)
+ */
+function getStockChange(beforeLines, afterLines) {
+    const before = getStockUsage(beforeLines);
+    const after = getStockUsage(afterLines);
+    const change = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(id => {
+        const delta = (before[id] || 0) - (after[id] || 0);
+        if (delta !== 0) change[id] = delta;
+    });
+    return change;
+}
+
+/**
+ * Find a counted item a change to some lines would need more of than is left
+ * Lines already saved on an order have used their stock, so only the increase has to fit.
+ * @param {Array} beforeLines - Lines already holding stock (none for the basket)
+ * @param {Array} afterLines - Lines after the change
+ * @param {Array} menu - Menu items (for current stock)
+ * @returns {Object|null} Item that runs short, or null when there is enough
+ */
+function findStockShortfall(beforeLines, afterLines, menu) {
+    const change = getStockChange(beforeLines, afterLines);
+    return (menu || []).find(item => isStockTracked(item) && change[item.id] < 0 && item.stock + change[item.id] < 0) || null;
+}
+
+/**
+ * Describe why an item can't be added (e.g., "Momos is sold out", "Only 2 Momos left")
+ * @param {Object} item - Menu item that runs short
+ * @returns {string} Message for the cashier
+ */
+function describeStockShortfall(item) {
+    return isSoldOut(item) ? `${item.name} is sold out` : `Only ${item.stock} ${item.name} left`;
+}
+
+/**
+ * Return a copy of the menu with a stock change applied to counted items
+ * Stock may go below zero when another device sold the last units at the same time,
+ * so putting a void back always restores the right count.
+ * @param {Array} menu - Menu items
+ * @param {Object} change - Change from getStockChange
+ * @returns {Array} Updated menu
+ */
+function applyStockChange(menu, change) {
+    return menu.map(item => {
+        if (!isStockTracked(item) || !change[item.id]) return item;
+        return { ...item, stock: item.stock + change[item.id] };
+    });
+}
+
+/**
+ * Get counted items that are running low, fewest left first
+ * Deleted (hidden) items are left out.
+ * @param {Array} menu - Menu items
+ * @returns {Array} Low stock items
+ */
+function getLowStockItems(menu) {
+    return (menu || [])
+        .filter(item => !item.hidden && isStockTracked(item) && item.stock <= getLowStockThreshold(item))
+        .sort((a, b) => a.stock - b.stock || (a.name || '').localeCompare(b.name || ''));
+}
@@ -0,0 +1,111 @@
+/**
+ * Kitchen display (KDS) helpers for POS system
+ * Picks active tickets, times them against thresholds and totals pending items
+ */
+
+/**
+ * Status columns shown on the kitchen display (Satisfied orders leave the board)
+ */
+const KDS_COLUMNS = ['Yet to prepare', 'Preparing', 'Prepared'];
+
+/**
+ * Default timer thresholds in minutes
+ */
+const DEFAULT_KDS_THRESHOLDS = {
+    warnMinutes: 10,
+    lateMinutes: 20
+};
+
+/**
+ * Get timer thresholds from settings
+ * @returns {{warnMinutes: number, lateMinutes: number}}
+ */
+function getKdsThresholds() {
+    const warn = parseInt(localStorage.kdsWarnMinutes, 10);
+    const late = parseInt(localStorage.kdsLateMinutes, 10);
+    return {
+        warnMinutes: warn > 0 ? warn : DEFAULT_KDS_THRESHOLDS.warnMinutes,
+        lateMinutes: late > 0 ? late : DEFAULT_KDS_THRESHOLDS.lateMinutes
+    };
+}
+
+/**
+ * Get orders the kitchen still has to deal with, oldest first
+ * Scheduled orders stay off the board until they join the queue and are ordered by when they joined.
+ * @param {Array} orders - Orders
+ * @returns {Array} Active orders
+ */
+function getActiveKitchenOrders(orders) {
+    const now = new Date();
+    return orders
+        .filter(order => !isOrderCancelled(order) && !isOrderUpcoming(order, now) && KDS_COLUMNS.includes(ORDER_STATUS_FLOW[getStatusIndex(order.status)]))
+        .sort((a, b) => getOrderQueueTime(a) - getOrderQueueTime(b));
+}
+
+/**
+ * Get when a ticket's clock starts: the oldest line not yet prepared,
+ * so an order with a fresh round is timed from that round.
+ * A scheduled order is timed from when it joined the queue, not from the phone call.
+ * @param {Object} order - Order
+ * @returns {string} ISO timestamp
+ */
+function getTicketStartTime(order) {
+    const pending = (order.items || [])
+        .filter(item => getStatusIndex(getLineStatus(item, order)) < getStatusIndex('Prepared'))
+        .map(item => item.addedAt || order.timestamp)
+        .sort();
+    const start = pending[0] || order.timestamp;
+    const queued = getOrderQueueTime(order).toISOString();
+    return queued > start ? queued : start;
+}
+
+/**
+ * Get the timer level for an elapsed time
+ * @param {number} elapsedMs - Elapsed milliseconds
+ * @param {{warnMinutes: number, lateMinutes: number}} thresholds - Timer thresholds
+ * @returns {string} "ok" | "warn" | "late"
+ */
+function getTimerLevel(elapsedMs, thresholds) {
+    const minutes = elapsedMs / 60000;
+    if (minutes >= thresholds.lateMinutes) return 'late';
+    if (minutes >= thresholds.warnMinutes) return 'warn';
+    return 'ok';
+}
+
+/**
+ * Format elapsed time as m:ss (or h:mm:ss past an hour)
+ * @param {number} elapsedMs - Elapsed milliseconds
+ * @returns {string} Formatted time
+ */
+function formatElapsed(elapsedMs) {
+    const totalSeconds = Math.max(0, Math.floor(elapsedMs / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
+
+/**
+ * Total the items still to be made across tickets ("all-day" counts)
+ * Lines that are yet to prepare or preparing count; prepared lines do not.
+ * @param {Array} orders - Active orders
+ * @returns {Array} Counts ({name, quantity}), largest first
+ */
+function computeAllDayCounts(orders) {
+    const counts = {};
+    orders.forEach(order => {
+        (order.items || []).forEach(item => {
+            if (getStatusIndex(getLineStatus(item, order)) >= getStatusIndex('Prepared')) return;
+            // A combo is counted as the items the kitchen makes for it
+            expandBundleLine(item).forEach(part => {
+                counts[part.name] = (counts[part.name] || 0) + (part.quantity || 1);
+            });
+        });
+    });
+
+    return Object.entries(counts)
+        .map(([name, quantity]) => ({ name, quantity }))
+        .sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name));
+}
@@ -2,6 +2,71 @@
  * Initial menu data for the POS system
  * Contains 12 items across three categories: Momos, Noodles, Fried Rice
  */
+
+/**
+ * Modifier groups shared by menu items
+ * Each group is required or optional, single or multi-select,
+ * and every option carries a price delta added to the item price
+ */
+const momoModifierGroups = [
+    {
+        id: 'portion',
+        name: 'Portion',
+        required: true,
+        multiSelect: false,
+        options: [
+            { id: 'full', name: 'Full Plate', priceDelta: 0 },
+            { id: 'half', name: 'Half Plate', priceDelta: -30 }
+        ]
+    },
+    {
+        id: 'spice',
+        name: 'Spice Level',
+        required: false,
+        multiSelect: false,
+        options: [
+            { id: 'mild', name: 'Mild', priceDelta: 0 },
+            { id: 'medium', name: 'Medium', priceDelta: 0 },
+            { id: 'extra-spicy', name: 'Extra Spicy', priceDelta: 0 }
+        ]
+    },
+    {
+        id: 'addons',
+        name: 'Add-ons',
+        required: false,
+        multiSelect: true,
+        options: [
+            { id: 'mayo', name: 'Mayo', priceDelta: 10 },
+            { id: 'extra-chutney', name: 'Extra Chutney', priceDelta: 5 },
+            { id: 'cheese-dip', name: 'Cheese Dip', priceDelta: 20 }
+        ]
+    }
+];
+
+const wokModifierGroups = [
+    {
+        id: 'spice',
+        name: 'Spice Level',
+        required: false,
+        multiSelect: false,
+        options: [
+            { id: 'mild', name: 'Mild', priceDelta: 0 },
+            { id: 'medium', name: 'Medium', priceDelta: 0 },
+            { id: 'extra-spicy', name: 'Extra Spicy', priceDelta: 0 }
+        ]
+    },
+    {
+        id: 'addons',
+        name: 'Add-ons',
+        required: false,
+        multiSelect: true,
+        options: [
+            { id: 'extra-egg', name: 'Extra Egg', priceDelta: 15 },
+            { id: 'extra-veggies', name: 'Extra Veggies', priceDelta: 20 }
+        ]
+    }
+];
+
 const initialMenu = [
     // Momos Category
     {
@@ -10,7 +75,8 @@ const initialMenu = [
         price: 80,
         category: "Momos",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: momoModifierGroups
     },
     {
         id: 2,
@@ -18,7 +84,8 @@ const initialMenu = [
         price: 90,
         category: "Momos",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: momoModifierGroups
     },
     {
         id: 3,
@@ -26,7 +93,8 @@ const initialMenu = [
         price: 100,
         category: "Momos",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: momoModifierGroups
     },
     {
         id: 4,
@@ -34,7 +102,8 @@ const initialMenu = [
         price: 110,
         category: "Momos",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: momoModifierGroups
     },
     
     // Noodles Category
@@ -44,7 +113,8 @@ const initialMenu = [
         price: 120,
         category: "Noodles",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: wokModifierGroups
     },
     {
         id: 6,
@@ -52,7 +122,8 @@ const initialMenu = [
         price: 150,
         category: "Noodles",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: wokModifierGroups
     },
     {
         id: 7,
@@ -60,7 +131,8 @@ const initialMenu = [
         price: 130,
         category: "Noodles",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: wokModifierGroups
     },
     {
         id: 8,
@@ -68,7 +140,8 @@ const initialMenu = [
         price: 140,
         category: "Noodles",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: wokModifierGroups
     },
     
     // Fried Rice Category
@@ -78,7 +151,8 @@ const initialMenu = [
         price: 110,
         category: "Fried Rice",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: wokModifierGroups
     },
     {
         id: 10,
@@ -86,7 +160,8 @@ const initialMenu = [
         price: 140,
         category: "Fried Rice",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: wokModifierGroups
     },
     {
         id: 11,
@@ -94,7 +169,8 @@ const initialMenu = [
         price: 125,
         category: "Fried Rice",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: wokModifierGroups
     },
     {
         id: 12,
@@ -102,7 +178,8 @@ const initialMenu = [
         price: 135,
         category: "Fried Rice",
         favorite: false,
-        hidden: false
+        hidden: false,
+        modifierGroups: wokModifierGroups
     }
 ];
 
@@ -0,0 +1,474 @@
+/**
+ * Order helpers for POS system
+ * Order types, dine-in tables, running tabs, adding lines to open orders,
+ * per-line preparation status and scheduled pickup times
+ */
+
+/**
+ * Supported order types
+ */
+const ORDER_TYPES = [
+    { id: 'dine-in', label: 'Dine-in' },
+    { id: 'takeaway', label: 'Takeaway' },
+    { id: 'delivery', label: 'Delivery' }
+];
+
+/**
+ * Preparation flow, shared by orders and their lines
+ */
+const ORDER_STATUS_FLOW = ['Yet to prepare', 'Preparing', 'Prepared', 'Satisfied'];
+
+/**
+ * Statuses from older data mapped onto the current flow
+ */
+const LEGACY_STATUS_MAP = {
+    'Ready': 'Prepared',
+    'Completed': 'Satisfied'
+};
+
+/**
+ * Final statuses outside the preparation flow; the order is kept for the record only
+ */
+const CANCELLED_STATUSES = ['Voided', 'Refunded'];
+
+/**
+ * Default dine-in tables used until the list is changed in settings
+ */
+const DEFAULT_TABLES = ['T1', 'T2', 'T3', 'T4'];
+
+/**
+ * Default minutes before its ready time that a scheduled order joins the active queue
+ */
+const DEFAULT_SCHEDULE_LEAD_MINUTES = 30;
+
+/**
+ * Get display label for an order type
+ * @param {string} type - Order type ID
+ * @returns {string} Label
+ */
+function getOrderTypeLabel(type) {
+    const found = ORDER_TYPES.find(t => t.id === type);
+    return found ? found.label : type;
+}
+
+/**
+ * Get an order's type, treating orders from before order types existed as takeaway
+ * @param {Object} order - Order
+ * @returns {string} Order type ID
+ */
+function getOrderType(order) {
+    return order.orderType || 'takeaway';
+}
+
+/**
+ * Get the table/type key an order is filtered and grouped by
+ * Dine-in orders are keyed by table ("table:T2"); others by type ("takeaway")
+ * @param {Object} order - Order
+ * @returns {string} Table key
+ */
+function getOrderTableKey(order) {
+    const type = getOrderType(order);
+    return type === 'dine-in' && order.table ? `table:${order.table}` : type;
+}
+
+/**
+ * Get display label for a table key
+ * @param {string} key - Table key from getOrderTableKey
+ * @returns {string} Label (e.g., "Table T2", "Takeaway")
+ */
+function getTableKeyLabel(key) {
+    return key.startsWith('table:') ? `Table ${key.slice(6)}` : getOrderTypeLabel(key);
+}
+
+/**
+ * Filter orders by table key
+ * @param {Array} orders - Orders
+ * @param {string} filter - "all" or a table key
+ * @returns {Array} Matching orders
+ */
+function filterOrdersByTable(orders, filter) {
+    if (!filter || filter === 'all') return orders;
+    return orders.filter(order => getOrderTableKey(order) === filter);
+}
+
+/**
+ * Group orders by table key: tables first (in natural order), then takeaway and delivery
+ * @param {Array} orders - Orders (order within each group is kept)
+ * @returns {Array} Groups ({key, label, orders})
+ */
+function groupOrdersByTable(orders) {
+    const groups = new Map();
+    orders.forEach(order => {
+        const key = getOrderTableKey(order);
+        if (!groups.has(key)) {
+            groups.set(key, { key, label: getTableKeyLabel(key), orders: [] });
+        }
+        groups.get(key).orders.push(order);
+    });
+
+    const rank = key => (key.startsWith('table:') ? 0 : ORDER_TYPES.findIndex(t => t.id === key) + 1);
+    return Array.from(groups.values()).sort((a, b) => {
+        return rank(a.key) - rank(b.key) || a.key.localeCompare(b.key, undefined, { numeric: true });
+    });
+}
+
+/**
+ * Get a status's position in the preparation flow
+ * @param {string} status - Status
+ * @returns {number} Index (0 for unknown statuses)
+ */
+function getStatusIndex(status) {
+    const index = ORDER_STATUS_FLOW.indexOf(LEGACY_STATUS_MAP[status] || status);
+    return index === -1 ? 0 : index;
+}
+
+/**
+ * Get a line's status, falling back to its order's for lines from before per-line status
+ * @param {Object} line - Order line
+ * @param {Object} order - Order the line belongs to
+ * @returns {string} Status
+ */
+function getLineStatus(line, order) {
+    return line.status || order.status || ORDER_STATUS_FLOW[0];
+}
+
+/**
+ * Derive an order's status from its lines: the least advanced line wins,
+ * so an order is Prepared only when every line is
+ * @param {Object} order - Order
+ * @returns {string} Status
+ */
+function deriveOrderStatus(order) {
+    const items = order.items || [];
+    if (items.length === 0) return order.status || ORDER_STATUS_FLOW[0];
+    const minIndex = Math.min(...items.map(item => getStatusIndex(getLineStatus(item, order))));
+    return ORDER_STATUS_FLOW[minIndex];
+}
+
+/**
+ * Set one line's status and re-derive the order status
+ * @param {Object} order - Order
+ * @param {string} lineId - Line ID
+ * @param {string} status - New line status
+ * @returns {Object} Updated order
+ */
+function setLineStatus(order, lineId, status) {
+    const items = (order.items || []).map(item => ({
+        ...item,
+        status: item.lineId === lineId ? status : getLineStatus(item, order)
+    }));
+    const updated = { ...order, items };
+    updated.status = deriveOrderStatus(updated);
+    return updated;
+}
+
+/**
+ * Move a whole order to a status by cascading to its lines
+ * Moving forward raises lines that are behind; moving backward lowers lines that are ahead.
+ * Lines already past the target on a forward move keep their progress.
+ * @param {Object} order - Order
+ * @param {string} status - New order status
+ * @returns {Object} Updated order (cancelled orders are returned unchanged)
+ */
+function applyOrderStatus(order, status) {
+    if (isOrderCancelled(order)) return order;
+
+    const target = getStatusIndex(status);
+    const forward = target >= getStatusIndex(order.status);
+
+    const items = (order.items || []).map(item => {
+        const lineStatus = getLineStatus(item, order);
+        const index = getStatusIndex(lineStatus);
+        const moves = forward ? index < target : index > target;
+        return { ...item, status: moves ? status : lineStatus };
+    });
+
+    const updated = { ...order, items, status };
+    if (items.length > 0) updated.status = deriveOrderStatus(updated);
+    return updated;
+}
+
+/**
+ * Whether an order's lines are at different preparation stages (e.g., after items were added)
+ * @param {Object} order - Order
+ * @returns {boolean}
+ */
+function hasMixedLineStatus(order) {
+    const statuses = new Set((order.items || []).map(item => getLineStatus(item, order)));
+    return statuses.size > 1;
+}
+
+/**
+ * Whether an order was voided or fully refunded
+ * @param {Object} order - Order
+ * @returns {boolean}
+ */
+function isOrderCancelled(order) {
+    return CANCELLED_STATUSES.includes(order.status);
+}
+
+/**
+ * Whether an order can still be voided: the kitchen has not started on any of it
+ * @param {Object} order - Order
+ * @returns {boolean}
+ */
+function canVoidOrder(order) {
+    if (isOrderCancelled(order)) return false;
+    return getStatusIndex(order.status) === 0
+        && (order.items || []).every(item => getStatusIndex(getLineStatus(item, order)) === 0);
+}
+
+/**
+ * Void an order; items, totals and payments are kept as they were for the record
+ * Anything already paid is refunded in full, so the money handed back is recorded like any refund.
+ * @param {Object} order - Order
+ * @param {string} reason - Why it was voided
+ * @param {string} [method] - Payment method the money goes back through
+ * @returns {Object} Voided order
+ */
+function voidOrder(order, reason, method = 'cash') {
+    const refundable = getRefundableAmount(order);
+    const refunded = refundable > 0 ? applyRefund(order, { amount: refundable, method, reason }) : order;
+    return {
+        ...refunded,
+        status: 'Voided',
+        tabOpen: false,
+        voided: {
+            reason: reason.trim(),
+            previousStatus: order.status,
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Find the open running tab for a table
+ * @param {Array} orders - Orders
+ * @param {string} table - Table name
+ * @returns {Object|null} Open tab order
+ */
+function findOpenTab(orders, table) {
+    if (!table) return null;
+    return orders.find(order => order.tabOpen && getOrderType(order) === 'dine-in' && order.table === table) || null;
+}
+
+/**
+ * Whether more items can be added to an order (not fully paid, or a running tab, and not cancelled)
+ * @param {Object} order - Order
+ * @returns {boolean}
+ */
+function isOrderOpenForAdditions(order) {
+    if (isOrderCancelled(order)) return false;
+    return Boolean(order.tabOpen) || getOrderPaymentStatus(order) !== 'paid';
+}
+
+/**
+ * Get orders that items can be added to, newest first
+ * @param {Array} orders - Orders
+ * @returns {Array} Open orders
+ */
+function getOpenOrders(orders) {
+    return orders
+        .filter(isOrderOpenForAdditions)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Append new lines to an existing order (a tab round or a late addition) and recompute its totals
+ * New lines get their own timestamp and start at "Yet to prepare"; lines already on the order
+ * keep the status they had, so the kitchen only sees the additions.
+ * Line IDs already on the order are suffixed so adjustments keep pointing at the right line.
+ * @param {Object} order - Order to add to
+ * @param {Array} lines - New order lines
+ * @param {Array} adjustments - Adjustments for the new lines (line or order scope)
+ * @param {Object|null} taxConfig - Tax configuration
+ * @returns {Object} Updated order
+ */
+function appendOrderLines(order, lines, adjustments, taxConfig) {
+    const round = (order.rounds || 1) + 1;
+    const addedAt = new Date().toISOString();
+    const existingLineIds = new Set((order.items || []).map(item => item.lineId));
+    const lineIdMap = {};
+
+    // Lines from before per-line timestamps take the order's
+    const existingItems = (order.items || []).map(item => ({
+        ...item,
+        addedAt: item.addedAt || order.timestamp,
+        status: item.status || order.status
+    }));
+
+    const newItems = lines.map(line => {
+        const lineId = existingLineIds.has(line.lineId) ? `${line.lineId}#${round}` : line.lineId;
+        lineIdMap[line.lineId] = lineId;
+        return { ...line, lineId, round, addedAt, status: 'Yet to prepare' };
+    });
+
+    const newAdjustments = adjustments.map(adj => (
+        adj.scope === 'line' ? { ...adj, lineId: lineIdMap[adj.lineId] || adj.lineId } : { ...adj }
+    ));
+
+    const items = [...existingItems, ...newItems];
+    const breakdown = calculatePriceBreakdown(items, [...(order.adjustments || []), ...newAdjustments], taxConfig);
+
+    return applyPayments({
+        ...order,
+        items,
+        rounds: round,
+        subtotal: breakdown.subtotal,
+        adjustments: breakdown.adjustments,
+        discountTotal: breakdown.discountTotal,
+        taxableValue: breakdown.taxableValue,
+        taxLines: breakdown.taxLines,
+        taxTotal: breakdown.taxTotal,
+        taxInclusive: breakdown.taxInclusive,
+        total: breakdown.total,
+        // The additions go back to the kitchen
+        status: 'Yet to prepare'
+    }, order.payments || []);
+}
+
+/**
+ * Whether an order's items can still be edited (not voided, refunded or partly refunded)
+ * @param {Object} order - Order
+ * @returns {boolean}
+ */
+function canEditOrder(order) {
+    return !isOrderCancelled(order) && (order.refunds || []).length === 0;
+}
+
+/**
+ * Get an order's lines ready for editing; lines from before line IDs existed get one
+ * from their position (the same key the history log matches them by)
+ * @param {Object} order - Order
+ * @returns {Array} Lines with lineId and status
+ */
+function getEditableOrderLines(order) {
+    return (order.items || []).map((item, index) => ({
+        ...item,
+        lineId: item.lineId || `#${index}`,
+        modifiers: (item.modifiers || []).map(mod => ({ ...mod })),
+        status: getLineStatus(item, order)
+    }));
+}
+
+/**
+ * Replace an order's lines after editing and recompute its totals
+ * Lines keep their preparation status. If more of a line the kitchen has already started is
+ * ordered, the extra quantity becomes a new line so only that goes back to the kitchen.
+ * Discounts on removed lines are dropped. If the new total is below what was paid, the difference
+ * is recorded as money given back (a negative tender in the last tender's method).
+ * @param {Object} order - Order being edited
+ * @param {Array} lines - Edited lines (from getEditableOrderLines, plus new ones)
+ * @param {Array} adjustments - Adjustments to keep
+ * @param {Object|null} taxConfig - Tax configuration
+ * @returns {Object} Updated order
+ */
+function editOrderLines(order, lines, adjustments, taxConfig) {
+    const previous = new Map(getEditableOrderLines(order).map(line => [line.lineId, line]));
+    const addedAt = new Date().toISOString();
+    const items = [];
+
+    lines.forEach(line => {
+        const before = previous.get(line.lineId);
+        if (!before) {
+            items.push({ ...line, addedAt, status: 'Yet to prepare' });
+            return;
+        }
+        const extra = (line.quantity || 1) - (before.quantity || 1);
+        if (extra > 0 && getStatusIndex(before.status) > 0) {
+            items.push({ ...line, quantity: before.quantity || 1, status: before.status });
+            items.push({ ...line, lineId: generateId(`${line.lineId}#`), quantity: extra, addedAt, status: 'Yet to prepare' });
+        } else {
+            items.push({ ...line, status: before.status });
+        }
+    });
+
+    const lineIds = new Set(items.map(item => item.lineId));
+    const keptAdjustments = adjustments.filter(adj => adj.scope !== 'line' || lineIds.has(adj.lineId));
+    const breakdown = calculatePriceBreakdown(items, keptAdjustments, taxConfig);
+
+    const payments = order.payments || [];
+    const overpaid = roundMoney(summarizePayments({ total: breakdown.total, payments }).paid - breakdown.total);
+    const givenBack = overpaid > 0 ? [{
+        id: generateId('pay-'),
+        method: payments[payments.length - 1].method,
+        amount: -overpaid,
+        timestamp: addedAt
+    }] : [];
+
+    const updated = applyPayments({
+        ...order,
+        items,
+        subtotal: breakdown.subtotal,
+        adjustments: breakdown.adjustments,
+        discountTotal: breakdown.discountTotal,
+        taxableValue: breakdown.taxableValue,
+        taxLines: breakdown.taxLines,
+        taxTotal: breakdown.taxTotal,
+        taxInclusive: breakdown.taxInclusive,
+        total: breakdown.total
+    }, [...payments, ...givenBack]);
+    updated.status = deriveOrderStatus(updated);
+    return updated;
+}
+
+/**
+ * Get how many minutes before its ready time a scheduled order joins the queue
+ * @returns {number} Lead time in minutes
+ */
+function getScheduleLeadMinutes() {
+    const lead = parseInt(localStorage.scheduleLeadMinutes, 10);
+    return lead >= 0 ? lead : DEFAULT_SCHEDULE_LEAD_MINUTES;
+}
+
+/**
+ * Get when an order joins the active queue
+ * Orders without a ready time are in the queue from when they were placed.
+ * @param {Object} order - Order
+ * @param {number} [leadMinutes] - Lead time (defaults to the setting)
+ * @returns {Date} Time the order is released to the queue
+ */
+function getOrderQueueTime(order, leadMinutes = getScheduleLeadMinutes()) {
+    const placed = new Date(order.timestamp);
+    if (!order.scheduledFor) return placed;
+    const release = new Date(new Date(order.scheduledFor).getTime() - leadMinutes * 60000);
+    return release > placed ? release : placed;
+}
+
+/**
+ * Whether an order is scheduled for later and not yet in the active queue
+ * @param {Object} order - Order
+ * @param {Date} [now] - Current time
+ * @param {number} [leadMinutes] - Lead time (defaults to the setting)
+ * @returns {boolean}
+ */
+function isOrderUpcoming(order, now = new Date(), leadMinutes = getScheduleLeadMinutes()) {
+    if (!order.scheduledFor || isOrderCancelled(order)) return false;
+    return getOrderQueueTime(order, leadMinutes) > now;
+}
+
+/**
+ * Split orders into upcoming (soonest ready time first) and those in the active queue
+ * @param {Array} orders - Orders
+ * @param {Date} [now] - Current time
+ * @returns {{upcoming: Array, active: Array}}
+ */
+function splitUpcomingOrders(orders, now = new Date()) {
+    const leadMinutes = getScheduleLeadMinutes();
+    const upcoming = [];
+    const active = [];
+    orders.forEach(order => (isOrderUpcoming(order, now, leadMinutes) ? upcoming : active).push(order));
+    upcoming.sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor));
+    return { upcoming, active };
+}
+
+/**
+ * Whether an order is scheduled for a day after the given day, so closing that day keeps it
+ * @param {Object} order - Order
+ * @param {string} dateKey - Day being closed (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isScheduledAfterDay(order, dateKey) {
+    if (!order.scheduledFor || isOrderCancelled(order)) return false;
+    return toDateKey(new Date(order.scheduledFor)) > dateKey;
+}
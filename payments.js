@@ -0,0 +1,147 @@
+/**
+ * Payment helpers for POS system
+ * Records tenders against orders, works out change and payment status
+ */
+
+/**
+ * Supported tender methods
+ */
+const PAYMENT_METHODS = [
+    { id: 'cash', label: 'Cash' },
+    { id: 'upi', label: 'UPI' },
+    { id: 'card', label: 'Card' },
+    { id: 'other', label: 'Other' }
+];
+
+/**
+ * Get display label for a payment method
+ * @param {string} method - Payment method ID
+ * @returns {string} Label
+ */
+function getPaymentMethodLabel(method) {
+    const found = PAYMENT_METHODS.find(m => m.id === method);
+    return found ? found.label : method;
+}
+
+/**
+ * Work out how much of a cash tender applies to the order and the change due
+ * @param {number} received - Cash handed over by the customer
+ * @param {number} due - Amount still owed on the order
+ * @returns {{amount: number, change: number}}
+ */
+function computeCashTender(received, due) {
+    const cash = Math.max(0, parseFloat(received) || 0);
+    const owed = Math.max(0, due || 0);
+    const amount = roundMoney(Math.min(cash, owed));
+    return {
+        amount,
+        change: roundMoney(cash - amount)
+    };
+}
+
+/**
+ * Get payment status for an order total and amount paid
+ * @param {number} total - Order total
+ * @param {number} paid - Amount paid so far
+ * @returns {string} "unpaid" | "partial" | "paid"
+ */
+function getPaymentStatus(total, paid) {
+    if (paid <= 0) return total <= 0 ? 'paid' : 'unpaid';
+    if (paid + 0.005 >= total) return 'paid';
+    return 'partial';
+}
+
+/**
+ * Summarize an order's tenders
+ * @param {Object} order - Order with optional payments array
+ * @returns {{paid: number, due: number, change: number, status: string}}
+ */
+function summarizePayments(order) {
+    const payments = order.payments || [];
+    const paid = roundMoney(payments.reduce((sum, p) => sum + (p.amount || 0), 0));
+    const change = roundMoney(payments.reduce((sum, p) => sum + (p.change || 0), 0));
+    const total = order.total || 0;
+    return {
+        paid,
+        due: roundMoney(Math.max(0, total - paid)),
+        change,
+        status: getPaymentStatus(total, paid)
+    };
+}
+
+/**
+ * Return a copy of an order with tenders applied and payment fields recomputed
+ * @param {Object} order - Order
+ * @param {Array} payments - Tenders ({id, method, amount, received?, change?, timestamp})
+ * @returns {Object} Updated order
+ */
+function applyPayments(order, payments) {
+    const updated = { ...order, payments: payments.map(p => ({ ...p })) };
+    const summary = summarizePayments(updated);
+    updated.amountPaid = summary.paid;
+    updated.paymentStatus = summary.status;
+    return updated;
+}
+
+/**
+ * Get payment status of an order, treating orders from before payments existed as unpaid
+ * @param {Object} order - Order
+ * @returns {string} "unpaid" | "partial" | "paid"
+ */
+function getOrderPaymentStatus(order) {
+    return order.paymentStatus || summarizePayments(order).status;
+}
+
+/**
+ * Total refunded on an order
+ * @param {Object} order - Order with optional refunds array
+ * @returns {number} Amount refunded
+ */
+function getRefundTotal(order) {
+    return roundMoney((order.refunds || []).reduce((sum, r) => sum + (r.amount || 0), 0));
+}
+
+/**
+ * Amount that can still be refunded: what was paid less what was already given back
+ * @param {Object} order - Order
+ * @returns {number} Refundable amount
+ */
+function getRefundableAmount(order) {
+    return roundMoney(Math.max(0, summarizePayments(order).paid - getRefundTotal(order)));
+}
+
+/**
+ * Whether an order can be refunded: preparation has started (earlier, it is voided instead)
+ * and some of what was paid has not been given back yet
+ * @param {Object} order - Order
+ * @returns {boolean}
+ */
+function canRefundOrder(order) {
+    if (isOrderCancelled(order) || canVoidOrder(order)) return false;
+    return getRefundableAmount(order) > 0;
+}
+
+/**
+ * Return a copy of an order with a refund recorded
+ * Refunding the whole order total marks the order Refunded; a partial refund keeps its status.
+ * @param {Object} order - Order
+ * @param {{amount: number, method: string, reason: string}} refund - Refund
+ * @returns {Object} Updated order
+ */
+function applyRefund(order, refund) {
+    const refunds = [...(order.refunds || []), {
+        id: generateId('ref-'),
+        amount: roundMoney(refund.amount),
+        method: refund.method,
+        reason: refund.reason.trim(),
+        timestamp: new Date().toISOString()
+    }];
+    const updated = { ...order, refunds };
+    updated.refundTotal = getRefundTotal(updated);
+    if (updated.refundTotal + 0.005 >= (order.total || 0)) {
+        updated.status = 'Refunded';
+        updated.tabOpen = false;
+    }
+    return updated;
+}
+
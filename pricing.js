@@ -0,0 +1,247 @@
+/**
+ * Pricing helpers for POS system
+ * Computes line subtotals, discount adjustments, taxes and order totals
+ */
+
+/**
+ * Adjustment types
+ * percent   - percentage off the line or order
+ * flat      - fixed amount off the line or order
+ * free-item - one or more units of a line given away
+ */
+const ADJUSTMENT_TYPES = ['percent', 'flat', 'free-item'];
+
+/**
+ * Default tax configuration: CGST + SGST at 2.5% each on every item,
+ * with menu prices treated as tax-inclusive so totals match the menu
+ */
+const DEFAULT_TAX_CONFIG = {
+    taxInclusive: true,
+    rates: [
+        { id: 'cgst', name: 'CGST', rate: 2.5 },
+        { id: 'sgst', name: 'SGST', rate: 2.5 }
+    ],
+    defaultRateIds: ['cgst', 'sgst'],
+    categoryRateIds: {}
+};
+
+/**
+ * Round a money value to 2 decimals
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(value) {
+    return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Get line subtotal (unit price including modifiers × quantity)
+ * @param {Object} line - Basket or order line
+ * @returns {number} Line subtotal
+ */
+function getLineSubtotal(line) {
+    return roundMoney(getLineUnitPrice(line) * (line.quantity || 1));
+}
+
+/**
+ * Compute the amount an adjustment takes off its base
+ * The amount is never negative and never exceeds the base
+ * @param {Object} adjustment - Adjustment ({type, value})
+ * @param {number} base - Amount the adjustment applies to
+ * @param {Object|null} line - Line for line-level adjustments
+ * @returns {number} Discount amount
+ */
+function computeAdjustmentAmount(adjustment, base, line = null) {
+    const value = parseFloat(adjustment.value) || 0;
+    let amount = 0;
+
+    if (adjustment.type === 'percent') {
+        amount = base * Math.min(value, 100) / 100;
+    } else if (adjustment.type === 'flat') {
+        amount = value;
+    } else if (adjustment.type === 'free-item' && line) {
+        const units = Math.min(Math.max(1, Math.floor(value) || 1), line.quantity || 1);
+        amount = getLineUnitPrice(line) * units;
+    }
+
+    return roundMoney(Math.max(0, Math.min(amount, base)));
+}
+
+/**
+ * Resolve the tax rates that apply to a line
+ * An item's own taxRateIds win over its category's, which win over the default
+ * @param {Object} line - Basket or order line (with category and taxRateIds)
+ * @param {Object|null} taxConfig - Tax configuration
+ * @returns {Array} Tax rates ({id, name, rate})
+ */
+function getLineTaxRates(line, taxConfig) {
+    if (!taxConfig || !Array.isArray(taxConfig.rates)) return [];
+
+    let rateIds = taxConfig.defaultRateIds || [];
+    if (Array.isArray(line.taxRateIds)) {
+        rateIds = line.taxRateIds;
+    } else if (taxConfig.categoryRateIds && Array.isArray(taxConfig.categoryRateIds[line.category])) {
+        rateIds = taxConfig.categoryRateIds[line.category];
+    }
+
+    return taxConfig.rates.filter(rate => rateIds.includes(rate.id));
+}
+
+/**
+ * Calculate subtotal, applied adjustments, taxes and total for a set of lines
+ * Line-level adjustments apply first; order-level adjustments apply to what remains
+ * and are spread over lines pro rata so each line's tax is on its discounted value.
+ * With tax-inclusive pricing tax is backed out of the price; otherwise it is added on top.
+ * Coupons whose minimum spend the subtotal no longer reaches are left out and listed in dropped.
+ * @param {Array} lines - Basket or order lines (keyed by lineId)
+ * @param {Array} adjustments - Adjustments ({id, scope, lineId?, type, value, reason, couponCode?, minSpend?})
+ * @param {Object|null} taxConfig - Tax configuration (null for no tax)
+ * @returns {{subtotal: number, adjustments: Array, dropped: Array, discountTotal: number, taxableValue: number, taxLines: Array, taxTotal: number, taxInclusive: boolean, total: number}}
+ */
+function calculatePriceBreakdown(lines, adjustments = [], taxConfig = null) {
+    const lineRemaining = {};
+    let subtotal = 0;
+
+    (lines || []).forEach(line => {
+        const lineSubtotal = getLineSubtotal(line);
+        lineRemaining[line.lineId] = lineSubtotal;
+        subtotal += lineSubtotal;
+    });
+
+    const applied = [];
+    const dropped = (adjustments || []).filter(adj => adj.minSpend && subtotal < adj.minSpend);
+    const qualifying = (adjustments || []).filter(adj => !dropped.includes(adj));
+
+    // Line-level adjustments
+    qualifying.filter(adj => adj.scope === 'line').forEach(adj => {
+        const line = (lines || []).find(l => l.lineId === adj.lineId);
+        if (!line) return;
+        const amount = computeAdjustmentAmount(adj, lineRemaining[line.lineId], line);
+        lineRemaining[line.lineId] = roundMoney(lineRemaining[line.lineId] - amount);
+        applied.push({ ...adj, amount });
+    });
+
+    // Order-level adjustments
+    const afterLineDiscounts = roundMoney(Object.values(lineRemaining).reduce((sum, v) => sum + v, 0));
+    let remaining = afterLineDiscounts;
+    qualifying.filter(adj => adj.scope === 'order').forEach(adj => {
+        const amount = computeAdjustmentAmount(adj, remaining);
+        remaining = roundMoney(remaining - amount);
+        applied.push({ ...adj, amount });
+    });
+
+    const discountTotal = roundMoney(applied.reduce((sum, adj) => sum + adj.amount, 0));
+    const netAmount = roundMoney(subtotal - discountTotal);
+
+    // Taxes per line on the discounted line value
+    const orderShare = afterLineDiscounts > 0 ? remaining / afterLineDiscounts : 0;
+    const taxInclusive = Boolean(taxConfig && taxConfig.taxInclusive);
+    const taxByRate = {};
+    let taxableValue = 0;
+
+    (lines || []).forEach(line => {
+        const lineNet = lineRemaining[line.lineId] * orderShare;
+        const rates = getLineTaxRates(line, taxConfig);
+        const combinedRate = rates.reduce((sum, rate) => sum + rate.rate, 0);
+        const lineTaxable = taxInclusive ? lineNet / (1 + combinedRate / 100) : lineNet;
+        taxableValue += lineTaxable;
+
+        rates.forEach(rate => {
+            if (!taxByRate[rate.id]) {
+                taxByRate[rate.id] = { id: rate.id, name: rate.name, rate: rate.rate, taxableValue: 0, amount: 0 };
+            }
+            taxByRate[rate.id].taxableValue += lineTaxable;
+            taxByRate[rate.id].amount += lineTaxable * rate.rate / 100;
+        });
+    });
+
+    const taxLines = Object.values(taxByRate).map(taxLine => ({
+        ...taxLine,
+        taxableValue: roundMoney(taxLine.taxableValue),
+        amount: roundMoney(taxLine.amount)
+    }));
+    const taxTotal = roundMoney(taxLines.reduce((sum, taxLine) => sum + taxLine.amount, 0));
+
+    return {
+        subtotal: roundMoney(subtotal),
+        adjustments: applied,
+        dropped,
+        discountTotal,
+        taxableValue: taxInclusive ? roundMoney(netAmount - taxTotal) : roundMoney(taxableValue),
+        taxLines,
+        taxTotal,
+        taxInclusive,
+        total: taxInclusive ? netAmount : roundMoney(netAmount + taxTotal)
+    };
+}
+
+/**
+ * Describe an adjustment for display (e.g., "10% off", "₹20 off", "1 free")
+ * @param {Object} adjustment - Adjustment
+ * @returns {string} Description
+ */
+function describeAdjustment(adjustment) {
+    const label = adjustment.couponCode ? `Coupon ${adjustment.couponCode}` : (adjustment.reason || 'Discount');
+    if (adjustment.type === 'percent') return `${label} (${adjustment.value}% off)`;
+    if (adjustment.type === 'free-item') return `${label} (${adjustment.value || 1} free)`;
+    return `${label} (${formatMoney(adjustment.value)} off)`;
+}
+
+/**
+ * Check whether a coupon can be applied to a subtotal on a given date
+ * @param {Object} coupon - Coupon ({active, validFrom, validTo, minSpend})
+ * @param {number} subtotal - Basket subtotal
+ * @param {Date} now - Date to check against
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function checkCouponApplicable(coupon, subtotal, now = new Date()) {
+    const errors = [];
+    const today = toDateKey(now);
+
+    if (!coupon.active) {
+        errors.push(`Coupon ${coupon.code} is inactive`);
+    }
+    if (coupon.validFrom && today < coupon.validFrom) {
+        errors.push(`Coupon ${coupon.code} is valid from ${coupon.validFrom}`);
+    }
+    if (coupon.validTo && today > coupon.validTo) {
+        errors.push(`Coupon ${coupon.code} expired on ${coupon.validTo}`);
+    }
+    if (coupon.minSpend && subtotal < coupon.minSpend) {
+        errors.push(`Coupon ${coupon.code} needs a minimum spend of ${formatMoney(coupon.minSpend)}`);
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Build an order-level adjustment from a coupon
+ * @param {Object} coupon - Coupon
+ * @returns {Object} Adjustment
+ */
+function couponToAdjustment(coupon) {
+    return {
+        id: generateId('adj-'),
+        scope: 'order',
+        type: coupon.type,
+        value: coupon.value,
+        reason: coupon.description || `Coupon ${coupon.code}`,
+        couponCode: coupon.code,
+        minSpend: coupon.minSpend || 0
+    };
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+}
@@ -0,0 +1,480 @@
+/**
+ * Printing for POS system
+ * Builds receipts and kitchen tickets as print-optimized HTML (58mm/80mm rolls)
+ * and as ESC/POS byte streams for thermal printers
+ */
+
+/**
+ * Supported paper widths: CSS width and characters per line (Font A)
+ */
+const PAPER_WIDTHS = {
+    '58mm': { css: '58mm', chars: 32 },
+    '80mm': { css: '80mm', chars: 48 }
+};
+
+/**
+ * Get the remembered paper width
+ * @returns {string} "58mm" | "80mm"
+ */
+function getPaperWidth() {
+    return PAPER_WIDTHS[localStorage.receiptPaperWidth] ? localStorage.receiptPaperWidth : '58mm';
+}
+
+/**
+ * Get display label for an order (zero-padded number with its till code, or short ID)
+ * @param {Object} order - Order
+ * @returns {string} Order label (e.g., "0042" or "A-0042")
+ */
+function getOrderLabel(order) {
+    if (!order.orderNumber) return order.id.slice(-6);
+    const number = String(order.orderNumber).padStart(4, '0');
+    return order.orderPrefix ? `${order.orderPrefix}-${number}` : number;
+}
+
+/**
+ * Shared page styles for a roll width
+ * @param {string} paperWidth - "58mm" | "80mm"
+ * @returns {string} CSS
+ */
+function getPrintStyles(paperWidth) {
+    const width = PAPER_WIDTHS[paperWidth].css;
+    return `
+        @page { size: ${width} auto; margin: 0; }
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body { width: ${width}; padding: 3mm; font-family: 'Courier New', monospace; font-size: ${paperWidth === '58mm' ? '11px' : '13px'}; color: #000; }
+        .center { text-align: center; }
+        .bold { font-weight: 700; }
+        .row { display: flex; justify-content: space-between; gap: 4px; }
+        .row span:last-child { white-space: nowrap; }
+        .muted { font-size: 0.9em; }
+        hr { border: none; border-top: 1px dashed #000; margin: 4px 0; }
+        .shop-name { font-size: 1.4em; font-weight: 700; }
+        .big { font-size: 2em; font-weight: 700; }
+        .kt-item { font-size: 1.6em; font-weight: 700; margin: 4px 0; }
+        .kt-detail { font-size: 1.2em; margin-left: 1em; }
+        .logo { max-width: 60%; max-height: 20mm; display: block; margin: 0 auto 2mm; }
+    `;
+}
+
+/**
+ * Build receipt HTML for an order
+ * @param {Object} order - Order
+ * @param {Object} options - {paperWidth, shop}
+ * @returns {string} Full HTML document
+ */
+function buildReceiptHTML(order, options = {}) {
+    const paperWidth = options.paperWidth || getPaperWidth();
+    const shop = options.shop || getShopProfile();
+    const e = escapeHTML;
+
+    const lines = (order.items || []).map(item => {
+        const quantity = item.quantity || 1;
+        const modifiersText = formatModifiers(item.modifiers);
+        const componentsText = formatBundleComponents(item.components);
+        return `
+            <div class="row"><span>${quantity} x ${e(item.name)}</span><span>${formatMoney(roundMoney(getLineUnitPrice(item) * quantity))}</span></div>
+            ${componentsText ? `<div class="muted">&nbsp;&nbsp;${e(componentsText)}</div>` : ''}
+            ${modifiersText ? `<div class="muted">&nbsp;&nbsp;${e(modifiersText)}</div>` : ''}
+        `;
+    }).join('');
+
+    const adjustments = (order.adjustments || []).map(adj => `
+        <div class="row"><span>${e(describeAdjustment(adj))}</span><span>-${formatMoney(adj.amount)}</span></div>
+    `).join('');
+
+    const taxes = (order.taxLines || []).map(taxLine => `
+        <div class="row muted"><span>${e(taxLine.name)} ${taxLine.rate}%${order.taxInclusive ? ' (incl.)' : ''}</span><span>${formatMoney(taxLine.amount)}</span></div>
+    `).join('');
+
+    const payments = (order.payments || []).map(p => `
+        <div class="row muted"><span>${e(getPaymentMethodLabel(p.method))}</span><span>${formatMoney(p.received || p.amount)}</span></div>
+        ${p.change ? `<div class="row muted"><span>Change</span><span>${formatMoney(p.change)}</span></div>` : ''}
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Receipt ${e(getOrderLabel(order))}</title><style>${getPrintStyles(paperWidth)}</style></head>
+<body>
+    <div class="center">
+        ${shop.logo ? `<img class="logo" src="${e(shop.logo)}" alt="">` : ''}
+        <div class="shop-name">${e(shop.name)}</div>
+        ${shop.address ? `<div class="muted">${e(shop.address)}</div>` : ''}
+        ${shop.phone ? `<div class="muted">Ph: ${e(shop.phone)}</div>` : ''}
+        ${shop.gstin ? `<div class="muted">GSTIN: ${e(shop.gstin)}</div>` : ''}
+    </div>
+    <hr>
+    <div class="row"><span class="bold">Order ${e(getOrderLabel(order))}</span><span>${e(formatAbsoluteTime(order.timestamp))}</span></div>
+    ${order.scheduledFor ? `<div class="row bold"><span>Ready at</span><span>${e(formatScheduledTime(order.scheduledFor))}</span></div>` : ''}
+    <hr>
+    ${lines}
+    <hr>
+    ${typeof order.subtotal === 'number' ? `<div class="row"><span>Subtotal</span><span>${formatMoney(order.subtotal)}</span></div>` : ''}
+    ${adjustments}
+    ${taxes.length ? `<div class="row muted"><span>Taxable value</span><span>${formatMoney(order.taxableValue)}</span></div>${taxes}` : ''}
+    <div class="row bold big"><span>TOTAL</span><span>${formatMoney(order.total)}</span></div>
+    ${payments ? `<hr>${payments}` : ''}
+    ${shop.receiptFooter ? `<hr><div class="center muted">${e(shop.receiptFooter)}</div>` : ''}
+</body></html>`;
+}
+
+/**
+ * Build kitchen ticket HTML for an order: items, quantities, notes and order number only
+ * @param {Object} order - Order
+ * @param {Object} options - {paperWidth, items?} (items overrides order.items, e.g. for additions)
+ * @returns {string} Full HTML document
+ */
+function buildKitchenTicketHTML(order, options = {}) {
+    const paperWidth = options.paperWidth || getPaperWidth();
+    const items = options.items || order.items || [];
+    const e = escapeHTML;
+
+    const lines = items.map(item => {
+        const modifiersText = formatModifiers(item.modifiers);
+        return `
+            <div class="kt-item">${item.quantity || 1} x ${e(item.name)}</div>
+            ${(item.components || []).map(component => `<div class="kt-detail">+ ${e(component.name)}</div>`).join('')}
+            ${modifiersText ? `<div class="kt-detail">${e(modifiersText)}</div>` : ''}
+            ${item.note ? `<div class="kt-detail bold">NOTE: ${e(item.note)}</div>` : ''}
+        `;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Kitchen ${e(getOrderLabel(order))}</title><style>${getPrintStyles(paperWidth)}</style></head>
+<body>
+    <div class="center big">#${e(getOrderLabel(order))}</div>
+    <div class="center muted">${e(formatAbsoluteTime(order.timestamp))}</div>
+    ${order.scheduledFor ? `<div class="center bold">READY AT ${e(formatScheduledTime(order.scheduledFor))}</div>` : ''}
+    <hr>
+    ${lines}
+    <hr>
+</body></html>`;
+}
+
+/**
+ * Build shift report (X/Z) HTML for the receipt printer
+ * @param {Object} report - Report from buildShiftReport
+ * @param {Object} options - {paperWidth, shop}
+ * @returns {string} Full HTML document
+ */
+function buildShiftReportHTML(report, options = {}) {
+    const paperWidth = options.paperWidth || getPaperWidth();
+    const shop = options.shop || getShopProfile();
+    const e = escapeHTML;
+    const row = (label, value) => `<div class="row"><span>${e(label)}</span><span>${e(value)}</span></div>`;
+
+    const payments = Object.entries(report.byPaymentMethod)
+        .map(([method, amount]) => row(getPaymentMethodLabel(method), formatMoney(amount)))
+        .join('');
+
+    const movements = report.movements.map(m => `
+        <div class="row muted"><span>${e(getCashMovementLabel(m.type))}: ${e(m.reason)}</span><span>${m.type === 'out' ? '-' : ''}${formatMoney(m.amount)}</span></div>
+    `).join('');
+
+    const topItems = report.topItems.map(item => row(`${item.qty} x ${item.name}`, '')).join('');
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>${e(report.kind)} Report</title><style>${getPrintStyles(paperWidth)}</style></head>
+<body>
+    <div class="center">
+        <div class="shop-name">${e(shop.name)}</div>
+        <div class="big">${e(report.kind)} REPORT</div>
+    </div>
+    <hr>
+    ${row('Opened', formatAbsoluteTime(report.openedAt))}
+    ${report.openedBy ? row('By', report.openedBy.name) : ''}
+    ${row(report.kind === 'Z' ? 'Closed' : 'As of', formatAbsoluteTime(report.generatedAt))}
+    ${report.generatedBy ? row('By', report.generatedBy.name) : ''}
+    <hr>
+    ${row('Orders', report.orderCount)}
+    ${row('Gross sales', formatMoney(report.grossSales))}
+    ${row('Discounts', formatMoney(report.discounts))}
+    ${row('Refunds', formatMoney(report.refunds))}
+    <div class="row bold"><span>Net sales</span><span>${formatMoney(report.netSales)}</span></div>
+    ${row('Tax', formatMoney(report.taxCollected))}
+    ${row('Unpaid', formatMoney(report.unpaid))}
+    ${row('Voided', `${report.voidedCount} (${formatMoney(report.voidedTotal)})`)}
+    ${payments ? `<hr>${payments}` : ''}
+    <hr>
+    ${row('Opening float', formatMoney(report.openingFloat))}
+    ${movements}
+    ${row('Expected cash', formatMoney(report.expectedCash))}
+    ${row('Counted cash', report.countedCash === null ? '-' : formatMoney(report.countedCash))}
+    <div class="row bold"><span>Variance</span><span>${report.variance === null ? '-' : `${report.variance < 0 ? 'Short ' : report.variance > 0 ? 'Over ' : ''}${formatMoney(Math.abs(report.variance))}`}</span></div>
+    ${topItems ? `<hr><div class="bold">Top items</div>${topItems}` : ''}
+</body></html>`;
+}
+
+/**
+ * Print an HTML document through a hidden iframe (works in standalone PWA mode)
+ * @param {string} html - Full HTML document
+ */
+function printHTML(html) {
+    const frame = document.createElement('iframe');
+    frame.className = 'print-frame';
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    document.body.appendChild(frame);
+
+    const doc = frame.contentWindow.document;
+    doc.open();
+    doc.write(html);
+    doc.close();
+
+    setTimeout(() => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        setTimeout(() => {
+            if (frame.parentNode) frame.parentNode.removeChild(frame);
+        }, 1000);
+    }, 250);
+}
+
+/**
+ * ESC/POS command bytes
+ */
+const ESC_POS = {
+    INIT: [0x1b, 0x40],
+    ALIGN_LEFT: [0x1b, 0x61, 0x00],
+    ALIGN_CENTER: [0x1b, 0x61, 0x01],
+    BOLD_ON: [0x1b, 0x45, 0x01],
+    BOLD_OFF: [0x1b, 0x45, 0x00],
+    SIZE_NORMAL: [0x1d, 0x21, 0x00],
+    SIZE_DOUBLE: [0x1d, 0x21, 0x11],
+    SIZE_TALL: [0x1d, 0x21, 0x01],
+    FEED_AND_CUT: [0x1b, 0x64, 0x04, 0x1d, 0x56, 0x42, 0x00],
+    LF: [0x0a]
+};
+
+/**
+ * Word-wrap text to a fixed line width, breaking long words if needed
+ * @param {string} text - Text
+ * @param {number} width - Characters per line
+ * @returns {string[]} Lines (at least one)
+ */
+function wrapEscPosText(text, width) {
+    const lines = [];
+    let current = '';
+    text.split(' ').forEach(word => {
+        while (word.length > width) {
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            lines.push(word.slice(0, width));
+            word = word.slice(width);
+        }
+        if (!current) {
+            current = word;
+        } else if (current.length + 1 + word.length <= width) {
+            current += ' ' + word;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    });
+    lines.push(current);
+    return lines;
+}
+
+/**
+ * Small builder for ESC/POS byte streams
+ * Text is reduced to ASCII since printer code pages rarely include symbols like ₹
+ * @param {number} width - Characters per line
+ * @returns {Object} Builder with chainable methods and bytes()
+ */
+function createEscPosBuilder(width) {
+    const bytes = [];
+
+    const toAscii = (text) => String(text == null ? '' : text)
+        .replace(/₹/g, 'Rs.')
+        .replace(/€/g, 'EUR')
+        .replace(/£/g, 'GBP')
+        .replace(/[−–—]/g, '-')
+        .replace(/×/g, 'x')
+        .replace(/[^\x20-\x7e]/g, '?');
+
+    const builder = {
+        cmd(command) {
+            bytes.push(...command);
+            return builder;
+        },
+        text(text) {
+            const ascii = toAscii(text);
+            for (let i = 0; i < ascii.length; i++) {
+                bytes.push(ascii.charCodeAt(i));
+            }
+            return builder;
+        },
+        line(text = '') {
+            return builder.text(text).cmd(ESC_POS.LF);
+        },
+        // Left and right text on one line, left side word-wrapped if too long
+        row(left, right, lineWidth = width) {
+            const r = toAscii(right);
+            const lines = wrapEscPosText(toAscii(left), lineWidth);
+            let last = lines.pop();
+            lines.forEach(l => builder.line(l));
+            if (last.length + r.length + 1 > lineWidth) {
+                builder.line(last);
+                last = '';
+            }
+            return builder.line(r ? last + ' '.repeat(lineWidth - last.length - r.length) + r : last);
+        },
+        divider() {
+            return builder.line('-'.repeat(width));
+        },
+        bytes() {
+            return new Uint8Array(bytes);
+        }
+    };
+
+    return builder;
+}
+
+/**
+ * Build an ESC/POS receipt for an order
+ * @param {Object} order - Order
+ * @param {Object} options - {paperWidth, shop}
+ * @returns {Uint8Array} ESC/POS bytes
+ */
+function buildReceiptEscPos(order, options = {}) {
+    const paperWidth = options.paperWidth || getPaperWidth();
+    const shop = options.shop || getShopProfile();
+    const width = PAPER_WIDTHS[paperWidth].chars;
+    const p = createEscPosBuilder(width);
+
+    p.cmd(ESC_POS.INIT)
+        .cmd(ESC_POS.ALIGN_CENTER)
+        .cmd(ESC_POS.SIZE_DOUBLE).cmd(ESC_POS.BOLD_ON).line(shop.name).cmd(ESC_POS.BOLD_OFF).cmd(ESC_POS.SIZE_NORMAL);
+    if (shop.address) p.line(shop.address);
+    if (shop.phone) p.line(`Ph: ${shop.phone}`);
+    if (shop.gstin) p.line(`GSTIN: ${shop.gstin}`);
+
+    p.cmd(ESC_POS.ALIGN_LEFT).divider()
+        .row(`Order ${getOrderLabel(order)}`, formatAbsoluteTime(order.timestamp));
+    if (order.scheduledFor) p.cmd(ESC_POS.BOLD_ON).row('Ready at', formatScheduledTime(order.scheduledFor)).cmd(ESC_POS.BOLD_OFF);
+    p.divider();
+
+    (order.items || []).forEach(item => {
+        const quantity = item.quantity || 1;
+        p.row(`${quantity} x ${item.name}`, formatMoney(roundMoney(getLineUnitPrice(item) * quantity)));
+        const componentsText = formatBundleComponents(item.components);
+        if (componentsText) p.line(`  ${componentsText}`);
+        const modifiersText = formatModifiers(item.modifiers);
+        if (modifiersText) p.line(`  ${modifiersText}`);
+    });
+
+    p.divider();
+    if (typeof order.subtotal === 'number') p.row('Subtotal', formatMoney(order.subtotal));
+    (order.adjustments || []).forEach(adj => p.row(describeAdjustment(adj), `-${formatMoney(adj.amount)}`));
+    if ((order.taxLines || []).length > 0) {
+        p.row('Taxable value', formatMoney(order.taxableValue));
+        order.taxLines.forEach(taxLine => {
+            p.row(`${taxLine.name} ${taxLine.rate}%${order.taxInclusive ? ' (incl.)' : ''}`, formatMoney(taxLine.amount));
+        });
+    }
+
+    p.cmd(ESC_POS.BOLD_ON).cmd(ESC_POS.SIZE_TALL)
+        .row('TOTAL', formatMoney(order.total))
+        .cmd(ESC_POS.SIZE_NORMAL).cmd(ESC_POS.BOLD_OFF);
+
+    if ((order.payments || []).length > 0) {
+        p.divider();
+        order.payments.forEach(payment => {
+            p.row(getPaymentMethodLabel(payment.method), formatMoney(payment.received || payment.amount));
+            if (payment.change) p.row('Change', formatMoney(payment.change));
+        });
+    }
+
+    if (shop.receiptFooter) {
+        p.divider().cmd(ESC_POS.ALIGN_CENTER).line(shop.receiptFooter);
+    }
+    p.cmd(ESC_POS.FEED_AND_CUT);
+
+    return p.bytes();
+}
+
+/**
+ * Build an ESC/POS kitchen ticket for an order
+ * @param {Object} order - Order
+ * @param {Object} options - {paperWidth, items?}
+ * @returns {Uint8Array} ESC/POS bytes
+ */
+function buildKitchenTicketEscPos(order, options = {}) {
+    const paperWidth = options.paperWidth || getPaperWidth();
+    const items = options.items || order.items || [];
+    const width = PAPER_WIDTHS[paperWidth].chars;
+    const p = createEscPosBuilder(width);
+
+    p.cmd(ESC_POS.INIT)
+        .cmd(ESC_POS.ALIGN_CENTER)
+        .cmd(ESC_POS.SIZE_DOUBLE).cmd(ESC_POS.BOLD_ON).line(`#${getOrderLabel(order)}`).cmd(ESC_POS.BOLD_OFF).cmd(ESC_POS.SIZE_NORMAL)
+        .line(formatAbsoluteTime(order.timestamp));
+    if (order.scheduledFor) p.cmd(ESC_POS.BOLD_ON).line(`READY AT ${formatScheduledTime(order.scheduledFor)}`).cmd(ESC_POS.BOLD_OFF);
+    p.cmd(ESC_POS.ALIGN_LEFT).divider();
+
+    // Double size halves the characters per line
+    items.forEach(item => {
+        p.cmd(ESC_POS.SIZE_DOUBLE).cmd(ESC_POS.BOLD_ON)
+            .row(`${item.quantity || 1} x ${item.name}`, '', Math.floor(width / 2))
+            .cmd(ESC_POS.BOLD_OFF).cmd(ESC_POS.SIZE_TALL);
+        (item.components || []).forEach(component => p.line(`  + ${component.name}`));
+        const modifiersText = formatModifiers(item.modifiers);
+        if (modifiersText) p.line(`  ${modifiersText}`);
+        if (item.note) p.cmd(ESC_POS.BOLD_ON).line(`  NOTE: ${item.note}`).cmd(ESC_POS.BOLD_OFF);
+        p.cmd(ESC_POS.SIZE_NORMAL);
+    });
+
+    p.divider().cmd(ESC_POS.FEED_AND_CUT);
+
+    return p.bytes();
+}
+
+/**
+ * Save ESC/POS bytes as a .bin file (can be copied to a printer, e.g. `cat file > /dev/usb/lp0`)
+ * @param {Uint8Array} bytes - ESC/POS bytes
+ * @param {string} filename - File name
+ */
+function downloadEscPos(bytes, filename) {
+    const blob = new Blob([bytes], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Whether the browser can talk to a serial/USB-serial thermal printer
+ * @returns {boolean}
+ */
+function canSendToSerialPrinter() {
+    return typeof navigator !== 'undefined' && 'serial' in navigator;
+}
+
+/**
+ * Send ESC/POS bytes to a serial thermal printer via Web Serial
+ * @param {Uint8Array} bytes - ESC/POS bytes
+ * @returns {Promise<void>}
+ */
+async function sendToSerialPrinter(bytes) {
+    if (!canSendToSerialPrinter()) {
+        throw new Error('Web Serial is not supported in this browser');
+    }
+
+    const ports = await navigator.serial.getPorts();
+    const port = ports[0] || await navigator.serial.requestPort();
+    await port.open({ baudRate: parseInt(localStorage.printerBaudRate || '9600', 10) });
+    try {
+        const writer = port.writable.getWriter();
+        await writer.write(bytes);
+        writer.releaseLock();
+    } finally {
+        await port.close();
+    }
+}
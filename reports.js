@@ -0,0 +1,280 @@
+/**
+ * Sales reports for POS system
+ * Any from/to date range over active and archived orders, with period, category, hour and item breakdowns
+ * and food cost (COGS) and gross margin for items with recipes.
+ * Combos are reported as the items they are made of, each with its share of the combo's revenue.
+ */
+
+/**
+ * Period breakdowns
+ */
+const REPORT_PERIODS = [
+    { id: 'day', label: 'Daily' },
+    { id: 'week', label: 'Weekly' },
+    { id: 'month', label: 'Monthly' }
+];
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Get the period an order date falls in
+ * Weeks start on Monday and are keyed by that Monday's date.
+ * @param {Date} date - Date
+ * @param {string} period - "day" | "week" | "month"
+ * @returns {string} Period key ("YYYY-MM-DD" or "YYYY-MM")
+ */
+function getReportPeriodKey(date, period) {
+    if (period === 'month') {
+        return toDateKey(date).slice(0, 7);
+    }
+    if (period === 'week') {
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+        return toDateKey(monday);
+    }
+    return toDateKey(date);
+}
+
+/**
+ * Label a period key for display (e.g., "19 Oct", "Week of 13 Oct", "Oct 2026")
+ * @param {string} key - Period key from getReportPeriodKey
+ * @param {string} period - "day" | "week" | "month"
+ * @returns {string} Label
+ */
+function formatReportPeriod(key, period) {
+    const [year, month, day] = key.split('-').map(Number);
+    if (period === 'month') {
+        return `${MONTH_LABELS[month - 1]} ${year}`;
+    }
+    const label = `${day} ${MONTH_LABELS[month - 1]}`;
+    return period === 'week' ? `Week of ${label}` : label;
+}
+
+/**
+ * Pick a breakdown that keeps a trend chart readable for a date range
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {string} "day" | "week" | "month"
+ */
+function getTrendPeriod(from, to) {
+    const days = (new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / (24 * 60 * 60 * 1000) + 1;
+    if (days <= 31) return 'day';
+    if (days <= 120) return 'week';
+    return 'month';
+}
+
+/**
+ * Get a report's periods with the empty ones between from and to filled in (for trend charts)
+ * @param {Object} report - Report from buildSalesReport
+ * @returns {Array} Periods ({key, label, orders, revenue}), oldest first
+ */
+function fillReportPeriods(report) {
+    const byKey = new Map(report.periods.map(entry => [entry.key, entry]));
+    const filled = [];
+    const end = new Date(`${report.to}T00:00:00`);
+    const cursor = new Date(`${report.from}T00:00:00`);
+    if (report.period === 'month') cursor.setDate(1);
+    if (report.period === 'week') cursor.setDate(cursor.getDate() - ((cursor.getDay() + 6) % 7));
+
+    while (cursor <= end) {
+        const key = getReportPeriodKey(cursor, report.period);
+        filled.push(byKey.get(key) || { key, label: formatReportPeriod(key, report.period), orders: 0, revenue: 0 });
+        if (report.period === 'month') {
+            cursor.setMonth(cursor.getMonth() + 1);
+        } else {
+            cursor.setDate(cursor.getDate() + (report.period === 'week' ? 7 : 1));
+        }
+    }
+
+    return filled;
+}
+
+/**
+ * Split an order's sales over its lines
+ * Each line gets its value after its own discounts plus its share of order discounts, so the lines
+ * add up to the order's discounted subtotal (before any tax added on top). Orders saved before
+ * discounts existed are spread over their total.
+ * @param {Object} order - Order
+ * @returns {Array} Lines with revenue ({line, revenue})
+ */
+function getLineRevenues(order) {
+    const lines = order.items || [];
+    const adjustments = order.adjustments || [];
+
+    const remaining = lines.map(line => {
+        const lineDiscount = adjustments
+            .filter(adj => adj.scope === 'line' && adj.lineId === line.lineId)
+            .reduce((sum, adj) => sum + (adj.amount || 0), 0);
+        return Math.max(0, getLineSubtotal(line) - lineDiscount);
+    });
+    const remainingTotal = remaining.reduce((sum, value) => sum + value, 0);
+
+    const target = typeof order.subtotal === 'number'
+        ? order.subtotal - (order.discountTotal || 0)
+        : (order.total || 0);
+    const share = remainingTotal > 0 ? target / remainingTotal : 0;
+
+    return lines.map((line, index) => ({ line, revenue: remaining[index] * share }));
+}
+
+/**
+ * Add a line's cost to a category or item entry
+ * Margins are only worked out over lines that have a cost, so items without a recipe
+ * don't show up as pure profit.
+ * @param {Object} entry - Entry being added up
+ * @param {number} revenue - Line revenue
+ * @param {number|null} cost - Line cost (null without a recipe)
+ */
+function addLineCost(entry, revenue, cost) {
+    if (cost === null) return;
+    entry.cost += cost;
+    entry.costedRevenue += revenue;
+    entry.costedLines += 1;
+}
+
+/**
+ * Round an entry's money and finish its cost and margin
+ * @param {Object} entry - Entry with revenue (and cost, costedRevenue, costedLines when costed)
+ * @returns {Object} Entry ({..., revenue, cost?, margin?, marginPercent?}; cost fields null when nothing had a cost)
+ */
+function finishReportEntry(entry) {
+    if (!('costedLines' in entry)) {
+        return { ...entry, revenue: roundMoney(entry.revenue) };
+    }
+
+    const { costedRevenue, costedLines, ...rest } = entry;
+    const hasCost = costedLines > 0;
+    const margin = costedRevenue - entry.cost;
+    return {
+        ...rest,
+        revenue: roundMoney(entry.revenue),
+        cost: hasCost ? roundMoney(entry.cost) : null,
+        margin: hasCost ? roundMoney(margin) : null,
+        marginPercent: hasCost && costedRevenue > 0 ? Math.round((margin / costedRevenue) * 1000) / 10 : null
+    };
+}
+
+/**
+ * Build a sales report for a date range
+ * Voided orders are left out. Fully refunded orders count towards refunds but not towards
+ * category and item sales or costs.
+ * @param {Array} orders - Orders to look through (active and archived, see dedupeOrders)
+ * @param {Object} options - {from: "YYYY-MM-DD", to: "YYYY-MM-DD" (both inclusive, local dates),
+ *   period: "day" | "week" | "month", menu?: Array (categories and recipes for lines saved without them),
+ *   ingredients?: Array (costs for lines saved without one)}
+ * @returns {Object} Report ({from, to, period, summary, averageOrderValue, periods, byHour,
+ *   byWeekdayHour (7 rows, Monday first, of 24 order counts), byCategory, items, costing
+ *   ({cogs, grossMargin, grossMarginPercent, uncostedRevenue})})
+ */
+function buildSalesReport(orders, options) {
+    const period = options.period || 'day';
+    const menuById = new Map((options.menu || []).map(item => [item.id, item]));
+
+    const inRange = dedupeOrders(orders).filter(order => {
+        if (!order.timestamp) return false;
+        const dateKey = toDateKey(new Date(order.timestamp));
+        return dateKey >= options.from && dateKey <= options.to;
+    });
+
+    const summary = summarizeSales(inRange);
+    const salesOrders = inRange.filter(order => order.status !== 'Voided');
+
+    const periods = new Map();
+    const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, orders: 0, revenue: 0 }));
+    const byWeekdayHour = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    const categories = new Map();
+    const items = new Map();
+    const costing = { cost: 0, costedRevenue: 0, costedLines: 0, revenue: 0 };
+
+    salesOrders.forEach(order => {
+        const date = new Date(order.timestamp);
+        const revenue = (order.total || 0) - getRefundTotal(order);
+
+        const key = getReportPeriodKey(date, period);
+        if (!periods.has(key)) {
+            periods.set(key, { key, label: formatReportPeriod(key, period), orders: 0, revenue: 0 });
+        }
+        const periodEntry = periods.get(key);
+        periodEntry.orders += 1;
+        periodEntry.revenue += revenue;
+
+        const hourEntry = byHour[date.getHours()];
+        hourEntry.orders += 1;
+        hourEntry.revenue += revenue;
+        byWeekdayHour[(date.getDay() + 6) % 7][date.getHours()] += 1;
+
+        if (order.status === 'Refunded') return;
+
+        getLineRevenues(order)
+            .flatMap(({ line, revenue }) => splitLineRevenue(line, revenue))
+            .forEach(({ part, revenue: lineRevenue }) => {
+                const menuItem = menuById.get(part.id);
+                const category = part.category || (menuItem && menuItem.category) || 'Uncategorized';
+                const name = part.name || 'Unknown';
+                const quantity = part.quantity || 1;
+                const cost = getLineCost(part, menuById, options.ingredients);
+
+                if (!categories.has(category)) {
+                    categories.set(category, { category, quantity: 0, revenue: 0, cost: 0, costedRevenue: 0, costedLines: 0 });
+                }
+                const categoryEntry = categories.get(category);
+                categoryEntry.quantity += quantity;
+                categoryEntry.revenue += lineRevenue;
+                addLineCost(categoryEntry, lineRevenue, cost);
+
+                if (!items.has(name)) {
+                    items.set(name, { name, category, quantity: 0, revenue: 0, cost: 0, costedRevenue: 0, costedLines: 0 });
+                }
+                const itemEntry = items.get(name);
+                itemEntry.quantity += quantity;
+                itemEntry.revenue += lineRevenue;
+                addLineCost(itemEntry, lineRevenue, cost);
+
+                costing.revenue += lineRevenue;
+                addLineCost(costing, lineRevenue, cost);
+            });
+    });
+
+    const totalCosting = finishReportEntry(costing);
+
+    return {
+        from: options.from,
+        to: options.to,
+        period,
+        summary,
+        averageOrderValue: summary.totalOrders > 0 ? roundMoney(summary.totalRevenue / summary.totalOrders) : 0,
+        periods: Array.from(periods.values()).sort((a, b) => a.key.localeCompare(b.key)).map(finishReportEntry),
+        byHour: byHour.map(finishReportEntry),
+        byWeekdayHour,
+        byCategory: Array.from(categories.values()).map(finishReportEntry).sort((a, b) => b.revenue - a.revenue),
+        items: Array.from(items.values()).map(finishReportEntry).sort((a, b) => b.revenue - a.revenue || b.quantity - a.quantity),
+        costing: {
+            cogs: totalCosting.cost,
+            grossMargin: totalCosting.margin,
+            grossMarginPercent: totalCosting.marginPercent,
+            uncostedRevenue: roundMoney(costing.revenue - costing.costedRevenue)
+        }
+    };
+}
+
+/**
+ * Build a CSV export of a sales report (one section per breakdown)
+ * @param {Object} report - Report from buildSalesReport
+ * @returns {string} CSV text
+ */
+function buildSalesReportCSV(report) {
+    const rows = [['section', 'label', 'orders', 'quantity', 'revenue', 'cost', 'margin']];
+    const costCells = (entry) => [entry.cost === null ? '' : entry.cost, entry.margin === null ? '' : entry.margin];
+
+    rows.push(['summary', `${report.from} to ${report.to}`, report.summary.totalOrders, '', roundMoney(report.summary.netRevenue)]);
+    rows.push(['summary', 'average order value', '', '', report.averageOrderValue]);
+    rows.push(['summary', 'cost of goods sold', '', '', '', report.costing.cogs === null ? '' : report.costing.cogs,
+        report.costing.grossMargin === null ? '' : report.costing.grossMargin]);
+    report.periods.forEach(entry => rows.push(['period', entry.label, entry.orders, '', entry.revenue]));
+    report.byHour.filter(entry => entry.orders > 0).forEach(entry => {
+        rows.push(['hour', `${String(entry.hour).padStart(2, '0')}:00`, entry.orders, '', entry.revenue]);
+    });
+    report.byCategory.forEach(entry => rows.push(['category', entry.category, '', entry.quantity, entry.revenue, ...costCells(entry)]));
+    report.items.forEach(entry => rows.push(['item', entry.name, '', entry.quantity, entry.revenue, ...costCells(entry)]));
+
+    return buildCSV(rows);
+}
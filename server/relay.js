@@ -0,0 +1,498 @@
+#!/usr/bin/env node
+/**
+ * Sync relay for POS system
+ * Plain Node WebSocket/HTTP server (no dependencies) that replicates order and menu
+ * writes between devices on the shop network.
+ *
+ * Usage: node server/relay.js [--port 8787] [--data relay-data.json] [--retention-hours 36]
+ *
+ * Protocol (JSON text frames):
+ *   device -> relay  {type: 'hello', deviceId, since, epoch}
+ *                    {type: 'op', op: {opId, deviceId, kind, ...}}
+ *   relay -> device  {type: 'welcome', epoch, seq, ops}   ops newer than `since`
+ *                    {type: 'op', op}                      accepted op, sent to every device (sender included)
+ *                    {type: 'ack', opId, id?, status?}     op was already handled (resent after a dropped connection)
+ *                    {type: 'reject', opId, id, status}    status change lost a conflict; `status` is the winner
+ *
+ * Conflict rule for concurrent status changes: a status op carries the status its device
+ * saw (`from`). If the order is still at that status the op applies in either direction.
+ * Otherwise another device moved the order first, and the status furthest along the flow
+ * wins: a forward move still lands, a backward move is rejected. Status ops on a voided or
+ * refunded order are always rejected.
+ * Whole-order writes (saveOrder/updateOrder) and menu writes are last-write-wins in relay order.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD_BYTES = 5 * 1024 * 1024;
+const HEARTBEAT_MS = 30000;
+const PERSIST_DELAY_MS = 1000;
+
+const DEFAULT_OPTIONS = {
+    port: 8787,
+    data: path.join(__dirname, 'relay-data.json'),
+    retentionHours: 36
+};
+
+const OP_KINDS = ['saveOrder', 'updateOrder', 'updateOrderStatus', 'saveMenu'];
+
+// Mirrors ORDER_STATUS_FLOW and LEGACY_STATUS_MAP in orders.js
+const STATUS_FLOW = ['Yet to prepare', 'Preparing', 'Prepared', 'Satisfied'];
+const LEGACY_STATUS_MAP = {
+    'Ready': 'Prepared',
+    'Completed': 'Satisfied'
+};
+// Mirrors CANCELLED_STATUSES in orders.js
+const CANCELLED_STATUSES = ['Voided', 'Refunded'];
+
+/**
+ * Parse command line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options ({port, data, retentionHours})
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULT_OPTIONS };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        if (argv[i] === '--port') {
+            options.port = parseInt(value, 10) || DEFAULT_OPTIONS.port;
+            i++;
+        } else if (argv[i] === '--data') {
+            options.data = path.resolve(value);
+            i++;
+        } else if (argv[i] === '--retention-hours') {
+            options.retentionHours = parseFloat(value) || DEFAULT_OPTIONS.retentionHours;
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * Get a status's position in the preparation flow
+ * @param {string} status - Status
+ * @returns {number} Index (0 for unknown statuses)
+ */
+function getStatusIndex(status) {
+    const index = STATUS_FLOW.indexOf(LEGACY_STATUS_MAP[status] || status);
+    return index === -1 ? 0 : index;
+}
+
+/**
+ * Create an empty relay state
+ * The epoch changes whenever the log starts over, so devices know to resync from scratch.
+ * @returns {Object} State ({epoch, seq, ops, statusById, lastOpIdByDevice})
+ */
+function createRelayState() {
+    return {
+        epoch: crypto.randomBytes(8).toString('hex'),
+        seq: 0,
+        ops: [],
+        statusById: {},
+        lastOpIdByDevice: {}
+    };
+}
+
+/**
+ * Load relay state from disk, starting fresh if the file is missing or unreadable
+ * @param {string} file - Data file path
+ * @returns {Object} State
+ */
+function loadRelayState(file) {
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (data && data.epoch && Array.isArray(data.ops)) {
+            return { ...createRelayState(), ...data };
+        }
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error('[relay] Could not read data file, starting fresh:', err.message);
+        }
+    }
+    return createRelayState();
+}
+
+/**
+ * Write relay state to disk (via a temp file so a crash never leaves half a file)
+ * @param {string} file - Data file path
+ * @param {Object} state - State
+ */
+function saveRelayState(file, state) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Get the order ID an op touches
+ * @param {Object} op - Op
+ * @returns {string|number|null} Order ID
+ */
+function getOpOrderId(op) {
+    if (op.kind === 'updateOrderStatus') return op.id;
+    if (op.kind === 'saveOrder' || op.kind === 'updateOrder') return op.order.id;
+    return null;
+}
+
+/**
+ * Check an op from a device has the fields its kind needs
+ * @param {Object} op - Op
+ * @returns {boolean}
+ */
+function isValidOp(op) {
+    if (!op || !op.deviceId || !Number.isFinite(op.opId) || !OP_KINDS.includes(op.kind)) return false;
+    if (op.kind === 'saveMenu') return Array.isArray(op.menu);
+    if (op.kind === 'updateOrderStatus') return op.id !== undefined && typeof op.status === 'string';
+    return Boolean(op.order && op.order.id !== undefined);
+}
+
+/**
+ * Drop ops a new op supersedes: a whole-order write replaces every earlier op on that order,
+ * a menu write replaces earlier menu writes. Devices that missed the dropped ops still get
+ * the newer one, which has a higher seq.
+ * @param {Object} state - State
+ * @param {Object} op - New op
+ */
+function compactOps(state, op) {
+    if (op.kind === 'saveMenu') {
+        state.ops = state.ops.filter(entry => entry.kind !== 'saveMenu');
+    } else if (op.kind !== 'updateOrderStatus') {
+        const id = getOpOrderId(op);
+        state.ops = state.ops.filter(entry => entry.kind === 'saveMenu' || getOpOrderId(entry) !== id);
+    }
+}
+
+/**
+ * Drop order ops older than the retention window (the menu is always kept)
+ * @param {Object} state - State
+ * @param {number} retentionHours - Hours to keep order ops
+ * @param {number} now - Current time in ms
+ */
+function pruneOps(state, retentionHours, now) {
+    const cutoff = now - retentionHours * 3600000;
+    state.ops = state.ops.filter(entry => entry.kind === 'saveMenu' || Date.parse(entry.receivedAt) >= cutoff);
+
+    const liveIds = new Set(state.ops.map(getOpOrderId).filter(id => id !== null).map(String));
+    Object.keys(state.statusById).forEach(id => {
+        if (!liveIds.has(id)) delete state.statusById[id];
+    });
+}
+
+/**
+ * Apply an op from a device to the relay state
+ * @param {Object} state - State
+ * @param {Object} op - Op from a device
+ * @param {number} now - Current time in ms
+ * @returns {Object} Outcome: {type: 'accept', op} | {type: 'ack', ...} | {type: 'reject', ...}
+ */
+function applyOp(state, op, now) {
+    if (!isValidOp(op)) {
+        // Acknowledge so the device drops it instead of resending forever
+        return { type: 'ack', opId: op && op.opId };
+    }
+
+    const current = op.kind === 'updateOrderStatus' ? state.statusById[op.id] : undefined;
+
+    // Resent after a dropped connection: already handled, nothing to broadcast
+    if (op.opId <= (state.lastOpIdByDevice[op.deviceId] || 0)) {
+        return current !== undefined
+            ? { type: 'ack', opId: op.opId, id: op.id, status: current }
+            : { type: 'ack', opId: op.opId };
+    }
+    state.lastOpIdByDevice[op.deviceId] = op.opId;
+
+    // A voided or refunded order keeps that status whatever the other device saw
+    if (op.kind === 'updateOrderStatus' && current !== undefined
+        && (CANCELLED_STATUSES.includes(current)
+            || (current !== op.from && getStatusIndex(op.status) <= getStatusIndex(current)))) {
+        return { type: 'reject', opId: op.opId, id: op.id, status: current };
+    }
+
+    compactOps(state, op);
+    const entry = { ...op, seq: ++state.seq, receivedAt: new Date(now).toISOString() };
+    state.ops.push(entry);
+
+    if (op.kind === 'updateOrderStatus') {
+        state.statusById[op.id] = op.status;
+    } else if (op.kind !== 'saveMenu') {
+        state.statusById[op.order.id] = op.order.status;
+    }
+
+    return { type: 'accept', op: entry };
+}
+
+/**
+ * Get the ops a device has not seen yet
+ * @param {Object} state - State
+ * @param {number} since - Last seq the device applied
+ * @param {string} epoch - Epoch the device's seq belongs to
+ * @returns {Array} Ops in seq order
+ */
+function getOpsSince(state, since, epoch) {
+    const from = epoch === state.epoch ? (Number(since) || 0) : 0;
+    return state.ops.filter(entry => entry.seq > from);
+}
+
+/**
+ * Encode a server-to-client WebSocket frame (server frames are never masked)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Payload
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete frames off a connection's buffer
+ * @param {Object} conn - Connection ({buffer})
+ * @returns {Array|null} Frames ({fin, opcode, payload}), or null if a frame is too large
+ */
+function decodeFrames(conn) {
+    const frames = [];
+    while (conn.buffer.length >= 2) {
+        const buf = conn.buffer;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buf.length < 4) break;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) break;
+            length = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_PAYLOAD_BYTES) return null;
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buf.length < offset + length) break;
+
+        const payload = Buffer.from(buf.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buf[maskOffset + (i % 4)];
+            }
+        }
+        conn.buffer = buf.subarray(offset + length);
+        frames.push({ fin, opcode, payload });
+    }
+    return frames;
+}
+
+/**
+ * Start the relay
+ * @param {Object} options - Options ({port, data, retentionHours})
+ * @returns {http.Server} Server
+ */
+function startRelay(options) {
+    const state = loadRelayState(options.data);
+    const connections = new Set();
+    let persistTimer = null;
+
+    pruneOps(state, options.retentionHours, Date.now());
+
+    const persist = () => {
+        clearTimeout(persistTimer);
+        persistTimer = setTimeout(() => {
+            try {
+                saveRelayState(options.data, state);
+            } catch (err) {
+                console.error('[relay] Failed to save data file:', err.message);
+            }
+        }, PERSIST_DELAY_MS);
+    };
+
+    const send = (conn, message) => {
+        if (!conn.socket.destroyed) {
+            conn.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+        }
+    };
+
+    const close = (conn, code) => {
+        if (conn.socket.destroyed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        conn.socket.end(encodeFrame(0x8, payload));
+    };
+
+    const handleMessage = (conn, text) => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            return;
+        }
+
+        if (message.type === 'hello') {
+            conn.deviceId = String(message.deviceId || 'unknown');
+            send(conn, {
+                type: 'welcome',
+                epoch: state.epoch,
+                seq: state.seq,
+                ops: getOpsSince(state, message.since, message.epoch)
+            });
+            console.log(`[relay] Device ${conn.deviceId} connected (${connections.size} online)`);
+            return;
+        }
+
+        if (message.type === 'op') {
+            const outcome = applyOp(state, message.op, Date.now());
+            if (outcome.type === 'accept') {
+                connections.forEach(other => send(other, { type: 'op', op: outcome.op }));
+                persist();
+            } else {
+                send(conn, outcome);
+                if (outcome.type === 'reject') persist();
+            }
+        }
+    };
+
+    const handleData = (conn, chunk) => {
+        conn.buffer = Buffer.concat([conn.buffer, chunk]);
+        conn.alive = true;
+
+        const frames = decodeFrames(conn);
+        if (frames === null) {
+            close(conn, 1009);
+            return;
+        }
+
+        frames.forEach(frame => {
+            if (frame.opcode === 0x8) {
+                close(conn, 1000);
+            } else if (frame.opcode === 0x9) {
+                conn.socket.write(encodeFrame(0xa, frame.payload));
+            } else if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+                conn.fragments.push(frame.payload);
+                if (frame.fin) {
+                    const text = Buffer.concat(conn.fragments).toString('utf8');
+                    conn.fragments = [];
+                    handleMessage(conn, text);
+                }
+            }
+        });
+    };
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        if (req.method === 'GET' && req.url === '/status') {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({
+                epoch: state.epoch,
+                seq: state.seq,
+                ops: state.ops.length,
+                devices: Array.from(connections).map(conn => conn.deviceId).filter(Boolean)
+            }));
+            return;
+        }
+        res.statusCode = 404;
+        res.setHeader('Content-Type', 'text/plain');
+        res.end('POS sync relay. Connect with a WebSocket, or GET /status.\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const conn = { socket, buffer: Buffer.alloc(0), fragments: [], alive: true, deviceId: null };
+        connections.add(conn);
+
+        socket.on('data', chunk => handleData(conn, chunk));
+        // Upgraded sockets are half-open by default; close our side when the device goes away
+        socket.on('end', () => socket.end());
+        socket.on('error', () => socket.destroy());
+        socket.on('close', () => {
+            connections.delete(conn);
+            if (conn.deviceId) {
+                console.log(`[relay] Device ${conn.deviceId} disconnected (${connections.size} online)`);
+            }
+        });
+    });
+
+    // Drop devices that stopped answering pings (phones that slept or left the Wi-Fi)
+    const heartbeat = setInterval(() => {
+        connections.forEach(conn => {
+            if (!conn.alive) {
+                conn.socket.destroy();
+                return;
+            }
+            conn.alive = false;
+            conn.socket.write(encodeFrame(0x9, Buffer.alloc(0)));
+        });
+        pruneOps(state, options.retentionHours, Date.now());
+    }, HEARTBEAT_MS);
+
+    server.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(persistTimer);
+    });
+
+    server.listen(options.port, () => {
+        console.log(`[relay] Listening on port ${options.port} (data: ${options.data})`);
+    });
+
+    const shutdown = () => {
+        try {
+            saveRelayState(options.data, state);
+        } catch (err) {
+            console.error('[relay] Failed to save data file:', err.message);
+        }
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    return server;
+}
+
+if (require.main === module) {
+    startRelay(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = {
+    applyOp,
+    createRelayState,
+    getOpsSince,
+    pruneOps,
+    startRelay
+};
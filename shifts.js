@@ -0,0 +1,275 @@
+/**
+ * Shifts and cash drawer for POS system
+ * Opening float, pay-ins/pay-outs and the X (mid-shift) and Z (closing) reports
+ */
+
+/**
+ * Cash drawer movement types
+ */
+const CASH_MOVEMENT_TYPES = [
+    { id: 'in', label: 'Pay in' },
+    { id: 'out', label: 'Pay out' }
+];
+
+// Number of best sellers on shift reports
+const SHIFT_REPORT_TOP_ITEMS = 5;
+
+/**
+ * Get display label for a cash movement type
+ * @param {string} type - "in" | "out"
+ * @returns {string} Label
+ */
+function getCashMovementLabel(type) {
+    const match = CASH_MOVEMENT_TYPES.find(t => t.id === type);
+    return match ? match.label : type;
+}
+
+/**
+ * Add up sales for a set of orders (Totals panel and shift reports)
+ * Voided orders never count as sales; they are only reported as voids.
+ * @param {Array} orders - Orders
+ * @param {number} [topCount] - Number of best sellers to return
+ * @returns {Object} Totals ({totalOrders, totalRevenue, grossRevenue, discountTotal, refundTotal, netRevenue,
+ *   voidedCount, voidedTotal, taxableValue, taxCollected, byPaymentMethod, unpaidTotal, topItems})
+ */
+function summarizeSales(orders, topCount = 5) {
+    const voidedOrders = orders.filter(order => order.status === 'Voided');
+    const voidedTotal = voidedOrders.reduce((sum, order) => sum + (order.total || 0), 0);
+    const salesOrders = orders.filter(order => order.status !== 'Voided');
+
+    const totalOrders = salesOrders.length;
+    const totalRevenue = salesOrders.reduce((sum, order) => sum + (order.total || 0), 0);
+    const refundTotal = salesOrders.reduce((sum, order) => sum + getRefundTotal(order), 0);
+
+    // Gross is before discounts; orders saved before discounts existed have no subtotal
+    const grossRevenue = salesOrders.reduce((sum, order) => {
+        return sum + (typeof order.subtotal === 'number' ? order.subtotal : (order.total || 0));
+    }, 0);
+    const discountTotal = salesOrders.reduce((sum, order) => sum + (order.discountTotal || 0), 0);
+
+    // Orders saved before the tax engine count as fully taxable with no tax
+    const taxableValue = salesOrders.reduce((sum, order) => {
+        return sum + (typeof order.taxableValue === 'number' ? order.taxableValue : (order.total || 0));
+    }, 0);
+    const taxCollected = salesOrders.reduce((sum, order) => sum + (order.taxTotal || 0), 0);
+
+    // Revenue by tender method, for reconciling the drawer
+    const byPaymentMethod = {};
+    let unpaidTotal = 0;
+    salesOrders.forEach(order => {
+        (order.payments || []).forEach(payment => {
+            byPaymentMethod[payment.method] = (byPaymentMethod[payment.method] || 0) + (payment.amount || 0);
+        });
+        // Refunds are paid out of the drawer they went back through
+        (order.refunds || []).forEach(refund => {
+            byPaymentMethod[refund.method] = (byPaymentMethod[refund.method] || 0) - (refund.amount || 0);
+        });
+        if (!isOrderCancelled(order)) {
+            unpaidTotal += summarizePayments(order).due;
+        }
+    });
+
+    // Aggregate items sold (fully refunded orders gave everything back)
+    const itemsSold = {};
+    salesOrders.forEach(order => {
+        if (order.status === 'Refunded') return;
+        if (order.items && Array.isArray(order.items)) {
+            // Combos count as the items they are made of
+            order.items.flatMap(expandBundleLine).forEach(item => {
+                const itemName = item.name || 'Unknown';
+                const qty = item.quantity || 1;
+                itemsSold[itemName] = (itemsSold[itemName] || 0) + qty;
+            });
+        }
+    });
+
+    // Convert to array and sort
+    const topItems = Object.entries(itemsSold)
+        .map(([name, qty]) => ({ name, qty }))
+        .sort((a, b) => b.qty - a.qty)
+        .slice(0, topCount);
+
+    return {
+        totalOrders,
+        totalRevenue,
+        grossRevenue,
+        discountTotal,
+        refundTotal,
+        netRevenue: totalRevenue - refundTotal,
+        voidedCount: voidedOrders.length,
+        voidedTotal,
+        taxableValue,
+        taxCollected,
+        byPaymentMethod,
+        unpaidTotal,
+        topItems
+    };
+}
+
+/**
+ * Create a new open shift
+ * @param {number} openingFloat - Cash in the drawer at the start
+ * @param {Object|null} openedBy - Staff member ({id, name}) or null
+ * @returns {Object} Shift
+ */
+function createShift(openingFloat, openedBy) {
+    return {
+        id: generateId('shift-'),
+        openedAt: new Date().toISOString(),
+        openedBy,
+        openingFloat: roundMoney(openingFloat),
+        movements: [],
+        closedAt: null,
+        closedBy: null,
+        report: null
+    };
+}
+
+/**
+ * Return a copy of a shift with a pay-in or pay-out recorded
+ * @param {Object} shift - Open shift
+ * @param {{type: string, amount: number, reason: string}} movement - Movement ("in" | "out")
+ * @param {Object|null} by - Staff member ({id, name}) or null
+ * @returns {Object} Updated shift
+ */
+function addCashMovement(shift, movement, by) {
+    return {
+        ...shift,
+        movements: [...(shift.movements || []), {
+            id: generateId('cash-'),
+            type: movement.type,
+            amount: roundMoney(movement.amount),
+            reason: movement.reason.trim(),
+            timestamp: new Date().toISOString(),
+            by
+        }]
+    };
+}
+
+/**
+ * Get the shift that is still open, if any
+ * @param {Array} shifts - Saved shifts
+ * @returns {Object|null} Open shift
+ */
+function findOpenShift(shifts) {
+    return (shifts || []).find(shift => !shift.closedAt) || null;
+}
+
+/**
+ * Build an X or Z report for a shift
+ * Sales are the orders taken during the shift. Takings by payment method are the tenders and refunds
+ * made during the shift, so a tab opened earlier and settled now counts towards this drawer.
+ * @param {Object} shift - Shift
+ * @param {Array} orders - Orders to look through (active and archived, see dedupeOrders)
+ * @param {Object} options - {kind: "X" | "Z", countedCash?: number, at?: string, by?: Object|null}
+ * @returns {Object} Report
+ */
+function buildShiftReport(shift, orders, options = {}) {
+    const at = options.at || new Date().toISOString();
+    const inShift = (timestamp) => Boolean(timestamp) && timestamp >= shift.openedAt && timestamp <= at;
+
+    const allOrders = dedupeOrders(orders);
+
+    const sales = summarizeSales(allOrders.filter(order => inShift(order.timestamp)), SHIFT_REPORT_TOP_ITEMS);
+
+    // Voiding a paid order records a full refund, so its tenders and that refund cancel out here
+    const takings = {};
+    allOrders.forEach(order => {
+        (order.payments || []).forEach(payment => {
+            if (!inShift(payment.timestamp || order.timestamp)) return;
+            takings[payment.method] = roundMoney((takings[payment.method] || 0) + (payment.amount || 0));
+        });
+        (order.refunds || []).forEach(refund => {
+            if (!inShift(refund.timestamp)) return;
+            takings[refund.method] = roundMoney((takings[refund.method] || 0) - (refund.amount || 0));
+        });
+    });
+
+    const movements = shift.movements || [];
+    const payIns = roundMoney(movements.filter(m => m.type === 'in').reduce((sum, m) => sum + m.amount, 0));
+    const payOuts = roundMoney(movements.filter(m => m.type === 'out').reduce((sum, m) => sum + m.amount, 0));
+    const expectedCash = roundMoney((shift.openingFloat || 0) + (takings.cash || 0) + payIns - payOuts);
+    const countedCash = typeof options.countedCash === 'number' ? roundMoney(options.countedCash) : null;
+
+    return {
+        kind: options.kind || 'X',
+        shiftId: shift.id,
+        openedAt: shift.openedAt,
+        openedBy: shift.openedBy || null,
+        generatedAt: at,
+        generatedBy: options.by !== undefined ? options.by : null,
+        orderCount: sales.totalOrders,
+        grossSales: roundMoney(sales.grossRevenue),
+        discounts: roundMoney(sales.discountTotal),
+        refunds: roundMoney(sales.refundTotal),
+        netSales: roundMoney(sales.netRevenue),
+        taxCollected: roundMoney(sales.taxCollected),
+        unpaid: roundMoney(sales.unpaidTotal),
+        voidedCount: sales.voidedCount,
+        voidedTotal: roundMoney(sales.voidedTotal),
+        byPaymentMethod: takings,
+        openingFloat: shift.openingFloat || 0,
+        payIns,
+        payOuts,
+        movements,
+        expectedCash,
+        countedCash,
+        variance: countedCash === null ? null : roundMoney(countedCash - expectedCash),
+        topItems: sales.topItems
+    };
+}
+
+/**
+ * Return a copy of a shift closed with its Z report
+ * @param {Object} shift - Open shift
+ * @param {Object} report - Z report from buildShiftReport
+ * @returns {Object} Closed shift
+ */
+function closeShift(shift, report) {
+    return {
+        ...shift,
+        closedAt: report.generatedAt,
+        closedBy: report.generatedBy,
+        countedCash: report.countedCash,
+        report
+    };
+}
+
+/**
+ * Build a CSV export of a shift report (section, label, value rows)
+ * @param {Object} report - Report from buildShiftReport
+ * @returns {string} CSV text
+ */
+function buildShiftReportCSV(report) {
+    const rows = [['section', 'label', 'value']];
+    const add = (section, label, value) => rows.push([section, label, value]);
+
+    add('shift', 'report', `${report.kind} report`);
+    add('shift', 'opened', report.openedAt);
+    add('shift', 'openedBy', report.openedBy ? report.openedBy.name : '');
+    add('shift', report.kind === 'Z' ? 'closed' : 'generated', report.generatedAt);
+    add('shift', report.kind === 'Z' ? 'closedBy' : 'generatedBy', report.generatedBy ? report.generatedBy.name : '');
+    add('sales', 'orders', report.orderCount);
+    add('sales', 'gross', report.grossSales);
+    add('sales', 'discounts', report.discounts);
+    add('sales', 'refunds', report.refunds);
+    add('sales', 'net', report.netSales);
+    add('sales', 'tax', report.taxCollected);
+    add('sales', 'unpaid', report.unpaid);
+    add('sales', 'voided', `${report.voidedCount} (${report.voidedTotal})`);
+    Object.entries(report.byPaymentMethod).forEach(([method, amount]) => {
+        add('payments', getPaymentMethodLabel(method), amount);
+    });
+    add('cash', 'openingFloat', report.openingFloat);
+    add('cash', 'payIns', report.payIns);
+    add('cash', 'payOuts', report.payOuts);
+    add('cash', 'expected', report.expectedCash);
+    add('cash', 'counted', report.countedCash === null ? '' : report.countedCash);
+    add('cash', 'variance', report.variance === null ? '' : report.variance);
+    report.movements.forEach(m => {
+        add('movements', `${getCashMovementLabel(m.type)} ${m.timestamp}`, `${m.type === 'out' ? -m.amount : m.amount} ${m.reason}`);
+    });
+    report.topItems.forEach(item => add('topItems', item.name, item.qty));
+
+    return buildCSV(rows);
+}
@@ -0,0 +1,68 @@
+/**
+ * Shop profile for POS system
+ * Holds shop identity and currency used by receipts, exports, money display and the page title
+ */
+
+/**
+ * Default profile used until one is saved in settings
+ */
+const DEFAULT_SHOP_PROFILE = {
+    name: 'POS System',
+    address: '',
+    phone: '',
+    gstin: '',
+    logo: '',
+    currencySymbol: '₹',
+    receiptFooter: 'Thank you! Visit again.'
+};
+
+// Active shop profile (loaded from settings store)
+let shopProfile = { ...DEFAULT_SHOP_PROFILE };
+
+/**
+ * Get the active shop profile
+ * @returns {Object} Shop profile
+ */
+function getShopProfile() {
+    return shopProfile;
+}
+
+/**
+ * Set the active shop profile and update the page title
+ * @param {Object} profile - Shop profile
+ */
+function setShopProfile(profile) {
+    shopProfile = { ...DEFAULT_SHOP_PROFILE, ...profile };
+    if (typeof document !== 'undefined') {
+        document.title = shopProfile.name;
+    }
+}
+
+/**
+ * Get the active currency symbol
+ * @returns {string} Currency symbol
+ */
+function getCurrencySymbol() {
+    return shopProfile.currencySymbol || DEFAULT_SHOP_PROFILE.currencySymbol;
+}
+
+/**
+ * Format an amount with the shop's currency symbol (e.g., "₹120")
+ * @param {number|string} amount - Amount (already rounded or formatted)
+ * @returns {string} Formatted amount
+ */
+function formatMoney(amount) {
+    return `${getCurrencySymbol()}${amount}`;
+}
+
+/**
+ * Get a filename-safe prefix from the shop name (e.g., "Momo Corner" -> "momo-corner")
+ * @returns {string} File prefix
+ */
+function getShopFilePrefix() {
+    const slug = String(shopProfile.name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'pos';
+}
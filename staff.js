@@ -0,0 +1,219 @@
+/**
+ * Staff helpers for POS system
+ * Local staff profiles with hashed PINs, roles, the signed-in staff member
+ * and the permission checks built on them
+ */
+
+/**
+ * Staff roles
+ */
+const STAFF_ROLES = [
+    { id: 'cashier', label: 'Cashier' },
+    { id: 'kitchen', label: 'Kitchen' },
+    { id: 'manager', label: 'Manager' }
+];
+
+/**
+ * Roles allowed to do each guarded action
+ */
+const STAFF_PERMISSIONS = {
+    'settings': ['manager'],
+    'menu-admin': ['manager'],
+    'import': ['manager'],
+    'close-shop': ['manager'],
+    'status-backward': ['manager'],
+    'void-refund': ['manager'],
+    'archive': ['manager']
+};
+
+/**
+ * Labels for guarded actions (used in PIN prompts)
+ */
+const STAFF_PERMISSION_LABELS = {
+    'settings': 'Open settings',
+    'menu-admin': 'Change the menu',
+    'import': 'Import a backup',
+    'close-shop': 'Close the shop',
+    'status-backward': 'Move an order back',
+    'void-refund': 'Void or refund an order',
+    'archive': 'Restore or delete archived orders'
+};
+
+// Hash rounds for PINs; slows down guessing a PIN from a copied backup
+const PIN_HASH_ROUNDS = 200;
+
+// Round constants for SHA-256
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// Signed-in staff member (null while locked or when no staff are set up)
+let currentStaff = null;
+
+/**
+ * Get display label for a role
+ * @param {string} role - Role ID
+ * @returns {string} Label
+ */
+function getStaffRoleLabel(role) {
+    const found = STAFF_ROLES.find(r => r.id === role);
+    return found ? found.label : role;
+}
+
+/**
+ * SHA-256 of a string as hex
+ * Written out rather than using crypto.subtle, which browsers only offer on HTTPS and localhost
+ * and so is missing when the app is served to tablets over the shop network.
+ * @param {string} text - Text
+ * @returns {string} Hex digest
+ */
+function sha256Hex(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const bitLength = bytes.length * 8;
+    bytes.push(0x80);
+    while (bytes.length % 64 !== 56) bytes.push(0);
+    for (let i = 7; i >= 0; i--) {
+        bytes.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+    }
+
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < bytes.length; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = (hash[i] + value) | 0;
+        });
+    }
+
+    return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Hash a PIN with a staff member's salt
+ * @param {string} pin - PIN
+ * @param {string} salt - Salt
+ * @returns {string} Hash
+ */
+function hashPin(pin, salt) {
+    let hash = `${salt}:${pin}`;
+    for (let i = 0; i < PIN_HASH_ROUNDS; i++) {
+        hash = sha256Hex(`${salt}:${hash}`);
+    }
+    return hash;
+}
+
+/**
+ * Create or update a staff profile; the PIN is only kept as a salted hash
+ * @param {Object|null} existing - Profile being edited (null for a new one)
+ * @param {{name: string, role: string, pin: string}} fields - Name, role and PIN (blank keeps the old PIN)
+ * @returns {Object} Staff profile ({id, name, role, salt, pinHash})
+ */
+function buildStaffMember(existing, fields) {
+    const member = existing
+        ? { ...existing }
+        : { id: generateId('staff-'), salt: generateId('salt-') };
+    member.name = fields.name.trim();
+    member.role = fields.role;
+    if (fields.pin) {
+        member.salt = generateId('salt-');
+        member.pinHash = hashPin(fields.pin, member.salt);
+    }
+    return member;
+}
+
+/**
+ * Find the staff member a PIN belongs to
+ * @param {Array} staffList - Staff profiles
+ * @param {string} pin - PIN entered
+ * @returns {Object|null} Staff profile
+ */
+function findStaffByPin(staffList, pin) {
+    return staffList.find(member => member.pinHash === hashPin(pin, member.salt)) || null;
+}
+
+/**
+ * Whether a staff member may do an action
+ * With no staff set up everything is allowed, as before staff accounts existed.
+ * @param {Array} staffList - Staff profiles
+ * @param {Object|null} staff - Staff member
+ * @param {string} action - Action (see STAFF_PERMISSIONS)
+ * @returns {boolean}
+ */
+function isActionAllowed(staffList, staff, action) {
+    if (staffList.length === 0) return true;
+    const roles = STAFF_PERMISSIONS[action];
+    if (!roles) return Boolean(staff);
+    return Boolean(staff) && roles.includes(staff.role);
+}
+
+/**
+ * Get the signed-in staff member
+ * @returns {Object|null} Staff profile
+ */
+function getCurrentStaff() {
+    return currentStaff;
+}
+
+/**
+ * Get the signed-in staff member as stored on orders and history ({id, name})
+ * @returns {Object|null}
+ */
+function getCurrentStaffRef() {
+    return currentStaff ? { id: currentStaff.id, name: currentStaff.name } : null;
+}
+
+/**
+ * Sign a staff member in or out; the sign-in lasts until the tab is closed or locked
+ * @param {Object|null} staff - Staff profile (null to lock)
+ */
+function setCurrentStaff(staff) {
+    currentStaff = staff;
+    if (staff) {
+        sessionStorage.staffSessionId = staff.id;
+    } else {
+        sessionStorage.removeItem('staffSessionId');
+    }
+}
+
+/**
+ * Restore the sign-in from this tab's session
+ * @param {Array} staffList - Staff profiles
+ * @returns {Object|null} Signed-in staff member
+ */
+function restoreStaffSession(staffList) {
+    const member = staffList.find(s => s.id === sessionStorage.staffSessionId) || null;
+    currentStaff = member;
+    return member;
+}
@@ -4,13 +4,24 @@
  */
 
 const DB_NAME = 'POS_DB';
-const DB_VERSION = 2;
+const DB_VERSION = 9;
 const MENU_STORE = 'menu';
 const ORDERS_STORE = 'orders';
 const ARCHIVE_STORE = 'archive';
+const COUPONS_STORE = 'coupons';
+const SETTINGS_STORE = 'settings';
+const SYNC_QUEUE_STORE = 'sync_queue';
+const EVENTS_STORE = 'events';
+const SHIFTS_STORE = 'shifts';
+const INGREDIENTS_STORE = 'ingredients';
+const CUSTOMERS_STORE = 'customers';
+const CHANGE_CHANNEL_NAME = 'pos-changes';
 
 let db = null;
 
+// Tells other open tabs about writes (not delivered back to this tab)
+const changeChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANGE_CHANNEL_NAME) : null;
+
 /**
  * Initialize IndexedDB with objectStores for menu and orders
  * @returns {Promise<IDBDatabase>} Promise that resolves with the database instance
@@ -55,7 +66,35 @@ function initDB() {
                     }
                     if (!database.objectStoreNames.contains(ARCHIVE_STORE)) {
                         database.createObjectStore(ARCHIVE_STORE, { keyPath: 'id' });
+                    }
+                    if (!database.objectStoreNames.contains(COUPONS_STORE)) {
+                        database.createObjectStore(COUPONS_STORE, { keyPath: 'id' });
+                    }
+                    if (!database.objectStoreNames.contains(SETTINGS_STORE)) {
+                        database.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
                     }
+                    // Outgoing sync ops, in the order they were made
+                    if (!database.objectStoreNames.contains(SYNC_QUEUE_STORE)) {
+                        database.createObjectStore(SYNC_QUEUE_STORE, { keyPath: 'queueId', autoIncrement: true });
+                    }
+                    // Append-only order history (see audit.js)
+                    if (!database.objectStoreNames.contains(EVENTS_STORE)) {
+                        const eventsStore = database.createObjectStore(EVENTS_STORE, { keyPath: 'id' });
+                        eventsStore.createIndex('orderId', 'orderId', { unique: false });
+                        eventsStore.createIndex('at', 'at', { unique: false });
+                    }
+                    // Shifts with their Z reports; kept when orders are archived (see shifts.js)
+                    if (!database.objectStoreNames.contains(SHIFTS_STORE)) {
+                        database.createObjectStore(SHIFTS_STORE, { keyPath: 'id' });
+                    }
+                    // Ingredient catalog for recipe costing (see costing.js)
+                    if (!database.objectStoreNames.contains(INGREDIENTS_STORE)) {
+                        database.createObjectStore(INGREDIENTS_STORE, { keyPath: 'id' });
+                    }
+                    // Customer directory with loyalty balances (see customers.js)
+                    if (!database.objectStoreNames.contains(CUSTOMERS_STORE)) {
+                        database.createObjectStore(CUSTOMERS_STORE, { keyPath: 'id' });
+                    }
                 } catch (err) {
                     if (typeof handleError === 'function') {
                         handleError('Storage error: Database upgrade failed', err);
@@ -71,12 +110,49 @@ function initDB() {
     });
 }
 
+/**
+ * Tell other open tabs that data changed
+ * @param {Object} change - Change ({op, store: "orders" | "menu", order?}); orders changed in bulk have no order
+ */
+function broadcastChange(change) {
+    if (!changeChannel) return;
+    try {
+        changeChannel.postMessage(change);
+    } catch (err) {
+        console.error('Failed to broadcast change:', err);
+    }
+}
+
+/**
+ * Listen for data changes made in other tabs
+ * @param {Function} onChange - Callback with each change (see broadcastChange)
+ */
+function onStorageChange(onChange) {
+    if (changeChannel) {
+        changeChannel.onmessage = (event) => onChange(event.data);
+    }
+}
+
+/**
+ * Record the history events for an order write in the same transaction
+ * @param {IDBTransaction} transaction - Open transaction that includes the events store
+ * @param {Object|null} before - Order before the write (null if new)
+ * @param {Object} after - Order after the write
+ * @param {Object} options - Write options ({at} when the change was made, {by} who made it)
+ */
+function addOrderEvents(transaction, before, after, options) {
+    if (typeof buildOrderEvents !== 'function') return;
+    const store = transaction.objectStore(EVENTS_STORE);
+    buildOrderEvents(before, after, options.at, options.by).forEach(event => store.add(event));
+}
+
 /**
  * Save menu items to IndexedDB
  * @param {Array} menuArray - Array of menu items to save
+ * @param {Object} [options] - Options ({sync: false} keeps the write on this device)
  * @returns {Promise<void>}
  */
-function saveMenu(menuArray) {
+function saveMenu(menuArray, options = {}) {
     return new Promise((resolve, reject) => {
         try {
             if (!db) {
@@ -100,6 +176,10 @@ function saveMenu(menuArray) {
             });
 
             transaction.oncomplete = () => {
+                if (options.sync !== false && typeof recordSyncOp === 'function') {
+                    recordSyncOp({ kind: 'saveMenu', menu: menuArray });
+                }
+                broadcastChange({ op: 'saveMenu', store: 'menu' });
                 resolve();
             };
 
@@ -179,11 +259,13 @@ function getMenu() {
 }
 
 /**
- * Save a single order to IndexedDB
+ * Save a single order to IndexedDB and record its "created" history event
  * @param {Object} order - Order object with id as keyPath
+ * @param {Object} [options] - Options ({sync: false} keeps the write on this device;
+ *   {at} when and {by} who made the change, for history)
  * @returns {Promise<void>}
  */
-function saveOrder(order) {
+function saveOrder(order, options = {}) {
     return new Promise((resolve, reject) => {
         try {
             if (!db) {
@@ -195,11 +277,16 @@ function saveOrder(order) {
                 return;
             }
 
-            const transaction = db.transaction([ORDERS_STORE], 'readwrite');
+            const transaction = db.transaction([ORDERS_STORE, EVENTS_STORE], 'readwrite');
             const store = transaction.objectStore(ORDERS_STORE);
             const request = store.add(order);
+            addOrderEvents(transaction, null, order, options);
 
             request.onsuccess = () => {
+                if (options.sync !== false && typeof recordSyncOp === 'function') {
+                    recordSyncOp({ kind: 'saveOrder', order });
+                }
+                broadcastChange({ op: 'saveOrder', store: 'orders', order });
                 resolve();
             };
 
@@ -294,10 +381,13 @@ function getAllOrders() {
 
 /**
  * Update or insert an order (upsert operation)
+ * History events are worked out from the stored order and the new one.
  * @param {Object} order - Order object to update or insert
+ * @param {Object} [options] - Options ({sync: false} keeps the write on this device;
+ *   {at} when and {by} who made the change, for history)
  * @returns {Promise<void>}
  */
-function updateOrder(order) {
+function updateOrder(order, options = {}) {
     return new Promise((resolve, reject) => {
         try {
             if (!db) {
@@ -309,18 +399,35 @@ function updateOrder(order) {
                 return;
             }
 
-            const transaction = db.transaction([ORDERS_STORE], 'readwrite');
+            const transaction = db.transaction([ORDERS_STORE, EVENTS_STORE], 'readwrite');
             const store = transaction.objectStore(ORDERS_STORE);
-            const request = store.put(order);
+            const getRequest = store.get(order.id);
 
-            request.onsuccess = () => {
-                resolve();
+            getRequest.onsuccess = () => {
+                const request = store.put(order);
+                addOrderEvents(transaction, getRequest.result || null, order, options);
+
+                request.onsuccess = () => {
+                    if (options.sync !== false && typeof recordSyncOp === 'function') {
+                        recordSyncOp({ kind: 'updateOrder', order });
+                    }
+                    broadcastChange({ op: 'updateOrder', store: 'orders', order });
+                    resolve();
+                };
+
+                request.onerror = () => {
+                    const err = new Error('Failed to update order');
+                    if (typeof handleError === 'function') {
+                        handleError('Storage error: Failed to update order', err);
+                    }
+                    reject(err);
+                };
             };
 
-            request.onerror = () => {
-                const err = new Error('Failed to update order');
+            getRequest.onerror = () => {
+                const err = new Error('Failed to retrieve order');
                 if (typeof handleError === 'function') {
-                    handleError('Storage error: Failed to update order', err);
+                    handleError('Storage error: Failed to retrieve order', err);
                 }
                 reject(err);
             };
@@ -334,12 +441,15 @@ function updateOrder(order) {
 }
 
 /**
- * Update only the status of an order
+ * Update only the status of an order (its lines follow, see applyOrderStatus)
+ * The status the order had is sent along with the sync op for conflict resolution.
  * @param {string|number} id - Order ID
  * @param {string} status - New status value
+ * @param {Object} [options] - Options ({sync: false} keeps the write on this device
+ *   and skips orders this device does not have; {at} when and {by} who made the change, for history)
  * @returns {Promise<void>}
  */
-function updateOrderStatus(id, status) {
+function updateOrderStatus(id, status, options = {}) {
     return new Promise((resolve, reject) => {
         try {
             if (!db) {
@@ -351,13 +461,17 @@ function updateOrderStatus(id, status) {
                 return;
             }
 
-            const transaction = db.transaction([ORDERS_STORE], 'readwrite');
+            const transaction = db.transaction([ORDERS_STORE, EVENTS_STORE], 'readwrite');
             const store = transaction.objectStore(ORDERS_STORE);
             const getRequest = store.get(id);
 
             getRequest.onsuccess = () => {
                 try {
                     const order = getRequest.result;
+                    if (!order && options.sync === false) {
+                        resolve();
+                        return;
+                    }
                     if (!order) {
                         const err = new Error('Order not found');
                         if (typeof handleError === 'function') {
@@ -367,10 +481,18 @@ function updateOrderStatus(id, status) {
                         return;
                     }
 
-                    order.status = status;
-                    const putRequest = store.put(order);
+                    // Cascade to lines so the order status stays derived from them
+                    const updated = typeof applyOrderStatus === 'function'
+                        ? applyOrderStatus(order, status)
+                        : { ...order, status };
+                    const putRequest = store.put(updated);
+                    addOrderEvents(transaction, order, updated, options);
 
                     putRequest.onsuccess = () => {
+                        if (options.sync !== false && typeof recordSyncOp === 'function') {
+                            recordSyncOp({ kind: 'updateOrderStatus', id, status, from: order.status });
+                        }
+                        broadcastChange({ op: 'updateOrderStatus', store: 'orders', order: updated });
                         resolve();
                     };
 
@@ -406,15 +528,21 @@ function updateOrderStatus(id, status) {
 }
 
 /**
- * Export all data (menu and orders) as JSON
- * @returns {Promise<Object>} Promise that resolves with {menu, orders}
+ * Export all data (menu, orders, coupons, settings, order history, shifts, ingredients and customers) as JSON
+ * @returns {Promise<Object>} Promise that resolves with {menu, orders, coupons, settings, events, shifts, ingredients, customers}
  */
 function exportAll() {
     return new Promise(async (resolve, reject) => {
         try {
             const menu = await getMenu();
             const orders = await getAllOrders();
-            resolve({ menu, orders });
+            const coupons = await getCoupons();
+            const settings = await getAllSettings();
+            const events = await getEvents();
+            const shifts = await getShifts();
+            const ingredients = await getIngredients();
+            const customers = await getCustomers();
+            resolve({ menu, orders, coupons, settings, events, shifts, ingredients, customers });
         } catch (error) {
             if (typeof handleError === 'function') {
                 handleError('Storage error: Failed to export data', error);
@@ -426,7 +554,9 @@ function exportAll() {
 
 /**
  * Import data from JSON and overwrite current data
- * @param {Object} json - Object with {menu, orders} properties
+ * Coupons, settings, events, shifts, ingredients and customers are optional so older backups still import.
+ * History is never overwritten: imported events and shifts are added alongside the existing ones.
+ * @param {Object} json - Object with {menu, orders, coupons?, settings?, events?, shifts?, ingredients?, customers?} properties
  * @returns {Promise<void>}
  */
 function importAll(json) {
@@ -542,6 +672,45 @@ function importAll(json) {
                 });
             }
 
+            if (Array.isArray(json.coupons)) {
+                await saveCoupons(json.coupons);
+            }
+
+            if (Array.isArray(json.ingredients)) {
+                await saveIngredients(json.ingredients);
+            }
+
+            if (Array.isArray(json.customers)) {
+                await saveCustomers(json.customers);
+            }
+
+            if (Array.isArray(json.settings)) {
+                for (const entry of json.settings) {
+                    if (entry && typeof entry.key === 'string') {
+                        await saveSetting(entry.key, entry.value);
+                    }
+                }
+            }
+
+            const importedEvents = Array.isArray(json.events)
+                ? json.events.filter(event => event && typeof event.id === 'string' && typeof event.at === 'string')
+                : [];
+            if (typeof createOrderEvent === 'function') {
+                importedEvents.push(createOrderEvent('imported', null, {
+                    orders: validOrders.length,
+                    menu: validMenu.length
+                }));
+            }
+            await saveEvents(importedEvents);
+
+            if (Array.isArray(json.shifts)) {
+                for (const shift of json.shifts) {
+                    if (shift && typeof shift.id === 'string' && typeof shift.openedAt === 'string') {
+                        await saveShift(shift);
+                    }
+                }
+            }
+
             resolve();
         } catch (error) {
             if (typeof handleError === 'function') {
@@ -621,12 +790,16 @@ function saveArchive(ordersArray) {
                 reject(err);
                 return;
             }
-            const tx = db.transaction([ARCHIVE_STORE], 'readwrite');
+            const tx = db.transaction([ARCHIVE_STORE, EVENTS_STORE], 'readwrite');
             const store = tx.objectStore(ARCHIVE_STORE);
+            const eventsStore = tx.objectStore(EVENTS_STORE);
             for (const order of ordersArray) {
                 await new Promise((res, rej) => {
                     try {
                         const req = store.put(order);
+                        if (typeof createOrderEvent === 'function') {
+                            eventsStore.add(createOrderEvent('archived', order.id, { status: order.status }));
+                        }
                         req.onsuccess = () => res();
                         req.onerror = () => {
                             const err = new Error('Failed to save archive item');
@@ -684,6 +857,98 @@ function getArchive() {
     });
 }
 
+/**
+ * Move an archived order back to the active orders
+ * @param {string} id - Order ID
+ * @returns {Promise<Object>} Promise that resolves with the restored order
+ */
+function restoreArchivedOrder(id) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([ARCHIVE_STORE, ORDERS_STORE, EVENTS_STORE], 'readwrite');
+            const archiveStore = tx.objectStore(ARCHIVE_STORE);
+            let order = null;
+
+            const getRequest = archiveStore.get(id);
+            getRequest.onsuccess = () => {
+                order = getRequest.result;
+                if (!order) {
+                    tx.abort();
+                    return;
+                }
+                tx.objectStore(ORDERS_STORE).put(order);
+                archiveStore.delete(id);
+                if (typeof createOrderEvent === 'function') {
+                    tx.objectStore(EVENTS_STORE).add(createOrderEvent('restored', id, { status: order.status }));
+                }
+            };
+
+            tx.oncomplete = () => {
+                broadcastChange({ op: 'restoreArchivedOrder', store: 'orders', order });
+                resolve(order);
+            };
+            tx.onabort = () => {
+                const err = new Error(order === null ? 'Archived order not found' : 'Failed to restore order');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to restore order', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to restore order', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Permanently delete an archived order (its history events are kept)
+ * @param {string} id - Order ID
+ * @returns {Promise<void>}
+ */
+function deleteArchivedOrder(id) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([ARCHIVE_STORE, EVENTS_STORE], 'readwrite');
+            tx.objectStore(ARCHIVE_STORE).delete(id);
+            if (typeof createOrderEvent === 'function') {
+                tx.objectStore(EVENTS_STORE).add(createOrderEvent('purged', id, {}));
+            }
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => {
+                const err = new Error('Failed to delete archived order');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to delete archived order', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to delete archived order', err);
+            }
+            reject(err);
+        }
+    });
+}
+
 function saveOrders(ordersArray) {
     return new Promise(async (resolve, reject) => {
         try {
@@ -735,6 +1000,7 @@ function saveOrders(ordersArray) {
                     }
                 });
             }
+            broadcastChange({ op: 'saveOrders', store: 'orders' });
             resolve();
         } catch (error) {
             if (typeof handleError === 'function') {
@@ -745,3 +1011,846 @@ function saveOrders(ordersArray) {
     });
 }
 
+/**
+ * Retrieve all coupons from IndexedDB
+ * @returns {Promise<Array>} Promise that resolves with array of coupons
+ */
+function getCoupons() {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([COUPONS_STORE], 'readonly');
+            const store = tx.objectStore(COUPONS_STORE);
+            const req = store.getAll();
+            req.onsuccess = () => resolve(req.result || []);
+            req.onerror = () => {
+                const err = new Error('Failed to retrieve coupons');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to retrieve coupons', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to retrieve coupons', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Insert or update a single coupon
+ * @param {Object} coupon - Coupon object with id as keyPath
+ * @returns {Promise<void>}
+ */
+function saveCoupon(coupon) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([COUPONS_STORE], 'readwrite');
+            const store = tx.objectStore(COUPONS_STORE);
+            const req = store.put(coupon);
+            req.onsuccess = () => resolve();
+            req.onerror = () => {
+                const err = new Error('Failed to save coupon');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to save coupon', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to save coupon', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Replace all coupons (used by import)
+ * @param {Array} couponsArray - Array of coupons to save
+ * @returns {Promise<void>}
+ */
+function saveCoupons(couponsArray) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([COUPONS_STORE], 'readwrite');
+            const store = tx.objectStore(COUPONS_STORE);
+            store.clear();
+            couponsArray.forEach(coupon => {
+                if (coupon && coupon.id && coupon.code) {
+                    store.put(coupon);
+                }
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => {
+                const err = new Error('Failed to save coupons');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to save coupons', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to save coupons', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Delete a coupon by ID
+ * @param {string} id - Coupon ID
+ * @returns {Promise<void>}
+ */
+function deleteCoupon(id) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([COUPONS_STORE], 'readwrite');
+            const store = tx.objectStore(COUPONS_STORE);
+            const req = store.delete(id);
+            req.onsuccess = () => resolve();
+            req.onerror = () => {
+                const err = new Error('Failed to delete coupon');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to delete coupon', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to delete coupon', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Retrieve all ingredients, by name
+ * @returns {Promise<Array>} Promise that resolves with array of ingredients
+ */
+function getIngredients() {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([INGREDIENTS_STORE], 'readonly');
+            const store = tx.objectStore(INGREDIENTS_STORE);
+            const req = store.getAll();
+            req.onsuccess = () => resolve((req.result || []).sort((a, b) => a.name.localeCompare(b.name)));
+            req.onerror = () => {
+                const err = new Error('Failed to retrieve ingredients');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to retrieve ingredients', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to retrieve ingredients', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Insert or update a single ingredient
+ * @param {Object} ingredient - Ingredient object with id as keyPath
+ * @returns {Promise<void>}
+ */
+function saveIngredient(ingredient) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([INGREDIENTS_STORE], 'readwrite');
+            const store = tx.objectStore(INGREDIENTS_STORE);
+            const req = store.put(ingredient);
+            req.onsuccess = () => resolve();
+            req.onerror = () => {
+                const err = new Error('Failed to save ingredient');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to save ingredient', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to save ingredient', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Replace all ingredients (used by import)
+ * @param {Array} ingredientsArray - Array of ingredients to save
+ * @returns {Promise<void>}
+ */
+function saveIngredients(ingredientsArray) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([INGREDIENTS_STORE], 'readwrite');
+            const store = tx.objectStore(INGREDIENTS_STORE);
+            store.clear();
+            ingredientsArray.forEach(ingredient => {
+                if (ingredient && ingredient.id && ingredient.name) {
+                    store.put(ingredient);
+                }
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => {
+                const err = new Error('Failed to save ingredients');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to save ingredients', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to save ingredients', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Delete a ingredient by ID
+ * @param {string} id - Ingredient ID
+ * @returns {Promise<void>}
+ */
+function deleteIngredient(id) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([INGREDIENTS_STORE], 'readwrite');
+            const store = tx.objectStore(INGREDIENTS_STORE);
+            const req = store.delete(id);
+            req.onsuccess = () => resolve();
+            req.onerror = () => {
+                const err = new Error('Failed to delete ingredient');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to delete ingredient', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to delete ingredient', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Retrieve all customers, by name
+ * @returns {Promise<Array>} Promise that resolves with array of customers
+ */
+function getCustomers() {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([CUSTOMERS_STORE], 'readonly');
+            const store = tx.objectStore(CUSTOMERS_STORE);
+            const req = store.getAll();
+            req.onsuccess = () => resolve((req.result || []).sort((a, b) => (a.name || a.phone).localeCompare(b.name || b.phone)));
+            req.onerror = () => {
+                const err = new Error('Failed to retrieve customers');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to retrieve customers', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to retrieve customers', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Insert or update a single customer
+ * @param {Object} customer - Customer object with id as keyPath
+ * @returns {Promise<void>}
+ */
+function saveCustomer(customer) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([CUSTOMERS_STORE], 'readwrite');
+            const store = tx.objectStore(CUSTOMERS_STORE);
+            const req = store.put(customer);
+            req.onsuccess = () => resolve();
+            req.onerror = () => {
+                const err = new Error('Failed to save customer');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to save customer', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to save customer', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Replace all customers (used by import)
+ * @param {Array} customersArray - Array of customers to save
+ * @returns {Promise<void>}
+ */
+function saveCustomers(customersArray) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([CUSTOMERS_STORE], 'readwrite');
+            const store = tx.objectStore(CUSTOMERS_STORE);
+            store.clear();
+            customersArray.forEach(customer => {
+                if (customer && customer.id && customer.phone) {
+                    store.put(customer);
+                }
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => {
+                const err = new Error('Failed to save customers');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to save customers', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to save customers', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Delete a customer by ID
+ * @param {string} id - Customer ID
+ * @returns {Promise<void>}
+ */
+function deleteCustomer(id) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([CUSTOMERS_STORE], 'readwrite');
+            const store = tx.objectStore(CUSTOMERS_STORE);
+            const req = store.delete(id);
+            req.onsuccess = () => resolve();
+            req.onerror = () => {
+                const err = new Error('Failed to delete customer');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to delete customer', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to delete customer', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Retrieve all shifts, oldest first
+ * @returns {Promise<Array>} Promise that resolves with array of shifts
+ */
+function getShifts() {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([SHIFTS_STORE], 'readonly');
+            const store = tx.objectStore(SHIFTS_STORE);
+            const req = store.getAll();
+            req.onsuccess = () => resolve((req.result || []).sort((a, b) => a.openedAt.localeCompare(b.openedAt)));
+            req.onerror = () => {
+                const err = new Error('Failed to retrieve shifts');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to retrieve shifts', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to retrieve shifts', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Insert or update a single shift
+ * @param {Object} shift - Shift object with id as keyPath
+ * @returns {Promise<void>}
+ */
+function saveShift(shift) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([SHIFTS_STORE], 'readwrite');
+            const store = tx.objectStore(SHIFTS_STORE);
+            const req = store.put(shift);
+            req.onsuccess = () => resolve();
+            req.onerror = () => {
+                const err = new Error('Failed to save shift');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to save shift', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to save shift', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Retrieve a single setting value
+ * @param {string} key - Setting key
+ * @returns {Promise<*>} Promise that resolves with the value, or null if unset
+ */
+function getSetting(key) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([SETTINGS_STORE], 'readonly');
+            const store = tx.objectStore(SETTINGS_STORE);
+            const req = store.get(key);
+            req.onsuccess = () => resolve(req.result ? req.result.value : null);
+            req.onerror = () => {
+                const err = new Error('Failed to retrieve setting');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to retrieve setting', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to retrieve setting', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Retrieve all settings as {key, value} entries
+ * @returns {Promise<Array>} Promise that resolves with array of settings entries
+ */
+function getAllSettings() {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([SETTINGS_STORE], 'readonly');
+            const store = tx.objectStore(SETTINGS_STORE);
+            const req = store.getAll();
+            req.onsuccess = () => resolve(req.result || []);
+            req.onerror = () => {
+                const err = new Error('Failed to retrieve settings');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to retrieve settings', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to retrieve settings', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Save a single setting value
+ * @param {string} key - Setting key
+ * @param {*} value - Setting value (must be structured-cloneable)
+ * @returns {Promise<void>}
+ */
+function saveSetting(key, value) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([SETTINGS_STORE], 'readwrite');
+            const store = tx.objectStore(SETTINGS_STORE);
+            const req = store.put({ key, value });
+            req.onsuccess = () => resolve();
+            req.onerror = () => {
+                const err = new Error('Failed to save setting');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to save setting', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to save setting', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Add an outgoing sync op to the queue
+ * @param {Object} op - Sync op
+ * @returns {Promise<number>} Promise that resolves with the op's queue ID
+ */
+function queueSyncOp(op) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([SYNC_QUEUE_STORE], 'readwrite');
+            const store = tx.objectStore(SYNC_QUEUE_STORE);
+            const req = store.add(op);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                const err = new Error('Failed to queue sync change');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to queue sync change', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to queue sync change', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Retrieve queued sync ops, oldest first
+ * @returns {Promise<Array>} Promise that resolves with array of ops (each with its queueId)
+ */
+function getSyncQueue() {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([SYNC_QUEUE_STORE], 'readonly');
+            const store = tx.objectStore(SYNC_QUEUE_STORE);
+            const req = store.getAll();
+            req.onsuccess = () => resolve(req.result || []);
+            req.onerror = () => {
+                const err = new Error('Failed to retrieve sync queue');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to retrieve sync queue', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to retrieve sync queue', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Remove a sync op from the queue once the relay has handled it
+ * @param {number} queueId - Queue ID
+ * @returns {Promise<void>}
+ */
+function removeSyncOp(queueId) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([SYNC_QUEUE_STORE], 'readwrite');
+            const store = tx.objectStore(SYNC_QUEUE_STORE);
+            const req = store.delete(queueId);
+            req.onsuccess = () => resolve();
+            req.onerror = () => {
+                const err = new Error('Failed to remove sync change');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to remove sync change', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to remove sync change', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Add history events (append-only: events already stored are left as they are)
+ * @param {Array} events - Events
+ * @returns {Promise<void>}
+ */
+function saveEvents(events) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([EVENTS_STORE], 'readwrite');
+            const store = tx.objectStore(EVENTS_STORE);
+            events.forEach(event => {
+                const req = store.add(event);
+                // A duplicate (e.g., importing the same backup twice) must not abort the rest
+                req.onerror = (e) => e.preventDefault();
+            });
+            tx.oncomplete = () => resolve();
+            tx.onabort = () => {
+                const err = new Error('Failed to save history');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to save history', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to save history', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Retrieve all history events, oldest first
+ * @returns {Promise<Array>} Promise that resolves with array of events
+ */
+function getEvents() {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([EVENTS_STORE], 'readonly');
+            const store = tx.objectStore(EVENTS_STORE);
+            const req = store.index('at').getAll();
+            req.onsuccess = () => resolve(req.result || []);
+            req.onerror = () => {
+                const err = new Error('Failed to retrieve history');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to retrieve history', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to retrieve history', err);
+            }
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Retrieve the history events of one order, oldest first
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Array>} Promise that resolves with array of events
+ */
+function getOrderEvents(orderId) {
+    return new Promise((resolve, reject) => {
+        try {
+            if (!db) {
+                const err = new Error('Database not initialized. Call initDB() first.');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Database not initialized', err);
+                }
+                reject(err);
+                return;
+            }
+            const tx = db.transaction([EVENTS_STORE], 'readonly');
+            const store = tx.objectStore(EVENTS_STORE);
+            const req = store.index('orderId').getAll(orderId);
+            req.onsuccess = () => {
+                const events = req.result || [];
+                resolve(events.sort((a, b) => a.at.localeCompare(b.at)));
+            };
+            req.onerror = () => {
+                const err = new Error('Failed to retrieve order history');
+                if (typeof handleError === 'function') {
+                    handleError('Storage error: Failed to retrieve order history', err);
+                }
+                reject(err);
+            };
+        } catch (err) {
+            if (typeof handleError === 'function') {
+                handleError('Storage error: Failed to retrieve order history', err);
+            }
+            reject(err);
+        }
+    });
+}
@@ -3,13 +3,30 @@
  * Minimal implementation: cache static assets, cache-first strategy
  */
 
-const CACHE_NAME = 'pos-system-v1';
+const CACHE_NAME = 'pos-system-v17';
 const STATIC_ASSETS = [
     './',
     './index.html',
     './css/style.css',
     './js/menu.js',
     './js/storage.js',
+    './js/helpers.js',
+    './js/shop.js',
+    './js/staff.js',
+    './js/pricing.js',
+    './js/payments.js',
+    './js/orders.js',
+    './js/inventory.js',
+    './js/costing.js',
+    './js/bundles.js',
+    './js/customers.js',
+    './js/kitchen.js',
+    './js/audit.js',
+    './js/shifts.js',
+    './js/reports.js',
+    './js/charts.js',
+    './js/sync.js',
+    './js/print.js',
     './js/ui.js',
     './js/app.js',
     './manifest.json'
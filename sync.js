@@ -0,0 +1,327 @@
+/**
+ * Multi-device sync for POS system
+ * Replicates order and menu writes through a relay on the shop network (server/relay.js).
+ * Writes are queued in IndexedDB while offline and replayed on reconnect; every device
+ * applies the relay's ops in the same order, so all devices end up with the same data.
+ */
+
+const SYNC_RECONNECT_MIN_MS = 1000;
+const SYNC_RECONNECT_MAX_MS = 30000;
+
+// Connection state
+let syncSocket = null;
+let syncReconnectTimer = null;
+let syncReconnectDelay = SYNC_RECONNECT_MIN_MS;
+let syncState = 'off';
+let syncPending = 0;
+
+// Queue IDs sent on the current connection and not yet handled by the relay
+const syncSentIds = new Set();
+
+// Remote ops are applied one at a time, in relay order
+let syncApplyChain = Promise.resolve();
+
+// App callbacks (see startSync)
+let syncOnApplied = null;
+let syncOnStatus = null;
+
+/**
+ * Get sync settings
+ * @returns {{enabled: boolean, url: string}}
+ */
+function getSyncConfig() {
+    return {
+        enabled: localStorage.syncEnabled === 'true',
+        url: localStorage.syncServerUrl || ''
+    };
+}
+
+/**
+ * Get this device's sync ID, creating it on first use
+ * @returns {string} Device ID
+ */
+function getSyncDeviceId() {
+    if (!localStorage.syncDeviceId) {
+        localStorage.syncDeviceId = generateId('dev-');
+    }
+    return localStorage.syncDeviceId;
+}
+
+/**
+ * Get the prefix this device puts on order numbers while sync is on
+ * Every device counts its own order numbers, so the prefix keeps synced devices from clashing.
+ * @returns {string} Till code (e.g., "A"), or '' when sync is off
+ */
+function getOrderNumberPrefix() {
+    if (!getSyncConfig().enabled) return '';
+    return localStorage.syncTillCode || getSyncDeviceId().slice(-3).toUpperCase();
+}
+
+/**
+ * Get the current sync state for display
+ * @returns {{state: string, pending: number}} State ("off" | "connecting" | "online" | "offline") and queued changes
+ */
+function getSyncStatus() {
+    return { state: syncState, pending: syncPending };
+}
+
+/**
+ * Update the sync state and tell the app
+ * @param {string} state - New state
+ */
+function setSyncState(state) {
+    syncState = state;
+    if (typeof syncOnStatus === 'function') {
+        syncOnStatus(getSyncStatus());
+    }
+}
+
+/**
+ * Recount queued changes and tell the app
+ */
+async function refreshSyncPending() {
+    syncPending = (await getSyncQueue()).length;
+    if (typeof syncOnStatus === 'function') {
+        syncOnStatus(getSyncStatus());
+    }
+}
+
+/**
+ * Queue a local write for the relay (called by the storage layer after each synced write)
+ * Nothing is queued while sync is turned off.
+ * @param {Object} op - Op ({kind, ...payload})
+ */
+async function recordSyncOp(op) {
+    if (!getSyncConfig().enabled) return;
+
+    try {
+        await queueSyncOp({
+            ...op,
+            deviceId: getSyncDeviceId(),
+            createdAt: new Date().toISOString(),
+            staff: getCurrentStaffRef()
+        });
+        await refreshSyncPending();
+        await flushSyncQueue();
+    } catch (err) {
+        console.error('Failed to queue sync change:', err);
+    }
+}
+
+/**
+ * Send queued ops the relay has not seen on this connection
+ */
+async function flushSyncQueue() {
+    if (syncState !== 'online' || !syncSocket) return;
+
+    const queue = await getSyncQueue();
+    queue.forEach(entry => {
+        if (syncSentIds.has(entry.queueId) || !syncSocket) return;
+        syncSentIds.add(entry.queueId);
+        const { queueId, ...op } = entry;
+        syncSocket.send(JSON.stringify({ type: 'op', op: { ...op, opId: queueId } }));
+    });
+}
+
+/**
+ * Get the record an op writes, so ops on the same order or menu can be matched
+ * @param {Object} op - Op
+ * @returns {string} Target key
+ */
+function getSyncOpTarget(op) {
+    if (op.kind === 'saveMenu') return 'menu';
+    return `order:${op.order ? op.order.id : op.id}`;
+}
+
+/**
+ * Apply an op accepted by the relay to local storage
+ * This device's own ops are applied again too, so it ends up in relay order like every other device,
+ * unless a later change to the same record is still queued here (the local copy is already newer).
+ * @param {Object} op - Op from the relay
+ * @returns {Promise<string|null>} Kind of data touched ("orders" | "menu"), or null when skipped
+ */
+async function applySyncOp(op) {
+    if (op.deviceId === getSyncDeviceId()) {
+        await removeSyncOp(op.opId);
+        syncSentIds.delete(op.opId);
+
+        const target = getSyncOpTarget(op);
+        if ((await getSyncQueue()).some(entry => getSyncOpTarget(entry) === target)) {
+            localStorage.syncLastSeq = String(op.seq);
+            return null;
+        }
+    }
+
+    // History events keep when and by whom the change was made on its device
+    const history = { sync: false, at: op.createdAt, by: op.staff || null };
+    let touched = 'orders';
+    if (op.kind === 'saveOrder' || op.kind === 'updateOrder') {
+        await updateOrder(op.order, history);
+    } else if (op.kind === 'updateOrderStatus') {
+        await updateOrderStatus(op.id, op.status, history);
+    } else if (op.kind === 'saveMenu') {
+        await saveMenu(op.menu, { sync: false });
+        touched = 'menu';
+    }
+
+    localStorage.syncLastSeq = String(op.seq);
+    return touched;
+}
+
+/**
+ * Settle a queued op the relay did not broadcast (already handled, or a lost status conflict)
+ * @param {Object} message - Ack or reject message ({opId, id?, status?})
+ */
+async function settleSyncOp(message) {
+    await removeSyncOp(message.opId);
+    syncSentIds.delete(message.opId);
+
+    // Take the relay's status so this device matches the others
+    if (message.id !== undefined && message.status) {
+        await updateOrderStatus(message.id, message.status, { sync: false, by: null });
+    }
+}
+
+/**
+ * Handle a message from the relay
+ * @param {Object} message - Parsed message
+ */
+function handleSyncMessage(message) {
+    syncApplyChain = syncApplyChain.then(async () => {
+        const touched = new Set();
+        let notice = null;
+
+        if (message.type === 'welcome') {
+            if (message.epoch !== localStorage.syncEpoch) {
+                // The relay started a fresh log and sends all of it
+                localStorage.syncEpoch = message.epoch;
+                localStorage.syncLastSeq = '0';
+            }
+            for (const op of message.ops || []) {
+                const kind = await applySyncOp(op);
+                if (kind) touched.add(kind);
+            }
+            // Ops superseded on the relay never arrive, so catch up to its latest seq
+            localStorage.syncLastSeq = String(message.seq);
+            setSyncState('online');
+        } else if (message.type === 'op') {
+            const kind = await applySyncOp(message.op);
+            if (kind) touched.add(kind);
+        } else if (message.type === 'ack' || message.type === 'reject') {
+            await settleSyncOp(message);
+            if (message.type === 'reject') {
+                touched.add('orders');
+                notice = `Another device already moved this order to ${message.status}`;
+            }
+        }
+
+        await refreshSyncPending();
+        if (message.type === 'welcome') {
+            await flushSyncQueue();
+        }
+        if ((touched.size > 0 || notice) && typeof syncOnApplied === 'function') {
+            syncOnApplied(Array.from(touched), notice);
+        }
+    }).catch(err => {
+        console.error('Failed to apply sync message:', err);
+    });
+}
+
+/**
+ * Reconnect after a delay that doubles on each failure, up to SYNC_RECONNECT_MAX_MS
+ */
+function scheduleSyncReconnect() {
+    clearTimeout(syncReconnectTimer);
+    syncReconnectTimer = setTimeout(connectSync, syncReconnectDelay);
+    syncReconnectDelay = Math.min(syncReconnectDelay * 2, SYNC_RECONNECT_MAX_MS);
+}
+
+/**
+ * Open a connection to the relay
+ */
+function connectSync() {
+    const config = getSyncConfig();
+    if (!config.enabled || !validateSyncServerUrl(config.url).ok || typeof WebSocket === 'undefined') {
+        return;
+    }
+
+    clearTimeout(syncReconnectTimer);
+    setSyncState('connecting');
+
+    let socket;
+    try {
+        socket = new WebSocket(config.url);
+    } catch (err) {
+        console.error('Failed to connect to sync relay:', err);
+        setSyncState('offline');
+        scheduleSyncReconnect();
+        return;
+    }
+    syncSocket = socket;
+
+    socket.onopen = () => {
+        syncReconnectDelay = SYNC_RECONNECT_MIN_MS;
+        socket.send(JSON.stringify({
+            type: 'hello',
+            deviceId: getSyncDeviceId(),
+            since: parseInt(localStorage.syncLastSeq, 10) || 0,
+            epoch: localStorage.syncEpoch || null
+        }));
+    };
+
+    socket.onmessage = (event) => {
+        const message = safeJSONParse(event.data);
+        if (message && syncSocket === socket) {
+            handleSyncMessage(message);
+        }
+    };
+
+    socket.onclose = () => {
+        if (syncSocket !== socket) return;
+        syncSocket = null;
+        syncSentIds.clear();
+        setSyncState('offline');
+        scheduleSyncReconnect();
+    };
+}
+
+/**
+ * Start syncing if it is turned on
+ * @param {Function} onApplied - Called with the kinds of data changed by other devices
+ *   (["orders", "menu"]) and an optional notice to show
+ * @param {Function} onStatus - Called with {state, pending} when the connection or queue changes
+ */
+function startSync(onApplied, onStatus) {
+    syncOnApplied = onApplied;
+    syncOnStatus = onStatus;
+    stopSync();
+
+    if (!getSyncConfig().enabled) return;
+    connectSync();
+    refreshSyncPending().catch(err => console.error('Failed to read sync queue:', err));
+}
+
+/**
+ * Stop syncing and close the connection (queued changes are kept)
+ */
+function stopSync() {
+    clearTimeout(syncReconnectTimer);
+    syncReconnectDelay = SYNC_RECONNECT_MIN_MS;
+    if (syncSocket) {
+        const socket = syncSocket;
+        syncSocket = null;
+        socket.close();
+    }
+    syncSentIds.clear();
+    setSyncState('off');
+}
+
+// Retry straight away when the device gets its network back
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => {
+        if (getSyncConfig().enabled && syncState === 'offline') {
+            syncReconnectDelay = SYNC_RECONNECT_MIN_MS;
+            connectSync();
+        }
+    });
+}
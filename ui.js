@@ -3,6 +3,9 @@
  * Handles menu display, category filtering, and item cards
  */
 
+// Category selected on the Take Order screen, kept when the menu is re-rendered
+let selectedMenuCategory = 'all';
+
 /**
  * Get item usage count from localStorage
  * @param {number} itemId - Menu item ID
@@ -92,16 +95,27 @@ function renderMenuItemCard(item, onItemClick) {
 
     const usageCount = getItemUsageCount(item.id);
     const isFavorite = item.favorite || usageCount > 5;
+    const soldOut = isSoldOut(item);
+    const lowStock = !soldOut && isStockTracked(item) && item.stock <= getLowStockThreshold(item);
+
+    if (soldOut) {
+        card.classList.add('sold-out');
+        card.setAttribute('aria-disabled', 'true');
+    }
 
     card.innerHTML = `
         ${isFavorite ? '<span class="favorite-badge"><svg class="icon" aria-hidden="true"><use href="#icon-star"></use></svg></span>' : ''}
         <div class="menu-item-name">${item.name}</div>
-        <div class="menu-item-price">₹${item.price}</div>
+        <div class="menu-item-price">${formatMoney(item.price)}</div>
+        ${isBundle(item) ? '<div class="menu-item-combo">Combo</div>' : ''}
+        ${soldOut ? '<div class="menu-item-stock">Sold out</div>' : ''}
+        ${lowStock ? `<div class="menu-item-stock low">${item.stock} left</div>` : ''}
     `;
 
+    // Sold out items still report the tap so the cashier is told why nothing was added
     card.addEventListener('click', () => {
         onItemClick(item);
-        incrementItemUsage(item.id);
+        if (!soldOut) incrementItemUsage(item.id);
     });
 
     return card;
@@ -153,10 +167,10 @@ function renderFavoritesBar(menu, onItemClick) {
 
     mostUsed.forEach(item => {
         const favItem = document.createElement('button');
-        favItem.className = 'favorite-item';
+        favItem.className = `favorite-item ${isSoldOut(item) ? 'sold-out' : ''}`;
         favItem.innerHTML = `
             <span class="favorite-item-name">${item.name}</span>
-            <span class="favorite-item-price">₹${item.price}</span>
+            <span class="favorite-item-price">${formatMoney(item.price)}</span>
         `;
         favItem.addEventListener('click', () => {
             onItemClick(item);
@@ -197,14 +211,153 @@ function updateBasketBadge(count) {
     }, 300);
 }
 
+/**
+ * Render order type, table, customer and tab controls in the basket drawer
+ * @param {Object} details - Current order details ({orderType, table, customerName, customerPhone, keepTabOpen})
+ * @param {string[]} tables - Configured table names
+ * @param {Object} openTabs - Open tab orders keyed by table name
+ * @param {HTMLElement} containerEl - Container element
+ * @param {Function} onChange - Callback with changed fields
+ */
+function renderOrderDetailsForm(details, tables, openTabs, containerEl, onChange) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = `
+        <div class="order-type-chips" role="group" aria-label="Order type">
+            ${ORDER_TYPES.map(type => `
+                <button type="button" class="category-chip order-type-btn ${type.id === details.orderType ? 'active' : ''}" data-order-type="${type.id}">${type.label}</button>
+            `).join('')}
+        </div>
+        <div class="order-details-row order-table-row">
+            <select id="basket-table-select" aria-label="Table">
+                <option value="">Choose table...</option>
+                ${tables.map(table => `
+                    <option value="${table}" ${table === details.table ? 'selected' : ''}>${table}${openTabs[table] ? ' (open tab)' : ''}</option>
+                `).join('')}
+            </select>
+            <label class="order-tab-toggle">
+                <input type="checkbox" id="basket-keep-tab-open" ${details.keepTabOpen ? 'checked' : ''}>
+                <span>Keep tab open</span>
+            </label>
+        </div>
+        <div class="order-tab-note" id="basket-tab-note"></div>
+        <div class="order-details-row">
+            <input type="text" id="basket-customer-name" placeholder="Customer name" aria-label="Customer name" value="${details.customerName || ''}">
+            <input type="tel" id="basket-customer-phone" placeholder="Phone" aria-label="Customer phone" value="${details.customerPhone || ''}">
+        </div>
+        <div class="order-details-row order-schedule-row">
+            <label class="order-schedule-label" for="basket-ready-at">Ready at</label>
+            <input type="datetime-local" id="basket-ready-at" aria-label="Promised ready time (leave empty for now)" value="${details.scheduledFor || ''}">
+        </div>
+    `;
+
+    const tableRow = containerEl.querySelector('.order-table-row');
+    const tableSelect = containerEl.querySelector('#basket-table-select');
+    const tabToggle = containerEl.querySelector('.order-tab-toggle');
+    const tabNote = containerEl.querySelector('#basket-tab-note');
+    const scheduleRow = containerEl.querySelector('.order-schedule-row');
+    const createOrderBtn = document.getElementById('create-order-btn');
+
+    let orderType = details.orderType;
+
+    // Show table controls for dine-in and say when the basket goes onto an open tab;
+    // a ready time is for takeaway and delivery orders called in ahead
+    const updateVisibility = () => {
+        const isDineIn = orderType === 'dine-in';
+        const openTab = isDineIn ? openTabs[tableSelect.value] : null;
+        tableRow.hidden = !isDineIn;
+        scheduleRow.hidden = isDineIn;
+        tabToggle.hidden = Boolean(openTab);
+        tabNote.textContent = openTab
+            ? `Adds a round to open tab Order ${getOrderLabel(openTab)} (${formatMoney(openTab.total)} so far)`
+            : '';
+        if (createOrderBtn) {
+            createOrderBtn.textContent = openTab ? 'Add to Tab' : 'Create Order';
+        }
+    };
+
+    containerEl.querySelectorAll('.order-type-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            orderType = btn.getAttribute('data-order-type');
+            containerEl.querySelectorAll('.order-type-btn').forEach(b => b.classList.toggle('active', b === btn));
+            updateVisibility();
+            onChange({ orderType });
+        });
+    });
+
+    tableSelect.addEventListener('change', () => {
+        updateVisibility();
+        onChange({ table: tableSelect.value });
+    });
+
+    containerEl.querySelector('#basket-keep-tab-open').addEventListener('change', (e) => {
+        onChange({ keepTabOpen: e.target.checked });
+    });
+
+    containerEl.querySelector('#basket-customer-name').addEventListener('input', (e) => {
+        onChange({ customerName: e.target.value });
+    });
+
+    containerEl.querySelector('#basket-customer-phone').addEventListener('input', (e) => {
+        onChange({ customerPhone: e.target.value });
+    });
+
+    containerEl.querySelector('#basket-ready-at').addEventListener('change', (e) => {
+        onChange({ scheduledFor: e.target.value });
+    });
+
+    updateVisibility();
+}
+
+/**
+ * Render the customer found for the phone entered in the basket drawer
+ * @param {Object|null} customer - Customer with that phone, if any
+ * @param {string} phone - Phone entered
+ * @param {Object} loyaltyConfig - Loyalty settings
+ * @param {number} offeredPoints - Points already applied as a discount (0 if none)
+ * @param {HTMLElement} containerEl - Container element
+ * @param {Object} handlers - {onRedeem(customer), onViewProfile(customer)}
+ */
+function renderBasketCustomer(customer, phone, loyaltyConfig, offeredPoints, containerEl, handlers) {
+    if (!containerEl) return;
+
+    if (!customer) {
+        const isValidPhone = /^\+?[0-9]{6,15}$/.test(normalizePhone(phone));
+        containerEl.innerHTML = isValidPhone
+            ? '<div class="basket-customer basket-customer-new">New customer · saved with this order</div>'
+            : '';
+        return;
+    }
+
+    const canRedeem = loyaltyConfig.enabled && customer.points > 0 && !offeredPoints;
+    containerEl.innerHTML = `
+        <div class="basket-customer">
+            <div class="basket-customer-info">
+                <span class="basket-customer-name">${customer.name || customer.phone}</span>
+                ${loyaltyConfig.enabled ? `<span class="basket-customer-points">${customer.points} point${customer.points !== 1 ? 's' : ''}</span>` : ''}
+                ${customer.notes ? `<span class="basket-customer-notes">${customer.notes}</span>` : ''}
+            </div>
+            ${canRedeem ? `<button type="button" class="btn-secondary basket-redeem-btn">Redeem ${formatMoney(roundMoney(customer.points * loyaltyConfig.pointValue))}</button>` : ''}
+            <button type="button" class="btn-secondary basket-profile-btn">Profile</button>
+        </div>
+    `;
+
+    const redeemBtn = containerEl.querySelector('.basket-redeem-btn');
+    if (redeemBtn) redeemBtn.addEventListener('click', () => handlers.onRedeem(customer));
+    containerEl.querySelector('.basket-profile-btn').addEventListener('click', () => handlers.onViewProfile(customer));
+}
+
 /**
  * Render basket drawer
  * @param {Array} basket - Basket items array
- * @param {Function} onQuantityChange - Callback when quantity changes (itemId, newQuantity)
- * @param {Function} onRemoveItem - Callback when item is removed (itemId)
- * @param {Function} onNoteChange - Callback when note changes (itemId, note)
+ * @param {Function} onQuantityChange - Callback when quantity changes (lineId, newQuantity)
+ * @param {Function} onRemoveItem - Callback when line is removed (lineId)
+ * @param {Function} onNoteChange - Callback when note changes (lineId, note)
+ * @param {Object} breakdown - Price breakdown from calculatePriceBreakdown
+ * @param {Function} onLineDiscount - Callback when a line discount is requested (lineId)
+ * @param {Function} onRemoveAdjustment - Callback when an adjustment is removed (adjustmentId)
  */
-function renderBasketDrawer(basket, onQuantityChange, onRemoveItem, onNoteChange) {
+function renderBasketDrawer(basket, onQuantityChange, onRemoveItem, onNoteChange, breakdown = null, onLineDiscount = null, onRemoveAdjustment = null) {
     const container = document.getElementById('basket-items-container');
     const totalElement = document.getElementById('basket-total');
     
@@ -212,38 +365,69 @@ function renderBasketDrawer(basket, onQuantityChange, onRemoveItem, onNoteChange
 
     container.innerHTML = '';
 
+    const priceBreakdown = breakdown || calculatePriceBreakdown(basket, []);
+    renderBasketAdjustments(priceBreakdown, onRemoveAdjustment);
+
     if (basket.length === 0) {
         container.innerHTML = '<div class="basket-empty">Your basket is empty</div>';
-        totalElement.textContent = '₹0';
+        totalElement.textContent = formatMoney(0);
         return;
     }
 
-    let total = 0;
+    renderBasketLines(container, basket, priceBreakdown, onQuantityChange, onRemoveItem, onNoteChange, onLineDiscount, onRemoveAdjustment);
+
+    totalElement.textContent = `${formatMoney(priceBreakdown.total)}`;
+}
 
-    basket.forEach(item => {
+/**
+ * Render editable lines (quantity, note, remove, line discounts), as in the basket drawer
+ * Also used by the order editor.
+ * @param {HTMLElement} container - Element to append the lines to
+ * @param {Array} lines - Basket or order lines
+ * @param {Object} priceBreakdown - Price breakdown from calculatePriceBreakdown
+ * @param {Function} onQuantityChange - Callback when quantity changes (lineId, newQuantity)
+ * @param {Function} onRemoveItem - Callback when line is removed (lineId)
+ * @param {Function} onNoteChange - Callback when note changes (lineId, note)
+ * @param {Function} onLineDiscount - Callback when a line discount is requested (lineId)
+ * @param {Function} onRemoveAdjustment - Callback when an adjustment is removed (adjustmentId)
+ */
+function renderBasketLines(container, lines, priceBreakdown, onQuantityChange, onRemoveItem, onNoteChange, onLineDiscount = null, onRemoveAdjustment = null) {
+    lines.forEach(item => {
         const quantity = item.quantity || 1;
-        const itemTotal = item.price * quantity;
-        total += itemTotal;
+        const unitPrice = getLineUnitPrice(item);
+        const itemTotal = unitPrice * quantity;
+        const modifiersText = formatModifiers(item.modifiers);
+        const componentsText = formatBundleComponents(item.components);
+        const lineAdjustments = priceBreakdown.adjustments.filter(adj => adj.scope === 'line' && adj.lineId === item.lineId);
 
         const basketItem = document.createElement('div');
         basketItem.className = 'basket-item';
-        basketItem.setAttribute('data-item-id', item.id);
+        basketItem.setAttribute('data-line-id', item.lineId);
 
         basketItem.innerHTML = `
             <div class="basket-item-info">
                 <div class="basket-item-name">${item.name}</div>
-                <div class="basket-item-price">₹${item.price} × ${quantity} = ₹${itemTotal}</div>
+                ${componentsText ? `<div class="basket-item-modifiers">${componentsText}</div>` : ''}
+                ${modifiersText ? `<div class="basket-item-modifiers">${modifiersText}</div>` : ''}
+                <div class="basket-item-price">${formatMoney(unitPrice)} × ${quantity} = ${formatMoney(itemTotal)}</div>
+                ${lineAdjustments.map(adj => `
+                    <div class="basket-line-adjustment">
+                        <span>${describeAdjustment(adj)}: −${formatMoney(adj.amount)}</span>
+                        <button class="adjustment-remove-btn" data-adjustment-id="${adj.id}" aria-label="Remove discount">×</button>
+                    </div>
+                `).join('')}
                 <textarea 
                     class="basket-item-note" 
                     placeholder="Add note (optional)"
-                    data-item-id="${item.id}"
+                    data-line-id="${item.lineId}"
                 >${item.note || ''}</textarea>
             </div>
             <div class="basket-item-controls">
-                <button class="quantity-btn minus" data-item-id="${item.id}">−</button>
+                <button class="quantity-btn minus" data-line-id="${item.lineId}">−</button>
                 <span class="quantity-display">${quantity}</span>
-                <button class="quantity-btn plus" data-item-id="${item.id}">+</button>
-                <button class="remove-btn" data-item-id="${item.id}">×</button>
+                <button class="quantity-btn plus" data-line-id="${item.lineId}">+</button>
+                <button class="remove-btn" data-line-id="${item.lineId}">×</button>
+                ${onLineDiscount ? `<button class="discount-btn" data-line-id="${item.lineId}" aria-label="Discount ${item.name}">%</button>` : ''}
             </div>
         `;
 
@@ -255,25 +439,97 @@ function renderBasketDrawer(basket, onQuantityChange, onRemoveItem, onNoteChange
 
         minusBtn.addEventListener('click', () => {
             const newQuantity = Math.max(1, quantity - 1);
-            onQuantityChange(item.id, newQuantity);
+            onQuantityChange(item.lineId, newQuantity);
         });
 
         plusBtn.addEventListener('click', () => {
-            onQuantityChange(item.id, quantity + 1);
+            onQuantityChange(item.lineId, quantity + 1);
         });
 
         removeBtn.addEventListener('click', () => {
-            onRemoveItem(item.id);
+            onRemoveItem(item.lineId);
         });
 
         noteInput.addEventListener('input', (e) => {
-            onNoteChange(item.id, e.target.value);
+            onNoteChange(item.lineId, e.target.value);
+        });
+
+        const discountBtn = basketItem.querySelector('.discount-btn');
+        if (discountBtn) {
+            discountBtn.addEventListener('click', () => {
+                onLineDiscount(item.lineId);
+            });
+        }
+
+        basketItem.querySelectorAll('.adjustment-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (onRemoveAdjustment) onRemoveAdjustment(btn.getAttribute('data-adjustment-id'));
+            });
         });
 
         container.appendChild(basketItem);
     });
+}
+
+/**
+ * Render subtotal, order-level adjustments and taxes in the basket footer
+ * @param {Object} breakdown - Price breakdown from calculatePriceBreakdown
+ * @param {Function} onRemoveAdjustment - Callback when an adjustment is removed (adjustmentId)
+ */
+function renderBasketAdjustments(breakdown, onRemoveAdjustment) {
+    const container = document.getElementById('basket-adjustments');
+    if (!container) return;
+
+    const taxLines = breakdown.taxLines || [];
+    if (breakdown.adjustments.length === 0 && taxLines.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const orderAdjustments = breakdown.adjustments.filter(adj => adj.scope === 'order');
+    const lineDiscounts = breakdown.adjustments
+        .filter(adj => adj.scope === 'line')
+        .reduce((sum, adj) => sum + adj.amount, 0);
+
+    container.innerHTML = `
+        <div class="basket-summary-row">
+            <span>Subtotal</span>
+            <span>${formatMoney(breakdown.subtotal)}</span>
+        </div>
+        ${lineDiscounts > 0 ? `
+            <div class="basket-summary-row discount">
+                <span>Item discounts</span>
+                <span>−${formatMoney(roundMoney(lineDiscounts))}</span>
+            </div>
+        ` : ''}
+        ${orderAdjustments.map(adj => `
+            <div class="basket-summary-row discount">
+                <span>${describeAdjustment(adj)}</span>
+                <span>
+                    −${formatMoney(adj.amount)}
+                    <button class="adjustment-remove-btn" data-adjustment-id="${adj.id}" aria-label="Remove discount">×</button>
+                </span>
+            </div>
+        `).join('')}
+        ${taxLines.length > 0 ? `
+            <div class="basket-summary-row">
+                <span>Taxable value</span>
+                <span>${formatMoney(breakdown.taxableValue)}</span>
+            </div>
+            ${taxLines.map(taxLine => `
+                <div class="basket-summary-row tax">
+                    <span>${taxLine.name} ${taxLine.rate}%${breakdown.taxInclusive ? ' (incl.)' : ''}</span>
+                    <span>${formatMoney(taxLine.amount)}</span>
+                </div>
+            `).join('')}
+        ` : ''}
+    `;
 
-    totalElement.textContent = `₹${total}`;
+    container.querySelectorAll('.adjustment-remove-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (onRemoveAdjustment) onRemoveAdjustment(btn.getAttribute('data-adjustment-id'));
+        });
+    });
 }
 
 /**
@@ -335,6 +591,18 @@ function formatAbsoluteTime(timestamp) {
     });
 }
 
+/**
+ * Format a promised ready time: just the time for today, with the day otherwise (e.g., "7:30 PM", "Tue, Oct 20 7:30 PM")
+ * @param {string} timestamp - ISO timestamp string
+ * @returns {string} Formatted time string
+ */
+function formatScheduledTime(timestamp) {
+    const time = new Date(timestamp);
+    const clock = time.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+    if (toDateKey(time) === toDateKey(new Date())) return clock;
+    return `${time.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })} ${clock}`;
+}
+
 /**
  * Get status badge color
  * @param {string} status - Order status
@@ -347,24 +615,77 @@ function getStatusColor(status) {
         'Prepared': 'status-ready',
         'Satisfied': 'status-completed',
         'Ready': 'status-ready',
-        'Completed': 'status-completed'
+        'Completed': 'status-completed',
+        'Voided': 'status-voided',
+        'Refunded': 'status-refunded'
     };
     return statusColors[status] || 'status-pending';
 }
 
 /**
  * Get items summary text
+ * Combos count as the items they are made of.
  * @param {Array} items - Order items array
  * @returns {string} Summary text
  */
 function getItemsSummary(items) {
     if (!items || items.length === 0) return 'No items';
     
-    const totalItems = items.reduce((sum, item) => sum + (item.quantity || 1), 0);
     if (items.length === 1) {
-        return `${items[0].name}${items[0].quantity > 1 ? ` (×${items[0].quantity})` : ''}`;
+        const details = [formatBundleComponents(items[0].components), formatModifiers(items[0].modifiers)].filter(Boolean).join(', ');
+        return `${items[0].name}${details ? ` (${details})` : ''}${items[0].quantity > 1 ? ` (×${items[0].quantity})` : ''}`;
+    }
+
+    const parts = items.flatMap(expandBundleLine);
+    const totalItems = parts.reduce((sum, item) => sum + (item.quantity || 1), 0);
+    return `${parts.length} items (${totalItems} total)`;
+}
+
+/**
+ * Render order line items with chosen modifiers and line prices
+ * Each line can show its own preparation status (tappable when interactive)
+ * @param {Object} order - Order (lines inherit its status if they have none)
+ * @param {boolean} showLineStatus - Whether to show per-line status
+ * @param {boolean} interactive - Whether line statuses are buttons
+ * @returns {string} HTML for the line list
+ */
+function renderOrderItemLines(order, showLineStatus = false, interactive = false) {
+    const items = order.items;
+    if (!items || items.length === 0) return '';
+
+    return `
+        <ul class="order-item-lines">
+            ${items.map(item => {
+                const quantity = item.quantity || 1;
+                const modifiersText = [formatBundleComponents(item.components), formatModifiers(item.modifiers)].filter(Boolean).join(', ');
+                return `
+                    <li class="order-item-line">
+                        <span class="order-item-line-name">
+                            ${showLineStatus ? renderLineStatus(item, order, interactive) : ''}
+                            ${quantity}× ${item.name}${modifiersText ? ` <span class="order-item-line-modifiers">(${modifiersText})</span>` : ''}
+                        </span>
+                        <span class="order-item-line-price">${formatMoney(getLineUnitPrice(item) * quantity)}</span>
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Render a line's status chip
+ * @param {Object} item - Order line
+ * @param {Object} order - Order the line belongs to
+ * @param {boolean} interactive - Whether the chip is a button
+ * @returns {string} HTML for the status chip
+ */
+function renderLineStatus(item, order, interactive) {
+    const status = getLineStatus(item, order);
+    const title = item.addedAt ? `Added ${formatAbsoluteTime(item.addedAt)}` : '';
+    if (!interactive) {
+        return `<span class="line-status ${getStatusColor(status)}" title="${title}">${status}</span>`;
     }
-    return `${items.length} items (${totalItems} total)`;
+    return `<button type="button" class="line-status line-status-btn ${getStatusColor(status)}" data-line-id="${item.lineId}" data-status="${status}" title="${title}" aria-label="${item.name}: ${status}. Tap to advance">${status}</button>`;
 }
 
 /**
@@ -375,9 +696,15 @@ function getItemsSummary(items) {
  * @param {boolean} bulkSelectMode - Whether bulk-select mode is active
  * @param {Function} onSelectChange - Callback when checkbox is toggled (orderId, selected)
  * @param {boolean} isSelected - Whether this order is selected
+ * @param {Function} onTakePayment - Callback when "Take Payment" is clicked (orderId)
+ * @param {Function} onPrint - Callback when "Print" is clicked (orderId)
+ * @param {Function} onLineStatusChange - Callback when a line status changes (orderId, lineId, newStatus)
+ * @param {Function} onShowHistory - Callback when "History" is clicked (orderId)
+ * @param {Function} onVoidRefund - Callback when "Void" or "Refund" is clicked (orderId)
+ * @param {Function} onEdit - Callback when "Edit" is clicked (orderId)
  * @returns {HTMLElement} Order card element
  */
-function renderOrderCard(order, onStatusChange, onQuickReorder, bulkSelectMode = false, onSelectChange = null, isSelected = false) {
+function renderOrderCard(order, onStatusChange, onQuickReorder, bulkSelectMode = false, onSelectChange = null, isSelected = false, onTakePayment = null, onPrint = null, onLineStatusChange = null, onShowHistory = null, onVoidRefund = null, onEdit = null) {
     const card = document.createElement('div');
     card.className = `order-card ${bulkSelectMode ? 'bulk-select-mode' : ''} ${isSelected ? 'selected' : ''}`;
     card.setAttribute('data-order-id', order.id);
@@ -386,6 +713,12 @@ function renderOrderCard(order, onStatusChange, onQuickReorder, bulkSelectMode =
     const itemsSummary = getItemsSummary(order.items);
     const relativeTime = formatRelativeTime(order.timestamp);
     const absoluteTime = formatAbsoluteTime(order.timestamp);
+    const paymentStatus = getOrderPaymentStatus(order);
+    const paymentSummary = summarizePayments(order);
+    const orderType = getOrderType(order);
+    const paymentLabel = order.tabOpen ? `Close Tab (${formatMoney(paymentSummary.due)})` : `Take Payment (${formatMoney(paymentSummary.due)})`;
+    const cancelled = isOrderCancelled(order);
+    const voidRefundLabel = canVoidOrder(order) ? 'Void' : (canRefundOrder(order) ? 'Refund' : '');
 
     // Available statuses
     const statuses = ['Yet to prepare', 'Preparing', 'Prepared', 'Satisfied'];
@@ -398,16 +731,48 @@ function renderOrderCard(order, onStatusChange, onQuickReorder, bulkSelectMode =
         ` : ''}
         <div class="order-card-content">
             <div class="order-card-header">
-                <div class="order-id">Order ${order.orderNumber ? String(order.orderNumber).padStart(4,'0') : order.id.slice(-6)}</div>
+                <div class="order-id">Order ${getOrderLabel(order)}</div>
                 <span class="status-badge ${statusColor}">${order.status}</span>
             </div>
             <div class="order-time">
                 <span class="relative-time">${relativeTime}</span>
                 <span class="absolute-time" title="${absoluteTime}">${absoluteTime}</span>
             </div>
+            <div class="order-meta">
+                <span class="order-type-badge order-type-${orderType}">${getTableKeyLabel(getOrderTableKey(order))}</span>
+                ${order.tabOpen ? `<span class="order-tab-badge">Tab open${order.rounds > 1 ? ` · ${order.rounds} rounds` : ''}</span>` : ''}
+                ${order.scheduledFor ? `<span class="order-ready-badge">Ready ${formatScheduledTime(order.scheduledFor)}</span>` : ''}
+                ${(order.edits || []).length > 0 ? `<span class="order-edited-badge">Edited</span>` : ''}
+                ${order.createdBy ? `<span class="order-staff">by ${order.createdBy.name}</span>` : ''}
+                ${order.customerName || order.customerPhone ? `<span class="order-customer">${[order.customerName, order.customerPhone].filter(Boolean).join(' · ')}</span>` : ''}
+            </div>
             <div class="order-items-summary">${itemsSummary}</div>
-            <div class="order-total">Total: ₹${order.total}</div>
-            ${!bulkSelectMode ? `
+            ${renderOrderItemLines(
+                order,
+                (order.items || []).length > 1 || hasMixedLineStatus(order),
+                Boolean(onLineStatusChange) && !bulkSelectMode && !cancelled
+            )}
+            ${order.discountTotal ? `<div class="order-discount">Subtotal ${formatMoney(order.subtotal)} · Discount −${formatMoney(order.discountTotal)}</div>` : ''}
+            ${order.taxLines && order.taxLines.length > 0 ? `
+                <div class="order-tax">
+                    Taxable ${formatMoney(order.taxableValue)} · ${order.taxLines.map(t => `${t.name} ${formatMoney(t.amount)}`).join(' · ')}${order.taxInclusive ? ' (incl.)' : ''}
+                </div>
+            ` : ''}
+            <div class="order-total">Total: ${formatMoney(order.total)}</div>
+            ${order.voided ? `<div class="order-cancel-note">Voided: ${order.voided.reason}</div>` : ''}
+            ${(order.refunds || []).map(refund => `
+                <div class="order-cancel-note">Refunded ${formatMoney(refund.amount)} (${getPaymentMethodLabel(refund.method)}): ${refund.reason}</div>
+            `).join('')}
+            <div class="order-payment">
+                <span class="payment-badge payment-${paymentStatus}">${paymentStatus}</span>
+                ${paymentSummary.paid > 0 ? `<span class="order-payment-detail">${(order.payments || []).map(p => `${getPaymentMethodLabel(p.method)} ${formatMoney(p.amount)}`).join(' · ')}</span>` : ''}
+                ${(paymentStatus !== 'paid' || order.tabOpen) && !cancelled && onTakePayment && !bulkSelectMode ? `<button class="btn-secondary take-payment-btn">${paymentLabel}</button>` : ''}
+                ${onPrint && !bulkSelectMode ? `<button class="btn-secondary print-order-btn" aria-label="Print receipt or kitchen ticket">Print</button>` : ''}
+                ${onShowHistory && !bulkSelectMode ? `<button class="btn-secondary history-order-btn" aria-label="Show order history">History</button>` : ''}
+                ${onEdit && canEditOrder(order) && !bulkSelectMode ? `<button class="btn-secondary edit-order-btn" aria-label="Edit order items">Edit</button>` : ''}
+                ${onVoidRefund && voidRefundLabel && !bulkSelectMode ? `<button class="btn-secondary void-refund-btn">${voidRefundLabel}</button>` : ''}
+            </div>
+            ${!bulkSelectMode && !cancelled ? `
                 <div class="order-status-control">
                     <div class="status-segments">
                         ${statuses.map(status => `
@@ -482,6 +847,104 @@ function renderOrderCard(order, onStatusChange, onQuickReorder, bulkSelectMode =
         });
     }
 
+    // Line status handlers: tap moves a line forward, long-press moves it back
+    if (onLineStatusChange && !bulkSelectMode) {
+        card.querySelectorAll('.line-status-btn').forEach(btn => {
+            let longPressTimer = null;
+            let longPressActivated = false;
+            const LONG_PRESS_DURATION = 500;
+            const lineId = btn.getAttribute('data-line-id');
+            const index = getStatusIndex(btn.getAttribute('data-status'));
+
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (longPressActivated) {
+                    longPressActivated = false;
+                    return;
+                }
+                if (index >= ORDER_STATUS_FLOW.length - 1) {
+                    showToast('Item already satisfied', 'error');
+                    return;
+                }
+                onLineStatusChange(order.id, lineId, ORDER_STATUS_FLOW[index + 1]);
+            });
+
+            const handleStart = (e) => {
+                longPressTimer = setTimeout(() => {
+                    if (index > 0) {
+                        longPressActivated = true;
+                        showConfirm('Move item backward?', () => {
+                            onLineStatusChange(order.id, lineId, ORDER_STATUS_FLOW[index - 1]);
+                        });
+                    } else {
+                        showToast('Invalid status transition', 'error');
+                    }
+                    e.preventDefault();
+                    e.stopPropagation();
+                }, LONG_PRESS_DURATION);
+            };
+
+            const handleEnd = () => {
+                if (longPressTimer) {
+                    clearTimeout(longPressTimer);
+                    longPressTimer = null;
+                }
+            };
+
+            btn.addEventListener('touchstart', handleStart, { passive: false });
+            btn.addEventListener('touchend', handleEnd);
+            btn.addEventListener('touchcancel', handleEnd);
+            btn.addEventListener('mousedown', handleStart);
+            btn.addEventListener('mouseup', handleEnd);
+            btn.addEventListener('mouseleave', handleEnd);
+        });
+    }
+
+    // Payment button
+    const takePaymentBtn = card.querySelector('.take-payment-btn');
+    if (takePaymentBtn) {
+        takePaymentBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onTakePayment(order.id);
+        });
+    }
+
+    // Print button
+    const printBtn = card.querySelector('.print-order-btn');
+    if (printBtn) {
+        printBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onPrint(order.id);
+        });
+    }
+
+    // History button
+    const historyBtn = card.querySelector('.history-order-btn');
+    if (historyBtn) {
+        historyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onShowHistory(order.id);
+        });
+    }
+
+    // Edit button
+    const editBtn = card.querySelector('.edit-order-btn');
+    if (editBtn) {
+        editBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onEdit(order.id);
+        });
+    }
+
+    // Void / refund button
+    const voidRefundBtn = card.querySelector('.void-refund-btn');
+    if (voidRefundBtn) {
+        voidRefundBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onVoidRefund(order.id);
+        });
+    }
+
     // Add checkbox handler
     if (bulkSelectMode && onSelectChange) {
         const checkbox = card.querySelector('.order-checkbox');
@@ -508,7 +971,7 @@ function renderOrderCard(order, onStatusChange, onQuickReorder, bulkSelectMode =
         const LONG_PRESS_DURATION = 500; // 500ms
 
         const handleStart = (e) => {
-            if (e.target.closest('.status-segment')) return;
+            if (e.target.closest('.status-segment') || e.target.closest('.take-payment-btn') || e.target.closest('.print-order-btn') || e.target.closest('.history-order-btn') || e.target.closest('.void-refund-btn') || e.target.closest('.edit-order-btn') || e.target.closest('.line-status-btn')) return;
             longPressTimer = setTimeout(() => {
                 onQuickReorder(order);
                 // Prevent default actions
@@ -535,6 +998,28 @@ function renderOrderCard(order, onStatusChange, onQuickReorder, bulkSelectMode =
     return card;
 }
 
+/**
+ * Render table filter options on the orders screen
+ * @param {string[]} tables - Configured table names
+ * @param {string} selected - Selected filter ("all" or a table key)
+ * @param {HTMLSelectElement} selectEl - Filter select element
+ */
+function renderTableFilterOptions(tables, selected, selectEl) {
+    if (!selectEl) return;
+
+    const keys = [
+        ...tables.map(table => `table:${table}`),
+        ...ORDER_TYPES.filter(type => type.id !== 'dine-in').map(type => type.id)
+    ];
+
+    selectEl.innerHTML = `
+        <option value="all">All tables &amp; types</option>
+        ${keys.map(key => `
+            <option value="${key}" ${key === selected ? 'selected' : ''}>${getTableKeyLabel(key)}</option>
+        `).join('')}
+    `;
+}
+
 /**
  * Render orders list
  * @param {Array} orders - Orders array
@@ -543,8 +1028,15 @@ function renderOrderCard(order, onStatusChange, onQuickReorder, bulkSelectMode =
  * @param {boolean} bulkSelectMode - Whether bulk-select mode is active
  * @param {Function} onSelectChange - Callback when checkbox is toggled (orderId, selected)
  * @param {Set} selectedOrders - Set of selected order IDs
+ * @param {Function} onTakePayment - Callback when "Take Payment" is clicked (orderId)
+ * @param {Function} onPrint - Callback when "Print" is clicked (orderId)
+ * @param {boolean} groupByTable - Whether to group orders under table/type headings
+ * @param {Function} onLineStatusChange - Callback when a line status changes (orderId, lineId, newStatus)
+ * @param {Function} onShowHistory - Callback when "History" is clicked (orderId)
+ * @param {Function} onVoidRefund - Callback when "Void" or "Refund" is clicked (orderId)
+ * @param {Function} onEdit - Callback when "Edit" is clicked (orderId)
  */
-function renderOrdersList(orders, onStatusChange, onQuickReorder = null, bulkSelectMode = false, onSelectChange = null, selectedOrders = new Set()) {
+function renderOrdersList(orders, onStatusChange, onQuickReorder = null, bulkSelectMode = false, onSelectChange = null, selectedOrders = new Set(), onTakePayment = null, onPrint = null, groupByTable = false, onLineStatusChange = null, onShowHistory = null, onVoidRefund = null, onEdit = null) {
     const container = document.getElementById('orders-list');
     if (!container) return;
 
@@ -555,31 +1047,255 @@ function renderOrdersList(orders, onStatusChange, onQuickReorder = null, bulkSel
         return;
     }
 
+    // Orders scheduled for later wait in their own group until they join the queue
+    const { upcoming, active } = splitUpcomingOrders(orders);
+
     // Sort orders by timestamp (newest first)
-    const sortedOrders = [...orders].sort((a, b) => {
+    const sortedOrders = active.sort((a, b) => {
         return new Date(b.timestamp) - new Date(a.timestamp);
     });
 
-    sortedOrders.forEach(order => {
-        const isSelected = selectedOrders.has(order.id);
-        const card = renderOrderCard(order, onStatusChange, onQuickReorder, bulkSelectMode, onSelectChange, isSelected);
-        container.appendChild(card);
+    const appendCards = (groupOrders, parent) => {
+        groupOrders.forEach(order => {
+            const isSelected = selectedOrders.has(order.id);
+            const card = renderOrderCard(order, onStatusChange, onQuickReorder, bulkSelectMode, onSelectChange, isSelected, onTakePayment, onPrint, onLineStatusChange, onShowHistory, onVoidRefund, onEdit);
+            parent.appendChild(card);
+        });
+    };
+
+    if (upcoming.length > 0) {
+        const section = document.createElement('section');
+        section.className = 'orders-group orders-upcoming';
+        section.innerHTML = `
+            <h3 class="orders-group-header">
+                <span>Upcoming</span>
+                <span class="orders-group-meta">${upcoming.length} order${upcoming.length !== 1 ? 's' : ''} · join the queue ${getScheduleLeadMinutes()} min before ready time</span>
+            </h3>
+        `;
+        appendCards(upcoming, section);
+        container.appendChild(section);
+    }
+
+    if (!groupByTable) {
+        appendCards(sortedOrders, container);
+        return;
+    }
+
+    groupOrdersByTable(sortedOrders).forEach(group => {
+        const section = document.createElement('section');
+        section.className = 'orders-group';
+        const groupTotal = roundMoney(group.orders.reduce((sum, order) => sum + (order.total || 0), 0));
+        section.innerHTML = `
+            <h3 class="orders-group-header">
+                <span>${group.label}</span>
+                <span class="orders-group-meta">${group.orders.length} order${group.orders.length !== 1 ? 's' : ''} · ${formatMoney(groupTotal)}</span>
+            </h3>
+        `;
+        appendCards(group.orders, section);
+        container.appendChild(section);
+    });
+}
+
+/**
+ * Render one page of archived orders with restore, delete and history actions
+ * @param {Object} page - Page from paginate ({items, page, pageCount}) plus total (matching orders)
+ * @param {HTMLElement} containerEl - Container element to render into
+ * @param {Object} handlers - {onRestore(order), onPurge(order), onShowHistory(order), onPage(page)}
+ */
+function renderArchiveList(page, containerEl, handlers) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = '';
+
+    if (page.items.length === 0) {
+        containerEl.innerHTML = '<div class="orders-empty">No archived orders match</div>';
+        return;
+    }
+
+    page.items.forEach(order => {
+        const card = document.createElement('div');
+        card.className = 'order-card archive-card';
+        card.setAttribute('data-order-id', order.id);
+
+        card.innerHTML = `
+            <div class="order-card-content">
+                <div class="order-card-header">
+                    <div class="order-id">Order ${getOrderLabel(order)}</div>
+                    <span class="status-badge ${getStatusColor(order.status)}">${order.status}</span>
+                </div>
+                <div class="order-time">
+                    <span class="absolute-time">${formatAbsoluteTime(order.timestamp)}</span>
+                </div>
+                <div class="order-meta">
+                    <span class="order-type-badge order-type-${getOrderType(order)}">${getTableKeyLabel(getOrderTableKey(order))}</span>
+                    ${order.createdBy ? `<span class="order-staff">by ${order.createdBy.name}</span>` : ''}
+                    ${order.customerName || order.customerPhone ? `<span class="order-customer">${[order.customerName, order.customerPhone].filter(Boolean).join(' · ')}</span>` : ''}
+                </div>
+                ${renderOrderItemLines(order)}
+                <div class="order-total">Total: ${formatMoney(order.total)}</div>
+                <div class="order-payment">
+                    <span class="payment-badge payment-${getOrderPaymentStatus(order)}">${getOrderPaymentStatus(order)}</span>
+                    <button class="btn-secondary history-order-btn" aria-label="Show order history">History</button>
+                    <button class="btn-secondary archive-restore-btn">Restore</button>
+                    <button class="btn-secondary archive-purge-btn">Delete</button>
+                </div>
+            </div>
+        `;
+
+        card.querySelector('.history-order-btn').addEventListener('click', () => handlers.onShowHistory(order));
+        card.querySelector('.archive-restore-btn').addEventListener('click', () => handlers.onRestore(order));
+        card.querySelector('.archive-purge-btn').addEventListener('click', () => handlers.onPurge(order));
+
+        containerEl.appendChild(card);
+    });
+
+    const pager = document.createElement('div');
+    pager.className = 'archive-pager';
+    pager.innerHTML = `
+        <button class="btn-secondary archive-prev-btn" ${page.page <= 1 ? 'disabled' : ''} aria-label="Previous page">Prev</button>
+        <span class="archive-page-info">Page ${page.page} of ${page.pageCount} · ${page.total} orders</span>
+        <button class="btn-secondary archive-next-btn" ${page.page >= page.pageCount ? 'disabled' : ''} aria-label="Next page">Next</button>
+    `;
+    pager.querySelector('.archive-prev-btn').addEventListener('click', () => handlers.onPage(page.page - 1));
+    pager.querySelector('.archive-next-btn').addEventListener('click', () => handlers.onPage(page.page + 1));
+    containerEl.appendChild(pager);
+}
+
+/**
+ * Render kitchen display: all-day counts and tickets in status columns
+ * Tapping a ticket header bumps the whole order; tapping an item bumps that line.
+ * Both only move one step forward; moving back stays on the Orders screen.
+ * @param {Array} orders - Active orders (oldest first)
+ * @param {HTMLElement} containerEl - Columns container
+ * @param {HTMLElement} allDayEl - All-day counts container
+ * @param {Function} onBumpOrder - Callback to move an order forward (orderId, nextStatus)
+ * @param {Function} onBumpLine - Callback to move a line forward (orderId, lineId, nextStatus)
+ */
+function renderKitchenDisplay(orders, containerEl, allDayEl, onBumpOrder, onBumpLine) {
+    if (!containerEl) return;
+
+    if (allDayEl) {
+        const counts = computeAllDayCounts(orders);
+        allDayEl.innerHTML = counts.length === 0
+            ? '<span class="kds-all-day-empty">Nothing pending</span>'
+            : counts.map(c => `<span class="kds-all-day-item"><strong>${c.quantity}×</strong> ${c.name}</span>`).join('');
+    }
+
+    const nextStatus = status => ORDER_STATUS_FLOW[getStatusIndex(status) + 1] || null;
+
+    containerEl.innerHTML = KDS_COLUMNS.map(column => {
+        const columnOrders = orders.filter(order => ORDER_STATUS_FLOW[getStatusIndex(order.status)] === column);
+        return `
+            <section class="kds-column">
+                <h3 class="kds-column-header ${getStatusColor(column)}">${column} <span class="kds-column-count">${columnOrders.length}</span></h3>
+                <div class="kds-column-body">
+                    ${columnOrders.map(order => `
+                        <article class="kds-ticket" data-order-id="${order.id}" data-since="${getTicketStartTime(order)}">
+                            <button type="button" class="kds-ticket-header" data-next-status="${nextStatus(order.status) || ''}" aria-label="Bump order to ${nextStatus(order.status)}">
+                                <span class="kds-ticket-number">#${getOrderLabel(order)}</span>
+                                <span class="kds-ticket-table">${getTableKeyLabel(getOrderTableKey(order))}${order.scheduledFor ? ` · <span class="kds-ticket-ready">Ready ${formatScheduledTime(order.scheduledFor)}</span>` : ''}</span>
+                                <span class="kds-timer">0:00</span>
+                            </button>
+                            <ul class="kds-ticket-lines">
+                                ${(order.items || []).map(item => {
+                                    const lineStatus = getLineStatus(item, order);
+                                    const modifiersText = formatModifiers(item.modifiers);
+                                    const componentsText = formatBundleComponents(item.components);
+                                    return `
+                                        <li>
+                                            <button type="button" class="kds-line ${getStatusColor(lineStatus)}" data-line-id="${item.lineId}" data-next-status="${nextStatus(lineStatus) || ''}">
+                                                <span class="kds-line-name">${item.quantity || 1}× ${item.name}</span>
+                                                ${componentsText ? `<span class="kds-line-detail">${componentsText}</span>` : ''}
+                                                ${modifiersText ? `<span class="kds-line-detail">${modifiersText}</span>` : ''}
+                                                ${item.note ? `<span class="kds-line-note">${item.note}</span>` : ''}
+                                                <span class="kds-line-status">${lineStatus}</span>
+                                            </button>
+                                        </li>
+                                    `;
+                                }).join('')}
+                            </ul>
+                        </article>
+                    `).join('') || '<div class="kds-column-empty">No tickets</div>'}
+                </div>
+            </section>
+        `;
+    }).join('');
+
+    containerEl.querySelectorAll('.kds-ticket').forEach(ticket => {
+        const orderId = ticket.getAttribute('data-order-id');
+
+        ticket.querySelector('.kds-ticket-header').addEventListener('click', (e) => {
+            const next = e.currentTarget.getAttribute('data-next-status');
+            if (next) onBumpOrder(orderId, next);
+        });
+
+        ticket.querySelectorAll('.kds-line').forEach(line => {
+            line.addEventListener('click', () => {
+                const next = line.getAttribute('data-next-status');
+                if (next) onBumpLine(orderId, line.getAttribute('data-line-id'), next);
+            });
+        });
+    });
+
+    updateKitchenTimers(containerEl);
+}
+
+/**
+ * Refresh elapsed-time timers and their colors on kitchen tickets
+ * @param {HTMLElement} containerEl - Columns container
+ */
+function updateKitchenTimers(containerEl) {
+    if (!containerEl) return;
+
+    const thresholds = getKdsThresholds();
+    const now = Date.now();
+    containerEl.querySelectorAll('.kds-ticket').forEach(ticket => {
+        const elapsed = now - new Date(ticket.getAttribute('data-since')).getTime();
+        const level = getTimerLevel(elapsed, thresholds);
+        ticket.querySelector('.kds-timer').textContent = formatElapsed(elapsed);
+        ticket.classList.toggle('kds-warn', level === 'warn');
+        ticket.classList.toggle('kds-late', level === 'late');
     });
 }
 
+/**
+ * Render the sync connection status line in settings
+ * @param {{state: string, pending: number}} status - Sync status from getSyncStatus
+ * @param {HTMLElement} containerEl - Status element
+ */
+function renderSyncStatus(status, containerEl) {
+    if (!containerEl) return;
+
+    const labels = {
+        off: 'Sync is off',
+        connecting: 'Connecting to relay…',
+        online: 'Connected',
+        offline: 'Relay unreachable, retrying'
+    };
+    const pending = status.pending > 0
+        ? ` · ${status.pending} change${status.pending === 1 ? '' : 's'} waiting to send`
+        : '';
+
+    containerEl.className = `sync-status sync-status-${status.state}`;
+    containerEl.textContent = `${labels[status.state] || status.state}${pending}`;
+}
+
 /**
  * Initialize menu UI
+ * Called again after menu changes; the selected category is kept if it still exists.
  * @param {Array} menu - Menu items array
  * @param {Function} onItemClick - Callback when item is clicked
  */
 function initMenuUI(menu, onItemClick) {
     const categories = getCategories(menu);
-    let selectedCategory = 'all';
+    if (!categories.includes(selectedMenuCategory)) {
+        selectedMenuCategory = 'all';
+    }
 
     // Category selection handler
     const handleCategorySelect = (category) => {
-        selectedCategory = category;
-        renderCategoryChips(categories, selectedCategory, handleCategorySelect);
+        selectedMenuCategory = category;
+        renderCategoryChips(categories, selectedMenuCategory, handleCategorySelect);
         
         const filtered = category === 'all' 
             ? menu 
@@ -587,14 +1303,11 @@ function initMenuUI(menu, onItemClick) {
         renderMenuGrid(filtered, onItemClick);
     };
 
-    // Render category chips
-    renderCategoryChips(categories, selectedCategory, handleCategorySelect);
-
     // Render favorites bar
     renderFavoritesBar(menu, onItemClick);
 
-    // Render initial menu grid
-    renderMenuGrid(menu, onItemClick);
+    // Render chips and grid for the selected category
+    handleCategorySelect(selectedMenuCategory);
 }
 
 /**
@@ -605,8 +1318,9 @@ function initMenuUI(menu, onItemClick) {
  * @param {Function} onDelete - Callback when delete is clicked (itemId)
  * @param {Function} onCreate - Callback when create button is clicked
  * @param {Function} onToggleFavorite - Callback when favorite is toggled (itemId)
+ * @param {Array} ingredients - Ingredient catalog (for food cost and margin)
  */
-function renderMenuAdmin(menuArray, containerEl, onEdit, onDelete, onCreate, onToggleFavorite) {
+function renderMenuAdmin(menuArray, containerEl, onEdit, onDelete, onCreate, onToggleFavorite, ingredients = []) {
     if (!containerEl) return;
 
     containerEl.innerHTML = '';
@@ -628,6 +1342,7 @@ function renderMenuAdmin(menuArray, containerEl, onEdit, onDelete, onCreate, onT
         const row = document.createElement('div');
         row.className = `admin-menu-row ${item.hidden ? 'hidden-item' : ''}`;
         row.setAttribute('data-item-id', item.id);
+        const costing = getItemCosting(item, ingredients);
 
         row.innerHTML = `
             <div class="admin-row-content">
@@ -635,7 +1350,11 @@ function renderMenuAdmin(menuArray, containerEl, onEdit, onDelete, onCreate, onT
                     <div class="admin-row-name">${item.name || 'Unnamed'}</div>
                     <div class="admin-row-details">
                         <span class="admin-row-category">${item.category || 'Uncategorized'}</span>
-                        <span class="admin-row-price">₹${(item.price || 0).toFixed(2)}</span>
+                        <span class="admin-row-price">${formatMoney((item.price || 0).toFixed(2))}</span>
+                        ${isBundle(item) ? `<span class="admin-row-combo">Combo: ${item.bundleSlots.map(slot => getBundleSlotName(slot, menuArray)).join(' + ')}</span>` : ''}
+                        ${(item.modifierGroups || []).length > 0 ? `<span class="admin-row-modifiers">${item.modifierGroups.length} modifier group${item.modifierGroups.length !== 1 ? 's' : ''}</span>` : ''}
+                        ${costing ? `<span class="admin-row-cost">Cost ${formatMoney(costing.cost)}${costing.costPercent !== null ? ` (${costing.costPercent}%)` : ''} · Margin ${formatMoney(costing.margin)}</span>` : ''}
+                        ${isStockTracked(item) ? `<span class="admin-row-stock ${item.stock <= getLowStockThreshold(item) ? 'low' : ''}">${item.stock} in stock</span>` : ''}
                     </div>
                 </div>
                 <div class="admin-row-actions">
@@ -683,19 +1402,53 @@ function renderMenuAdmin(menuArray, containerEl, onEdit, onDelete, onCreate, onT
 }
 
 /**
- * Open menu item modal for create/edit
- * @param {Object|null} item - Item to edit (null for create)
- * @param {Function} onSave - Callback when save is clicked (updatedItem)
+ * Render low stock warnings
+ * @param {Array} items - Low stock items from getLowStockItems
+ * @param {HTMLElement} containerEl - Container element to render into
+ * @param {Function} onEdit - Callback when an item is tapped (item)
  */
-function openMenuItemModal(item, onSave) {
-    const isEdit = item !== null;
-    const modal = document.createElement('div');
-    modal.className = 'modal-overlay';
-    modal.setAttribute('role', 'dialog');
-    modal.setAttribute('aria-labelledby', 'modal-title');
-    modal.setAttribute('aria-modal', 'true');
+function renderLowStockList(items, containerEl, onEdit) {
+    if (!containerEl) return;
 
-    // Get existing categories for dropdown
+    if (items.length === 0) {
+        containerEl.innerHTML = '<p class="backup-description">All tracked items are well stocked.</p>';
+        return;
+    }
+
+    containerEl.innerHTML = `
+        <div class="low-stock-list">
+            ${items.map(item => `
+                <button type="button" class="low-stock-row ${item.stock <= 0 ? 'sold-out' : ''}" data-item-id="${item.id}">
+                    <span class="low-stock-name">${item.name}</span>
+                    <span class="low-stock-count">${item.stock <= 0 ? 'Sold out' : `${item.stock} left`}</span>
+                </button>
+            `).join('')}
+        </div>
+    `;
+
+    containerEl.querySelectorAll('[data-item-id]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            onEdit(items.find(item => String(item.id) === btn.getAttribute('data-item-id')));
+        });
+    });
+}
+
+/**
+ * Open menu item modal for create/edit
+ * @param {Object|null} item - Item to edit (null for create)
+ * @param {Object} taxConfig - Tax configuration (for per-item tax rates)
+ * @param {Array} ingredients - Ingredient catalog (for the recipe)
+ * @param {Function} onSave - Callback when save is clicked (updatedItem)
+ */
+function openMenuItemModal(item, taxConfig, ingredients, onSave) {
+    const isEdit = item !== null;
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'modal-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    // Get existing categories for dropdown
     getMenu().then(menu => {
         const categories = [...new Set(menu.map(m => m.category).filter(c => c))].sort();
         const currentCategory = item ? item.category : (categories[0] || 'Uncategorized');
@@ -717,7 +1470,7 @@ function openMenuItemModal(item, onSave) {
                                    aria-required="true">
                         </div>
                         <div class="form-group">
-                            <label for="item-price">Price (₹) *</label>
+                            <label for="item-price">Price (${getCurrencySymbol()}) *</label>
                             <input type="number" id="item-price" name="price" step="0.01" min="0" required 
                                    value="${item ? (item.price || 0) : ''}" 
                                    aria-required="true">
@@ -739,6 +1492,62 @@ function openMenuItemModal(item, onSave) {
                                 <span>Mark as favorite</span>
                             </label>
                         </div>
+                        <div class="form-group">
+                            <label>Tax Rates</label>
+                            <div class="checkbox-group">
+                                <label>
+                                    <input type="checkbox" id="item-tax-use-category"
+                                           ${!item || !Array.isArray(item.taxRateIds) ? 'checked' : ''}>
+                                    <span>Use category tax rates</span>
+                                </label>
+                            </div>
+                            <div class="tax-rate-choices" id="item-tax-rates">
+                                ${((taxConfig && taxConfig.rates) || []).map(rate => `
+                                    <label>
+                                        <input type="checkbox" name="taxRateId" value="${rate.id}"
+                                               ${item && Array.isArray(item.taxRateIds) && item.taxRateIds.includes(rate.id) ? 'checked' : ''}>
+                                        <span>${rate.name} ${rate.rate}%</span>
+                                    </label>
+                                `).join('')}
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label>Combo Slots</label>
+                            <p class="backup-description">Add slots to sell this item as a combo at the price above: each slot is a fixed item or one item chosen from a category when the combo is tapped.</p>
+                            <div id="bundle-slots-editor" class="recipe-editor"></div>
+                            <button type="button" class="btn-secondary" id="add-bundle-slot-btn">Add Slot</button>
+                        </div>
+                        <div class="form-group">
+                            <label>Recipe</label>
+                            ${ingredients.length === 0 ? '<p class="backup-description">Add ingredients in Settings → Ingredients to cost this item.</p>' : `
+                                <div id="recipe-editor" class="recipe-editor"></div>
+                                <button type="button" class="btn-secondary" id="add-recipe-line-btn">Add Ingredient</button>
+                                <div id="recipe-cost" class="recipe-cost"></div>
+                            `}
+                        </div>
+                        <div class="form-group">
+                            <div class="checkbox-group">
+                                <label>
+                                    <input type="checkbox" id="item-track-stock" name="trackStock"
+                                           ${item && item.trackStock ? 'checked' : ''}>
+                                    <span>Track stock</span>
+                                </label>
+                            </div>
+                            <div class="stock-fields" id="item-stock-fields">
+                                <label for="item-stock">In stock</label>
+                                <input type="number" id="item-stock" name="stock" step="1"
+                                       value="${item && typeof item.stock === 'number' ? item.stock : ''}">
+                                <label for="item-low-stock">Low stock at</label>
+                                <input type="number" id="item-low-stock" name="lowStockThreshold" step="1" min="0"
+                                       placeholder="${DEFAULT_LOW_STOCK_THRESHOLD}"
+                                       value="${item && typeof item.lowStockThreshold === 'number' ? item.lowStockThreshold : ''}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label>Modifier Groups</label>
+                            <div id="modifier-groups-editor" class="modifier-groups-editor"></div>
+                            <button type="button" class="btn-secondary" id="add-modifier-group-btn">Add Group</button>
+                        </div>
                         <div id="form-errors" class="form-errors" role="alert"></div>
                     </form>
                 </div>
@@ -752,6 +1561,66 @@ function openMenuItemModal(item, onSave) {
         document.body.appendChild(modal);
         document.body.style.overflow = 'hidden';
 
+        // Modifier group editor
+        const groupsEditor = modal.querySelector('#modifier-groups-editor');
+        (item && item.modifierGroups ? item.modifierGroups : []).forEach(group => {
+            groupsEditor.appendChild(renderModifierGroupEditor(group));
+        });
+        modal.querySelector('#add-modifier-group-btn').addEventListener('click', () => {
+            groupsEditor.appendChild(renderModifierGroupEditor(null));
+        });
+
+        // Combo slots can hold any other item that is not itself a combo
+        const slotItems = menu.filter(m => !m.hidden && !isBundle(m) && (!item || m.id !== item.id));
+        const slotsEditor = modal.querySelector('#bundle-slots-editor');
+        (item && item.bundleSlots ? item.bundleSlots : []).forEach(slot => {
+            slotsEditor.appendChild(renderBundleSlotEditor(slot, slotItems, categories));
+        });
+        modal.querySelector('#add-bundle-slot-btn').addEventListener('click', () => {
+            slotsEditor.appendChild(renderBundleSlotEditor(null, slotItems, categories));
+        });
+
+        // Per-item tax rates are only editable when not following the category
+        const taxUseCategory = modal.querySelector('#item-tax-use-category');
+        const taxRateChoices = modal.querySelector('#item-tax-rates');
+        const syncTaxChoices = () => {
+            taxRateChoices.style.display = taxUseCategory.checked ? 'none' : 'flex';
+        };
+        taxUseCategory.addEventListener('change', syncTaxChoices);
+        syncTaxChoices();
+
+        // Recipe lines, with the food cost and margin at the price being entered
+        const recipeEditor = modal.querySelector('#recipe-editor');
+        const recipeCost = modal.querySelector('#recipe-cost');
+        const priceInput = modal.querySelector('#item-price');
+        const updateRecipeCost = () => {
+            if (!recipeEditor) return;
+            const costing = getItemCosting({ price: parseFloat(priceInput.value) || 0, recipe: readRecipeEditor(recipeEditor) }, ingredients);
+            recipeCost.textContent = costing
+                ? `Food cost ${formatMoney(costing.cost)}${costing.costPercent !== null ? ` (${costing.costPercent}%)` : ''} · Margin ${formatMoney(costing.margin)}`
+                : '';
+        };
+        if (recipeEditor) {
+            (item && item.recipe ? item.recipe : []).forEach(entry => {
+                recipeEditor.appendChild(renderRecipeLineEditor(entry, ingredients, updateRecipeCost));
+            });
+            modal.querySelector('#add-recipe-line-btn').addEventListener('click', () => {
+                recipeEditor.appendChild(renderRecipeLineEditor(null, ingredients, updateRecipeCost));
+                updateRecipeCost();
+            });
+            priceInput.addEventListener('input', updateRecipeCost);
+            updateRecipeCost();
+        }
+
+        // Stock counts are only editable when stock is tracked
+        const trackStock = modal.querySelector('#item-track-stock');
+        const stockFields = modal.querySelector('#item-stock-fields');
+        const syncStockFields = () => {
+            stockFields.style.display = trackStock.checked ? 'grid' : 'none';
+        };
+        trackStock.addEventListener('change', syncStockFields);
+        syncStockFields();
+
         // Focus trap
         const focusableElements = modal.querySelectorAll('button, input, select, textarea, [tabindex]:not([tabindex="-1"])');
         const firstElement = focusableElements[0];
@@ -814,7 +1683,15 @@ function openMenuItemModal(item, onSave) {
                 price: formData.get('price'),
                 category: formData.get('category'),
                 favorite: formData.get('favorite') === 'on',
-                hidden: item ? (item.hidden || false) : false
+                hidden: item ? (item.hidden || false) : false,
+                modifierGroups: readModifierGroupEditors(groupsEditor, item ? item.modifierGroups : []),
+                bundleSlots: readBundleSlotEditor(slotsEditor),
+                taxRateIds: taxUseCategory.checked ? null : formData.getAll('taxRateId'),
+                // Without ingredients the recipe can't be edited, so keep what the item had
+                recipe: recipeEditor ? readRecipeEditor(recipeEditor) : (item ? item.recipe : []),
+                trackStock: trackStock.checked,
+                stock: formData.get('stock'),
+                lowStockThreshold: formData.get('lowStockThreshold')
             };
 
             const sanitized = sanitizeMenuItem(formItem);
@@ -841,28 +1718,239 @@ function openMenuItemModal(item, onSave) {
 }
 
 /**
- * Show confirmation modal
- * @param {string} message - Confirmation message
- * @param {Function} onConfirm - Callback when confirmed
+ * Render one modifier group row for the menu item modal
+ * Options are edited one per line as "Name | price delta"
+ * @param {Object|null} group - Existing modifier group (null for new)
+ * @returns {HTMLElement} Group editor element
  */
-function showConfirm(message, onConfirm) {
+function renderModifierGroupEditor(group) {
+    const row = document.createElement('div');
+    row.className = 'modifier-group-editor';
+    if (group) row.setAttribute('data-group-id', group.id);
+
+    const optionsText = group
+        ? group.options.map(option => `${option.name} | ${option.priceDelta || 0}`).join('\n')
+        : '';
+
+    row.innerHTML = `
+        <div class="modifier-group-editor-header">
+            <input type="text" class="modifier-group-name" placeholder="Group name (e.g. Spice Level)"
+                   value="${group ? group.name : ''}">
+            <button type="button" class="admin-action-btn delete-btn modifier-group-remove" aria-label="Remove group">
+                <svg class="icon" aria-hidden="true"><use href="#icon-delete"></use></svg>
+            </button>
+        </div>
+        <div class="modifier-group-flags">
+            <label><input type="checkbox" class="modifier-group-required" ${group && group.required ? 'checked' : ''}> Required</label>
+            <label><input type="checkbox" class="modifier-group-multi" ${group && group.multiSelect ? 'checked' : ''}> Multi-select</label>
+        </div>
+        <textarea class="modifier-group-options" rows="3"
+                  placeholder="One option per line: Name | price delta">${optionsText}</textarea>
+    `;
+
+    row.querySelector('.modifier-group-remove').addEventListener('click', () => {
+        row.remove();
+    });
+
+    return row;
+}
+
+/**
+ * Read modifier groups back from the menu item modal editors
+ * Existing group and option IDs are kept so basket lines and reports stay stable
+ * @param {HTMLElement} container - Editor container element
+ * @param {Array} existingGroups - Item's current modifier groups
+ * @returns {Array} Modifier groups
+ */
+function readModifierGroupEditors(container, existingGroups = []) {
+    const rows = container.querySelectorAll('.modifier-group-editor');
+
+    return Array.from(rows).map(row => {
+        const existing = (existingGroups || []).find(g => g.id === row.getAttribute('data-group-id'));
+        const options = row.querySelector('.modifier-group-options').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line !== '')
+            .map(line => {
+                const [name, delta] = line.split('|').map(part => part.trim());
+                const existingOption = existing ? existing.options.find(o => o.name === name) : null;
+                return {
+                    id: existingOption ? existingOption.id : null,
+                    name,
+                    priceDelta: delta || 0
+                };
+            });
+
+        return {
+            id: existing ? existing.id : null,
+            name: row.querySelector('.modifier-group-name').value,
+            required: row.querySelector('.modifier-group-required').checked,
+            multiSelect: row.querySelector('.modifier-group-multi').checked,
+            options
+        };
+    });
+}
+
+/**
+ * Render one recipe line for the menu item modal
+ * @param {Object|null} entry - Existing recipe line ({ingredientId, quantity}) or null for new
+ * @param {Array} ingredients - Ingredient catalog
+ * @param {Function} onChange - Callback when the line changes or is removed
+ * @returns {HTMLElement} Recipe line element
+ */
+function renderRecipeLineEditor(entry, ingredients, onChange) {
+    const row = document.createElement('div');
+    row.className = 'recipe-line';
+    const selectedId = entry ? entry.ingredientId : ingredients[0].id;
+    const unitFor = (id) => {
+        const ingredient = ingredients.find(i => i.id === id);
+        return ingredient ? getIngredientUnitLabel(ingredient.unit) : '';
+    };
+
+    row.innerHTML = `
+        <select class="recipe-ingredient" aria-label="Ingredient">
+            ${ingredients.map(ingredient => `
+                <option value="${ingredient.id}" ${ingredient.id === selectedId ? 'selected' : ''}>${ingredient.name}</option>
+            `).join('')}
+            ${ingredients.some(i => i.id === selectedId) ? '' : `<option value="${selectedId}" selected>(deleted ingredient)</option>`}
+        </select>
+        <input type="number" class="recipe-quantity" step="0.001" min="0" aria-label="Quantity"
+               value="${entry ? entry.quantity : ''}">
+        <span class="recipe-unit">${unitFor(selectedId)}</span>
+        <button type="button" class="adjustment-remove-btn" aria-label="Remove ingredient">×</button>
+    `;
+
+    const select = row.querySelector('.recipe-ingredient');
+    select.addEventListener('change', () => {
+        row.querySelector('.recipe-unit').textContent = unitFor(select.value);
+        onChange();
+    });
+    row.querySelector('.recipe-quantity').addEventListener('input', onChange);
+    row.querySelector('.adjustment-remove-btn').addEventListener('click', () => {
+        row.remove();
+        onChange();
+    });
+
+    return row;
+}
+
+/**
+ * Read recipe lines back from the recipe editor
+ * @param {HTMLElement} editorEl - Recipe editor container
+ * @returns {Array} Recipe lines ({ingredientId, quantity})
+ */
+function readRecipeEditor(editorEl) {
+    return Array.from(editorEl.querySelectorAll('.recipe-line')).map(row => ({
+        ingredientId: row.querySelector('.recipe-ingredient').value,
+        quantity: parseFloat(row.querySelector('.recipe-quantity').value) || 0
+    }));
+}
+
+/**
+ * Render one combo slot for the menu item modal
+ * @param {Object|null} slot - Existing slot ({id, name, itemId} or {id, name, category}) or null for new
+ * @param {Array} items - Items a slot can hold
+ * @param {Array} categories - Categories a slot can choose from
+ * @returns {HTMLElement} Slot element
+ */
+function renderBundleSlotEditor(slot, items, categories) {
+    const row = document.createElement('div');
+    row.className = 'recipe-line bundle-slot';
+    if (slot) row.setAttribute('data-slot-id', slot.id);
+    const selected = slot ? (slot.itemId ? `item:${slot.itemId}` : `category:${slot.category}`) : '';
+
+    row.innerHTML = `
+        <input type="text" class="bundle-slot-name" placeholder="Slot name (optional)" aria-label="Slot name"
+               value="${slot ? slot.name : ''}">
+        <select class="bundle-slot-source" aria-label="Slot contents">
+            <option value="">Choose...</option>
+            <optgroup label="Choose one from category">
+                ${categories.map(category => `
+                    <option value="category:${category}" ${selected === `category:${category}` ? 'selected' : ''}>Any ${category}</option>
+                `).join('')}
+            </optgroup>
+            <optgroup label="Fixed item">
+                ${items.map(menuItem => `
+                    <option value="item:${menuItem.id}" ${selected === `item:${menuItem.id}` ? 'selected' : ''}>${menuItem.name}</option>
+                `).join('')}
+                ${slot && slot.itemId && !items.some(m => String(m.id) === String(slot.itemId)) ? `<option value="${selected}" selected>(deleted item)</option>` : ''}
+            </optgroup>
+        </select>
+        <button type="button" class="adjustment-remove-btn" aria-label="Remove slot">×</button>
+    `;
+
+    row.querySelector('.adjustment-remove-btn').addEventListener('click', () => {
+        row.remove();
+    });
+
+    return row;
+}
+
+/**
+ * Read combo slots back from the slot editor
+ * Existing slot IDs are kept so past order lines still match their slots
+ * @param {HTMLElement} editorEl - Slot editor container
+ * @returns {Array} Slots ({id, name, itemId, category})
+ */
+function readBundleSlotEditor(editorEl) {
+    return Array.from(editorEl.querySelectorAll('.bundle-slot')).map(row => {
+        const source = row.querySelector('.bundle-slot-source').value;
+        return {
+            id: row.getAttribute('data-slot-id'),
+            name: row.querySelector('.bundle-slot-name').value,
+            itemId: source.startsWith('item:') ? source.slice(5) : null,
+            category: source.startsWith('category:') ? source.slice(9) : null
+        };
+    });
+}
+
+/**
+ * Open modifier picker for a menu item
+ * Required single-select groups start with their first option chosen
+ * @param {Object} item - Menu item with modifierGroups
+ * @param {Function} onConfirm - Callback with chosen modifiers array
+ */
+function openModifierPicker(item, onConfirm) {
     const modal = document.createElement('div');
     modal.className = 'modal-overlay';
     modal.setAttribute('role', 'dialog');
-    modal.setAttribute('aria-labelledby', 'confirm-title');
+    modal.setAttribute('aria-labelledby', 'modifier-picker-title');
     modal.setAttribute('aria-modal', 'true');
 
+    const groups = item.modifierGroups || [];
+
     modal.innerHTML = `
-        <div class="modal-content modal-content-small">
+        <div class="modal-content">
             <div class="modal-header">
-                <h2 id="confirm-title">Confirm</h2>
+                <h2 id="modifier-picker-title">${item.name}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
             </div>
             <div class="modal-body">
-                <p>${message}</p>
+                ${groups.map(group => `
+                    <fieldset class="modifier-group" data-group-id="${group.id}">
+                        <legend>
+                            ${group.name}
+                            <span class="modifier-group-hint">${group.required ? 'Required' : 'Optional'}${group.multiSelect ? ' · choose any' : ''}</span>
+                        </legend>
+                        ${group.options.map((option, index) => `
+                            <label class="modifier-option">
+                                <input type="${group.multiSelect ? 'checkbox' : 'radio'}"
+                                       name="mod-${group.id}"
+                                       value="${option.id}"
+                                       ${group.required && !group.multiSelect && index === 0 ? 'checked' : ''}>
+                                <span class="modifier-option-name">${option.name}</span>
+                                ${option.priceDelta ? `<span class="modifier-option-price">${option.priceDelta > 0 ? '+' : '−'}${formatMoney(Math.abs(option.priceDelta))}</span>` : ''}
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                `).join('')}
+                <div id="modifier-errors" class="form-errors" role="alert"></div>
             </div>
             <div class="modal-footer">
                 <button type="button" class="btn-secondary modal-cancel">Cancel</button>
-                <button type="button" class="btn-danger modal-confirm">Confirm</button>
+                <button type="button" class="btn-primary modal-save">Add ${getCurrencySymbol()}<span id="modifier-picker-price">${item.price}</span></button>
             </div>
         </div>
     `;
@@ -870,88 +1958,2750 @@ function showConfirm(message, onConfirm) {
     document.body.appendChild(modal);
     document.body.style.overflow = 'hidden';
 
+    const readSelections = () => {
+        const selections = {};
+        groups.forEach(group => {
+            const inputs = modal.querySelectorAll(`input[name="mod-${group.id}"]:checked`);
+            selections[group.id] = Array.from(inputs).map(input => input.value);
+        });
+        return selections;
+    };
+
+    const updatePrice = () => {
+        const modifiers = buildChosenModifiers(item, readSelections());
+        modal.querySelector('#modifier-picker-price').textContent = getLineUnitPrice({ price: item.price, modifiers });
+    };
+    modal.addEventListener('change', updatePrice);
+    updatePrice();
+
     const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
         document.body.removeChild(modal);
         document.body.style.overflow = '';
     };
 
-    const cancelBtn = modal.querySelector('.modal-cancel');
-    const confirmBtn = modal.querySelector('.modal-confirm');
-    const overlay = modal;
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
 
-    cancelBtn.addEventListener('click', closeModal);
-    confirmBtn.addEventListener('click', () => {
-        closeModal();
-        onConfirm();
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
     });
-    overlay.addEventListener('click', (e) => {
-        if (e.target === overlay) closeModal();
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        const selections = readSelections();
+        const validation = validateModifierSelection(item, selections);
+        const errorsDiv = modal.querySelector('#modifier-errors');
+
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        onConfirm(buildChosenModifiers(item, selections));
     });
+}
+
+/**
+ * Open the combo picker: one choice per slot, fixed items shown as included
+ * Each slot starts with its first item that is not sold out; sold-out items can't be chosen.
+ * @param {Object} item - Combo menu item with bundleSlots
+ * @param {Array} menu - Menu items (to fill the slots)
+ * @param {Function} onConfirm - Callback with choices (map of slotId -> menu item ID)
+ */
+function openBundlePicker(item, menu, onConfirm) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'bundle-picker-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    const slots = item.bundleSlots || [];
+    const defaults = getDefaultBundleChoices(item, menu);
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="bundle-picker-title">${item.name}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                ${slots.map(slot => `
+                    <fieldset class="modifier-group" data-slot-id="${slot.id}">
+                        <legend>
+                            ${getBundleSlotName(slot, menu)}
+                            <span class="modifier-group-hint">${slot.itemId ? 'Included' : 'Choose one'}</span>
+                        </legend>
+                        ${getBundleSlotOptions(slot, menu).map(option => `
+                            <label class="modifier-option ${isSoldOut(option) ? 'sold-out' : ''}">
+                                <input type="radio"
+                                       name="slot-${slot.id}"
+                                       value="${option.id}"
+                                       ${defaults[slot.id] === option.id ? 'checked' : ''}
+                                       ${isSoldOut(option) ? 'disabled' : ''}>
+                                <span class="modifier-option-name">${option.name}</span>
+                                <span class="modifier-option-price">${isSoldOut(option) ? 'Sold out' : formatMoney(option.price)}</span>
+                            </label>
+                        `).join('') || '<p class="backup-description">No longer on the menu</p>'}
+                    </fieldset>
+                `).join('')}
+                <div id="bundle-picker-value" class="recipe-cost"></div>
+                <div id="bundle-errors" class="form-errors" role="alert"></div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+                <button type="button" class="btn-primary modal-save">Add ${formatMoney(item.price)}</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const readChoices = () => {
+        const choices = {};
+        slots.forEach(slot => {
+            const input = modal.querySelector(`input[name="slot-${slot.id}"]:checked`);
+            if (input) choices[slot.id] = input.value;
+        });
+        return choices;
+    };
+
+    // Show what the chosen items would cost on their own
+    const updateValue = () => {
+        const choices = readChoices();
+        const separately = roundMoney(slots.reduce((sum, slot) => {
+            const option = getBundleSlotOptions(slot, menu).find(o => String(o.id) === String(choices[slot.id]));
+            return sum + (option ? option.price || 0 : 0);
+        }, 0));
+        modal.querySelector('#bundle-picker-value').textContent = separately > item.price
+            ? `${formatMoney(separately)} separately · saves ${formatMoney(roundMoney(separately - item.price))}`
+            : '';
+    };
+    modal.addEventListener('change', updateValue);
+    updateValue();
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
 
-    // ESC key
     const escHandler = (e) => {
-        if (e.key === 'Escape') {
-            closeModal();
-            document.removeEventListener('keydown', escHandler);
-        }
+        if (e.key === 'Escape') closeModal();
     };
     document.addEventListener('keydown', escHandler);
 
-    // Focus confirm button
-    setTimeout(() => confirmBtn.focus(), 100);
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        const choices = readChoices();
+        const validation = validateBundleSelection(item, choices, menu);
+        const errorsDiv = modal.querySelector('#bundle-errors');
+
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        onConfirm(choices);
+    });
 }
 
 /**
- * Show toast notification
- * @param {string} message - Toast message
- * @param {string} type - Toast type: 'success' or 'error'
+ * Open discount modal for a basket line or the whole order
+ * @param {string} title - Modal title
+ * @param {boolean} allowFreeItem - Whether "free item" is offered (line discounts only)
+ * @param {Function} onSave - Callback with adjustment ({type, value, reason})
  */
-function showToast(message, type = 'success') {
-    const toast = document.createElement('div');
-    toast.className = `toast toast-${type}`;
-    toast.setAttribute('role', 'alert');
-    toast.textContent = message;
-    document.body.appendChild(toast);
+function openAdjustmentModal(title, allowFreeItem, onSave) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'adjustment-modal-title');
+    modal.setAttribute('aria-modal', 'true');
 
-    setTimeout(() => {
-        toast.classList.add('show');
-    }, 10);
+    modal.innerHTML = `
+        <div class="modal-content modal-content-small">
+            <div class="modal-header">
+                <h2 id="adjustment-modal-title">${title}</h2>
+            </div>
+            <div class="modal-body">
+                <form id="adjustment-form">
+                    <div class="form-group">
+                        <label for="adjustment-type">Type</label>
+                        <select id="adjustment-type" name="type">
+                            <option value="percent">Percentage off</option>
+                            <option value="flat">Flat amount off (${getCurrencySymbol()})</option>
+                            ${allowFreeItem ? '<option value="free-item">Free item (units)</option>' : ''}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="adjustment-value">Value *</label>
+                        <input type="number" id="adjustment-value" name="value" step="0.01" min="0" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="adjustment-reason">Reason *</label>
+                        <input type="text" id="adjustment-reason" name="reason" required placeholder="e.g. Regular customer">
+                    </div>
+                    <div id="adjustment-errors" class="form-errors" role="alert"></div>
+                </form>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+                <button type="button" class="btn-primary modal-save">Apply</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        const formData = new FormData(modal.querySelector('#adjustment-form'));
+        const adjustment = {
+            type: formData.get('type'),
+            value: parseFloat(formData.get('value')),
+            reason: String(formData.get('reason') || '').trim()
+        };
+
+        const validation = validateAdjustment(adjustment);
+        const errorsDiv = modal.querySelector('#adjustment-errors');
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        onSave(adjustment);
+    });
 
     setTimeout(() => {
-        toast.classList.remove('show');
-        setTimeout(() => {
-            if (toast.parentNode) {
-                document.body.removeChild(toast);
-            }
-        }, 300);
-    }, 3000);
+        const valueInput = modal.querySelector('#adjustment-value');
+        if (valueInput) valueInput.focus();
+    }, 100);
 }
 
 /**
- * Update totals panel with summary data
- * @param {Object} summary - Totals summary object from computeTotals
+ * Render staff admin list
+ * @param {Array} staffList - Staff profiles
+ * @param {Object|null} currentStaff - Signed-in staff member
+ * @param {HTMLElement} containerEl - Container element to render into
+ * @param {Function} onEdit - Callback when edit is clicked (member)
+ * @param {Function} onDelete - Callback when delete is clicked (member)
  */
-function updateTotalsPanel(summary) {
-    const panel = document.getElementById('totals-panel');
-    if (!panel) return;
+function renderStaffAdmin(staffList, currentStaff, containerEl, onEdit, onDelete) {
+    if (!containerEl) return;
 
-    const topItemsList = summary.topItems.length > 0
-        ? summary.topItems.map(item => `${item.name}: ${item.qty}`).join(', ')
-        : 'No items sold';
+    containerEl.innerHTML = '';
 
-    panel.innerHTML = `
-        <div class="totals-row">
-            <span class="label">Total Orders:</span>
-            <span class="value">${summary.totalOrders}</span>
-        </div>
-        <div class="totals-row">
-            <span class="label">Total Revenue:</span>
-            <span class="value">₹${summary.totalRevenue.toFixed(2)}</span>
-        </div>
+    if (!staffList || staffList.length === 0) {
+        containerEl.innerHTML = '<div class="admin-empty">No staff yet, so the app is not locked. Add a manager first to turn on PIN sign-in.</div>';
+        return;
+    }
+
+    const sorted = [...staffList].sort((a, b) => a.name.localeCompare(b.name));
+
+    sorted.forEach(member => {
+        const row = document.createElement('div');
+        row.className = 'admin-menu-row';
+        row.setAttribute('data-staff-id', member.id);
+
+        row.innerHTML = `
+            <div class="admin-row-content">
+                <div class="admin-row-main">
+                    <div class="admin-row-name">${member.name}${currentStaff && currentStaff.id === member.id ? ' (you)' : ''}</div>
+                    <div class="admin-row-details">
+                        <span class="staff-role-badge staff-role-${member.role}">${getStaffRoleLabel(member.role)}</span>
+                    </div>
+                </div>
+                <div class="admin-row-actions">
+                    <button class="admin-action-btn edit-btn" aria-label="Edit ${member.name}">
+                        <svg class="icon" aria-hidden="true"><use href="#icon-edit"></use></svg>
+                    </button>
+                    <button class="admin-action-btn delete-btn" aria-label="Delete ${member.name}">
+                        <svg class="icon" aria-hidden="true"><use href="#icon-delete"></use></svg>
+                    </button>
+                </div>
+            </div>
+        `;
+
+        row.querySelector('.edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            onEdit(member);
+        });
+
+        row.querySelector('.delete-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            onDelete(member);
+        });
+
+        containerEl.appendChild(row);
+    });
+}
+
+/**
+ * Open staff modal for create/edit
+ * @param {Object|null} member - Staff profile to edit (null for create)
+ * @param {Array} staffList - Saved staff profiles (for duplicate name/PIN and manager checks)
+ * @param {Function} onSave - Callback when save is clicked ({name, role, pin})
+ */
+function openStaffModal(member, staffList, onSave) {
+    const isEdit = member !== null;
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'staff-modal-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    // The first profile has to be a manager, or nobody could reach settings again
+    const defaultRole = isEdit ? member.role : (staffList.length === 0 ? 'manager' : 'cashier');
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-small">
+            <div class="modal-header">
+                <h2 id="staff-modal-title">${isEdit ? 'Edit Staff' : 'Add Staff'}</h2>
+            </div>
+            <div class="modal-body">
+                <form id="staff-form">
+                    <div class="form-group">
+                        <label for="staff-name">Name *</label>
+                        <input type="text" id="staff-name" name="name" required value="${isEdit ? member.name : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="staff-role">Role</label>
+                        <select id="staff-role" name="role">
+                            ${STAFF_ROLES.map(role => `<option value="${role.id}" ${role.id === defaultRole ? 'selected' : ''}>${role.label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="staff-pin">${isEdit ? 'New PIN (leave blank to keep)' : 'PIN (4–6 digits) *'}</label>
+                        <input type="password" id="staff-pin" name="pin" inputmode="numeric" autocomplete="off" maxlength="6" pattern="[0-9]*">
+                    </div>
+                    <div id="staff-errors" class="form-errors" role="alert"></div>
+                </form>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+                <button type="button" class="btn-primary modal-save">Save</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        const formData = new FormData(modal.querySelector('#staff-form'));
+        const fields = {
+            name: String(formData.get('name') || '').trim(),
+            role: formData.get('role'),
+            pin: String(formData.get('pin') || '').trim()
+        };
+
+        const validation = validateStaffMember(fields, staffList, member);
+        const errorsDiv = modal.querySelector('#staff-errors');
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        onSave(fields);
+    });
+
+    setTimeout(() => {
+        const nameInput = modal.querySelector('#staff-name');
+        if (nameInput) nameInput.focus();
+    }, 100);
+}
+
+/**
+ * Render a PIN keypad
+ * @param {HTMLElement} containerEl - Container element to render into
+ * @param {Function} onSubmit - Called with the PIN; returns true if it was accepted
+ */
+function renderPinPad(containerEl, onSubmit) {
+    let pin = '';
+    const keys = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'clear', '0', 'enter'];
+
+    containerEl.innerHTML = `
+        <div class="pin-dots" aria-live="polite"></div>
+        <div class="pin-error" role="alert"></div>
+        <div class="pin-keys">
+            ${keys.map(key => `
+                <button type="button" class="pin-key pin-key-${key}" data-key="${key}" aria-label="${key === 'clear' ? 'Clear' : key === 'enter' ? 'Enter' : key}">
+                    ${key === 'clear' ? 'C' : key === 'enter' ? 'OK' : key}
+                </button>
+            `).join('')}
+        </div>
+    `;
+
+    const dots = containerEl.querySelector('.pin-dots');
+    const error = containerEl.querySelector('.pin-error');
+
+    const renderDots = () => {
+        dots.innerHTML = Array.from({ length: Math.max(4, pin.length) }, (_, i) => (
+            `<span class="pin-dot ${i < pin.length ? 'filled' : ''}"></span>`
+        )).join('');
+    };
+
+    const submit = () => {
+        if (pin.length < 4) return;
+        if (!onSubmit(pin)) {
+            error.textContent = 'Wrong PIN';
+            pin = '';
+            renderDots();
+        }
+    };
+
+    const press = (key) => {
+        error.textContent = '';
+        if (key === 'clear') {
+            pin = '';
+        } else if (key === 'enter') {
+            submit();
+            return;
+        } else if (pin.length < 6) {
+            pin += key;
+        }
+        renderDots();
+    };
+
+    containerEl.querySelectorAll('.pin-key').forEach(btn => {
+        btn.addEventListener('click', () => press(btn.getAttribute('data-key')));
+    });
+
+    // Hardware keyboards (and desktop testing)
+    containerEl.pinKeyHandler = (e) => {
+        if (/^\d$/.test(e.key)) press(e.key);
+        else if (e.key === 'Backspace') press('clear');
+        else if (e.key === 'Enter') press('enter');
+    };
+
+    renderDots();
+}
+
+/**
+ * Show the lock screen over the whole app until a staff PIN is entered
+ * @param {Function} onSubmit - Called with the PIN; returns true if it signed someone in
+ */
+function showLockScreen(onSubmit) {
+    let lockScreen = document.getElementById('lock-screen');
+    if (!lockScreen) {
+        lockScreen = document.createElement('div');
+        lockScreen.id = 'lock-screen';
+        lockScreen.className = 'lock-screen';
+        lockScreen.setAttribute('role', 'dialog');
+        lockScreen.setAttribute('aria-modal', 'true');
+        lockScreen.setAttribute('aria-label', 'Locked');
+        document.body.appendChild(lockScreen);
+    }
+
+    lockScreen.innerHTML = `
+        <div class="lock-screen-content">
+            <h2>${shopProfile.name || 'POS'}</h2>
+            <p>Enter your PIN</p>
+            <div class="pin-pad"></div>
+        </div>
+    `;
+
+    const pad = lockScreen.querySelector('.pin-pad');
+    renderPinPad(pad, onSubmit);
+
+    if (lockScreen.keyHandler) {
+        document.removeEventListener('keydown', lockScreen.keyHandler);
+    }
+    lockScreen.keyHandler = pad.pinKeyHandler;
+    document.addEventListener('keydown', lockScreen.keyHandler);
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Hide the lock screen
+ */
+function hideLockScreen() {
+    const lockScreen = document.getElementById('lock-screen');
+    if (!lockScreen) return;
+    document.removeEventListener('keydown', lockScreen.keyHandler);
+    document.body.removeChild(lockScreen);
+    document.body.style.overflow = '';
+}
+
+/**
+ * Ask for a PIN to allow one action (e.g., a manager approving a void)
+ * @param {string} title - What the PIN is for
+ * @param {Function} isAccepted - Called with the PIN; returns true if it may approve
+ * @param {Function} onAccepted - Called once the prompt closes with an accepted PIN
+ */
+function openPinPrompt(title, isAccepted, onAccepted) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'pin-prompt-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-small">
+            <div class="modal-header">
+                <h2 id="pin-prompt-title">${title}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                <p class="pin-prompt-hint">Manager PIN required</p>
+                <div class="pin-pad"></div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const pad = modal.querySelector('.pin-pad');
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', keyHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    renderPinPad(pad, (pin) => {
+        if (!isAccepted(pin)) return false;
+        closeModal();
+        onAccepted();
+        return true;
+    });
+
+    const keyHandler = (e) => {
+        if (e.key === 'Escape') {
+            closeModal();
+            return;
+        }
+        pad.pinKeyHandler(e);
+    };
+    document.addEventListener('keydown', keyHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+}
+
+/**
+ * Render coupon admin list
+ * @param {Array} coupons - Coupons array
+ * @param {HTMLElement} containerEl - Container element to render into
+ * @param {Function} onEdit - Callback when edit is clicked (coupon)
+ * @param {Function} onDelete - Callback when delete is clicked (coupon)
+ */
+function renderCouponAdmin(coupons, containerEl, onEdit, onDelete) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = '';
+
+    if (!coupons || coupons.length === 0) {
+        containerEl.innerHTML = '<div class="admin-empty">No coupons. Click "Add Coupon" to create one.</div>';
+        return;
+    }
+
+    const today = toDateKey(new Date());
+    const sorted = [...coupons].sort((a, b) => a.code.localeCompare(b.code));
+
+    sorted.forEach(coupon => {
+        const expired = coupon.validTo && today > coupon.validTo;
+        const row = document.createElement('div');
+        row.className = `admin-menu-row ${!coupon.active || expired ? 'hidden-item' : ''}`;
+        row.setAttribute('data-coupon-id', coupon.id);
+
+        const valueText = coupon.type === 'percent' ? `${coupon.value}% off` : `${formatMoney(coupon.value)} off`;
+        const validity = coupon.validFrom || coupon.validTo
+            ? `${coupon.validFrom || '…'} → ${coupon.validTo || '…'}`
+            : 'No expiry';
+
+        row.innerHTML = `
+            <div class="admin-row-content">
+                <div class="admin-row-main">
+                    <div class="admin-row-name">${coupon.code}</div>
+                    <div class="admin-row-details">
+                        <span class="admin-row-price">${valueText}</span>
+                        ${coupon.minSpend ? `<span>Min ${formatMoney(coupon.minSpend)}</span>` : ''}
+                        <span>${validity}</span>
+                    </div>
+                </div>
+                <div class="admin-row-actions">
+                    <button class="admin-action-btn edit-btn" aria-label="Edit ${coupon.code}">
+                        <svg class="icon" aria-hidden="true"><use href="#icon-edit"></use></svg>
+                    </button>
+                    <button class="admin-action-btn delete-btn" aria-label="Delete ${coupon.code}">
+                        <svg class="icon" aria-hidden="true"><use href="#icon-delete"></use></svg>
+                    </button>
+                </div>
+            </div>
+        `;
+
+        row.querySelector('.edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            onEdit(coupon);
+        });
+
+        row.querySelector('.delete-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            onDelete(coupon);
+        });
+
+        containerEl.appendChild(row);
+    });
+}
+
+/**
+ * Open coupon modal for create/edit
+ * @param {Object|null} coupon - Coupon to edit (null for create)
+ * @param {Array} existingCoupons - Saved coupons (for duplicate code checks)
+ * @param {Function} onSave - Callback when save is clicked (coupon)
+ */
+function openCouponModal(coupon, existingCoupons, onSave) {
+    const isEdit = coupon !== null;
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'coupon-modal-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="coupon-modal-title">${isEdit ? 'Edit Coupon' : 'Add Coupon'}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                <form id="coupon-form">
+                    <div class="form-group">
+                        <label for="coupon-code">Code *</label>
+                        <input type="text" id="coupon-code" name="code" required
+                               value="${coupon ? coupon.code : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="coupon-description">Reason / Description</label>
+                        <input type="text" id="coupon-description" name="description"
+                               value="${coupon ? (coupon.description || '') : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="coupon-type">Type</label>
+                        <select id="coupon-type" name="type">
+                            <option value="percent" ${!coupon || coupon.type === 'percent' ? 'selected' : ''}>Percentage off</option>
+                            <option value="flat" ${coupon && coupon.type === 'flat' ? 'selected' : ''}>Flat amount off (${getCurrencySymbol()})</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="coupon-value">Value *</label>
+                        <input type="number" id="coupon-value" name="value" step="0.01" min="0" required
+                               value="${coupon ? coupon.value : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="coupon-min-spend">Minimum Spend (${getCurrencySymbol()})</label>
+                        <input type="number" id="coupon-min-spend" name="minSpend" step="0.01" min="0"
+                               value="${coupon ? (coupon.minSpend || 0) : 0}">
+                    </div>
+                    <div class="form-group">
+                        <label for="coupon-valid-from">Valid From</label>
+                        <input type="date" id="coupon-valid-from" name="validFrom"
+                               value="${coupon ? (coupon.validFrom || '') : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="coupon-valid-to">Valid To</label>
+                        <input type="date" id="coupon-valid-to" name="validTo"
+                               value="${coupon ? (coupon.validTo || '') : ''}">
+                    </div>
+                    <div class="form-group checkbox-group">
+                        <label>
+                            <input type="checkbox" id="coupon-active" name="active"
+                                   ${!coupon || coupon.active ? 'checked' : ''}>
+                            <span>Active</span>
+                        </label>
+                    </div>
+                    <div id="coupon-errors" class="form-errors" role="alert"></div>
+                </form>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+                <button type="button" class="btn-primary modal-save">${isEdit ? 'Save' : 'Create'}</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        const formData = new FormData(modal.querySelector('#coupon-form'));
+        const sanitized = sanitizeCoupon({
+            id: coupon ? coupon.id : null,
+            code: formData.get('code'),
+            description: formData.get('description'),
+            type: formData.get('type'),
+            value: formData.get('value'),
+            minSpend: formData.get('minSpend'),
+            validFrom: formData.get('validFrom'),
+            validTo: formData.get('validTo'),
+            active: formData.get('active') === 'on'
+        });
+
+        const validation = validateCoupon(sanitized, existingCoupons);
+        const errorsDiv = modal.querySelector('#coupon-errors');
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        onSave(sanitized);
+    });
+
+    setTimeout(() => {
+        const codeInput = modal.querySelector('#coupon-code');
+        if (codeInput) codeInput.focus();
+    }, 100);
+}
+
+/**
+ * Render ingredient admin list
+ * @param {Array} ingredients - Ingredient catalog
+ * @param {Array} menu - Menu items (to show how many use each ingredient)
+ * @param {HTMLElement} containerEl - Container element to render into
+ * @param {Function} onEdit - Callback when edit is clicked (ingredient)
+ * @param {Function} onDelete - Callback when delete is clicked (ingredient)
+ */
+function renderIngredientAdmin(ingredients, menu, containerEl, onEdit, onDelete) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = '';
+
+    if (!ingredients || ingredients.length === 0) {
+        containerEl.innerHTML = '<div class="admin-empty">No ingredients. Click "Add Ingredient" to create one.</div>';
+        return;
+    }
+
+    ingredients.forEach(ingredient => {
+        const row = document.createElement('div');
+        row.className = 'admin-menu-row';
+        row.setAttribute('data-ingredient-id', ingredient.id);
+        const used = countIngredientUse(ingredient.id, menu);
+
+        row.innerHTML = `
+            <div class="admin-row-content">
+                <div class="admin-row-main">
+                    <div class="admin-row-name">${ingredient.name}</div>
+                    <div class="admin-row-details">
+                        <span class="admin-row-price">${formatMoney(ingredient.unitCost)} / ${getIngredientUnitLabel(ingredient.unit)}</span>
+                        <span>${used === 0 ? 'Not used' : `Used in ${used} item${used !== 1 ? 's' : ''}`}</span>
+                    </div>
+                </div>
+                <div class="admin-row-actions">
+                    <button class="admin-action-btn edit-btn" aria-label="Edit ${ingredient.name}">
+                        <svg class="icon" aria-hidden="true"><use href="#icon-edit"></use></svg>
+                    </button>
+                    <button class="admin-action-btn delete-btn" aria-label="Delete ${ingredient.name}">
+                        <svg class="icon" aria-hidden="true"><use href="#icon-delete"></use></svg>
+                    </button>
+                </div>
+            </div>
+        `;
+
+        row.querySelector('.edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            onEdit(ingredient);
+        });
+
+        row.querySelector('.delete-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            onDelete(ingredient);
+        });
+
+        containerEl.appendChild(row);
+    });
+}
+
+/**
+ * Open ingredient modal for create/edit
+ * @param {Object|null} ingredient - Ingredient to edit (null for create)
+ * @param {Array} existingIngredients - Saved ingredients (for duplicate name checks)
+ * @param {Function} onSave - Callback when save is clicked (ingredient)
+ */
+function openIngredientModal(ingredient, existingIngredients, onSave) {
+    const isEdit = ingredient !== null;
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'ingredient-modal-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="ingredient-modal-title">${isEdit ? 'Edit Ingredient' : 'Add Ingredient'}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                <form id="ingredient-form">
+                    <div class="form-group">
+                        <label for="ingredient-name">Name *</label>
+                        <input type="text" id="ingredient-name" name="name" required
+                               value="${ingredient ? ingredient.name : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="ingredient-unit">Unit</label>
+                        <select id="ingredient-unit" name="unit">
+                            ${INGREDIENT_UNITS.map(unit => `
+                                <option value="${unit.id}" ${ingredient && ingredient.unit === unit.id ? 'selected' : ''}>${unit.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="ingredient-cost">Cost per Unit (${getCurrencySymbol()}) *</label>
+                        <input type="number" id="ingredient-cost" name="unitCost" step="0.0001" min="0" required
+                               value="${ingredient ? ingredient.unitCost : ''}">
+                    </div>
+                    <div id="ingredient-errors" class="form-errors" role="alert"></div>
+                </form>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+                <button type="button" class="btn-primary modal-save">${isEdit ? 'Save' : 'Create'}</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        const formData = new FormData(modal.querySelector('#ingredient-form'));
+        const sanitized = sanitizeIngredient({
+            id: ingredient ? ingredient.id : null,
+            name: formData.get('name'),
+            unit: formData.get('unit'),
+            unitCost: formData.get('unitCost')
+        });
+
+        const validation = validateIngredient(sanitized, existingIngredients);
+        const errorsDiv = modal.querySelector('#ingredient-errors');
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        onSave(sanitized);
+    });
+
+    setTimeout(() => {
+        const nameInput = modal.querySelector('#ingredient-name');
+        if (nameInput) nameInput.focus();
+    }, 100);
+}
+
+/**
+ * Render customer directory, filtered by name or phone
+ * @param {Array} customers - Customer directory
+ * @param {string} query - Search text
+ * @param {Object} loyaltyConfig - Loyalty settings
+ * @param {HTMLElement} containerEl - Container element to render into
+ * @param {Object} handlers - {onOpen(customer), onEdit(customer), onDelete(customer)}
+ */
+function renderCustomerAdmin(customers, query, loyaltyConfig, containerEl, handlers) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = '';
+
+    const needle = String(query || '').trim().toLowerCase();
+    const digits = normalizePhone(needle);
+    const matches = (customers || []).filter(customer => !needle ||
+        (customer.name || '').toLowerCase().includes(needle) ||
+        (digits && customer.phone.includes(digits)));
+
+    if (matches.length === 0) {
+        containerEl.innerHTML = `<div class="admin-empty">${needle ? 'No customers match' : 'No customers yet. They are added when an order is taken with a phone number.'}</div>`;
+        return;
+    }
+
+    matches.forEach(customer => {
+        const row = document.createElement('div');
+        row.className = 'admin-menu-row customer-row';
+        row.setAttribute('data-customer-id', customer.id);
+
+        row.innerHTML = `
+            <div class="admin-row-content">
+                <div class="admin-row-main">
+                    <div class="admin-row-name">${customer.name || 'No name'}</div>
+                    <div class="admin-row-details">
+                        <span class="admin-row-category">${customer.phone}</span>
+                        ${loyaltyConfig.enabled ? `<span class="admin-row-price">${customer.points} points</span>` : ''}
+                    </div>
+                </div>
+                <div class="admin-row-actions">
+                    <button class="admin-action-btn edit-btn" aria-label="Edit ${customer.name || customer.phone}">
+                        <svg class="icon" aria-hidden="true"><use href="#icon-edit"></use></svg>
+                    </button>
+                    <button class="admin-action-btn delete-btn" aria-label="Delete ${customer.name || customer.phone}">
+                        <svg class="icon" aria-hidden="true"><use href="#icon-delete"></use></svg>
+                    </button>
+                </div>
+            </div>
+        `;
+
+        row.addEventListener('click', () => handlers.onOpen(customer));
+
+        row.querySelector('.edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            handlers.onEdit(customer);
+        });
+
+        row.querySelector('.delete-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            handlers.onDelete(customer);
+        });
+
+        containerEl.appendChild(row);
+    });
+}
+
+/**
+ * Open customer modal for create/edit
+ * @param {Object|null} customer - Customer to edit (null for create)
+ * @param {Array} existingCustomers - Saved customers (for duplicate phone checks)
+ * @param {Function} onSave - Callback when save is clicked (customer)
+ */
+function openCustomerModal(customer, existingCustomers, onSave) {
+    const isEdit = customer !== null;
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'customer-modal-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="customer-modal-title">${isEdit ? 'Edit Customer' : 'Add Customer'}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                <form id="customer-form">
+                    <div class="form-group">
+                        <label for="customer-phone">Phone *</label>
+                        <input type="tel" id="customer-phone" name="phone" required
+                               value="${customer ? customer.phone : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="customer-name">Name</label>
+                        <input type="text" id="customer-name" name="name"
+                               value="${customer ? customer.name : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="customer-notes">Notes</label>
+                        <textarea id="customer-notes" name="notes" rows="2" placeholder="Allergies, usual order, address...">${customer ? customer.notes : ''}</textarea>
+                    </div>
+                    <div class="form-group">
+                        <label for="customer-points">Loyalty Points</label>
+                        <input type="number" id="customer-points" name="points" step="1" min="0"
+                               value="${customer ? customer.points : 0}">
+                    </div>
+                    <div id="customer-errors" class="form-errors" role="alert"></div>
+                </form>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+                <button type="button" class="btn-primary modal-save">${isEdit ? 'Save' : 'Create'}</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        const formData = new FormData(modal.querySelector('#customer-form'));
+        const sanitized = sanitizeCustomer({
+            ...(customer || {}),
+            phone: formData.get('phone'),
+            name: formData.get('name'),
+            notes: formData.get('notes'),
+            points: formData.get('points')
+        });
+
+        const validation = validateCustomer(sanitized, existingCustomers);
+        const errorsDiv = modal.querySelector('#customer-errors');
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        onSave(sanitized);
+    });
+
+    setTimeout(() => {
+        const phoneInput = modal.querySelector('#customer-phone');
+        if (phoneInput) phoneInput.focus();
+    }, 100);
+}
+
+/**
+ * Open a customer's profile: details, loyalty balance and past orders with one-tap reorder
+ * @param {Object} customer - Customer
+ * @param {Array} orders - Customer's orders (active and archived), newest first
+ * @param {Object} loyaltyConfig - Loyalty settings
+ * @param {Object} handlers - {onReorder(order), onEdit(customer)}
+ */
+function openCustomerProfileModal(customer, orders, loyaltyConfig, handlers) {
+    const summary = summarizeCustomerOrders(orders);
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'customer-profile-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="customer-profile-title">${customer.name || customer.phone}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="totals-panel">
+                    <div class="totals-row">
+                        <span class="label">Phone:</span>
+                        <span class="value">${customer.phone}</span>
+                    </div>
+                    ${loyaltyConfig.enabled ? `
+                        <div class="totals-row">
+                            <span class="label">Loyalty Points:</span>
+                            <span class="value">${customer.points} (${formatMoney(roundMoney(customer.points * loyaltyConfig.pointValue))})</span>
+                        </div>
+                    ` : ''}
+                    <div class="totals-row">
+                        <span class="label">Orders:</span>
+                        <span class="value">${summary.orderCount}</span>
+                    </div>
+                    <div class="totals-row">
+                        <span class="label">Total Spent:</span>
+                        <span class="value">${formatMoney(summary.totalSpent)}</span>
+                    </div>
+                    ${summary.lastOrderAt ? `
+                        <div class="totals-row">
+                            <span class="label">Last Order:</span>
+                            <span class="value">${formatAbsoluteTime(summary.lastOrderAt)}</span>
+                        </div>
+                    ` : ''}
+                </div>
+                ${customer.notes ? `<p class="customer-profile-notes">${customer.notes}</p>` : ''}
+                <h4 class="report-heading">Past Orders</h4>
+                <div class="customer-orders">
+                    ${orders.length === 0 ? '<div class="admin-empty">No orders yet</div>' : orders.map(order => `
+                        <div class="customer-order" data-order-id="${order.id}">
+                            <div class="customer-order-main">
+                                <div class="customer-order-header">
+                                    <span class="order-id">Order ${getOrderLabel(order)}</span>
+                                    <span class="status-badge ${getStatusColor(order.status)}">${order.status}</span>
+                                </div>
+                                <div class="order-time">${formatAbsoluteTime(order.timestamp)} · ${formatMoney(order.total)}</div>
+                                <div class="customer-order-items">${(order.items || []).map(item => `${item.quantity || 1}× ${item.name}`).join(', ')}</div>
+                            </div>
+                            <button type="button" class="btn-secondary customer-reorder-btn">Reorder</button>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary customer-edit-btn">Edit</button>
+                <button type="button" class="btn-primary modal-cancel">Close</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.customer-edit-btn').addEventListener('click', () => {
+        closeModal();
+        handlers.onEdit(customer);
+    });
+
+    modal.querySelectorAll('.customer-order').forEach(row => {
+        row.querySelector('.customer-reorder-btn').addEventListener('click', () => {
+            closeModal();
+            handlers.onReorder(orders.find(order => order.id === row.getAttribute('data-order-id')));
+        });
+    });
+}
+
+/**
+ * Render loyalty settings form
+ * @param {Object} config - Loyalty settings
+ * @param {HTMLElement} containerEl - Container element
+ * @param {Function} onSave - Callback with updated settings
+ */
+function renderLoyaltySettings(config, containerEl, onSave) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = `
+        <form id="loyalty-form" class="loyalty-form">
+            <div class="form-group checkbox-group">
+                <label>
+                    <input type="checkbox" id="loyalty-enabled" name="enabled" ${config.enabled ? 'checked' : ''}>
+                    <span>Customers earn loyalty points on paid orders</span>
+                </label>
+            </div>
+            <div class="form-group">
+                <label for="loyalty-rate">Points per ${getCurrencySymbol()}1 spent</label>
+                <input type="number" id="loyalty-rate" name="pointsPerUnit" step="0.01" min="0" value="${config.pointsPerUnit}">
+            </div>
+            <div class="form-group">
+                <label for="loyalty-value">Value of 1 point (${getCurrencySymbol()})</label>
+                <input type="number" id="loyalty-value" name="pointValue" step="0.01" min="0" value="${config.pointValue}">
+            </div>
+            <div id="loyalty-errors" class="form-errors" role="alert"></div>
+            <button type="submit" class="btn-primary">Save Loyalty Settings</button>
+        </form>
+    `;
+
+    containerEl.querySelector('#loyalty-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const formData = new FormData(e.target);
+        const sanitized = sanitizeLoyaltyConfig({
+            enabled: formData.get('enabled') === 'on',
+            pointsPerUnit: formData.get('pointsPerUnit'),
+            pointValue: formData.get('pointValue')
+        });
+
+        const validation = validateLoyaltyConfig(sanitized);
+        const errorsDiv = containerEl.querySelector('#loyalty-errors');
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        errorsDiv.style.display = 'none';
+        onSave(sanitized);
+    });
+}
+
+/**
+ * Render shop profile form in settings
+ * @param {Object} profile - Shop profile
+ * @param {HTMLElement} containerEl - Container element
+ * @param {Function} onSave - Callback with updated profile
+ */
+function renderShopProfileSettings(profile, containerEl, onSave) {
+    if (!containerEl) return;
+
+    let logo = profile.logo || '';
+    const MAX_LOGO_BYTES = 200 * 1024;
+
+    containerEl.innerHTML = `
+        <form id="shop-profile-form" class="shop-profile-form">
+            <div class="form-group">
+                <label for="shop-name">Shop Name *</label>
+                <input type="text" id="shop-name" name="name" required value="${profile.name || ''}">
+            </div>
+            <div class="form-group">
+                <label for="shop-address">Address</label>
+                <textarea id="shop-address" name="address" rows="2">${profile.address || ''}</textarea>
+            </div>
+            <div class="form-group">
+                <label for="shop-phone">Phone</label>
+                <input type="tel" id="shop-phone" name="phone" value="${profile.phone || ''}">
+            </div>
+            <div class="form-group">
+                <label for="shop-gstin">GSTIN</label>
+                <input type="text" id="shop-gstin" name="gstin" maxlength="15" value="${profile.gstin || ''}">
+            </div>
+            <div class="form-group">
+                <label for="shop-currency">Currency Symbol *</label>
+                <input type="text" id="shop-currency" name="currencySymbol" maxlength="4" required value="${profile.currencySymbol || ''}">
+            </div>
+            <div class="form-group">
+                <label for="shop-footer">Receipt Footer</label>
+                <input type="text" id="shop-footer" name="receiptFooter" value="${profile.receiptFooter || ''}">
+            </div>
+            <div class="form-group">
+                <label for="shop-logo">Logo</label>
+                <div class="shop-logo-row">
+                    <img class="shop-logo-preview" id="shop-logo-preview" alt="Shop logo" ${logo ? `src="${logo}"` : 'hidden'}>
+                    <input type="file" id="shop-logo" accept="image/*">
+                    <button type="button" class="btn-secondary" id="shop-logo-remove" ${logo ? '' : 'hidden'}>Remove</button>
+                </div>
+            </div>
+            <button type="submit" class="btn-primary">Save Shop Profile</button>
+        </form>
+    `;
+
+    const preview = containerEl.querySelector('#shop-logo-preview');
+    const removeBtn = containerEl.querySelector('#shop-logo-remove');
+
+    const showLogo = () => {
+        preview.hidden = !logo;
+        removeBtn.hidden = !logo;
+        if (logo) preview.src = logo;
+    };
+
+    containerEl.querySelector('#shop-logo').addEventListener('change', (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+        if (file.size > MAX_LOGO_BYTES) {
+            showToast('Logo must be smaller than 200 KB', 'error');
+            e.target.value = '';
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => {
+            logo = reader.result;
+            showLogo();
+        };
+        reader.readAsDataURL(file);
+    });
+
+    removeBtn.addEventListener('click', () => {
+        logo = '';
+        containerEl.querySelector('#shop-logo').value = '';
+        showLogo();
+    });
+
+    containerEl.querySelector('#shop-profile-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const value = id => containerEl.querySelector(`#${id}`).value;
+        onSave({
+            name: value('shop-name'),
+            address: value('shop-address'),
+            phone: value('shop-phone'),
+            gstin: value('shop-gstin'),
+            currencySymbol: value('shop-currency'),
+            receiptFooter: value('shop-footer'),
+            logo
+        });
+    });
+}
+
+/**
+ * Render dine-in table list in settings
+ * @param {string[]} tables - Table names
+ * @param {HTMLElement} containerEl - Container element
+ * @param {Function} onChange - Callback with the updated table list
+ */
+function renderTableSettings(tables, containerEl, onChange) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = `
+        <div class="table-list">
+            ${tables.length === 0 ? '<p class="backup-description">No tables yet. Dine-in orders need at least one table.</p>' : ''}
+            ${tables.map(table => `
+                <span class="table-chip">
+                    ${table}
+                    <button type="button" class="adjustment-remove-btn" data-table="${table}" aria-label="Remove table ${table}">×</button>
+                </span>
+            `).join('')}
+        </div>
+        <div class="table-add-row">
+            <input type="text" id="new-table-name" placeholder="Table name (e.g., T5, Patio 1)" aria-label="New table name">
+            <button type="button" class="btn-secondary" id="add-table-btn">Add Table</button>
+        </div>
+    `;
+
+    containerEl.querySelectorAll('[data-table]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const table = btn.getAttribute('data-table');
+            onChange(tables.filter(t => t !== table));
+        });
+    });
+
+    const input = containerEl.querySelector('#new-table-name');
+    const addTable = () => {
+        const name = input.value.trim();
+        if (!name) return;
+        if (tables.some(t => t.toLowerCase() === name.toLowerCase())) {
+            showToast(`Table ${name} already exists`, 'error');
+            return;
+        }
+        onChange([...tables, name]);
+    };
+
+    containerEl.querySelector('#add-table-btn').addEventListener('click', addTable);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addTable();
+    });
+}
+
+/**
+ * Render tax settings: pricing mode, tax rates and rates per category
+ * Every change is passed back as a full tax configuration
+ * @param {Object} config - Current tax configuration
+ * @param {Array} categories - Menu category names
+ * @param {HTMLElement} containerEl - Container element to render into
+ * @param {Function} onChange - Callback with updated tax configuration
+ */
+function renderTaxSettings(config, categories, containerEl, onChange) {
+    if (!containerEl) return;
+
+    const rates = config.rates || [];
+    const categoryRateIds = config.categoryRateIds || {};
+
+    containerEl.innerHTML = `
+        <label class="backup-toggle-label">
+            <input type="checkbox" id="tax-inclusive-toggle" ${config.taxInclusive ? 'checked' : ''}>
+            <span>Menu prices include tax</span>
+        </label>
+        <p class="backup-description">When off, tax is added on top of menu prices at checkout</p>
+        <div class="tax-rate-list">
+            ${rates.map(rate => `
+                <div class="tax-rate-row" data-rate-id="${rate.id}">
+                    <input type="text" class="tax-rate-name" value="${rate.name}" aria-label="Tax name">
+                    <input type="number" class="tax-rate-value" value="${rate.rate}" step="0.01" min="0" max="100" aria-label="Tax rate percent">
+                    <span>%</span>
+                    <button type="button" class="admin-action-btn delete-btn tax-rate-remove" aria-label="Remove ${rate.name}">
+                        <svg class="icon" aria-hidden="true"><use href="#icon-delete"></use></svg>
+                    </button>
+                </div>
+            `).join('')}
+            <button type="button" class="btn-secondary" id="add-tax-rate-btn">Add Tax Rate</button>
+        </div>
+        <table class="tax-category-table">
+            <thead>
+                <tr>
+                    <th>Category</th>
+                    ${rates.map(rate => `<th>${rate.name}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${['Default', ...categories].map(category => {
+                    const isDefault = category === 'Default';
+                    const ids = isDefault
+                        ? (config.defaultRateIds || [])
+                        : (Array.isArray(categoryRateIds[category]) ? categoryRateIds[category] : (config.defaultRateIds || []));
+                    return `
+                        <tr data-category="${isDefault ? '' : category}">
+                            <td>${isDefault ? '<em>Default</em>' : category}</td>
+                            ${rates.map(rate => `
+                                <td><input type="checkbox" class="tax-category-rate" value="${rate.id}" ${ids.includes(rate.id) ? 'checked' : ''} aria-label="${rate.name} on ${category}"></td>
+                            `).join('')}
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+
+    const readConfig = () => {
+        const updated = {
+            taxInclusive: containerEl.querySelector('#tax-inclusive-toggle').checked,
+            rates: Array.from(containerEl.querySelectorAll('.tax-rate-row')).map(row => ({
+                id: row.getAttribute('data-rate-id'),
+                name: row.querySelector('.tax-rate-name').value,
+                rate: row.querySelector('.tax-rate-value').value
+            })),
+            defaultRateIds: config.defaultRateIds || [],
+            categoryRateIds: { ...categoryRateIds }
+        };
+
+        const rows = Array.from(containerEl.querySelectorAll('.tax-category-table tbody tr'));
+        const readIds = row => Array.from(row.querySelectorAll('.tax-category-rate:checked')).map(input => input.value);
+        updated.defaultRateIds = readIds(rows[0]);
+
+        // Categories left untouched keep following the default; only differences are stored
+        const sameIds = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+        rows.slice(1).forEach(row => {
+            const category = row.getAttribute('data-category');
+            const ids = readIds(row);
+            const followedDefault = !Array.isArray(categoryRateIds[category]);
+            if ((followedDefault && sameIds(ids, config.defaultRateIds || [])) || sameIds(ids, updated.defaultRateIds)) {
+                delete updated.categoryRateIds[category];
+            } else {
+                updated.categoryRateIds[category] = ids;
+            }
+        });
+
+        return updated;
+    };
+
+    containerEl.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => onChange(readConfig()));
+    });
+
+    containerEl.querySelectorAll('.tax-rate-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+            btn.closest('.tax-rate-row').remove();
+            onChange(readConfig());
+        });
+    });
+
+    containerEl.querySelector('#add-tax-rate-btn').addEventListener('click', () => {
+        const updated = readConfig();
+        updated.rates.push({ id: generateId('tax-'), name: 'New Tax', rate: 0 });
+        onChange(updated);
+    });
+}
+
+/**
+ * Open payment modal for an order
+ * Staff add one or more tenders; cash tenders work out the change due
+ * @param {Object} order - Order being paid
+ * @param {Function} onSave - Callback with the full tenders array
+ */
+function openPaymentModal(order, onSave) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'payment-modal-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    let payments = (order.payments || []).map(p => ({ ...p }));
+    let method = 'cash';
+    const orderLabel = getOrderLabel(order);
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="payment-modal-title">Payment · Order ${orderLabel}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="payment-summary" id="payment-summary"></div>
+                <div class="payment-tenders" id="payment-tenders"></div>
+                <div class="payment-methods">
+                    ${PAYMENT_METHODS.map(m => `
+                        <button type="button" class="category-chip payment-method-btn ${m.id === method ? 'active' : ''}" data-method="${m.id}">${m.label}</button>
+                    `).join('')}
+                </div>
+                <div class="form-group">
+                    <label for="payment-amount" id="payment-amount-label">Cash received (${getCurrencySymbol()})</label>
+                    <input type="number" id="payment-amount" step="0.01" min="0">
+                </div>
+                <div class="payment-change" id="payment-change"></div>
+                <button type="button" class="btn-secondary" id="add-tender-btn">Add Tender</button>
+                <div id="payment-errors" class="form-errors" role="alert"></div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Pay Later</button>
+                <button type="button" class="btn-primary modal-save">Save Payment</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const amountInput = modal.querySelector('#payment-amount');
+    const amountLabel = modal.querySelector('#payment-amount-label');
+    const changeDiv = modal.querySelector('#payment-change');
+    const errorsDiv = modal.querySelector('#payment-errors');
+
+    const currentSummary = () => summarizePayments({ total: order.total, payments });
+
+    const renderState = () => {
+        const summary = currentSummary();
+        modal.querySelector('#payment-summary').innerHTML = `
+            <div class="basket-summary-row"><span>Total</span><span>${formatMoney(order.total)}</span></div>
+            <div class="basket-summary-row"><span>Paid</span><span>${formatMoney(summary.paid)}</span></div>
+            <div class="basket-summary-row payment-due"><span>Due</span><span>${formatMoney(summary.due)}</span></div>
+        `;
+
+        const tendersDiv = modal.querySelector('#payment-tenders');
+        tendersDiv.innerHTML = payments.map(p => `
+            <div class="payment-tender-row">
+                <span>${getPaymentMethodLabel(p.method)}${p.change ? ` (received ${formatMoney(p.received)}, change ${formatMoney(p.change)})` : ''}</span>
+                <span>
+                    ${formatMoney(p.amount)}
+                    <button type="button" class="adjustment-remove-btn" data-payment-id="${p.id}" aria-label="Remove tender">×</button>
+                </span>
+            </div>
+        `).join('');
+        tendersDiv.querySelectorAll('[data-payment-id]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                payments = payments.filter(p => p.id !== btn.getAttribute('data-payment-id'));
+                renderState();
+            });
+        });
+
+        amountLabel.textContent = method === 'cash' ? `Cash received (${getCurrencySymbol()})` : `Amount (${getCurrencySymbol()})`;
+        amountInput.value = summary.due > 0 ? summary.due : '';
+        updateChange();
+    };
+
+    const updateChange = () => {
+        if (method !== 'cash' || amountInput.value === '') {
+            changeDiv.textContent = '';
+            return;
+        }
+        const { change } = computeCashTender(amountInput.value, currentSummary().due);
+        changeDiv.textContent = change > 0 ? `Change due: ${formatMoney(change)}` : '';
+    };
+
+    const addTender = () => {
+        const value = parseFloat(amountInput.value);
+        const due = currentSummary().due;
+        if (isNaN(value) || value <= 0) {
+            return false;
+        }
+        if (due <= 0) {
+            errorsDiv.innerHTML = '<div>Order is already fully paid</div>';
+            errorsDiv.style.display = 'block';
+            return false;
+        }
+
+        const tender = {
+            id: generateId('pay-'),
+            method,
+            timestamp: new Date().toISOString()
+        };
+        if (method === 'cash') {
+            const { amount, change } = computeCashTender(value, due);
+            tender.amount = amount;
+            tender.received = roundMoney(value);
+            tender.change = change;
+        } else {
+            if (value > due + 0.005) {
+                errorsDiv.innerHTML = `<div>${getPaymentMethodLabel(method)} amount cannot exceed ${formatMoney(due)}</div>`;
+                errorsDiv.style.display = 'block';
+                return false;
+            }
+            tender.amount = roundMoney(value);
+        }
+
+        errorsDiv.style.display = 'none';
+        payments.push(tender);
+        renderState();
+        return true;
+    };
+
+    modal.querySelectorAll('.payment-method-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            method = btn.getAttribute('data-method');
+            modal.querySelectorAll('.payment-method-btn').forEach(b => b.classList.toggle('active', b === btn));
+            amountLabel.textContent = method === 'cash' ? `Cash received (${getCurrencySymbol()})` : `Amount (${getCurrencySymbol()})`;
+            updateChange();
+        });
+    });
+    amountInput.addEventListener('input', updateChange);
+    modal.querySelector('#add-tender-btn').addEventListener('click', addTender);
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        // An amount typed but not yet added counts as the last tender
+        if (amountInput.value !== '' && currentSummary().due > 0 && !addTender()) {
+            if (errorsDiv.style.display === 'block') return;
+        }
+        closeModal();
+        onSave(payments);
+    });
+
+    renderState();
+    setTimeout(() => amountInput.focus(), 100);
+}
+
+/**
+ * Open a list of open orders to add the basket to
+ * @param {Array} orders - Open orders (newest first)
+ * @param {Function} onSelect - Callback with the chosen order ID
+ */
+function openOrderPickerModal(orders, onSelect) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'order-picker-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="order-picker-title">Add to Existing Order</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="order-picker-list">
+                    ${orders.map(order => `
+                        <button type="button" class="order-picker-row" data-order-id="${order.id}">
+                            <span class="order-picker-main">
+                                <strong>Order ${getOrderLabel(order)}</strong>
+                                <span class="order-type-badge order-type-${getOrderType(order)}">${getTableKeyLabel(getOrderTableKey(order))}</span>
+                                ${order.tabOpen ? '<span class="order-tab-badge">Tab open</span>' : ''}
+                            </span>
+                            <span class="order-picker-detail">
+                                ${formatRelativeTime(order.timestamp)} · ${getItemsSummary(order.items)} · ${formatMoney(order.total)}
+                                ${order.customerName ? ` · ${order.customerName}` : ''}
+                            </span>
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelectorAll('.order-picker-row').forEach(row => {
+        row.addEventListener('click', () => {
+            closeModal();
+            onSelect(row.getAttribute('data-order-id'));
+        });
+    });
+}
+
+/**
+ * Open an order's history as a timeline
+ * @param {Object} order - Order
+ * @param {Array} events - The order's events (oldest first)
+ */
+function openOrderHistoryModal(order, events) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'order-history-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    const prepTimes = computePrepTimes(events);
+    const orderPrep = prepTimes.orders[0];
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="order-history-title">History · Order ${getOrderLabel(order)}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                ${orderPrep ? `<div class="history-prep">Prep time: <strong>${formatDuration(orderPrep.ms)}</strong></div>` : ''}
+                ${events.length === 0 ? '<div class="history-empty">No history recorded for this order</div>' : `
+                    <ol class="history-timeline">
+                        ${events.map(event => {
+                            const detail = describeOrderEvent(event);
+                            const backward = event.data && event.data.backward;
+                            return `
+                                <li class="history-event history-${event.type} ${backward ? 'history-backward' : ''}">
+                                    <span class="history-time">${formatAbsoluteTime(event.at)}</span>
+                                    <span class="history-label">${ORDER_EVENT_LABELS[event.type] || event.type}${event.by ? ` <span class="history-by">· ${event.by.name}</span>` : ''}</span>
+                                    ${detail ? `<span class="history-detail">${detail}</span>` : ''}
+                                </li>
+                            `;
+                        }).join('')}
+                    </ol>
+                `}
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Close</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+}
+
+/**
+ * Open the void or refund form for an order
+ * Orders the kitchen has not started on are voided (giving back anything paid); after that, money paid is refunded.
+ * @param {Object} order - Order
+ * @param {Function} onSave - Callback with {reason, method} for a void or {amount, method, reason} for a refund
+ */
+function openVoidRefundModal(order, onSave) {
+    const isVoid = canVoidOrder(order);
+    const refundable = getRefundableAmount(order);
+    const payments = order.payments || [];
+    const defaultMethod = payments.length > 0 ? payments[payments.length - 1].method : 'cash';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'void-refund-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-small">
+            <div class="modal-header">
+                <h2 id="void-refund-title">${isVoid ? 'Void' : 'Refund'} Order ${getOrderLabel(order)}</h2>
+            </div>
+            <div class="modal-body">
+                <form id="void-refund-form">
+                    ${isVoid ? `
+                        <p class="void-refund-hint">The order is kept for the record and left out of sales.${refundable > 0 ? ` Give back ${formatMoney(refundable)} to the customer.` : ''}</p>
+                    ` : `
+                        <p class="void-refund-hint">Paid ${formatMoney(summarizePayments(order).paid)}${getRefundTotal(order) > 0 ? `, already refunded ${formatMoney(getRefundTotal(order))}` : ''}. Refunding ${formatMoney(refundable)} in full closes the order.</p>
+                        <div class="form-group">
+                            <label for="refund-amount">Amount (${getCurrencySymbol()}) *</label>
+                            <input type="number" id="refund-amount" name="amount" step="0.01" min="0" max="${refundable}" value="${refundable}" required>
+                        </div>
+                    `}
+                    ${!isVoid || refundable > 0 ? `
+                        <div class="form-group">
+                            <label for="refund-method">Refund via</label>
+                            <select id="refund-method" name="method">
+                                ${PAYMENT_METHODS.map(m => `<option value="${m.id}" ${m.id === defaultMethod ? 'selected' : ''}>${m.label}</option>`).join('')}
+                            </select>
+                        </div>
+                    ` : ''}
+                    <div class="form-group">
+                        <label for="void-refund-reason">Reason *</label>
+                        <input type="text" id="void-refund-reason" name="reason" required placeholder="${isVoid ? 'e.g. Customer left' : 'e.g. Wrong dish served'}">
+                    </div>
+                    <div id="void-refund-errors" class="form-errors" role="alert"></div>
+                </form>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+                <button type="button" class="btn-danger modal-save">${isVoid ? 'Void Order' : 'Refund'}</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        const formData = new FormData(modal.querySelector('#void-refund-form'));
+        const reason = String(formData.get('reason') || '').trim();
+        const details = isVoid
+            ? { reason, method: formData.get('method') || defaultMethod }
+            : { amount: parseFloat(formData.get('amount')), method: formData.get('method'), reason };
+
+        const validation = isVoid ? validateVoid(details) : validateRefund(details, refundable);
+        const errorsDiv = modal.querySelector('#void-refund-errors');
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        onSave(details);
+    });
+
+    setTimeout(() => {
+        const reasonInput = modal.querySelector('#void-refund-reason');
+        if (reasonInput) reasonInput.focus();
+    }, 100);
+}
+
+/**
+ * Open the order editor: the order's lines with the basket drawer controls, plus a menu picker
+ * to add items. Nothing is saved until "Save Changes".
+ * @param {Object} order - Order to edit
+ * @param {Array} menuItems - Menu items that can be added
+ * @param {Array} ingredients - Ingredient catalog (food cost of added lines)
+ * @param {Object|null} taxConfig - Tax configuration
+ * @param {Function} onSave - Callback with the updated order (from editOrderLines)
+ */
+function openOrderEditor(order, menuItems, ingredients, taxConfig, onSave) {
+    let lines = getEditableOrderLines(order);
+    let adjustments = (order.adjustments || []).map(adj => ({ ...adj }));
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'order-editor-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    const available = menuItems.filter(item => !item.hidden);
+    const categories = [...new Set(available.map(item => item.category))];
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="order-editor-title">Edit Order ${getOrderLabel(order)}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="order-editor-add">
+                    <select id="order-editor-item" aria-label="Item to add">
+                        ${categories.map(category => `
+                            <optgroup label="${category}">
+                                ${available.filter(item => item.category === category).map(item => `
+                                    <option value="${item.id}">${item.name} · ${formatMoney(item.price)}</option>
+                                `).join('')}
+                            </optgroup>
+                        `).join('')}
+                    </select>
+                    <button type="button" class="btn-secondary" id="order-editor-add-btn">Add</button>
+                </div>
+                <div class="order-editor-items" id="order-editor-items"></div>
+                <div class="order-editor-summary" id="order-editor-summary"></div>
+                <div id="order-editor-errors" class="form-errors" role="alert"></div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+                <button type="button" class="btn-primary modal-save">Save Changes</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const itemsDiv = modal.querySelector('#order-editor-items');
+    const summaryDiv = modal.querySelector('#order-editor-summary');
+
+    const renderState = () => {
+        const breakdown = calculatePriceBreakdown(lines, adjustments, taxConfig);
+        if (breakdown.dropped.length > 0) {
+            adjustments = adjustments.filter(adj => !breakdown.dropped.includes(adj));
+            breakdown.dropped.forEach(adj => {
+                showToast(`Coupon ${adj.couponCode} removed: needs a minimum spend of ${formatMoney(adj.minSpend)}`, 'error');
+            });
+        }
+        const preview = editOrderLines(order, lines, adjustments, taxConfig);
+        const givenBack = roundMoney(summarizePayments(order).paid - summarizePayments(preview).paid);
+
+        itemsDiv.innerHTML = '';
+        if (lines.length === 0) {
+            itemsDiv.innerHTML = '<div class="basket-empty">No items</div>';
+        } else {
+            renderBasketLines(itemsDiv, lines, breakdown, handleQuantity, handleRemove, handleNote, null, handleRemoveAdjustment);
+        }
+
+        summaryDiv.innerHTML = `
+            ${breakdown.discountTotal > 0 ? `<div class="basket-summary-row discount"><span>Discounts</span><span>−${formatMoney(breakdown.discountTotal)}</span></div>` : ''}
+            ${breakdown.taxTotal > 0 ? `<div class="basket-summary-row tax"><span>Tax${breakdown.taxInclusive ? ' (incl.)' : ''}</span><span>${formatMoney(breakdown.taxTotal)}</span></div>` : ''}
+            <div class="basket-summary-row"><span>Was</span><span>${formatMoney(order.total)}</span></div>
+            <div class="basket-summary-row payment-due"><span>New total</span><span>${formatMoney(breakdown.total)}</span></div>
+            ${givenBack > 0 ? `<div class="basket-summary-row discount"><span>Give back to customer</span><span>${formatMoney(givenBack)}</span></div>` : ''}
+            ${summarizePayments(preview).due > 0 && summarizePayments(order).paid > 0 ? `<div class="basket-summary-row"><span>Still to pay</span><span>${formatMoney(summarizePayments(preview).due)}</span></div>` : ''}
+        `;
+    };
+
+    // Stock the order already holds stays with it; only what an edit adds has to be in stock
+    const applyLines = (nextLines) => {
+        const short = findStockShortfall(order.items, nextLines, menuItems);
+        if (short) {
+            showToast(describeStockShortfall(short), 'error');
+            renderState();
+            return false;
+        }
+        lines = nextLines;
+        renderState();
+        return true;
+    };
+
+    const handleQuantity = (lineId, quantity) => {
+        applyLines(lines.map(line => line.lineId === lineId ? { ...line, quantity } : line));
+    };
+
+    const handleRemove = (lineId) => {
+        lines = lines.filter(line => line.lineId !== lineId);
+        adjustments = adjustments.filter(adj => adj.scope !== 'line' || adj.lineId !== lineId);
+        renderState();
+    };
+
+    // Notes are typed in place; re-rendering would lose focus
+    const handleNote = (lineId, note) => {
+        const line = lines.find(l => l.lineId === lineId);
+        if (line) line.note = note || '';
+    };
+
+    const handleRemoveAdjustment = (adjustmentId) => {
+        adjustments = adjustments.filter(adj => adj.id !== adjustmentId);
+        renderState();
+    };
+
+    const addLine = (item, modifiers = [], components = []) => {
+        const key = getBasketLineKey(item.id, modifiers, components);
+        const existing = lines.find(line => line.lineId === key && line.status === 'Yet to prepare');
+        if (existing) {
+            handleQuantity(key, (existing.quantity || 1) + 1);
+            return;
+        }
+        applyLines([...lines, {
+            id: item.id,
+            lineId: lines.some(line => line.lineId === key) ? generateId(`${key}#`) : key,
+            name: item.name,
+            category: item.category,
+            price: item.price,
+            taxRateIds: Array.isArray(item.taxRateIds) ? [...item.taxRateIds] : null,
+            modifiers: modifiers.map(mod => ({ ...mod })),
+            components: components.map(component => ({ ...component })),
+            quantity: 1,
+            note: '',
+            // Food cost when added, as for lines ordered from the basket
+            unitCost: isBundle(item) ? getBundleUnitCost(components) : getItemFoodCost(item, ingredients),
+            status: 'Yet to prepare'
+        }]);
+    };
+
+    const addWithModifiers = (item, components = []) => {
+        const hasModifiers = (item.modifierGroups || []).some(group => group.options && group.options.length > 0);
+        if (hasModifiers) {
+            openModifierPicker(item, (modifiers) => addLine(item, modifiers, components));
+        } else {
+            addLine(item, [], components);
+        }
+    };
+
+    modal.querySelector('#order-editor-add-btn').addEventListener('click', () => {
+        const item = available.find(i => String(i.id) === modal.querySelector('#order-editor-item').value);
+        if (!item) return;
+        if (isBundle(item)) {
+            openBundlePicker(item, menuItems, (choices) => addWithModifiers(item, buildBundleComponents(item, choices, menuItems, ingredients)));
+        } else {
+            addWithModifiers(item);
+        }
+    });
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    // Escape closes the modifier picker first while it is open on top
+    const escHandler = (e) => {
+        if (e.key === 'Escape' && document.querySelectorAll('.modal-overlay').length === 1) closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        const updated = editOrderLines(order, lines, adjustments, taxConfig);
+        const validation = validateOrderEdit(updated);
+        const errorsDiv = modal.querySelector('#order-editor-errors');
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        onSave(updated);
+    });
+
+    renderState();
+}
+
+/**
+ * Open print options for an order
+ * @param {Object} order - Order
+ * @param {Function} onPrint - Callback with chosen options ({document, paperWidth, output})
+ */
+function openPrintModal(order, onPrint) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'print-modal-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    const orderLabel = getOrderLabel(order);
+    const paperWidth = getPaperWidth();
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-small">
+            <div class="modal-header">
+                <h2 id="print-modal-title">Print · Order ${orderLabel}</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label for="print-document">Document</label>
+                    <select id="print-document">
+                        <option value="receipt">Receipt</option>
+                        <option value="kitchen">Kitchen ticket</option>
+                        ${hasMixedLineStatus(order) ? '<option value="kitchen-pending">Kitchen ticket (items yet to prepare)</option>' : ''}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="print-paper-width">Paper width</label>
+                    <select id="print-paper-width">
+                        ${Object.keys(PAPER_WIDTHS).map(width => `
+                            <option value="${width}" ${width === paperWidth ? 'selected' : ''}>${width}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="modal-footer print-actions">
+                <button type="button" class="btn-secondary" data-output="escpos-file">Save ESC/POS</button>
+                ${canSendToSerialPrinter() ? '<button type="button" class="btn-secondary" data-output="escpos-serial">Send to Printer</button>' : ''}
+                <button type="button" class="btn-primary" data-output="browser">Print</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelectorAll('[data-output]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const options = {
+                document: modal.querySelector('#print-document').value,
+                paperWidth: modal.querySelector('#print-paper-width').value,
+                output: btn.getAttribute('data-output')
+            };
+            closeModal();
+            onPrint(options);
+        });
+    });
+}
+
+/**
+ * Show confirmation modal
+ * @param {string} message - Confirmation message
+ * @param {Function} onConfirm - Callback when confirmed
+ */
+function showConfirm(message, onConfirm) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'confirm-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-small">
+            <div class="modal-header">
+                <h2 id="confirm-title">Confirm</h2>
+            </div>
+            <div class="modal-body">
+                <p>${message}</p>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+                <button type="button" class="btn-danger modal-confirm">Confirm</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const cancelBtn = modal.querySelector('.modal-cancel');
+    const confirmBtn = modal.querySelector('.modal-confirm');
+    const overlay = modal;
+
+    cancelBtn.addEventListener('click', closeModal);
+    confirmBtn.addEventListener('click', () => {
+        closeModal();
+        onConfirm();
+    });
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeModal();
+    });
+
+    // ESC key
+    const escHandler = (e) => {
+        if (e.key === 'Escape') {
+            closeModal();
+            document.removeEventListener('keydown', escHandler);
+        }
+    };
+    document.addEventListener('keydown', escHandler);
+
+    // Focus confirm button
+    setTimeout(() => confirmBtn.focus(), 100);
+}
+
+/**
+ * Show toast notification
+ * @param {string} message - Toast message
+ * @param {string} type - Toast type: 'success' or 'error'
+ */
+function showToast(message, type = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.setAttribute('role', 'alert');
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    setTimeout(() => {
+        toast.classList.add('show');
+    }, 10);
+
+    setTimeout(() => {
+        toast.classList.remove('show');
+        setTimeout(() => {
+            if (toast.parentNode) {
+                document.body.removeChild(toast);
+            }
+        }, 300);
+    }, 3000);
+}
+
+/**
+ * Update totals panel with summary data and charts
+ * @param {Object} summary - Totals summary object from computeTotals
+ */
+function updateTotalsPanel(summary) {
+    const panel = document.getElementById('totals-panel');
+    if (!panel) return;
+
+    const paymentMethodsList = Object.keys(summary.byPaymentMethod).length > 0
+        ? Object.entries(summary.byPaymentMethod)
+            .map(([method, amount]) => `${getPaymentMethodLabel(method)}: ${formatMoney(amount.toFixed(2))}`)
+            .join(', ')
+        : 'No payments';
+
+    const topItemsList = summary.topItems.length > 0
+        ? summary.topItems.map(item => `${item.name}: ${item.qty}`).join(', ')
+        : 'No items sold';
+
+    panel.innerHTML = `
+        <div class="totals-row">
+            <span class="label">Total Orders:</span>
+            <span class="value">${summary.totalOrders}</span>
+        </div>
+        <div class="totals-row">
+            <span class="label">Gross Sales:</span>
+            <span class="value">${formatMoney(summary.grossRevenue.toFixed(2))}</span>
+        </div>
+        <div class="totals-row">
+            <span class="label">Discounts Given:</span>
+            <span class="value">${formatMoney(summary.discountTotal.toFixed(2))}</span>
+        </div>
+        <div class="totals-row">
+            <span class="label">Refunds:</span>
+            <span class="value">${formatMoney(summary.refundTotal.toFixed(2))}</span>
+        </div>
+        <div class="totals-row">
+            <span class="label">Net Revenue:</span>
+            <span class="value">${formatMoney(summary.netRevenue.toFixed(2))}</span>
+        </div>
+        <div class="totals-row">
+            <span class="label">Taxable Value:</span>
+            <span class="value">${formatMoney(summary.taxableValue.toFixed(2))}</span>
+        </div>
+        <div class="totals-row">
+            <span class="label">Tax Collected:</span>
+            <span class="value">${formatMoney(summary.taxCollected.toFixed(2))}</span>
+        </div>
+        <div class="totals-row">
+            <span class="label">By Payment Method:</span>
+            <span class="value">${paymentMethodsList}</span>
+        </div>
+        <div class="totals-row">
+            <span class="label">Unpaid:</span>
+            <span class="value">${formatMoney(summary.unpaidTotal.toFixed(2))}</span>
+        </div>
+        <div class="totals-row">
+            <span class="label">Voided:</span>
+            <span class="value">${summary.voidedCount} (${formatMoney(summary.voidedTotal.toFixed(2))})</span>
+        </div>
         <div class="totals-row">
             <span class="label">Top 5 Items:</span>
             <span class="value">${topItemsList}</span>
         </div>
+        ${summary.trend ? renderTotalsCharts(summary) : ''}
+    `;
+}
+
+/**
+ * Build the Totals panel charts: revenue trend, day × hour heatmap and category share
+ * @param {Object} summary - Totals summary object from computeTotals
+ * @returns {string} Charts HTML
+ */
+function renderTotalsCharts(summary) {
+    const categories = summary.byCategory.filter(entry => entry.revenue > 0);
+    const categoryTotal = categories.reduce((sum, entry) => sum + entry.revenue, 0);
+
+    return `
+        <div class="totals-charts">
+            <div class="chart-block">
+                <h4 class="chart-title">Revenue</h4>
+                ${summary.trend.length > 0
+                    ? buildLineChartSVG(summary.trend, { title: 'Revenue over the selected range' })
+                    : '<div class="chart-empty">No sales yet</div>'}
+            </div>
+            <div class="chart-block">
+                <h4 class="chart-title">Orders by Day and Hour</h4>
+                ${buildHeatmapSVG(summary.byWeekdayHour, { title: 'Orders by day of week and hour' })}
+            </div>
+            <div class="chart-block">
+                <h4 class="chart-title">Category Mix</h4>
+                ${buildShareBarSVG(categories.map(entry => ({ label: entry.category, value: entry.revenue })), { title: 'Revenue share by category' })}
+                <div class="chart-legend">
+                    ${categories.map((entry, index) => `
+                        <span class="chart-legend-item">
+                            <span class="chart-swatch" style="background: ${getChartColor(index)}"></span>
+                            ${entry.category} ${Math.round((entry.revenue / categoryTotal) * 100)}%
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render a sales report
+ * @param {Object} report - Report from buildSalesReport
+ * @param {HTMLElement} containerEl - Container element to render into
+ */
+function renderSalesReport(report, containerEl) {
+    if (!containerEl) return;
+
+    const summary = report.summary;
+    const periodLabel = (REPORT_PERIODS.find(p => p.id === report.period) || REPORT_PERIODS[0]).label;
+    const hours = report.byHour.filter(entry => entry.orders > 0);
+    const costing = report.costing;
+    const costCells = (entry) => [
+        entry.cost === null ? '—' : formatMoney(entry.cost),
+        entry.margin === null ? '—' : `${formatMoney(entry.margin)}${entry.marginPercent !== null ? ` (${entry.marginPercent}%)` : ''}`
+    ];
+
+    const table = (headers, rows) => `
+        <table class="report-table">
+            <thead>
+                <tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+
+    if (summary.totalOrders === 0 && summary.voidedCount === 0) {
+        containerEl.innerHTML = '<div class="admin-empty">No orders in this range</div>';
+        return;
+    }
+
+    containerEl.innerHTML = `
+        <div class="totals-panel">
+            <div class="totals-row">
+                <span class="label">Orders:</span>
+                <span class="value">${summary.totalOrders}</span>
+            </div>
+            <div class="totals-row">
+                <span class="label">Gross Sales:</span>
+                <span class="value">${formatMoney(roundMoney(summary.grossRevenue))}</span>
+            </div>
+            <div class="totals-row">
+                <span class="label">Discounts Given:</span>
+                <span class="value">${formatMoney(roundMoney(summary.discountTotal))}</span>
+            </div>
+            <div class="totals-row">
+                <span class="label">Refunds:</span>
+                <span class="value">${formatMoney(roundMoney(summary.refundTotal))}</span>
+            </div>
+            <div class="totals-row">
+                <span class="label">Net Revenue:</span>
+                <span class="value">${formatMoney(roundMoney(summary.netRevenue))}</span>
+            </div>
+            <div class="totals-row">
+                <span class="label">Average Order Value:</span>
+                <span class="value">${formatMoney(report.averageOrderValue)}</span>
+            </div>
+            <div class="totals-row">
+                <span class="label">Voided:</span>
+                <span class="value">${summary.voidedCount} (${formatMoney(roundMoney(summary.voidedTotal))})</span>
+            </div>
+            ${costing.cogs !== null ? `
+                <div class="totals-row">
+                    <span class="label">Cost of Goods Sold:</span>
+                    <span class="value">${formatMoney(costing.cogs)}</span>
+                </div>
+                <div class="totals-row">
+                    <span class="label">Gross Margin:</span>
+                    <span class="value">${formatMoney(costing.grossMargin)}${costing.grossMarginPercent !== null ? ` (${costing.grossMarginPercent}%)` : ''}</span>
+                </div>
+            ` : ''}
+        </div>
+        <h4 class="report-heading">${periodLabel}</h4>
+        ${table(['Period', 'Orders', 'Revenue'], report.periods.map(entry => [entry.label, entry.orders, formatMoney(entry.revenue)]))}
+        <h4 class="report-heading">By Category</h4>
+        ${table(['Category', 'Qty', 'Revenue', 'Cost', 'Margin'], report.byCategory.map(entry => [entry.category, entry.quantity, formatMoney(entry.revenue), ...costCells(entry)]))}
+        <h4 class="report-heading">By Hour</h4>
+        ${table(['Hour', 'Orders', 'Revenue'], hours.map(entry => [`${String(entry.hour).padStart(2, '0')}:00`, entry.orders, formatMoney(entry.revenue)]))}
+        <h4 class="report-heading">Items</h4>
+        ${table(['Item', 'Qty', 'Revenue', 'Cost', 'Margin'], report.items.map(entry => [entry.name, entry.quantity, formatMoney(entry.revenue), ...costCells(entry)]))}
+        <p class="backup-description">Revenue is after discounts and refunds. Category and item revenue share out order discounts and leave out fully refunded orders.
+            Costs come from item recipes at the time of sale; margins only count items with a recipe${costing.uncostedRevenue > 0 ? ` (${formatMoney(costing.uncostedRevenue)} of sales had none)` : ''}.</p>
+    `;
+}
+
+/**
+ * Render the shift panel: the open shift with its drawer actions, or a button to open one,
+ * followed by recent closed shifts
+ * @param {Object|null} shift - Open shift
+ * @param {Array} closedShifts - Closed shifts, newest first
+ * @param {HTMLElement} containerEl - Container element to render into
+ * @param {Object} handlers - {onOpen, onPayIn, onPayOut, onXReport, onClose, onViewReport(shift)}
+ */
+function renderShiftPanel(shift, closedShifts, containerEl, handlers) {
+    if (!containerEl) return;
+
+    const movements = shift ? shift.movements || [] : [];
+
+    containerEl.innerHTML = `
+        ${shift ? `
+            <div class="totals-panel shift-status">
+                <div class="totals-row">
+                    <span class="label">Open since:</span>
+                    <span class="value">${formatAbsoluteTime(shift.openedAt)}${shift.openedBy ? ` by ${shift.openedBy.name}` : ''}</span>
+                </div>
+                <div class="totals-row">
+                    <span class="label">Opening float:</span>
+                    <span class="value">${formatMoney(shift.openingFloat)}</span>
+                </div>
+                ${movements.map(m => `
+                    <div class="totals-row shift-movement">
+                        <span class="label">${getCashMovementLabel(m.type)}:</span>
+                        <span class="value">${m.type === 'out' ? '-' : ''}${formatMoney(m.amount)} · ${m.reason}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="shift-actions">
+                <button type="button" class="btn-secondary shift-pay-in-btn">Pay In</button>
+                <button type="button" class="btn-secondary shift-pay-out-btn">Pay Out</button>
+                <button type="button" class="btn-secondary shift-x-report-btn">X Report</button>
+                <button type="button" class="btn-primary shift-close-btn">Close Shift</button>
+            </div>
+        ` : `
+            <div class="shift-actions">
+                <button type="button" class="btn-primary shift-open-btn">Open Shift</button>
+            </div>
+            <p class="backup-description">Open a shift with the cash in the drawer to get X/Z reports with expected cash</p>
+        `}
+        ${closedShifts.length > 0 ? `
+            <div class="shift-history">
+                ${closedShifts.map(closed => `
+                    <button type="button" class="shift-history-row" data-shift-id="${closed.id}">
+                        <span>${formatAbsoluteTime(closed.openedAt)} – ${formatAbsoluteTime(closed.closedAt)}</span>
+                        <span class="shift-history-net">${formatMoney(closed.report ? closed.report.netSales : 0)}</span>
+                        ${closed.report && closed.report.variance ? `
+                            <span class="shift-variance ${closed.report.variance < 0 ? 'shift-variance-short' : 'shift-variance-over'}">${closed.report.variance < 0 ? 'Short' : 'Over'} ${formatMoney(Math.abs(closed.report.variance))}</span>
+                        ` : ''}
+                    </button>
+                `).join('')}
+            </div>
+        ` : ''}
+    `;
+
+    const bind = (selector, handler) => {
+        const btn = containerEl.querySelector(selector);
+        if (btn) btn.addEventListener('click', handler);
+    };
+    bind('.shift-open-btn', handlers.onOpen);
+    bind('.shift-pay-in-btn', handlers.onPayIn);
+    bind('.shift-pay-out-btn', handlers.onPayOut);
+    bind('.shift-x-report-btn', handlers.onXReport);
+    bind('.shift-close-btn', handlers.onClose);
+
+    containerEl.querySelectorAll('.shift-history-row').forEach(row => {
+        row.addEventListener('click', () => {
+            const closed = closedShifts.find(s => s.id === row.getAttribute('data-shift-id'));
+            if (closed) handlers.onViewReport(closed);
+        });
+    });
+}
+
+/**
+ * Open a cash entry modal (opening float, pay-in/pay-out or counted cash)
+ * @param {Object} options - {title, amountLabel, type?: "in" | "out", hint?, saveLabel?}; a type asks for a reason
+ * @param {Function} onSave - Callback when saved ({amount, reason})
+ */
+function openCashEntryModal(options, onSave) {
+    const withReason = options.type === 'in' || options.type === 'out';
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'cash-entry-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    modal.innerHTML = `
+        <div class="modal-content modal-content-small">
+            <div class="modal-header">
+                <h2 id="cash-entry-title">${options.title}</h2>
+            </div>
+            <div class="modal-body">
+                <form id="cash-entry-form">
+                    ${options.hint ? `<p class="backup-description">${options.hint}</p>` : ''}
+                    <div class="form-group">
+                        <label for="cash-entry-amount">${options.amountLabel} *</label>
+                        <input type="number" id="cash-entry-amount" name="amount" inputmode="decimal" min="0" step="0.01" required>
+                    </div>
+                    ${withReason ? `
+                        <div class="form-group">
+                            <label for="cash-entry-reason">Reason *</label>
+                            <input type="text" id="cash-entry-reason" name="reason" required>
+                        </div>
+                    ` : ''}
+                    <div id="cash-entry-errors" class="form-errors" role="alert"></div>
+                </form>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary modal-cancel">Cancel</button>
+                <button type="button" class="btn-primary modal-save">${options.saveLabel || 'Save'}</button>
+            </div>
+        </div>
     `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.modal-save').addEventListener('click', () => {
+        const formData = new FormData(modal.querySelector('#cash-entry-form'));
+        const entry = {
+            type: options.type,
+            amount: String(formData.get('amount') || '').trim(),
+            reason: String(formData.get('reason') || '').trim()
+        };
+
+        const validation = validateCashEntry(entry);
+        const errorsDiv = modal.querySelector('#cash-entry-errors');
+        if (!validation.ok) {
+            errorsDiv.innerHTML = validation.errors.map(err => `<div>${err}</div>`).join('');
+            errorsDiv.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        onSave({ amount: parseFloat(entry.amount), reason: entry.reason });
+    });
+
+    setTimeout(() => {
+        const amountInput = modal.querySelector('#cash-entry-amount');
+        if (amountInput) amountInput.focus();
+    }, 100);
+}
+
+/**
+ * Open a shift report (X or Z) with export and print actions
+ * @param {Object} report - Report from buildShiftReport
+ * @param {Function} onExport - Callback when Export CSV is clicked
+ * @param {Function} onPrint - Callback when Print is clicked
+ * @param {Function} [onClose] - Callback once the report is closed (e.g., to archive orders after a Z report)
+ */
+function openShiftReportModal(report, onExport, onPrint, onClose) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-labelledby', 'shift-report-title');
+    modal.setAttribute('aria-modal', 'true');
+
+    const row = (label, value) => `
+        <div class="totals-row">
+            <span class="label">${label}:</span>
+            <span class="value">${value}</span>
+        </div>
+    `;
+
+    const paymentRows = Object.keys(report.byPaymentMethod).length > 0
+        ? Object.entries(report.byPaymentMethod).map(([method, amount]) => row(getPaymentMethodLabel(method), formatMoney(amount))).join('')
+        : row('Payments', 'None');
+
+    const varianceText = report.variance === null
+        ? 'Not counted'
+        : report.variance === 0 ? 'Balanced' : `${report.variance < 0 ? 'Short' : 'Over'} ${formatMoney(Math.abs(report.variance))}`;
+
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2 id="shift-report-title">${report.kind} Report</h2>
+                <button class="modal-close" aria-label="Close modal">
+                    <svg class="icon" aria-hidden="true"><use href="#icon-back"></use></svg>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="totals-panel shift-report">
+                    ${row('Opened', `${formatAbsoluteTime(report.openedAt)}${report.openedBy ? ` by ${report.openedBy.name}` : ''}`)}
+                    ${row(report.kind === 'Z' ? 'Closed' : 'As of', `${formatAbsoluteTime(report.generatedAt)}${report.generatedBy ? ` by ${report.generatedBy.name}` : ''}`)}
+                    <h4>Sales</h4>
+                    ${row('Orders', report.orderCount)}
+                    ${row('Gross Sales', formatMoney(report.grossSales))}
+                    ${row('Discounts', formatMoney(report.discounts))}
+                    ${row('Refunds', formatMoney(report.refunds))}
+                    ${row('Net Sales', formatMoney(report.netSales))}
+                    ${row('Tax Collected', formatMoney(report.taxCollected))}
+                    ${row('Unpaid', formatMoney(report.unpaid))}
+                    ${row('Voided', `${report.voidedCount} (${formatMoney(report.voidedTotal)})`)}
+                    <h4>Takings by Payment Method</h4>
+                    ${paymentRows}
+                    <h4>Cash Drawer</h4>
+                    ${row('Opening Float', formatMoney(report.openingFloat))}
+                    ${row('Pay Ins', formatMoney(report.payIns))}
+                    ${row('Pay Outs', formatMoney(report.payOuts))}
+                    ${row('Expected Cash', formatMoney(report.expectedCash))}
+                    ${row('Counted Cash', report.countedCash === null ? '—' : formatMoney(report.countedCash))}
+                    <div class="totals-row ${report.variance ? (report.variance < 0 ? 'shift-variance-short' : 'shift-variance-over') : ''}">
+                        <span class="label">Variance:</span>
+                        <span class="value">${varianceText}</span>
+                    </div>
+                    <h4>Top Items</h4>
+                    ${report.topItems.length > 0
+                        ? report.topItems.map(item => row(item.name, item.qty)).join('')
+                        : row('Items', 'No items sold')}
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn-secondary shift-report-export-btn">Export CSV</button>
+                <button type="button" class="btn-secondary shift-report-print-btn">Print</button>
+                <button type="button" class="btn-primary modal-cancel">Done</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.removeEventListener('keydown', escHandler);
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+        if (onClose) onClose();
+    };
+
+    const escHandler = (e) => {
+        if (e.key === 'Escape') closeModal();
+    };
+    document.addEventListener('keydown', escHandler);
+
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('.modal-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    modal.querySelector('.shift-report-export-btn').addEventListener('click', () => onExport(report));
+    modal.querySelector('.shift-report-print-btn').addEventListener('click', () => onPrint(report));
 }
 